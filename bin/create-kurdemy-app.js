@@ -1,18 +1,34 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-
-// Simple colors without chalk
-const colors = {
-  red: (text) => `\x1b[31m${text}\x1b[0m`,
-  green: (text) => `\x1b[32m${text}\x1b[0m`,
-  yellow: (text) => `\x1b[33m${text}\x1b[0m`,
-  blue: (text) => `\x1b[34m${text}\x1b[0m`,
-  cyan: (text) => `\x1b[36m${text}\x1b[0m`,
-  gray: (text) => `\x1b[90m${text}\x1b[0m`
-};
+const colors = require('../lib/colors');
+const { generateProject } = require('../lib/generator');
+const { createVirtualFileSystem } = require('../lib/file-system');
+const { formatFileTree, formatSize } = require('../lib/file-tree');
+const { parseArgs } = require('../lib/args');
+const { DEFAULT_CONFIG, resolvePreset } = require('../lib/presets');
+const { runPresetsCommand } = require('../lib/commands/presets');
+const { runAddCommand } = require('../lib/commands/add');
+const { runUpgradeCommand } = require('../lib/commands/upgrade');
+const { runGenerateCommand } = require('../lib/commands/generate');
+const { validateOptions, validateProjectName } = require('../lib/validator');
+const { resolveProjectTarget } = require('../lib/project');
+const {
+  EXISTING_MODES,
+  isNonEmptyDirectory,
+  assertNoUncommittedChanges,
+  backupDirectory,
+  restoreBackup,
+  mergeIntoDirectory
+} = require('../lib/existing-directory');
+const { createPrompter } = require('../lib/prompts');
+const { runWizard } = require('../lib/wizard');
+const { getPackageManagerCommands } = require('../lib/templates/packages');
+const {
+  checkPackageManagerAvailability,
+  installWorkspaceDependencies,
+  setupDevEnvironment
+} = require('../lib/installer');
 
 // Simple banner
 console.log(colors.cyan(`
@@ -25,321 +41,313 @@ console.log(colors.cyan(`
 Create modern fullstack applications with ease!
 `));
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+function printHelp() {
+  console.log(`Usage: create-kurdemy-app [project-name|directory] [options]
+       create-kurdemy-app presets [list|show|save|remove] [name] [options]
+       create-kurdemy-app add <trpc|tailwind|auth|docker> [project-dir]
+       create-kurdemy-app upgrade [project-dir] [--from <cli-dir>]
+       create-kurdemy-app generate resource <name> [project-dir] [--fields <fields>]
+       create-kurdemy-app generate page <route> [project-dir] [--loading] [--error] [--protected] [--trpc]
+
+Options:
+  --dir <path>                           Directory to generate into (defaults to ./<project-name>)
+  --existing <abort|merge|ask|backup>    What to do if that directory is not empty (asked if left out)
+  --preset <name>                        Start from a saved preset (see "presets list")
+  --frontend <nextjs|react|vite>         Frontend framework (vite: React on Vite)
+  --database <name>                      postgresql, mysql, sqlite or sqlserver
+  --orm <prisma|drizzle>                 ORM for the backend
+  --trpc, --no-trpc                      Include tRPC
+  --auth, --no-auth                      Include authentication
+  --tailwind, --no-tailwind              Include Tailwind CSS
+  --docker, --no-docker                  Include Dockerfiles and Docker Compose setup
+  --package-manager <npm|yarn|pnpm>      Package manager
+  --install, --no-install                Install dependencies after generating
+  --git, --no-git                        Initialize a git repository with a first commit
+  --dry-run                              Print the files that would be generated without writing them
+  --verbose                              Show the stack trace when something fails
+  --help                                 Show this help
+
+The first argument is a package name (my-app, @acme/portal) or, when it is "."
+or contains a slash, the directory to generate into, named after its last part.
+Use --dir to give both, e.g. create-kurdemy-app @acme/portal --dir packages/portal.
+
+Any option left out is asked for interactively, unless a preset provides it.
+On a terminal the questions are arrow-key menus with a review screen at the end,
+otherwise they read one answer per line from stdin.`);
+}
+
+async function installProjectDependencies(projectPath, packageManager) {
+  if (!await checkPackageManagerAvailability(packageManager)) {
+    console.log(colors.yellow(`\n⚠️  ${packageManager} was not found on your PATH, skipping the install.`));
+    return false;
+  }
 
-function question(text) {
-  return new Promise((resolve) => {
-    rl.question(text, resolve);
+  console.log(colors.blue(`\n📦 Installing dependencies with ${packageManager}...\n`));
+
+  try {
+    await installWorkspaceDependencies(projectPath, packageManager);
+    return true;
+  } catch (error) {
+    // The generated project is still usable, so keep it and let the user retry
+    console.log(colors.yellow(`\n⚠️  ${error.message}`));
+    console.log(colors.yellow(`   The project was kept at ${projectPath}. Run "${getPackageManagerCommands(packageManager).install}" there to retry.`));
+    return false;
+  }
+}
+
+function printDryRun(projectPath, files, exists) {
+  const totalSize = files.reduce((total, file) => total + file.size, 0);
+
+  console.log(colors.blue('\n🔍 Dry run: these files would be generated\n'));
+  console.log(formatFileTree(path.basename(projectPath), files));
+  console.log(colors.gray(`\n${files.length} files, ${formatSize(totalSize)} in total.`));
+  if (exists) {
+    console.log(colors.yellow(`⚠️  ${projectPath} is not empty, a real run would ask whether to merge into it or back it up first.`));
+  }
+  console.log(colors.green('Nothing was written to disk.'));
+}
+
+function askExistingMode(prompter, displayPath) {
+  return prompter.select({
+    message: `${displayPath} is not empty. What should happen to the files in it?`,
+    choices: [
+      { title: 'Cancel', value: 'abort', description: 'leave everything as it is' },
+      { title: 'Merge', value: 'merge', description: 'add the new files, keep yours where they differ' },
+      { title: 'Merge and ask', value: 'ask', description: 'ask about every file that differs' },
+      { title: 'Back up', value: 'backup', description: 'move the files to a timestamped backup first' }
+    ]
+  });
+}
+
+// Asks about each conflicting file until "all" is picked for the rest
+function createConflictResolver(prompter) {
+  let remaining = null;
+
+  return async (file) => {
+    if (remaining !== null) {
+      return remaining;
+    }
+    const answer = await prompter.select({
+      message: `${file} already exists and differs`,
+      choices: [
+        { title: 'Keep yours', value: 'keep' },
+        { title: 'Overwrite it', value: 'overwrite' },
+        { title: 'Keep yours for all remaining files', value: 'keep-all' },
+        { title: 'Overwrite all remaining files', value: 'overwrite-all' }
+      ]
+    });
+    if (answer.endsWith('-all')) {
+      remaining = answer === 'overwrite-all';
+    }
+    return answer.startsWith('overwrite');
+  };
+}
+
+function printMergeReport({ created, overwritten, kept }) {
+  console.log(colors.gray(`
+${created.length} files created, ${overwritten.length} overwritten, ${kept.length} kept as they were.`));
+  if (kept.length > 0) {
+    console.log(colors.yellow('These files were kept and may need the template changes by hand:'));
+    kept.forEach((file) => console.log(colors.yellow(`  ${file}`)));
+  }
+}
+
+function printSummary(steps) {
+  const width = Math.max(...steps.map(({ step }) => step.length));
+
+  console.log(colors.gray('\nSetup summary:'));
+  steps.forEach(({ step, success }) => {
+    const status = success ? colors.green('✅ done') : colors.red('❌ failed');
+    console.log(`  ${step.padEnd(width)}  ${status}`);
   });
 }
 
 async function main() {
+  let prompter;
+  let verbose = false;
+
   try {
-    // Get project name
-    const projectName = process.argv[2] || await question('Project name: ');
-    
-    if (!projectName) {
-      console.log(colors.red('Project name is required!'));
-      process.exit(1);
+    const argv = process.argv.slice(2);
+
+    if (argv[0] === 'presets') {
+      runPresetsCommand(argv.slice(1));
+      return;
+    }
+
+    if (argv[0] === 'add') {
+      await runAddCommand(argv.slice(1));
+      return;
     }
 
-    const projectPath = path.join(process.cwd(), projectName);
+    if (argv[0] === 'upgrade') {
+      await runUpgradeCommand(argv.slice(1));
+      return;
+    }
+
+    if (argv[0] === 'generate' || argv[0] === 'g') {
+      await runGenerateCommand(argv.slice(1));
+      return;
+    }
+
+    const args = parseArgs(argv);
+    verbose = args.verbose;
+
+    if (args.help) {
+      printHelp();
+      return;
+    }
+
+    // Explicit flags still win over the preset's values
+    const { preset, dryRun, dir, existing, ...options } = args.options;
+    const flags = preset ? { ...resolvePreset(preset), ...options } : options;
+    const target = resolveProjectTarget(args.projectName, { dir });
+
+    if (existing !== undefined && !EXISTING_MODES.includes(existing)) {
+      console.log(colors.red(`Invalid --existing "${existing}". Must be one of: ${EXISTING_MODES.join(', ')}.`));
+      process.exit(1);
+    }
 
-    // Check if directory exists
-    if (fs.existsSync(projectPath)) {
-      const overwrite = await question(`Directory ${projectName} exists. Overwrite? (y/N): `);
-      if (overwrite.toLowerCase() !== 'y') {
-        console.log(colors.yellow('Cancelled.'));
-        process.exit(0);
+    if (target.name) {
+      const nameValidation = validateProjectName(target.name);
+      if (!nameValidation.valid) {
+        console.log(colors.red(nameValidation.error));
+        if (args.projectName !== target.name) {
+          console.log(colors.gray(`The name comes from the directory. Give one as well, e.g. create-kurdemy-app my-app --dir ${args.projectName}`));
+        }
+        process.exit(1);
       }
-      fs.rmSync(projectPath, { recursive: true, force: true });
     }
 
-    // Simple questions
-    const frontend = await question('Frontend (1=Next.js, 2=React): ') === '2' ? 'react' : 'nextjs';
-    const trpc = await question('Use tRPC? (y/N): ');
-    const tailwind = await question('Use Tailwind? (y/N): ');
+    // Only ask for what wasn't given on the command line. With --dir alone the
+    // directory's name is offered as the project name.
+    const suggestedName = target.directory && path.basename(target.directory);
+    prompter = createPrompter();
+    const { projectName: name, config: answers } = await runWizard(prompter, {
+      projectName: target.name,
+      suggestedName: validateProjectName(suggestedName).valid ? suggestedName : undefined,
+      flags,
+      defaults: DEFAULT_CONFIG,
+      dryRun
+    });
+
+    const projectName = validateProjectName(name).packageName;
+    const projectPath = target.directory || resolveProjectTarget(name).directory;
+    const displayPath = path.relative(process.cwd(), projectPath) || '.';
+
+    const config = { ...DEFAULT_CONFIG, ...answers };
+
+    const validation = validateOptions(config);
+    if (!validation.valid) {
+      console.log(colors.red('\n❌ Invalid options:'));
+      validation.errors.forEach((error) => console.log(colors.red(`  - ${error}`)));
+      process.exit(1);
+    }
 
-    const config = {
-      frontend,
-      trpc: trpc.toLowerCase() === 'y',
-      tailwind: tailwind.toLowerCase() === 'y',
-      auth: false // Keep it simple
-    };
+    const exists = await isNonEmptyDirectory(projectPath);
 
-    console.log(colors.blue('\n🚀 Creating project...'));
+    if (dryRun) {
+      const files = await generateProject(projectPath, projectName, config, {
+        fileSystem: createVirtualFileSystem()
+      });
+      printDryRun(projectPath, files, exists);
+      return;
+    }
 
-    // Create project
-    await generateProject(projectPath, projectName, config);
+    // Existing files are never deleted, they are merged with or moved to a backup
+    let mode = 'create';
+    let beforeCommit;
+    if (exists) {
+      const inRepository = await assertNoUncommittedChanges(projectPath);
+      mode = existing || await askExistingMode(prompter, displayPath);
 
-    console.log(colors.green('\n🎉 Project created successfully!'));
-    console.log(colors.gray('\nNext steps:'));
-    console.log(colors.gray(`  cd ${projectName}`));
-    console.log(colors.cyan('  npm run install:all'));
-    console.log(colors.gray('\nThen run in separate terminals:'));
-    console.log(colors.cyan('  npm run dev:backend   ') + colors.gray('# http://localhost:4000'));
-    console.log(colors.cyan('  npm run dev:frontend  ') + colors.gray('# http://localhost:3000'));
-    console.log(colors.green('\n🚀 Happy coding!'));
+      if (mode === 'abort') {
+        console.log(colors.yellow(`${displayPath} is not empty, nothing was written.`));
+        process.exit(existing ? 1 : 0);
+      }
+      if (mode === 'backup') {
+        // Moved once the new files are ready, so a failure leaves them where they are
+        beforeCommit = async () => {
+          const backupPath = await backupDirectory(projectPath);
+          console.log(colors.gray(`\nMoved the existing files to ${path.relative(process.cwd(), backupPath)}`));
+          return async () => {
+            await restoreBackup(projectPath, backupPath);
+            console.log(colors.gray(`Moved the existing files back into ${displayPath}`));
+          };
+        };
+      } else if (inRepository && config.git) {
+        // The repository is already there, committing the merge is up to the user
+        config.git = false;
+        console.log(colors.gray(`\n${displayPath} is already a git repository, the new files are left for you to commit.`));
+      }
+    }
 
-  } catch (error) {
-    console.log(colors.red('\n❌ Error:'), error.message);
-    process.exit(1);
-  } finally {
-    rl.close();
-  }
-}
+    console.log(colors.blue('\n🚀 Creating project...'));
 
-async function generateProject(projectPath, projectName, config) {
-  // Create directories
-  const dirs = [
-    'src/backend/src',
-    'src/frontend',
-    'src/shared'
-  ];
+    if (mode === 'merge' || mode === 'ask') {
+      const report = await mergeIntoDirectory(projectPath, projectName, config, {
+        resolveConflict: mode === 'ask' ? createConflictResolver(prompter) : undefined
+      });
+      printMergeReport(report);
+    } else {
+      await generateProject(projectPath, projectName, config, { beforeCommit });
+    }
 
-  for (const dir of dirs) {
-    fs.mkdirSync(path.join(projectPath, dir), { recursive: true });
-  }
+    console.log(colors.green('\n🎉 Project created successfully!'));
 
-  // Generate package.json
-  const packageJson = {
-    name: projectName,
-    version: "0.1.0",
-    scripts: {
-      dev: "echo 'Run these commands in separate terminals:' && echo '  npm run dev:backend' && echo '  npm run dev:frontend'",
-      "dev:backend": "cd src/backend && npm run start:dev",
-      "dev:frontend": config.frontend === 'nextjs' ? "cd src/frontend && npm run dev" : "cd src/frontend && npm start",
-      "install:all": "npm install && cd src/backend && npm install && cd ../frontend && npm install",
-      "build:all": "cd src/backend && npm run build && cd ../frontend && npm run build"
-    },
-    devDependencies: {
-      "typescript": "^5.0.0"
-    },
-    workspaces: ["src/backend", "src/frontend"]
-  };
+    // Nothing else is read from stdin, and the installer needs the terminal
+    prompter.close();
+
+    const pm = getPackageManagerCommands(config.packageManager);
+    const steps = [];
+    let installed = false;
 
-  fs.writeFileSync(
-    path.join(projectPath, 'package.json'),
-    JSON.stringify(packageJson, null, 2)
-  );
-
-  // Generate backend package.json
-  const backendPackage = {
-    name: "backend",
-    version: "0.1.0",
-    scripts: {
-      "start:dev": "nest start --watch",
-      "start:prod": "node dist/main",
-      "build": "nest build"
-    },
-    dependencies: {
-      "@nestjs/common": "^10.0.0",
-      "@nestjs/core": "^10.0.0",
-      "@nestjs/platform-express": "^10.0.0",
-      "reflect-metadata": "^0.1.13",
-      "rxjs": "^7.8.0"
-    },
-    devDependencies: {
-      "@nestjs/cli": "^10.0.0",
-      "typescript": "^5.0.0",
-      "@types/node": "^20.0.0",
-      "ts-node": "^10.9.0",
-      "nodemon": "^3.0.0"
+    if (config.install) {
+      installed = await installProjectDependencies(projectPath, config.packageManager);
+      steps.push({ step: 'Dependencies', success: installed });
     }
-  };
 
-  fs.writeFileSync(
-    path.join(projectPath, 'src/backend/package.json'),
-    JSON.stringify(backendPackage, null, 2)
-  );
-
-  // Generate frontend package.json
-  const frontendPackage = {
-    name: "frontend",
-    version: "0.1.0",
-    scripts: config.frontend === 'nextjs' ? {
-      dev: "next dev",
-      build: "next build",
-      start: "next start"
-    } : {
-      start: "react-scripts start",
-      build: "react-scripts build",
-      test: "react-scripts test"
-    },
-    dependencies: config.frontend === 'nextjs' ? {
-      "next": "^14.0.0",
-      "react": "^18.2.0",
-      "react-dom": "^18.2.0"
-    } : {
-      "react": "^18.2.0",
-      "react-dom": "^18.2.0",
-      "react-scripts": "^5.0.1",
-      "@types/react": "^18.2.0",
-      "@types/react-dom": "^18.2.0"
-    },
-    devDependencies: {}
-  };
+    if (config.git || installed) {
+      steps.push(...await setupDevEnvironment(projectPath, config.packageManager, {
+        git: config.git,
+        installed
+      }));
+    }
 
-  if (config.frontend === 'nextjs') {
-    frontendPackage.devDependencies = {
-      "typescript": "^5.0.0",
-      "@types/node": "^20.0.0",
-      "@types/react": "^18.2.0",
-      "@types/react-dom": "^18.2.0"
-    };
-  }
+    if (steps.length > 0) {
+      printSummary(steps);
+    }
 
-  if (config.tailwind) {
-    frontendPackage.devDependencies = {
-      ...frontendPackage.devDependencies,
-      "tailwindcss": "^3.3.0",
-      "autoprefixer": "^10.4.0",
-      "postcss": "^8.4.0"
-    };
-  }
+    console.log(colors.gray('\nNext steps:'));
+    if (displayPath !== '.') {
+      console.log(colors.gray(`  cd ${displayPath}`));
+    }
+    if (!installed) {
+      console.log(colors.cyan(`  ${pm.install}`));
+    }
+    console.log(colors.cyan(`  ${pm.run} dev`));
+    console.log(colors.gray('\nBackend:  http://localhost:4000'));
+    console.log(colors.gray('Frontend: http://localhost:3000'));
+    console.log(colors.green('\n🚀 Happy coding!'));
 
-  fs.writeFileSync(
-    path.join(projectPath, 'src/frontend/package.json'),
-    JSON.stringify(frontendPackage, null, 2)
-  );
-
-  // Generate basic files
-  fs.writeFileSync(
-    path.join(projectPath, 'README.md'),
-    `# ${projectName}\n\nA Kurdemy fullstack app with **${config.frontend === 'nextjs' ? 'Next.js' : 'React'}** + **NestJS**\n\n## Quick Start\n\n1. **Install dependencies:**\n   \`\`\`bash\n   npm run install:all\n   \`\`\`\n\n2. **Start development (run in separate terminals):**\n   \`\`\`bash\n   # Terminal 1 - Backend (http://localhost:4000)\n   npm run dev:backend\n   \n   # Terminal 2 - Frontend (http://localhost:3000)\n   npm run dev:frontend\n   \`\`\`\n\n## Project Structure\n\n\`\`\`\n${projectName}/\n├── src/\n│   ├── backend/          # NestJS API\n│   └── frontend/         # ${config.frontend === 'nextjs' ? 'Next.js' : 'React'} App\n└── package.json\n\`\`\`\n\n## Features\n\n- ✅ **Backend:** NestJS with TypeScript\n- ✅ **Frontend:** ${config.frontend === 'nextjs' ? 'Next.js' : 'React'} with TypeScript${config.tailwind ? '\n- ✅ **Styling:** Tailwind CSS' : ''}${config.trpc ? '\n- ✅ **API:** tRPC for type-safe APIs' : ''}\n\n**Happy coding! 🚀**`
-  );
-
-  fs.writeFileSync(
-    path.join(projectPath, '.gitignore'),
-    'node_modules/\n.env\n.env.local\ndist/\nbuild/\n.next/\npackage-lock.json\nyarn.lock\npnpm-lock.yaml'
-  );
-
-  // Backend files
-  fs.writeFileSync(
-    path.join(projectPath, 'src/backend/src/main.ts'),
-    `import { NestFactory } from '@nestjs/core';\nimport { AppModule } from './app.module';\n\nasync function bootstrap() {\n  const app = await NestFactory.create(AppModule);\n  await app.listen(4000);\n  console.log('🚀 Backend running on http://localhost:4000');\n}\nbootstrap();`
-  );
-
-  fs.writeFileSync(
-    path.join(projectPath, 'src/backend/src/app.module.ts'),
-    `import { Module } from '@nestjs/common';\nimport { AppController } from './app.controller';\n\n@Module({\n  imports: [],\n  controllers: [AppController],\n  providers: [],\n})\nexport class AppModule {}`
-  );
-
-  fs.writeFileSync(
-    path.join(projectPath, 'src/backend/src/app.controller.ts'),
-    `import { Controller, Get } from '@nestjs/common';\n\n@Controller()\nexport class AppController {\n  @Get()\n  getHello(): string {\n    return 'Hello from Kurdemy Backend!';\n  }\n\n  @Get('health')\n  getHealth(): object {\n    return { status: 'OK', timestamp: new Date() };\n  }\n}`
-  );
-
-  // Frontend files
-  if (config.frontend === 'nextjs') {
-    // Create Next.js app directory structure
-    fs.mkdirSync(path.join(projectPath, 'src/frontend/app'), { recursive: true });
-    fs.mkdirSync(path.join(projectPath, 'src/frontend/public'), { recursive: true });
-
-    // Next.js app/page.tsx
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/app/page.tsx'),
-      `export default function Home() {\n  return (\n    <main className="flex min-h-screen flex-col items-center justify-center p-24">\n      <h1 className="text-4xl font-bold">Welcome to ${projectName}!</h1>\n      <p className="mt-4 text-xl">Your Kurdemy fullstack app is ready! 🚀</p>\n    </main>\n  );\n}`
-    );
-
-    // Next.js app/layout.tsx
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/app/layout.tsx'),
-      `import type { Metadata } from 'next';\n\nexport const metadata: Metadata = {\n  title: '${projectName}',\n  description: 'Generated by Kurdemy CLI',\n};\n\nexport default function RootLayout({\n  children,\n}: {\n  children: React.ReactNode;\n}) {\n  return (\n    <html lang="en">\n      <body>{children}</body>\n    </html>\n  );\n}`
-    );
-
-    // Next.js config
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/next.config.js'),
-      `/** @type {import('next').NextConfig} */\nconst nextConfig = {\n  eslint: {\n    ignoreDuringBuilds: true,\n  },\n  typescript: {\n    ignoreBuildErrors: true,\n  },\n};\n\nmodule.exports = nextConfig;`
-    );
-
-    // TypeScript config for Next.js
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/tsconfig.json'),
-      JSON.stringify({
-        "compilerOptions": {
-          "target": "es5",
-          "lib": ["dom", "dom.iterable", "es6"],
-          "allowJs": true,
-          "skipLibCheck": true,
-          "strict": true,
-          "noEmit": true,
-          "esModuleInterop": true,
-          "module": "esnext",
-          "moduleResolution": "bundler",
-          "resolveJsonModule": true,
-          "isolatedModules": true,
-          "jsx": "preserve",
-          "incremental": true,
-          "plugins": [
-            {
-              "name": "next"
-            }
-          ],
-          "baseUrl": ".",
-          "paths": {
-            "@/*": ["./*"]
-          }
-        },
-        "include": ["next-env.d.ts", "**/*.ts", "**/*.tsx", ".next/types/**/*.ts"],
-        "exclude": ["node_modules"]
-      }, null, 2)
-    );
-
-  } else {
-    // React files
-    fs.mkdirSync(path.join(projectPath, 'src/frontend/src'), { recursive: true });
-    fs.mkdirSync(path.join(projectPath, 'src/frontend/public'), { recursive: true });
-
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/src/App.tsx'),
-      `function App() {\n  return (\n    <div className="App">\n      <header className="App-header">\n        <h1>Welcome to ${projectName}!</h1>\n        <p>Your Kurdemy fullstack app is ready! 🚀</p>\n      </header>\n    </div>\n  );\n}\n\nexport default App;`
-    );
-
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/src/index.tsx'),
-      `import React from 'react';\nimport ReactDOM from 'react-dom/client';\nimport App from './App';\n\nconst root = ReactDOM.createRoot(\n  document.getElementById('root') as HTMLElement\n);\nroot.render(\n  <React.StrictMode>\n    <App />\n  </React.StrictMode>\n);`
-    );
-
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/public/index.html'),
-      `<!DOCTYPE html>\n<html lang="en">\n  <head>\n    <meta charset="utf-8" />\n    <meta name="viewport" content="width=device-width, initial-scale=1" />\n    <title>${projectName}</title>\n  </head>\n  <body>\n    <div id="root"></div>\n  </body>\n</html>`
-    );
-
-    // TypeScript config for React
-    fs.writeFileSync(
-      path.join(projectPath, 'src/frontend/tsconfig.json'),
-      JSON.stringify({
-        "compilerOptions": {
-          "target": "es5",
-          "lib": [
-            "dom",
-            "dom.iterable",
-            "es6"
-          ],
-          "allowJs": true,
-          "skipLibCheck": true,
-          "esModuleInterop": true,
-          "allowSyntheticDefaultImports": true,
-          "strict": true,
-          "forceConsistentCasingInFileNames": true,
-          "noFallthroughCasesInSwitch": true,
-          "module": "esnext",
-          "moduleResolution": "node",
-          "resolveJsonModule": true,
-          "isolatedModules": true,
-          "noEmit": true,
-          "jsx": "react-jsx"
-        },
-        "include": [
-          "src"
-        ]
-      }, null, 2)
-    );
+  } catch (error) {
+    if (error.code === 'CANCELLED') {
+      console.log(colors.yellow('Cancelled.'));
+      process.exit(0);
+    }
+    console.log(colors.red('\n❌ Error:'), error.message);
+    if (error.generator) {
+      console.log(colors.gray('Nothing was written, the target directory is as it was.'));
+    }
+    if (verbose) {
+      console.log(colors.gray(`\n${(error.cause || error).stack}`));
+    } else if (error.generator) {
+      console.log(colors.gray('Run again with --verbose to see the stack trace.'));
+    }
+    process.exit(1);
+  } finally {
+    if (prompter) {
+      prompter.close();
+    }
   }
 }
 
@@ -0,0 +1,107 @@
+// Command line flags understood by the CLI. String flags take a value
+// (`--frontend react` or `--frontend=react`), boolean flags can be negated
+// with a `--no-` prefix.
+const FLAGS = {
+  frontend: { key: 'frontend', type: 'string' },
+  database: { key: 'database', type: 'string' },
+  orm: { key: 'orm', type: 'string' },
+  'package-manager': { key: 'packageManager', type: 'string' },
+  trpc: { key: 'trpc', type: 'boolean' },
+  auth: { key: 'auth', type: 'boolean' },
+  tailwind: { key: 'tailwind', type: 'boolean' },
+  docker: { key: 'docker', type: 'boolean' },
+  install: { key: 'install', type: 'boolean' },
+  git: { key: 'git', type: 'boolean' },
+  preset: { key: 'preset', type: 'string' },
+  dir: { key: 'dir', type: 'string' },
+  existing: { key: 'existing', type: 'string' },
+  'dry-run': { key: 'dryRun', type: 'boolean' },
+  verbose: { key: 'verbose', type: 'boolean' },
+  help: { key: 'help', type: 'boolean' }
+};
+
+function parseArgs(argv) {
+  const options = {};
+  const seen = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      if (arg.startsWith('-') && arg !== '-') {
+        throw new Error(`Unknown option "${arg}". Run with --help to see the available options.`);
+      }
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = splitFlag(arg.slice(2));
+    const negated = rawName.startsWith('no-') && !FLAGS[rawName];
+    const name = negated ? rawName.slice(3) : rawName;
+    const flag = FLAGS[name];
+
+    if (!flag || (negated && flag.type !== 'boolean')) {
+      throw new Error(`Unknown option "--${rawName}". Run with --help to see the available options.`);
+    }
+
+    let value;
+    if (flag.type === 'boolean') {
+      if (negated && inlineValue !== undefined) {
+        throw new Error(`Option "--${rawName}" does not take a value.`);
+      }
+      value = negated ? false : parseBoolean(name, inlineValue);
+    } else if (inlineValue !== undefined) {
+      value = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    } else {
+      throw new Error(`Option "--${name}" requires a value.`);
+    }
+
+    if (flag.key in options && options[flag.key] !== value) {
+      throw new Error(`Conflicting options: "${seen[flag.key]}" and "${arg}".`);
+    }
+
+    options[flag.key] = value;
+    seen[flag.key] = arg;
+  }
+
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument "${positionals[1]}". Only one project name can be given.`);
+  }
+
+  const help = options.help === true;
+  const verbose = options.verbose === true;
+  delete options.help;
+  delete options.verbose;
+
+  return {
+    projectName: positionals[0],
+    options,
+    help,
+    verbose
+  };
+}
+
+function splitFlag(flag) {
+  const index = flag.indexOf('=');
+  if (index === -1) {
+    return [flag, undefined];
+  }
+  return [flag.slice(0, index), flag.slice(index + 1)];
+}
+
+function parseBoolean(name, value) {
+  if (value === undefined || value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  throw new Error(`Option "--${name}" must be "true" or "false".`);
+}
+
+module.exports = {
+  parseArgs
+};
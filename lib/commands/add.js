@@ -0,0 +1,50 @@
+const path = require('path');
+const colors = require('../colors');
+const { FEATURES, addFeature } = require('../features');
+const { getPackageManagerCommands } = require('../templates/packages');
+
+const USAGE = `Usage:
+  create-kurdemy-app add <feature> [project-dir]
+
+Features: ${FEATURES.join(', ')}
+The project directory defaults to the current directory. Files you have edited
+are never overwritten: package.json, .env files and app.module.ts get the new
+entries merged in, anything else is skipped and listed so you can update it by hand.`;
+
+async function runAddCommand(argv) {
+  const [feature, directory = '.'] = argv;
+
+  if (!feature || feature === 'help' || feature === '--help') {
+    console.log(USAGE);
+    return;
+  }
+  if (!FEATURES.includes(feature)) {
+    throw new Error(`Unknown feature "${feature}".\n\n${USAGE}`);
+  }
+
+  const projectPath = path.resolve(directory);
+  console.log(colors.blue(`➕ Adding ${feature} to ${projectPath}...\n`));
+
+  const report = await addFeature(projectPath, feature);
+
+  printFiles('Created', report.created, colors.green);
+  printFiles('Updated', report.updated, colors.green);
+  printFiles('Merged', report.merged, colors.cyan);
+  printFiles('Skipped (modified by you, update by hand)', report.skipped, colors.yellow);
+
+  const pm = getPackageManagerCommands(report.config.packageManager);
+  console.log(colors.green(`\n✅ ${feature} added.`));
+  console.log(colors.gray(`Run "${pm.install}" to install the new dependencies.`));
+}
+
+function printFiles(label, files, color) {
+  if (files.length === 0) return;
+  console.log(color(`${label}:`));
+  for (const file of files) {
+    console.log(`  ${file}`);
+  }
+}
+
+module.exports = {
+  runAddCommand
+};
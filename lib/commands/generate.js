@@ -0,0 +1,129 @@
+const path = require('path');
+const colors = require('../colors');
+const { generateResource } = require('../resource');
+const { generatePage } = require('../page');
+const { FIELD_TYPES } = require('../templates/resource');
+const { getPackageManagerCommands } = require('../templates/packages');
+
+const USAGE = `Usage:
+  create-kurdemy-app generate resource <name> [project-dir] [--fields <fields>] [--trpc|--no-trpc]
+  create-kurdemy-app generate page <route> [project-dir] [--loading] [--error] [--protected] [--trpc] [--no-nav] [--name <Component>]
+
+resource:
+
+Generates a CRUD resource in the backend: the Prisma model or Drizzle table, a
+NestJS module with service, controller and validation DTOs registered in
+AppModule, and a tRPC router registered in app.router.ts when the project uses tRPC.
+
+<name> is the singular entity name, e.g. product or blog-post.
+--fields is a comma separated list of name:type, with ? for optional fields,
+e.g. --fields "title:string,price:float,notes:text?" (default: name:string).
+Types: ${Object.keys(FIELD_TYPES).join(', ')}
+
+page:
+
+Adds a page for <route>, e.g. /settings or /products/[id]. Next.js projects get
+app/<route>/page.tsx, React projects a component in src/pages registered in src/routes.tsx.
+Static routes are linked from the navbar unless --no-nav is given.
+  --loading     Add a loading state (loading.tsx, or a lazy route with a spinner in React)
+  --error       Add an error boundary (error.tsx, or ErrorBoundary in React)
+  --protected   Only show the page to signed in users (ProtectedRoute)
+  --trpc        Start the page with a tRPC query
+  --name        Component name (default: from the last route segment)`;
+
+async function runGenerateCommand(argv) {
+  const [kind, ...rest] = argv;
+
+  switch (kind) {
+    case 'resource':
+      return generateResourceCommand(rest);
+    case 'page':
+      return generatePageCommand(rest);
+    case undefined:
+    case 'help':
+    case '--help':
+      console.log(USAGE);
+      return;
+    default:
+      throw new Error(`Unknown generator "${kind}".\n\n${USAGE}`);
+  }
+}
+
+async function generateResourceCommand(argv) {
+  const { positional, fields, trpc } = parseGenerateArgs(argv, ['fields'], ['trpc']);
+  const [name, directory = '.'] = positional;
+
+  if (!name) {
+    throw new Error(`A resource name is required.\n\n${USAGE}`);
+  }
+
+  const projectPath = path.resolve(directory);
+  const report = await generateResource(projectPath, name, { fields, trpc });
+  const { singular, plural } = report.resource;
+
+  console.log(colors.green(`✅ Generated the ${singular.words} resource\n`));
+  printFiles('Created', report.created, colors.green);
+  printFiles('Updated', report.updated, colors.cyan);
+
+  const pm = getPackageManagerCommands(report.config.packageManager);
+  console.log(colors.gray(`\nREST endpoints are served under /api/${plural.kebab}.`));
+  console.log(colors.gray(`Apply the schema change with "${pm.run} db:push" (or generate a migration).`));
+}
+
+async function generatePageCommand(argv) {
+  const { positional, ...options } = parseGenerateArgs(argv, ['name'], ['loading', 'error', 'protected', 'trpc', 'nav']);
+  const [route, directory = '.'] = positional;
+
+  if (!route) {
+    throw new Error(`A page route is required.\n\n${USAGE}`);
+  }
+
+  const projectPath = path.resolve(directory);
+  const report = await generatePage(projectPath, route, options);
+
+  console.log(colors.green(`✅ Generated the ${report.page.route} page\n`));
+  printFiles('Created', report.created, colors.green);
+  printFiles('Updated', report.updated, colors.cyan);
+  printFiles('Skipped (no About link to copy, add the link by hand)', report.skipped, colors.yellow);
+}
+
+// `values` are options that take a value (--name Foo or --name=Foo), `flags`
+// are booleans that can be negated with --no-<flag>
+function parseGenerateArgs(argv, values, flags) {
+  const result = { positional: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [option, inlineValue] = arg.replace(/^--/, '').split(/=(.*)/s);
+
+    if (arg.startsWith('--') && values.includes(option)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value) {
+        throw new Error(`--${option} needs a value.\n\n${USAGE}`);
+      }
+      result[option] = value;
+    } else if (arg.startsWith('--') && flags.includes(option)) {
+      result[option] = true;
+    } else if (arg.startsWith('--no-') && flags.includes(option.slice(3))) {
+      result[option.slice(3)] = false;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}".\n\n${USAGE}`);
+    } else {
+      result.positional.push(arg);
+    }
+  }
+
+  return result;
+}
+
+function printFiles(label, files, color) {
+  if (files.length === 0) return;
+  console.log(color(`${label}:`));
+  for (const file of files) {
+    console.log(`  ${file}`);
+  }
+}
+
+module.exports = {
+  runGenerateCommand
+};
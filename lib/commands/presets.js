@@ -0,0 +1,111 @@
+const colors = require('../colors');
+const { parseArgs } = require('../args');
+const { STACK_OPTIONS, loadPresets, resolvePreset, savePreset, removePreset } = require('../presets');
+
+const USAGE = `Usage:
+  create-kurdemy-app presets list
+  create-kurdemy-app presets show <name>
+  create-kurdemy-app presets save <name> [--preset <base>] [options] [--description <text>] [--project]
+  create-kurdemy-app presets remove <name> [--project]
+
+Presets are saved to ~/.kurdemyrc, or to ./kurdemy.config.json with --project.
+"save" accepts the same stack options as project creation, e.g. --frontend react --trpc.`;
+
+function runPresetsCommand(argv) {
+  const [action = 'list', name, ...rest] = argv;
+  const { scope, description, args } = extractPresetOptions(rest);
+
+  switch (action) {
+    case 'list':
+      return listPresets();
+    case 'show':
+      requireName(name);
+      console.log(JSON.stringify(resolvePreset(name), null, 2));
+      return;
+    case 'save': {
+      requireName(name);
+      const { projectName, options } = parseArgs(args);
+      if (projectName) {
+        throw new Error(`Unexpected argument "${projectName}".\n\n${USAGE}`);
+      }
+      if (Object.keys(options).length === 0) {
+        throw new Error(`Give at least one option to save in "${name}", e.g. --frontend react.`);
+      }
+      // --preset copies an existing preset so it can be tweaked and saved under a new name
+      const { preset: base, ...overrides } = options;
+      const runOptions = Object.keys(overrides).filter((key) => !STACK_OPTIONS.includes(key));
+      if (runOptions.length > 0) {
+        const flags = runOptions.map((key) => `--${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`);
+        throw new Error(`A preset describes a stack, not a single run. Leave out ${flags.join(', ')}.`);
+      }
+      // Only the base preset's own options are copied, not the defaults it is resolved against
+      const baseOptions = base ? getPresetOptions(base) : {};
+      const file = savePreset(name, { ...baseOptions, ...overrides }, { scope, description });
+      console.log(colors.green(`✅ Saved preset "${name}" to ${file}`));
+      return;
+    }
+    case 'remove': {
+      requireName(name);
+      const file = removePreset(name, { scope });
+      console.log(colors.green(`✅ Removed preset "${name}" from ${file}`));
+      return;
+    }
+    case 'help':
+    case '--help':
+      console.log(USAGE);
+      return;
+    default:
+      throw new Error(`Unknown presets command "${action}".\n\n${USAGE}`);
+  }
+}
+
+function listPresets() {
+  const presets = loadPresets();
+  const width = Math.max(...Object.keys(presets).map((name) => name.length));
+
+  console.log(colors.gray('Available presets:\n'));
+  for (const [name, preset] of Object.entries(presets)) {
+    const source = preset.source === 'built-in' ? 'built-in' : preset.file;
+    const description = preset.description ? `${preset.description} ` : '';
+    console.log(`  ${colors.cyan(name.padEnd(width))}  ${description}${colors.gray(`(${source})`)}`);
+  }
+  console.log(colors.gray('\nUse one with: create-kurdemy-app my-app --preset <name>'));
+}
+
+// --project and --description only make sense here, so they are not general CLI flags
+function extractPresetOptions(argv) {
+  const args = [];
+  let scope = 'user';
+  let description;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--project') {
+      scope = 'project';
+    } else if (arg === '--description') {
+      description = argv[++i];
+    } else if (arg.startsWith('--description=')) {
+      description = arg.slice('--description='.length);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { scope, description, args };
+}
+
+// Fails the same way as resolvePreset for unknown or invalid presets
+function getPresetOptions(name) {
+  resolvePreset(name);
+  return loadPresets()[name].options;
+}
+
+function requireName(name) {
+  if (!name) {
+    throw new Error(`A preset name is required.\n\n${USAGE}`);
+  }
+}
+
+module.exports = {
+  runPresetsCommand
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const colors = require('../colors');
+const { upgradeProject } = require('../upgrade');
+
+const USAGE = `Usage:
+  create-kurdemy-app upgrade [project-dir] [--from <cli-dir>]
+
+Applies the template changes made since the project was generated. Each file is
+regenerated by the CLI version recorded in kurdemy.json and by this one, and the
+difference is three-way merged into your copy. Overlapping edits are marked with
+<<<<<<< / ======= / >>>>>>> conflict markers for you to resolve.
+
+--from uses a local create-kurdemy-app checkout as the old version instead of
+downloading it from npm.`;
+
+async function runUpgradeCommand(argv) {
+  const { directory, templatesFrom, help } = parseUpgradeArgs(argv);
+
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const projectPath = path.resolve(directory);
+  const report = await upgradeProject(projectPath, { templatesFrom });
+
+  if (report.from === report.to && !templatesFrom) {
+    console.log(colors.green(`✅ Already generated with create-kurdemy-app ${report.to}, nothing to upgrade.`));
+    return;
+  }
+
+  console.log(colors.blue(`⬆️  Upgraded templates from ${report.from} to ${report.to}\n`));
+  printFiles('Clean', report.clean, colors.green);
+  printFiles('Merged', report.merged, colors.cyan);
+  printFiles('Conflicted (resolve the markers by hand)', report.conflicted, colors.red);
+  printFiles('Removed (no longer generated)', report.removed, colors.gray);
+  printFiles('Skipped (deleted or changed by you)', report.skipped, colors.yellow);
+
+  const total = report.clean.length + report.merged.length + report.conflicted.length + report.removed.length;
+  if (total === 0) {
+    console.log(colors.green('No template changes affect this project.'));
+  } else if (report.conflicted.length > 0) {
+    console.log(colors.yellow(`\n⚠️  ${report.conflicted.length} file(s) have conflicts.`));
+  } else {
+    console.log(colors.green('\n✅ Upgrade finished without conflicts.'));
+  }
+}
+
+function parseUpgradeArgs(argv) {
+  let directory = '.';
+  let templatesFrom;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === 'help') {
+      help = true;
+    } else if (arg === '--from') {
+      templatesFrom = argv[++i];
+      if (!templatesFrom) {
+        throw new Error(`--from needs a directory.\n\n${USAGE}`);
+      }
+    } else if (arg.startsWith('--from=')) {
+      templatesFrom = arg.slice('--from='.length);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}".\n\n${USAGE}`);
+    } else {
+      directory = arg;
+    }
+  }
+
+  return { directory, templatesFrom, help };
+}
+
+function printFiles(label, files, color) {
+  if (files.length === 0) return;
+  console.log(color(`${label}:`));
+  for (const file of files) {
+    console.log(`  ${file}`);
+  }
+}
+
+module.exports = {
+  runUpgradeCommand
+};
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { generateProject } = require('./generator');
+const { createVirtualFileSystem } = require('./file-system');
+const { writeGeneratedFile } = require('./project');
+const { runCommand } = require('./installer');
+
+// What to do when the target directory already has files in it:
+// abort, merge (keep the existing version of every conflicting file),
+// ask (merge, asking about each conflicting file) or backup (move the
+// existing files to a timestamped directory next to it first).
+const EXISTING_MODES = ['abort', 'merge', 'ask', 'backup'];
+
+// A missing directory counts as empty
+async function isNonEmptyDirectory(directory) {
+  if (!await fs.pathExists(directory)) {
+    return false;
+  }
+  return (await fs.readdir(directory)).length > 0;
+}
+
+// Resolves with the changes git reports inside the directory (modified,
+// staged or untracked), or null when it isn't part of a git repository
+async function getUncommittedChanges(directory) {
+  let output;
+  try {
+    output = await runCommand('git', ['status', '--porcelain', '--', '.'], { cwd: directory });
+  } catch {
+    return null;
+  }
+  return output.split('\n').filter(Boolean).map((line) => line.slice(3));
+}
+
+// Fails before anything is touched when there is work git doesn't have yet,
+// otherwise resolves with whether the directory is in a git repository
+async function assertNoUncommittedChanges(directory) {
+  const changes = await getUncommittedChanges(directory);
+  if (changes && changes.length > 0) {
+    const listed = changes.slice(0, 5).map((file) => `\n  ${file}`).join('');
+    const more = changes.length > 5 ? `\n  ...and ${changes.length - 5} more` : '';
+    throw new Error(`${directory} has uncommitted changes, commit or stash them first:${listed}${more}`);
+  }
+  return changes !== null;
+}
+
+// Moves everything in the directory (not the directory itself, it may be the
+// one the user is in) to <directory>.backup-<timestamp> and resolves with that path
+async function backupDirectory(directory) {
+  const timestamp = new Date().toISOString().replace(/\..+$/, '').replace(/:/g, '-');
+  const backupPath = `${directory}.backup-${timestamp}`;
+
+  await fs.ensureDir(backupPath);
+  for (const entry of await fs.readdir(directory)) {
+    await fs.move(path.join(directory, entry), path.join(backupPath, entry));
+  }
+  return backupPath;
+}
+
+// Moves the files backupDirectory() moved away back into the directory, for
+// when the new project could not be written after all
+async function restoreBackup(directory, backupPath) {
+  try {
+    for (const entry of await fs.readdir(backupPath)) {
+      await fs.move(path.join(backupPath, entry), path.join(directory, entry));
+    }
+    await fs.rmdir(backupPath);
+  } catch (error) {
+    throw new Error(`Could not move the existing files back from ${backupPath}: ${error.message}`);
+  }
+}
+
+// Generates the project in memory and writes it over the existing directory.
+// Files that don't exist yet are created, identical ones are left as they are
+// and for every other file `resolveConflict(relativePath)` decides whether it
+// is overwritten; without it the existing version is always kept.
+async function mergeIntoDirectory(projectPath, projectName, config, { resolveConflict } = {}) {
+  const fileSystem = createVirtualFileSystem();
+  await generateProject(projectPath, projectName, config, { fileSystem });
+  const report = { created: [], overwritten: [], kept: [], unchanged: [] };
+
+  for (const directory of fileSystem.directories) {
+    if (directory.startsWith(`${projectPath}${path.sep}`)) {
+      await fs.ensureDir(directory);
+    }
+  }
+
+  const files = [...fileSystem.files].sort(([a], [b]) => (a < b ? -1 : 1));
+  for (const [file, { content, mode }] of files) {
+    const relative = path.relative(projectPath, file).split(path.sep).join('/');
+
+    if (!await fs.pathExists(file)) {
+      await writeGeneratedFile(file, content, mode);
+      report.created.push(relative);
+    } else if ((await fs.readFile(file)).equals(content)) {
+      report.unchanged.push(relative);
+    } else if (resolveConflict && await resolveConflict(relative)) {
+      await writeGeneratedFile(file, content, mode);
+      report.overwritten.push(relative);
+    } else {
+      report.kept.push(relative);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  EXISTING_MODES,
+  isNonEmptyDirectory,
+  getUncommittedChanges,
+  assertNoUncommittedChanges,
+  backupDirectory,
+  restoreBackup,
+  mergeIntoDirectory
+};
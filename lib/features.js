@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { generateProject } = require('./generator');
+const { createVirtualFileSystem, hashContent } = require('./file-system');
+const { detectProjectConfig, writeGeneratedFile } = require('./project');
+const { MANIFEST_FILE, createManifest, writeManifest } = require('./manifest');
+const { validateOptions } = require('./validator');
+const { mergePackageJson, mergeEnvFile, mergeNestModule } = require('./merge');
+
+const FEATURES = ['trpc', 'tailwind', 'auth', 'docker'];
+
+// Files that can still take the feature's additions after the user edited them
+const MERGERS = [
+  { test: (file) => path.basename(file) === 'package.json', merge: mergePackageJson },
+  { test: (file) => path.basename(file).startsWith('.env'), merge: mergeEnvFile },
+  { test: (file) => file.endsWith('app.module.ts'), merge: mergeNestModule }
+];
+
+// Turns `feature` on in an existing project. The project is generated twice in
+// memory, with and without the feature, and only the files that differ are
+// applied, so files the user changed are merged or left alone instead of
+// being overwritten.
+async function addFeature(projectPath, feature) {
+  if (!FEATURES.includes(feature)) {
+    throw new Error(`Unknown feature "${feature}". Available features: ${FEATURES.join(', ')}.`);
+  }
+
+  const { name, config, manifest } = await detectProjectConfig(projectPath);
+  if (config[feature]) {
+    throw new Error(`${feature} is already enabled in this project.`);
+  }
+
+  const nextConfig = { ...config, [feature]: true };
+  const validation = validateOptions(nextConfig);
+  if (!validation.valid) {
+    throw new Error(`Invalid options: ${validation.errors.join(' ')}`);
+  }
+
+  const before = await generateInMemory(projectPath, name, config);
+  const after = await generateInMemory(projectPath, name, nextConfig);
+  const report = { created: [], updated: [], merged: [], skipped: [], config: nextConfig };
+
+  // Hashes of what the templates wrote; projects without a manifest get one now
+  const hashes = manifest ? { ...manifest.files } : toHashes(projectPath, before);
+
+  for (const [file, { content, mode }] of after) {
+    const baseline = before.get(file);
+    if (baseline && baseline.content.equals(content)) continue;
+
+    const relative = path.relative(projectPath, file).split(path.sep).join('/');
+    if (relative === MANIFEST_FILE) continue;
+
+    if (!await fs.pathExists(file)) {
+      await writeGeneratedFile(file, content, mode);
+      hashes[relative] = hashContent(content);
+      report.created.push(relative);
+      continue;
+    }
+
+    const current = await fs.readFile(file);
+    if (current.equals(content)) {
+      hashes[relative] = hashContent(content);
+      continue;
+    }
+
+    // Untouched since it was generated, so it is safe to replace
+    if (isPristine(current, baseline, hashes[relative])) {
+      await writeGeneratedFile(file, content, mode);
+      hashes[relative] = hashContent(content);
+      report.updated.push(relative);
+      continue;
+    }
+
+    const merger = baseline && MERGERS.find(({ test }) => test(file));
+    if (merger) {
+      const merged = merger.merge(current.toString('utf8'), content.toString('utf8'), baseline.content.toString('utf8'));
+      if (merged !== current.toString('utf8')) {
+        await fs.writeFile(file, merged);
+        hashes[relative] = hashContent(content);
+        report.merged.push(relative);
+        continue;
+      }
+    }
+
+    report.skipped.push(relative);
+  }
+
+  const files = Object.entries(hashes).map(([file, hash]) => ({ path: file, hash }));
+  const recorded = manifest ? manifest.config : nextConfig;
+  await writeManifest(projectPath, createManifest(name, { ...recorded, [feature]: true }, files));
+
+  return report;
+}
+
+function isPristine(current, baseline, recordedHash) {
+  if (baseline && current.equals(baseline.content)) {
+    return true;
+  }
+  return recordedHash === hashContent(current);
+}
+
+function toHashes(projectPath, files) {
+  const hashes = {};
+  for (const [file, { content }] of files) {
+    const relative = path.relative(projectPath, file).split(path.sep).join('/');
+    if (relative !== MANIFEST_FILE) {
+      hashes[relative] = hashContent(content);
+    }
+  }
+  return hashes;
+}
+
+async function generateInMemory(projectPath, name, config) {
+  const fileSystem = createVirtualFileSystem();
+  await generateProject(projectPath, name, config, { fileSystem });
+  return fileSystem.files;
+}
+
+module.exports = {
+  FEATURES,
+  addFeature
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Templates write through this module instead of fs-extra so a generation run
+// can be pointed at another file system (e.g. the in-memory one for --dry-run)
+// and every write can be traced back to the generator that made it.
+const storage = new AsyncLocalStorage();
+
+const diskFileSystem = {
+  writeFile: (file, content) => fs.writeFile(file, content),
+  readFile: (file, encoding) => fs.readFile(file, encoding),
+  ensureDir: (dir) => fs.ensureDir(dir),
+  chmod: (file, mode) => fs.chmod(file, mode),
+  pathExists: (file) => fs.pathExists(file)
+};
+
+function createVirtualFileSystem() {
+  const files = new Map();
+  const directories = new Set();
+
+  function addDirectory(dir) {
+    let current = path.resolve(dir);
+    while (!directories.has(current)) {
+      directories.add(current);
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+  }
+
+  function getFile(file) {
+    const entry = files.get(path.resolve(file));
+    if (!entry) {
+      const error = new Error(`ENOENT: no such file or directory, open '${file}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return entry;
+  }
+
+  return {
+    files,
+    directories,
+    async writeFile(file, content) {
+      const existing = files.get(path.resolve(file));
+      addDirectory(path.dirname(file));
+      files.set(path.resolve(file), {
+        content: Buffer.from(content),
+        mode: existing ? existing.mode : 0o644
+      });
+    },
+    async readFile(file, encoding) {
+      const { content } = getFile(file);
+      return encoding ? content.toString(encoding) : Buffer.from(content);
+    },
+    async ensureDir(dir) {
+      addDirectory(dir);
+    },
+    async chmod(file, mode) {
+      getFile(file).mode = typeof mode === 'string' ? parseInt(mode, 8) : mode;
+    },
+    async pathExists(file) {
+      const resolved = path.resolve(file);
+      return files.has(resolved) || directories.has(resolved);
+    }
+  };
+}
+
+function getContext() {
+  return storage.getStore() || { fileSystem: diskFileSystem, writes: null, generator: null };
+}
+
+async function writeFile(file, content) {
+  const { fileSystem, writes, generator } = getContext();
+  await fileSystem.writeFile(file, content);
+
+  if (writes) {
+    const resolved = path.resolve(file);
+    const previous = writes.get(resolved);
+    const generators = previous ? previous.generators : [];
+    if (generator && !generators.includes(generator)) {
+      generators.push(generator);
+    }
+    writes.set(resolved, { size: Buffer.byteLength(content), hash: hashContent(content), generators });
+  }
+}
+
+// CRLF is hashed as LF, so a checkout with Windows line endings (git's
+// core.autocrlf) still matches what the templates wrote
+function hashContent(content) {
+  const normalized = Buffer.from(Buffer.from(content).toString('latin1').replace(/\r\n/g, '\n'), 'latin1');
+  return `sha256-${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+}
+
+function readFile(file, encoding) {
+  return getContext().fileSystem.readFile(file, encoding);
+}
+
+function ensureDir(dir) {
+  return getContext().fileSystem.ensureDir(dir);
+}
+
+function chmod(file, mode) {
+  return getContext().fileSystem.chmod(file, mode);
+}
+
+function pathExists(file) {
+  return getContext().fileSystem.pathExists(file);
+}
+
+// Runs `task` against `fileSystem` and resolves with every file it wrote,
+// keyed by absolute path
+async function runWithFileSystem(fileSystem, task) {
+  const writes = new Map();
+  await storage.run({ fileSystem, writes, generator: null }, task);
+  return writes;
+}
+
+// Attributes the writes made by `task` to the generator called `name`, and
+// errors too: the innermost generator a failure passed through is recorded
+// as `error.generator`
+async function runGenerator(name, task) {
+  try {
+    return await storage.run({ ...getContext(), generator: name }, task);
+  } catch (error) {
+    if (error && !error.generator) {
+      error.generator = name;
+    }
+    throw error;
+  }
+}
+
+// Writes everything an in-memory run produced below `projectPath` into a
+// temporary directory next to it, then renames that into place. The target
+// never sees a half-written project: on any error the temporary directory is
+// removed and whatever was already moved is moved back.
+async function commitToDisk(projectPath, fileSystem) {
+  const target = path.resolve(projectPath);
+  const parent = path.dirname(target);
+  const inTarget = (file) => file.startsWith(`${target}${path.sep}`);
+
+  await fs.ensureDir(parent);
+  const stagingPath = await fs.mkdtemp(path.join(parent, `.${path.basename(target)}-staging-`));
+  // mkdtemp creates the directory as 0700, and it becomes the project root
+  await fs.chmod(stagingPath, 0o777 & ~process.umask());
+
+  try {
+    for (const dir of fileSystem.directories) {
+      if (inTarget(dir)) {
+        await fs.ensureDir(path.join(stagingPath, path.relative(target, dir)));
+      }
+    }
+    for (const [file, { content, mode }] of fileSystem.files) {
+      if (!inTarget(file)) continue;
+      const staged = path.join(stagingPath, path.relative(target, file));
+      await fs.ensureDir(path.dirname(staged));
+      await fs.writeFile(staged, content);
+      if (mode !== 0o644) {
+        await fs.chmod(staged, mode);
+      }
+    }
+
+    await moveIntoPlace(stagingPath, target);
+  } finally {
+    await fs.remove(stagingPath);
+  }
+}
+
+async function moveIntoPlace(stagingPath, target) {
+  if (!await fs.pathExists(target)) {
+    await fs.rename(stagingPath, target);
+    return;
+  }
+
+  // An existing directory is filled instead of replaced, it may be the one
+  // the user is in ("create-kurdemy-app .")
+  const moved = [];
+  try {
+    for (const entry of await fs.readdir(stagingPath)) {
+      if (await fs.pathExists(path.join(target, entry))) {
+        throw new Error(`${path.join(target, entry)} already exists.`);
+      }
+      await fs.rename(path.join(stagingPath, entry), path.join(target, entry));
+      moved.push(entry);
+    }
+  } catch (error) {
+    for (const entry of moved.reverse()) {
+      await fs.rename(path.join(target, entry), path.join(stagingPath, entry));
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  diskFileSystem,
+  createVirtualFileSystem,
+  runWithFileSystem,
+  runGenerator,
+  commitToDisk,
+  writeFile,
+  readFile,
+  ensureDir,
+  chmod,
+  pathExists,
+  hashContent
+};
@@ -0,0 +1,60 @@
+// Renders generated files as a tree, e.g. for --dry-run:
+//
+//   my-app/
+//   ├── src/
+//   │   └── main.ts  (1.2 KB, generateNestJSFiles)
+//   └── package.json  (830 B, generatePackageJson)
+function formatFileTree(rootName, files) {
+  const root = { directories: {}, files: [] };
+
+  for (const file of files) {
+    const parts = file.path.split('/');
+    const name = parts.pop();
+    let node = root;
+    for (const part of parts) {
+      node.directories[part] = node.directories[part] || { directories: {}, files: [] };
+      node = node.directories[part];
+    }
+    node.files.push({ ...file, name });
+  }
+
+  return [`${rootName}/`, ...renderNode(root, '')].join('\n');
+}
+
+function renderNode(node, prefix) {
+  const entries = [
+    ...Object.keys(node.directories).sort().map((name) => ({ name, directory: node.directories[name] })),
+    ...node.files.sort((a, b) => (a.name < b.name ? -1 : 1))
+  ];
+  const lines = [];
+
+  entries.forEach((entry, index) => {
+    const last = index === entries.length - 1;
+    const branch = last ? '└── ' : '├── ';
+
+    if (entry.directory) {
+      lines.push(`${prefix}${branch}${entry.name}/`);
+      lines.push(...renderNode(entry.directory, prefix + (last ? '    ' : '│   ')));
+    } else {
+      const details = [formatSize(entry.size), ...(entry.generators || [])].join(', ');
+      lines.push(`${prefix}${branch}${entry.name}  (${details})`);
+    }
+  });
+
+  return lines;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+  formatFileTree,
+  formatSize
+};
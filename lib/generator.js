@@ -1,63 +1,133 @@
-const fs = require('fs-extra');
+const fs = require('./file-system');
+const { diskFileSystem, createVirtualFileSystem, runWithFileSystem, runGenerator, commitToDisk } = fs;
 const path = require('path');
-const { generatePackageJson } = require('../templates/packages');
-const { generateEnvFiles } = require('../templates/env');
-const { generateNestJSFiles } = require('../templates/nestjs');
-const { generateNextJSFiles } = require('../templates/nextjs');
-const { generateReactFiles } = require('../templates/reactjs');
-const { generateTRPCFiles } = require('../templates/trpc');
-const { generateAuthFiles } = require('../templates/auth');
-const { generateTailwindFiles } = require('../templates/tailwind');
-const { generateConfigFiles } = require('../templates/config');
-
-async function generateProject(projectPath, projectName, config) {
+const { generatePackageJson, getPackageManagerCommands } = require('./templates/packages');
+const { generateEnvFiles } = require('./templates/env');
+const { generateNestJSFiles } = require('./templates/nestjs');
+const { generateDatabaseFiles, getDatabaseLabel } = require('./templates/database');
+const { generateNextJSFiles } = require('./templates/nextjs');
+const { generateReactFiles } = require('./templates/reactjs');
+const { generateTRPCFiles } = require('./templates/trpc');
+const { generateAuthFiles } = require('./templates/auth');
+const { generateTailwindFiles } = require('./templates/tailwind');
+const { generateTestFiles } = require('./templates/testing');
+const { generateConfigFiles } = require('./templates/config');
+const { generateDockerFiles } = require('./templates/docker');
+const { createManifest, writeManifest } = require('./manifest');
+
+async function generateProject(projectPath, projectName, config, options = {}) {
+  const { fileSystem = diskFileSystem } = options;
+
+  // A run against the disk is staged in memory and only written out once every
+  // generator has succeeded, so a failing generator leaves the target untouched.
+  // `beforeCommit` runs just before that, e.g. to back up what is there, and
+  // may resolve with a function that undoes it if the write fails.
+  const { beforeCommit } = options;
+  const staging = fileSystem === diskFileSystem ? createVirtualFileSystem() : fileSystem;
+  let files;
+
   try {
-    // Create project directory
-    await fs.ensureDir(projectPath);
+    // Every write is recorded with the generator that made it
+    const writes = await runWithFileSystem(staging, async () => {
+      // Create project directory
+      await fs.ensureDir(projectPath);
 
-    // Create basic folder structure (NO DATABASE FOLDERS)
-    await createFolderStructure(projectPath, config);
+      // Create basic folder structure (database folders come from the ORM templates)
+      await runGenerator('createFolderStructure', () => createFolderStructure(projectPath, config));
 
-    // Generate package.json
-    await generatePackageJson(projectPath, projectName, config);
+      // Generate package.json
+      await runGenerator('generatePackageJson', () => generatePackageJson(projectPath, projectName, config));
 
-    // Generate environment files
-    await generateEnvFiles(projectPath, config);
+      // Generate environment files
+      await runGenerator('generateEnvFiles', () => generateEnvFiles(projectPath, config));
 
-    // Generate backend (NestJS)
-    await generateNestJSFiles(projectPath, config);
+      // Generate backend (NestJS)
+      await runGenerator('generateNestJSFiles', () => generateNestJSFiles(projectPath, config));
 
-    // Generate frontend (Next.js or React)
-    if (config.frontend === 'nextjs') {
-      await generateNextJSFiles(projectPath, config);
-    } else {
-      await generateReactFiles(projectPath, config);
-    }
+      // Generate database layer (Prisma or Drizzle)
+      await runGenerator('generateDatabaseFiles', () => generateDatabaseFiles(projectPath, config));
 
-    // Generate tRPC if selected
-    if (config.trpc) {
-      await generateTRPCFiles(projectPath, config);
-    }
+      // Generate frontend (Next.js or React)
+      if (config.frontend === 'nextjs') {
+        await runGenerator('generateNextJSFiles', () => generateNextJSFiles(projectPath, projectName, config));
+      } else {
+        await runGenerator('generateReactFiles', () => generateReactFiles(projectPath, config));
+      }
 
-    // Generate auth files if selected
-    if (config.auth) {
-      await generateAuthFiles(projectPath, config);
-    }
+      // Generate tRPC if selected
+      if (config.trpc) {
+        await runGenerator('generateTRPCFiles', () => generateTRPCFiles(projectPath, config));
+      }
 
-    // Generate Tailwind CSS if selected
-    if (config.tailwind) {
-      await generateTailwindFiles(projectPath, config);
-    }
+      // Generate auth files if selected
+      if (config.auth) {
+        await runGenerator('generateAuthFiles', () => generateAuthFiles(projectPath, config));
+      }
+
+      // Generate Tailwind CSS if selected
+      if (config.tailwind) {
+        await runGenerator('generateTailwindFiles', () => generateTailwindFiles(projectPath, config));
+      }
 
-    // Generate configuration files
-    await generateConfigFiles(projectPath, config);
+      // Generate backend and frontend test suites
+      await runGenerator('generateTestFiles', () => generateTestFiles(projectPath, config));
 
-    // Generate README
-    await generateReadme(projectPath, projectName, config);
+      // Generate Docker setup if selected
+      if (config.docker) {
+        await runGenerator('generateDockerFiles', () => generateDockerFiles(projectPath, config));
+      }
+
+      // Generate configuration files
+      await runGenerator('generateConfigFiles', () => generateConfigFiles(projectPath, config));
+
+      // Generate README
+      await runGenerator('generateReadme', () => generateReadme(projectPath, projectName, config));
+    });
+
+    const generated = toFileList(projectPath, writes);
+
+    // The manifest hashes everything above, so it is written last and lists every file but itself
+    const manifest = createManifest(projectName, config, generated);
+    const manifestWrites = await runWithFileSystem(staging, () =>
+      runGenerator('writeManifest', () => writeManifest(projectPath, manifest))
+    );
 
+    files = [...generated, ...toFileList(projectPath, manifestWrites)].sort((a, b) => (a.path < b.path ? -1 : 1));
   } catch (error) {
-    throw new Error(`Failed to generate project: ${error.message}`);
+    const failure = new Error(`Failed to generate project: ${error.generator ? `${error.generator} failed: ` : ''}${error.message}`);
+    failure.generator = error.generator;
+    failure.cause = error;
+    throw failure;
   }
+
+  if (staging !== fileSystem) {
+    const undo = beforeCommit ? await beforeCommit() : undefined;
+    try {
+      await commitToDisk(projectPath, staging);
+    } catch (error) {
+      const failure = new Error(`Failed to write the project to ${projectPath}: ${error.message}`);
+      failure.cause = error;
+      if (typeof undo === 'function') {
+        try {
+          await undo();
+        } catch (undoError) {
+          failure.message += `\n${undoError.message}`;
+        }
+      }
+      throw failure;
+    }
+  }
+
+  return files;
+}
+
+function toFileList(projectPath, writes) {
+  return [...writes].map(([file, { size, hash, generators }]) => ({
+    path: path.relative(projectPath, file).split(path.sep).join('/'),
+    size,
+    hash,
+    generators
+  }));
 }
 
 async function createFolderStructure(projectPath, config) {
@@ -106,6 +176,8 @@ async function createFolderStructure(projectPath, config) {
 }
 
 async function generateReadme(projectPath, projectName, config) {
+  const pm = getPackageManagerCommands(config.packageManager);
+
   const readme = `# ${projectName}
 
 A modern fullstack application built with the Kurdemy stack.
@@ -113,9 +185,10 @@ A modern fullstack application built with the Kurdemy stack.
 ## 🚀 Tech Stack
 
 - **Backend**: NestJS
-- **Frontend**: ${config.frontend === 'nextjs' ? 'Next.js' : 'React.js'}
+- **Frontend**: ${{ nextjs: 'Next.js', react: 'React.js', vite: 'React.js + Vite' }[config.frontend]}
 - **Language**: TypeScript
-${config.trpc ? '- **API**: tRPC (Type-safe APIs)\n' : ''}${config.auth ? '- **Authentication**: NextAuth.js\n' : ''}${config.tailwind ? '- **Styling**: Tailwind CSS\n' : ''}
+- **Database**: ${getDatabaseLabel(config.database)} with ${config.orm === 'prisma' ? 'Prisma' : 'Drizzle ORM'}
+${config.trpc ? '- **API**: tRPC (Type-safe APIs)\n' : ''}${config.auth ? `- **Authentication**: ${config.frontend === 'nextjs' ? 'NextAuth.js' : 'JWT'} + NestJS Passport\n` : ''}${config.tailwind ? '- **Styling**: Tailwind CSS\n' : ''}${config.docker ? '- **Containers**: Docker + Docker Compose\n' : ''}
 
 ## 🛠️ Development
 
@@ -128,23 +201,38 @@ ${config.trpc ? '- **API**: tRPC (Type-safe APIs)\n' : ''}${config.auth ? '- **A
 
 1. **Install dependencies**
    \`\`\`bash
-   ${config.packageManager} install
+   ${pm.install}
    \`\`\`
 
-2. **Start development**
+2. **Set up the database**
    \`\`\`bash
-   ${config.packageManager} run dev
+   ${pm.run} db:push
+   ${pm.run} db:seed
    \`\`\`
 
-The application will be available at \`http://localhost:3000\`
+3. **Start development**
+   \`\`\`bash
+   ${pm.run} dev
+   \`\`\`
 
+The application will be available at \`http://localhost:3000\`
+${config.docker ? `
+### Docker
+
+\`\`\`bash
+${pm.run} docker:dev   # Start the development stack
+${pm.run} docker:prod  # Build and start the production stack
+${pm.run} docker:down  # Stop the development stack
+\`\`\`
+${config.database === 'sqlite' ? '\nSQLite keeps its data in a file, so no database container is started.\n' : ''}` : ''}
 ## 📜 Available Scripts
 
-- \`${config.packageManager} run dev\` - Start development servers
-- \`${config.packageManager} run build\` - Build for production
-- \`${config.packageManager} run start\` - Start production server
-- \`${config.packageManager} run lint\` - Run linting
-- \`${config.packageManager} run test\` - Run tests
+- \`${pm.run} dev\` - Start development servers
+- \`${pm.run} build\` - Build for production
+- \`${pm.run} start\` - Start production server
+- \`${pm.run} lint\` - Run linting
+- \`${pm.run} test\` - Run the backend and frontend tests
+- \`${pm.run} test:e2e\` - Run the backend end-to-end tests
 
 ## 🎉 Happy Coding!
 
@@ -0,0 +1,131 @@
+// Programmatic entry point: `require('create-kurdemy-app')`.
+// Unlike the CLI it never prompts or prints, so it can be driven from other tools.
+const path = require('path');
+const { generateProject } = require('./generator');
+const {
+  isNonEmptyDirectory,
+  assertNoUncommittedChanges,
+  backupDirectory,
+  restoreBackup,
+  mergeIntoDirectory
+} = require('./existing-directory');
+const { FEATURES, addFeature } = require('./features');
+const { upgradeProject } = require('./upgrade');
+const { generateResource } = require('./resource');
+const { generatePage } = require('./page');
+const { detectProjectConfig } = require('./project');
+const { MANIFEST_FILE, readManifest, isFilePristine } = require('./manifest');
+const { createVirtualFileSystem, diskFileSystem } = require('./file-system');
+const { installWorkspaceDependencies, setupDevEnvironment } = require('./installer');
+const { DEFAULT_CONFIG, BUILT_IN_PRESETS, loadPresets, resolvePreset } = require('./presets');
+const {
+  validateOptions,
+  validateProjectName,
+  getUnscopedName,
+  getRecommendations,
+  validateEnvironmentSetup,
+  validateStackCompatibility
+} = require('./validator');
+
+async function createProject(options = {}) {
+  const { name, directory, preset, existing = 'abort', dryRun = false, ...overrides } = options;
+
+  const nameValidation = validateProjectName(name);
+  if (!nameValidation.valid) {
+    throw new Error(nameValidation.error);
+  }
+  const { packageName } = nameValidation;
+
+  // Installing and committing are opt-in here, the CLI turns them on by default
+  const base = preset ? resolvePreset(preset) : DEFAULT_CONFIG;
+  const config = { ...base, install: false, git: false, ...overrides };
+
+  const validation = validateOptions(config);
+  if (!validation.valid) {
+    throw new Error(`Invalid options: ${validation.errors.join(' ')}`);
+  }
+
+  if (!['abort', 'merge', 'backup'].includes(existing)) {
+    throw new Error(`Invalid existing option "${existing}". Must be "abort", "merge" or "backup".`);
+  }
+
+  const projectPath = path.resolve(directory || getUnscopedName(name));
+  let merge = null;
+  let backupPath = null;
+  let backup = false;
+  if (!dryRun && await isNonEmptyDirectory(projectPath)) {
+    if (existing === 'abort') {
+      throw new Error(`Directory ${projectPath} already exists and is not empty.`);
+    }
+    await assertNoUncommittedChanges(projectPath);
+    if (existing === 'backup') {
+      backup = true;
+    } else {
+      merge = await mergeIntoDirectory(projectPath, packageName, config);
+    }
+  }
+
+  let files;
+  if (merge) {
+    files = [...merge.created, ...merge.unchanged, ...merge.kept];
+  } else {
+    // The existing files are only moved away once the new ones are ready
+    const written = await generateProject(projectPath, packageName, config, {
+      fileSystem: dryRun ? createVirtualFileSystem() : diskFileSystem,
+      beforeCommit: backup ? async () => {
+        backupPath = await backupDirectory(projectPath);
+        return async () => {
+          await restoreBackup(projectPath, backupPath);
+          backupPath = null;
+        };
+      } : undefined
+    });
+    files = written.map((file) => file.path);
+  }
+
+  // A dry run has nothing on disk to install into or commit
+  let setup = [];
+  if (!dryRun && config.install) {
+    await installWorkspaceDependencies(projectPath, config.packageManager, { stream: false });
+  }
+  if (!dryRun && (config.git || config.install)) {
+    setup = await setupDevEnvironment(projectPath, config.packageManager, {
+      git: config.git,
+      installed: config.install
+    });
+  }
+
+  return {
+    name: packageName,
+    projectPath,
+    config,
+    files,
+    warnings: validateStackCompatibility(config).warnings,
+    recommendations: getRecommendations(config),
+    setup,
+    merge,
+    backupPath
+  };
+}
+
+module.exports = {
+  createProject,
+  addFeature,
+  upgradeProject,
+  generateResource,
+  generatePage,
+  detectProjectConfig,
+  MANIFEST_FILE,
+  readManifest,
+  isFilePristine,
+  FEATURES,
+  DEFAULT_CONFIG,
+  BUILT_IN_PRESETS,
+  loadPresets,
+  resolvePreset,
+  validateOptions,
+  validateProjectName,
+  getRecommendations,
+  validateEnvironmentSetup,
+  validateStackCompatibility
+};
@@ -1,14 +1,40 @@
-const { execa } = require('execa');
-const path = require('path');
-const chalk = require('chalk');
+const { spawn } = require('child_process');
 
-async function installDependencies(projectPath, packageManager = 'npm') {
+// Runs a command and resolves once it exits. Output is streamed straight to
+// the terminal when `stream` is set, otherwise it is collected for the error.
+function runCommand(command, args, { cwd, stream = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      stdio: stream ? 'inherit' : 'pipe',
+      shell: process.platform === 'win32'
+    });
+
+    let output = '';
+    if (!stream) {
+      child.stdout.on('data', (chunk) => { output += chunk; });
+      child.stderr.on('data', (chunk) => { output += chunk; });
+    }
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        const details = output.trim().split('\n').slice(-5).join('\n');
+        reject(new Error(`"${[command, ...args].join(' ')}" exited with code ${code}${details ? `\n${details}` : ''}`));
+      }
+    });
+  });
+}
+
+async function installDependencies(projectPath, packageManager = 'npm', { stream = true } = {}) {
   const installCommand = getInstallCommand(packageManager);
-  
+
   try {
-    await execa(installCommand.command, installCommand.args, {
+    await runCommand(installCommand.command, installCommand.args, {
       cwd: projectPath,
-      stdio: 'pipe'
+      stream
     });
   } catch (error) {
     throw new Error(`Failed to install dependencies: ${error.message}`);
@@ -26,16 +52,16 @@ function getInstallCommand(packageManager) {
   }
 }
 
-async function runScript(projectPath, script, packageManager = 'npm') {
+async function runScript(projectPath, script, packageManager = 'npm', { stream = true } = {}) {
   const command = getScriptCommand(packageManager, script);
-  
+
   try {
-    await execa(command.command, command.args, {
+    await runCommand(command.command, command.args, {
       cwd: projectPath,
-      stdio: 'inherit'
+      stream
     });
   } catch (error) {
-    console.log(chalk.yellow(`Warning: Failed to run script "${script}": ${error.message}`));
+    throw new Error(`Failed to run script "${script}": ${error.message}`);
   }
 }
 
@@ -50,9 +76,20 @@ function getScriptCommand(packageManager, script) {
   }
 }
 
+function getExecCommand(packageManager, binary, args = []) {
+  switch (packageManager) {
+    case 'yarn':
+      return { command: 'yarn', args: [binary, ...args] };
+    case 'pnpm':
+      return { command: 'pnpm', args: ['exec', binary, ...args] };
+    default:
+      return { command: 'npx', args: ['--no', binary, ...args] };
+  }
+}
+
 async function checkPackageManagerAvailability(packageManager) {
   try {
-    await execa(packageManager, ['--version'], { stdio: 'pipe' });
+    await runCommand(packageManager, ['--version']);
     return true;
   } catch {
     return false;
@@ -61,11 +98,10 @@ async function checkPackageManagerAvailability(packageManager) {
 
 async function initializeGit(projectPath) {
   try {
-    await execa('git', ['init'], { cwd: projectPath, stdio: 'pipe' });
-    await execa('git', ['add', '.'], { cwd: projectPath, stdio: 'pipe' });
-    await execa('git', ['commit', '-m', 'Initial commit from Kurdemy CLI'], { 
-      cwd: projectPath, 
-      stdio: 'pipe' 
+    await runCommand('git', ['init'], { cwd: projectPath });
+    await runCommand('git', ['add', '.'], { cwd: projectPath });
+    await runCommand('git', ['commit', '-m', 'Initial commit from Kurdemy CLI', '--no-verify'], {
+      cwd: projectPath
     });
     return true;
   } catch {
@@ -75,15 +111,10 @@ async function initializeGit(projectPath) {
 
 async function setupHusky(projectPath, packageManager = 'npm') {
   try {
-    // Install husky
-    const huskyCommand = getScriptCommand(packageManager, 'husky');
-    await execa(huskyCommand.command, ['install'], {
-      cwd: projectPath,
-      stdio: 'pipe'
-    });
+    const huskyCommand = getExecCommand(packageManager, 'husky', ['install']);
+    await runCommand(huskyCommand.command, huskyCommand.args, { cwd: projectPath });
     return true;
-  } catch (error) {
-    console.log(chalk.yellow(`Warning: Failed to setup Husky: ${error.message}`));
+  } catch {
     return false;
   }
 }
@@ -92,8 +123,7 @@ async function buildProject(projectPath, packageManager = 'npm') {
   try {
     await runScript(projectPath, 'build', packageManager);
     return true;
-  } catch (error) {
-    console.log(chalk.yellow(`Warning: Failed to build project: ${error.message}`));
+  } catch {
     return false;
   }
 }
@@ -102,57 +132,52 @@ async function runLinting(projectPath, packageManager = 'npm') {
   try {
     await runScript(projectPath, 'lint', packageManager);
     return true;
-  } catch (error) {
-    console.log(chalk.yellow(`Warning: Failed to run linting: ${error.message}`));
+  } catch {
     return false;
   }
 }
 
 async function runTypeCheck(projectPath, packageManager = 'npm') {
   try {
-    await runScript(projectPath, 'type-check', packageManager);
+    await runScript(projectPath, 'type-check', packageManager, { stream: false });
     return true;
-  } catch (error) {
-    console.log(chalk.yellow(`Warning: Failed to run type checking: ${error.message}`));
+  } catch {
     return false;
   }
 }
 
-async function installWorkspaceDependencies(projectPath, packageManager = 'npm') {
+async function installWorkspaceDependencies(projectPath, packageManager = 'npm', options = {}) {
+  // The root package declares src/backend and src/frontend as workspaces
+  // (pnpm-workspace.yaml for pnpm), so one install covers all three packages
   try {
-    // Install root dependencies
-    await installDependencies(projectPath, packageManager);
-    
-    // Install backend dependencies
-    const backendPath = path.join(projectPath, 'src/backend');
-    await installDependencies(backendPath, packageManager);
-    
-    // Install frontend dependencies
-    const frontendPath = path.join(projectPath, 'src/frontend');
-    await installDependencies(frontendPath, packageManager);
-    
+    await installDependencies(projectPath, packageManager, options);
     return true;
   } catch (error) {
     throw new Error(`Failed to install workspace dependencies: ${error.message}`);
   }
 }
 
-async function setupDevEnvironment(projectPath, packageManager = 'npm') {
+async function setupDevEnvironment(projectPath, packageManager = 'npm', options = {}) {
+  const { git = true, installed = true } = options;
   const setupSteps = [];
-  
+
   try {
-    // Setup git if not already initialized
-    const gitInitialized = await initializeGit(projectPath);
-    setupSteps.push({ step: 'Git repository', success: gitInitialized });
-    
-    // Setup Husky for git hooks
-    const huskySetup = await setupHusky(projectPath, packageManager);
-    setupSteps.push({ step: 'Git hooks (Husky)', success: huskySetup });
-    
-    // Run type checking
-    const typeCheck = await runTypeCheck(projectPath, packageManager);
-    setupSteps.push({ step: 'Type checking', success: typeCheck });
-    
+    if (git) {
+      const gitInitialized = await initializeGit(projectPath);
+      setupSteps.push({ step: 'Git repository', success: gitInitialized });
+
+      // Husky needs both a repository and its own package installed
+      if (gitInitialized && installed) {
+        const huskySetup = await setupHusky(projectPath, packageManager);
+        setupSteps.push({ step: 'Git hooks (Husky)', success: huskySetup });
+      }
+    }
+
+    if (installed) {
+      const typeCheck = await runTypeCheck(projectPath, packageManager);
+      setupSteps.push({ step: 'Type checking', success: typeCheck });
+    }
+
     return setupSteps;
   } catch (error) {
     throw new Error(`Failed to setup development environment: ${error.message}`);
@@ -160,6 +185,7 @@ async function setupDevEnvironment(projectPath, packageManager = 'npm') {
 }
 
 module.exports = {
+  runCommand,
   installDependencies,
   runScript,
   checkPackageManagerAvailability,
@@ -172,4 +198,4 @@ module.exports = {
   setupDevEnvironment,
   getInstallCommand,
   getScriptCommand
-};
\ No newline at end of file
+};
@@ -0,0 +1,75 @@
+const path = require('path');
+const fs = require('./file-system');
+const { hashContent } = fs;
+const { version: cliVersion } = require('../package.json');
+
+// kurdemy.json records how a project was generated: the options, the CLI
+// version and a hash of every file the templates wrote, so later commands
+// can tell which stack the project uses and which files the user has changed.
+const MANIFEST_FILE = 'kurdemy.json';
+const MANIFEST_VERSION = 1;
+
+function createManifest(projectName, config, files) {
+  const hashes = {};
+  for (const file of [...files].sort((a, b) => (a.path < b.path ? -1 : 1))) {
+    hashes[file.path] = file.hash;
+  }
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    cliVersion,
+    name: projectName,
+    config: { ...config },
+    files: hashes
+  };
+}
+
+// Goes through lib/file-system.js so --dry-run keeps the manifest in memory too
+async function writeManifest(projectPath, manifest) {
+  await fs.writeFile(path.join(projectPath, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Resolves with null for projects generated before the manifest existed
+async function readManifest(projectPath) {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  if (!await fs.pathExists(file)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${MANIFEST_FILE}: ${error.message}`);
+  }
+
+  if (manifest.manifestVersion !== MANIFEST_VERSION) {
+    throw new Error(`${MANIFEST_FILE} has manifest version ${manifest.manifestVersion}, this CLI only understands version ${MANIFEST_VERSION}. Update create-kurdemy-app.`);
+  }
+  if (!manifest.config || !manifest.files) {
+    throw new Error(`${MANIFEST_FILE} is missing its "config" or "files" section.`);
+  }
+
+  return manifest;
+}
+
+// True when `file` (relative, posix) still has the content the templates wrote.
+// Files the manifest does not know about are never pristine.
+async function isFilePristine(projectPath, manifest, file) {
+  const expected = manifest.files[file];
+  const absolute = path.join(projectPath, ...file.split('/'));
+  if (!expected || !await fs.pathExists(absolute)) {
+    return false;
+  }
+  return hashContent(await fs.readFile(absolute)) === expected;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  hashContent,
+  createManifest,
+  writeManifest,
+  readManifest,
+  isFilePristine
+};
@@ -0,0 +1,335 @@
+// Helpers that fold freshly generated content into files the user may have
+// edited. Each takes the user's `current` file, the `generated` version and
+// the `baseline` the project was originally generated with, and only adds what
+// is new in `generated` compared to `baseline`. Existing keys, lines and
+// imports are left alone, and nothing the user deleted comes back.
+
+const PACKAGE_SECTIONS = ['scripts', 'dependencies', 'devDependencies', 'peerDependencies'];
+
+function mergePackageJson(current, generated, baseline = '{}') {
+  const merged = JSON.parse(current);
+  const incoming = JSON.parse(generated);
+  const previous = JSON.parse(baseline);
+
+  for (const section of PACKAGE_SECTIONS) {
+    for (const [key, value] of Object.entries(incoming[section] || {})) {
+      const isNew = !previous[section] || !(key in previous[section]);
+      if (isNew && !(merged[section] && key in merged[section])) {
+        merged[section] = { ...merged[section], [key]: value };
+      }
+    }
+  }
+
+  // New top-level fields (e.g. "prisma") are added as-is
+  for (const [key, value] of Object.entries(incoming)) {
+    if (!(key in previous) && !(key in merged)) {
+      merged[key] = value;
+    }
+  }
+
+  return JSON.stringify(merged, null, 2);
+}
+
+// Appends the variables (and the comment lines right above them) that the
+// current file does not define yet
+function mergeEnvFile(current, generated, baseline = '') {
+  const defined = new Set([...current.split('\n'), ...baseline.split('\n')].map(getEnvKey).filter(Boolean));
+  const additions = [];
+  let comments = [];
+
+  for (const line of generated.split('\n')) {
+    const key = getEnvKey(line);
+    if (!key) {
+      comments = line.trim().startsWith('#') ? [...comments, line] : [];
+      continue;
+    }
+    if (!defined.has(key)) {
+      additions.push(...comments, line);
+      defined.add(key);
+    }
+    comments = [];
+  }
+
+  if (additions.length === 0) {
+    return current;
+  }
+
+  return `${current.replace(/\n*$/, '\n')}\n${additions.join('\n')}\n`;
+}
+
+function getEnvKey(line) {
+  const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+  return match ? match[1] : null;
+}
+
+// Adds `import { name } from 'from'` and registers `name` in the imports
+// array of the @Module decorator, e.g. for app.module.ts
+function addNestModuleImport(source, name, from) {
+  const result = addImport(source, name, from);
+  const { open, close } = findModuleImports(result);
+  const entries = result.slice(open + 1, close);
+
+  if (isRegistered(entries, name)) {
+    return result;
+  }
+
+  const lineStart = result.lastIndexOf('\n', close) + 1;
+  const closingIndent = result.slice(lineStart, close);
+
+  if (/^\s*$/.test(closingIndent)) {
+    // Multi-line array: add the entry on its own line before the closing bracket
+    const indent = `${closingIndent}  `;
+    const body = entries.replace(/\s*$/, '');
+    const separator = body.trim() === '' || body.endsWith(',') ? '' : ',';
+    return `${result.slice(0, open + 1)}${body}${separator}\n${indent}${name},\n${closingIndent}${result.slice(close)}`;
+  }
+
+  const body = entries.trim();
+  return `${result.slice(0, open + 1)}${body ? `${body.replace(/,$/, '')}, ` : ''}${name}${result.slice(close)}`;
+}
+
+function findModuleImports(source) {
+  const moduleStart = source.search(/@Module\(\s*{/);
+  if (moduleStart === -1) {
+    throw new Error('Could not find a @Module() decorator to register the import in.');
+  }
+
+  const arrayStart = source.slice(moduleStart).search(/imports:\s*\[/);
+  if (arrayStart === -1) {
+    throw new Error('Could not find the imports array of the @Module() decorator.');
+  }
+
+  const open = source.indexOf('[', moduleStart + arrayStart);
+  return { open, close: findClosingBracket(source, open) };
+}
+
+function getModuleImports(source) {
+  const { open, close } = findModuleImports(source);
+  return source.slice(open + 1, close);
+}
+
+function isRegistered(entries, name) {
+  return new RegExp(`(^|[\\s,])${name}\\s*(,|$)`).test(entries);
+}
+
+function findClosingBracket(source, open, [opening, closing] = ['[', ']']) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === opening) depth++;
+    if (source[i] === closing) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error(`Unbalanced "${opening}${closing}" brackets.`);
+}
+
+// Adds `import { name } from 'from'` after the last import unless `name` is already imported
+function addImport(source, name, from) {
+  if (new RegExp(`import\\s*{[^}]*\\b${name}\\b[^}]*}\\s*from`).test(source)) {
+    return source;
+  }
+
+  const importLine = `import { ${name} } from '${from}';`;
+  const imports = [...source.matchAll(/^import [^;]*;$/gm)];
+  if (imports.length === 0) {
+    return `${importLine}\n${source}`;
+  }
+
+  const last = imports[imports.length - 1];
+  const end = last.index + last[0].length;
+  return `${source.slice(0, end)}\n${importLine}${source.slice(end)}`;
+}
+
+// Adds the missing `names` to an existing `import { ... } from 'from'` statement
+function addNamedImports(source, from, names) {
+  const pattern = new RegExp(`import\\s*{([^}]*)}\\s*from\\s*'${from.replace(/[/.*+?^${}()|[\]\\]/g, '\\$&')}';`);
+  const match = source.match(pattern);
+  if (!match) {
+    return `import { ${names.join(', ')} } from '${from}';\n${source}`;
+  }
+
+  const existing = match[1].split(',').map((name) => name.trim()).filter(Boolean);
+  const missing = names.filter((name) => !existing.includes(name));
+  if (missing.length === 0) {
+    return source;
+  }
+
+  const statement = `import { ${[...existing, ...missing].join(', ')} } from '${from}';`;
+  return source.replace(match[0], statement);
+}
+
+// Registers `key: name` in the createTRPCRouter({ ... }) call of app.router.ts
+function addTrpcRouter(source, key, name, from) {
+  const result = addImport(source, name, from);
+  const routerStart = result.search(/appRouter\s*=\s*createTRPCRouter\(\s*{/);
+  if (routerStart === -1) {
+    throw new Error('Could not find "appRouter = createTRPCRouter({" to register the router in.');
+  }
+
+  const open = result.indexOf('{', routerStart);
+  const close = findClosingBracket(result, open, ['{', '}']);
+  const entries = result.slice(open + 1, close);
+  if (new RegExp(`(^|[\\s,])${key}\\s*:`).test(entries)) {
+    return result;
+  }
+
+  const body = entries.replace(/\s*$/, '');
+  const separator = body.trim() === '' || body.endsWith(',') ? '' : ',';
+  return `${result.slice(0, open + 1)}${body}${separator}\n  ${key}: ${name},\n${result.slice(close)}`;
+}
+
+// Brings the module imports that `generated` has over into the user's version
+function mergeNestModule(current, generated, baseline = '') {
+  let result = current;
+  const imports = [...generated.matchAll(/^import\s*{\s*(\w+Module)\s*}\s*from\s*'([^']+)';$/gm)];
+  const registered = getModuleImports(generated);
+  const previous = baseline ? getModuleImports(baseline) : '';
+
+  for (const [, name, from] of imports) {
+    if (isRegistered(registered, name) && !isRegistered(previous, name)) {
+      result = addNestModuleImport(result, name, from);
+    }
+  }
+
+  return result;
+}
+
+// Line-based three-way merge in the style of diff3: changes made on only one
+// side are taken as they are, and chunks both sides changed differently are
+// wrapped in conflict markers.
+function mergeThreeWay(current, base, next, labels = {}) {
+  const { current: currentLabel = 'yours', next: nextLabel = 'template' } = labels;
+  const ours = splitLines(current);
+  const original = splitLines(base);
+  const theirs = splitLines(next);
+  const oursMatches = matchLines(original, ours);
+  const theirsMatches = matchLines(original, theirs);
+
+  const output = [];
+  let conflicts = 0;
+  let o = 0;
+  let a = 0;
+  let b = 0;
+
+  while (o < original.length || a < ours.length || b < theirs.length) {
+    // Lines all three versions agree on
+    if (o < original.length && oursMatches[o] === a && theirsMatches[o] === b) {
+      output.push(original[o]);
+      o++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // The chunk runs up to the next base line both sides kept
+    let end = o;
+    while (end < original.length && (oursMatches[end] === -1 || theirsMatches[end] === -1)) {
+      end++;
+    }
+    const oursEnd = end < original.length ? oursMatches[end] : ours.length;
+    const theirsEnd = end < original.length ? theirsMatches[end] : theirs.length;
+
+    const baseChunk = original.slice(o, end);
+    const oursChunk = ours.slice(a, oursEnd);
+    const theirsChunk = theirs.slice(b, theirsEnd);
+
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${currentLabel}\n`,
+        ...withTrailingNewline(oursChunk),
+        '=======\n',
+        ...withTrailingNewline(theirsChunk),
+        `>>>>>>> ${nextLabel}\n`
+      );
+    }
+
+    o = end;
+    a = oursEnd;
+    b = theirsEnd;
+  }
+
+  return { content: output.join(''), conflicts };
+}
+
+// Keeps the line endings so joining the lines gives back the exact text
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function sameLines(left, right) {
+  return left.length === right.length && left.every((line, index) => line === right[index]);
+}
+
+// A conflict marker has to start on its own line even if the chunk ends the file
+function withTrailingNewline(lines) {
+  if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) {
+    return lines;
+  }
+  return [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`];
+}
+
+// For every line of `base`, the index of the line it matches in `other` (or -1),
+// following a longest common subsequence of the two
+function matchLines(base, other) {
+  const matches = new Array(base.length).fill(-1);
+
+  // Common prefix and suffix are matched directly to keep the table small
+  let start = 0;
+  while (start < base.length && start < other.length && base[start] === other[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let baseEnd = base.length;
+  let otherEnd = other.length;
+  while (baseEnd > start && otherEnd > start && base[baseEnd - 1] === other[otherEnd - 1]) {
+    baseEnd--;
+    otherEnd--;
+    matches[baseEnd] = otherEnd;
+  }
+
+  const rows = baseEnd - start;
+  const columns = otherEnd - start;
+  const lengths = new Uint32Array((rows + 1) * (columns + 1));
+  const at = (i, j) => i * (columns + 1) + j;
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[at(i, j)] = base[start + i] === other[start + j]
+        ? lengths[at(i + 1, j + 1)] + 1
+        : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (base[start + i] === other[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  mergePackageJson,
+  mergeThreeWay,
+  mergeEnvFile,
+  addNestModuleImport,
+  mergeNestModule,
+  addImport,
+  addNamedImports,
+  addTrpcRouter
+};
@@ -0,0 +1,234 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { detectProjectConfig } = require('./project');
+const { addImport } = require('./merge');
+const { generateNextPageFiles, generateReactPageFile } = require('./templates/page');
+
+const NAVBAR_FILES = {
+  nextjs: 'components/ui/navbar.tsx',
+  react: 'src/components/ui/Navbar.tsx',
+  vite: 'src/components/ui/Navbar.tsx'
+};
+
+// Adds a page to the frontend of an existing project. Next.js gets an app
+// directory route, React a page component registered in src/routes.tsx. Static
+// routes are linked from the navbar next to the generated About link.
+async function generatePage(projectPath, route, options = {}) {
+  const { config } = await detectProjectConfig(projectPath);
+  const page = createPage(route, options.name);
+  const settings = {
+    loading: Boolean(options.loading),
+    error: Boolean(options.error),
+    protected: Boolean(options.protected),
+    trpc: Boolean(options.trpc),
+    nav: options.nav !== false && page.params.length === 0
+  };
+
+  if (settings.protected && !config.auth) {
+    throw new Error('Protected pages need authentication. Add it first with "create-kurdemy-app add auth".');
+  }
+  if (settings.trpc && !config.trpc) {
+    throw new Error('This project does not use tRPC. Add it first with "create-kurdemy-app add trpc".');
+  }
+
+  const frontendPath = path.join(projectPath, 'src/frontend');
+  const relative = (file) => path.relative(projectPath, file).split(path.sep).join('/');
+  const report = { page, config, created: [], updated: [], skipped: [] };
+  const updates = new Map();
+
+  if (config.frontend === 'nextjs') {
+    const pagePath = path.join(frontendPath, 'app', page.nextDirectory);
+    if (await fs.pathExists(path.join(pagePath, 'page.tsx'))) {
+      throw new Error(`${relative(path.join(pagePath, 'page.tsx'))} already exists.`);
+    }
+    report.created.push(
+      ...['page.tsx', settings.loading && 'loading.tsx', settings.error && 'error.tsx']
+        .filter(Boolean)
+        .map((file) => relative(path.join(pagePath, file)))
+    );
+  } else {
+    const pageFile = path.join(frontendPath, page.reactFile);
+    if (await fs.pathExists(pageFile)) {
+      throw new Error(`${relative(pageFile)} already exists.`);
+    }
+    // Projects generated before the route table register their routes in App.tsx
+    const routesFile = path.join(frontendPath, 'src/routes.tsx');
+    const routerFile = await fs.pathExists(routesFile) ? routesFile : path.join(frontendPath, 'src/App.tsx');
+    updates.set(routerFile, addReactRoute(await fs.readFile(routerFile, 'utf8'), page, settings, relative(routerFile)));
+    report.created.push(relative(pageFile));
+  }
+
+  if (settings.nav) {
+    const navbarFile = path.join(frontendPath, NAVBAR_FILES[config.frontend]);
+    const navbar = await fs.pathExists(navbarFile) ? await fs.readFile(navbarFile, 'utf8') : '';
+    const updated = addNavLink(navbar, page, config.frontend === 'nextjs' ? 'href' : 'to');
+    if (updated) {
+      updates.set(navbarFile, updated);
+    } else {
+      report.skipped.push(relative(navbarFile));
+    }
+  }
+
+  // Everything is prepared before writing so a failure leaves the project as it was
+  if (config.frontend === 'nextjs') {
+    await generateNextPageFiles(frontendPath, page, settings);
+  } else {
+    await generateReactPageFile(frontendPath, page, settings);
+  }
+  for (const [file, content] of updates) {
+    await fs.writeFile(file, content);
+    report.updated.push(relative(file));
+  }
+
+  return report;
+}
+
+// "/settings/profile", "products/[id]" or "products/:id"
+function createPage(route, name) {
+  const segments = String(route || '').split('/').filter(Boolean).map((segment) => {
+    const param = segment.match(/^(?:\[(\w+)\]|:(\w+))$/);
+    if (param) {
+      return { param: param[1] || param[2] };
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(segment)) {
+      throw new Error(`Invalid route segment "${segment}". Use lowercase letters, digits and dashes, or [param] for dynamic segments.`);
+    }
+    return { name: segment };
+  });
+
+  const staticSegments = segments.filter((segment) => segment.name);
+  if (staticSegments.length === 0) {
+    throw new Error(`"${route || ''}" is not a valid page route. Give a path like /settings or /products/[id].`);
+  }
+
+  const last = staticSegments[staticSegments.length - 1].name;
+  const endsWithParam = Boolean(segments[segments.length - 1].param);
+  const componentName = name || `${toPascalCase(last)}${endsWithParam ? 'Detail' : ''}`;
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(componentName)) {
+    throw new Error(`"${componentName}" is not a valid component name. Use PascalCase, e.g. UserSettings.`);
+  }
+
+  // src/pages mirrors the static part of the route, e.g. /settings/profile -> src/pages/settings/Profile.tsx
+  const directories = staticSegments.slice(0, endsWithParam ? undefined : -1).map((segment) => segment.name);
+
+  return {
+    route: `/${segments.map((segment) => segment.name || `[${segment.param}]`).join('/')}`,
+    reactRoute: `/${segments.map((segment) => segment.name || `:${segment.param}`).join('/')}`,
+    nextDirectory: segments.map((segment) => segment.name || `[${segment.param}]`).join('/'),
+    reactFile: ['src/pages', ...directories, `${componentName}.tsx`].join('/'),
+    reactImport: ['./pages', ...directories, componentName].join('/'),
+    name: componentName,
+    label: last.split('-').map((word, index) => (index === 0 ? capitalize(word) : word)).join(' '),
+    params: segments.filter((segment) => segment.param).map((segment) => segment.param)
+  };
+}
+
+// Registers the page in the route table of src/routes.tsx, in front of the
+// catch-all 404 route, or in the <Routes> of an older App.tsx
+function addReactRoute(source, page, settings, file) {
+  const isRouteTable = file.endsWith('routes.tsx');
+  const routePath = isRouteTable ? page.reactRoute.slice(1) : page.reactRoute;
+
+  if (new RegExp(`import\\s*{[^}]*\\b${page.name}\\b[^}]*}\\s*from|const ${page.name}\\b`).test(source)) {
+    throw new Error(`${file} already imports a ${page.name} component. Pick another name with --name.`);
+  }
+  if (source.includes(isRouteTable ? `path: '${routePath}'` : `path="${routePath}"`)) {
+    throw new Error(`${file} already has a route for ${page.reactRoute}.`);
+  }
+
+  const anchor = isRouteTable ? /^[ \t]*{ path: '\*'/m : /^[ \t]*<\/Routes>/m;
+  if (!anchor.test(source)) {
+    throw new Error(isRouteTable
+      ? `Could not find the catch-all { path: '*' } route of ${file} to register the page in front of.`
+      : `Could not find the <Routes> of ${file} to register the page in.`);
+  }
+
+  let result = source;
+  let element = `<${page.name} />`;
+  if (settings.loading) {
+    // Split the page into its own chunk and show the spinner while it loads
+    result = addImport(result, 'Loading', './components/ui/Loading');
+    result = addReactImport(addReactImport(result, 'lazy'), 'Suspense');
+    result = addAfterImports(
+      result,
+      `const ${page.name} = lazy(() => import('${page.reactImport}').then((module) => ({ default: module.${page.name} })));`
+    );
+    element = `<Suspense fallback={<Loading />}>${element}</Suspense>`;
+  } else {
+    result = addImport(result, page.name, page.reactImport);
+  }
+  if (settings.error) {
+    result = addImport(result, 'ErrorBoundary', './components/ui/ErrorBoundary');
+    element = `<ErrorBoundary>${element}</ErrorBoundary>`;
+  }
+  if (settings.protected) {
+    result = addImport(result, 'ProtectedRoute', './components/auth/ProtectedRoute');
+    element = `<ProtectedRoute>${element}</ProtectedRoute>`;
+  }
+
+  const match = result.match(anchor);
+  const lineStart = match.index;
+  const indent = match[0].match(/^[ \t]*/)[0];
+  const routeLine = isRouteTable
+    ? `${indent}{ path: '${routePath}', element: ${element} },\n`
+    : `${indent}  <Route path="${routePath}" element={${element}} />\n`;
+
+  return `${result.slice(0, lineStart)}${routeLine}${result.slice(lineStart)}`;
+}
+
+// `import React from 'react'` -> `import React, { Suspense } from 'react'`
+function addReactImport(source, name) {
+  if (new RegExp(`import[^;]*\\b${name}\\b[^;]*from 'react';`).test(source)) {
+    return source;
+  }
+  if (/import React, {([^}]*)} from 'react';/.test(source)) {
+    return source.replace(/import React, {([^}]*)} from 'react';/, (match, names) => `import React, {${names.trimEnd()}, ${name} } from 'react';`);
+  }
+  if (/import React from 'react';/.test(source)) {
+    return source.replace(/import React from 'react';/, `import React, { ${name} } from 'react';`);
+  }
+  return addImport(source, name, 'react');
+}
+
+function addAfterImports(source, line) {
+  const imports = [...source.matchAll(/^import [^;]*;$/gm)];
+  const last = imports[imports.length - 1];
+  const end = last.index + last[0].length;
+  return `${source.slice(0, end)}\n\n${line}${source.slice(end)}`;
+}
+
+// Copies every About link of the navbar (desktop and mobile menus) for the new
+// page. Returns null when there is nothing to copy, e.g. the user rewrote the navbar.
+function addNavLink(source, page, attribute) {
+  if (source.includes(`${attribute}="${page.route}"`)) {
+    return source;
+  }
+
+  const links = [...source.matchAll(new RegExp(`([ \\t]*)<Link\\b(?:(?!<Link\\b)[\\s\\S])*?${attribute}="/about"[\\s\\S]*?</Link>`, 'g'))];
+  if (links.length === 0) {
+    return null;
+  }
+
+  let result = source;
+  for (const link of links.reverse()) {
+    const copy = link[0]
+      .replace(/(["'])\/about\1/g, `$1${page.route}$1`)
+      .replace(/>(\s*)About(\s*)</, `>$1${page.label}$2<`);
+    const end = link.index + link[0].length;
+    result = `${result.slice(0, end)}\n${copy}${result.slice(end)}`;
+  }
+  return result;
+}
+
+function toPascalCase(value) {
+  return value.split('-').map(capitalize).join('');
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+module.exports = {
+  generatePage,
+  createPage
+};
@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { validateOptions } = require('./validator');
+
+const DEFAULT_CONFIG = {
+  frontend: 'nextjs',
+  trpc: false,
+  tailwind: false,
+  auth: false,
+  docker: false,
+  database: 'postgresql',
+  orm: 'prisma',
+  packageManager: 'npm',
+  install: true,
+  git: true
+};
+
+// What a preset may store: the stack, not how a single run behaves
+const STACK_OPTIONS = ['frontend', 'database', 'orm', 'trpc', 'auth', 'tailwind', 'docker', 'packageManager'];
+
+const BUILT_IN_PRESETS = {
+  minimal: {
+    description: 'Next.js + NestJS with SQLite and Prisma, no extras',
+    options: {
+      frontend: 'nextjs',
+      database: 'sqlite',
+      orm: 'prisma',
+      trpc: false,
+      auth: false,
+      tailwind: false,
+      docker: false
+    }
+  },
+  full: {
+    description: 'Next.js + PostgreSQL/Prisma with tRPC, auth, Tailwind and Docker',
+    options: {
+      frontend: 'nextjs',
+      database: 'postgresql',
+      orm: 'prisma',
+      trpc: true,
+      auth: true,
+      tailwind: true,
+      docker: true
+    }
+  },
+  'api-only': {
+    description: 'API-first NestJS + PostgreSQL/Drizzle with tRPC, JWT auth and Docker, and a lean React client',
+    options: {
+      frontend: 'react',
+      database: 'postgresql',
+      orm: 'drizzle',
+      trpc: true,
+      auth: true,
+      tailwind: false,
+      docker: true
+    }
+  }
+};
+
+const USER_CONFIG_FILE = '.kurdemyrc';
+const PROJECT_CONFIG_FILE = 'kurdemy.config.json';
+
+function getPresetFiles({ cwd = process.cwd(), homeDir = os.homedir() } = {}) {
+  return {
+    user: path.join(homeDir, USER_CONFIG_FILE),
+    project: path.join(cwd, PROJECT_CONFIG_FILE)
+  };
+}
+
+function readPresetFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  try {
+    return fs.readJsonSync(file);
+  } catch (error) {
+    throw new Error(`Could not read presets from ${file}: ${error.message}`);
+  }
+}
+
+// Later sources win: built-in presets, then ~/.kurdemyrc, then kurdemy.config.json
+function loadPresets(locations) {
+  const files = getPresetFiles(locations);
+  const presets = {};
+
+  for (const [name, preset] of Object.entries(BUILT_IN_PRESETS)) {
+    presets[name] = { ...preset, source: 'built-in' };
+  }
+
+  for (const source of ['user', 'project']) {
+    const saved = readPresetFile(files[source]).presets || {};
+    for (const [name, preset] of Object.entries(saved)) {
+      const { description = '', ...options } = preset;
+      presets[name] = { description, options, source, file: files[source] };
+    }
+  }
+
+  return presets;
+}
+
+function resolvePreset(name, locations) {
+  const presets = loadPresets(locations);
+  const preset = presets[name];
+
+  if (!preset) {
+    throw new Error(`Unknown preset "${name}". Available presets: ${Object.keys(presets).join(', ')}.`);
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...preset.options };
+  const validation = validateOptions(config);
+  if (!validation.valid) {
+    throw new Error(`Preset "${name}" is invalid: ${validation.errors.join(' ')}`);
+  }
+
+  return config;
+}
+
+function savePreset(name, options, { scope = 'user', description, ...locations } = {}) {
+  if (BUILT_IN_PRESETS[name]) {
+    throw new Error(`"${name}" is a built-in preset and cannot be overwritten.`);
+  }
+
+  const validation = validateOptions({ ...DEFAULT_CONFIG, ...options });
+  if (!validation.valid) {
+    throw new Error(`Preset "${name}" is invalid: ${validation.errors.join(' ')}`);
+  }
+
+  const file = getPresetFiles(locations)[scope];
+  const contents = readPresetFile(file);
+  const stack = pickStackOptions(options);
+  const preset = description ? { description, ...stack } : stack;
+
+  contents.presets = { ...contents.presets, [name]: preset };
+  fs.writeJsonSync(file, contents, { spaces: 2 });
+
+  return file;
+}
+
+function pickStackOptions(options) {
+  return Object.fromEntries(STACK_OPTIONS.filter((key) => options[key] !== undefined).map((key) => [key, options[key]]));
+}
+
+function removePreset(name, { scope = 'user', ...locations } = {}) {
+  if (BUILT_IN_PRESETS[name]) {
+    throw new Error(`"${name}" is a built-in preset and cannot be removed.`);
+  }
+
+  const file = getPresetFiles(locations)[scope];
+  const contents = readPresetFile(file);
+
+  if (!contents.presets || !contents.presets[name]) {
+    throw new Error(`No preset named "${name}" in ${file}.`);
+  }
+
+  delete contents.presets[name];
+  fs.writeJsonSync(file, contents, { spaces: 2 });
+
+  return file;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  STACK_OPTIONS,
+  BUILT_IN_PRESETS,
+  loadPresets,
+  resolvePreset,
+  savePreset,
+  removePreset
+};
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { readManifest } = require('./manifest');
+const { getUnscopedName } = require('./validator');
+
+// Works out which options an existing project was generated with. The
+// kurdemy.json manifest is authoritative; projects generated before it existed
+// are recognised by the files the templates leave behind.
+async function detectProjectConfig(projectPath) {
+  const manifest = await readManifest(projectPath);
+  if (manifest) {
+    return {
+      name: manifest.name,
+      config: { ...manifest.config, install: false, git: false },
+      manifest
+    };
+  }
+
+  const rootPackagePath = path.join(projectPath, 'package.json');
+  const backendPackagePath = path.join(projectPath, 'src/backend/package.json');
+  const frontendPackagePath = path.join(projectPath, 'src/frontend/package.json');
+
+  for (const file of [rootPackagePath, backendPackagePath, frontendPackagePath]) {
+    if (!await fs.pathExists(file)) {
+      throw new Error(`${projectPath} does not look like a Kurdemy project (missing ${path.relative(projectPath, file)}).`);
+    }
+  }
+
+  const rootPackage = await fs.readJson(rootPackagePath);
+  const backendPackage = await fs.readJson(backendPackagePath);
+  const frontendPackage = await fs.readJson(frontendPackagePath);
+  const backendDependencies = getDependencies(backendPackage);
+  const frontendDependencies = getDependencies(frontendPackage);
+
+  const orm = backendDependencies['drizzle-orm'] ? 'drizzle' : 'prisma';
+
+  const config = {
+    frontend: detectFrontend(frontendDependencies),
+    trpc: Boolean(backendDependencies['@trpc/server']),
+    tailwind: Boolean(frontendDependencies.tailwindcss),
+    auth: await fs.pathExists(path.join(projectPath, 'src/shared/types/auth.ts')),
+    docker: await fs.pathExists(path.join(projectPath, 'Dockerfile')),
+    database: orm === 'drizzle'
+      ? detectDrizzleDatabase(backendDependencies)
+      : await detectPrismaDatabase(projectPath),
+    orm,
+    packageManager: await detectPackageManager(projectPath, rootPackage),
+    install: false,
+    git: false
+  };
+
+  return { name: rootPackage.name, config, manifest: null };
+}
+
+function getDependencies(packageJson) {
+  return { ...packageJson.dependencies, ...packageJson.devDependencies };
+}
+
+function detectFrontend(dependencies) {
+  if (dependencies.next) return 'nextjs';
+  if (dependencies.vite) return 'vite';
+  return 'react';
+}
+
+async function detectPrismaDatabase(projectPath) {
+  const schemaPath = path.join(projectPath, 'prisma/schema.prisma');
+  if (!await fs.pathExists(schemaPath)) {
+    return 'postgresql';
+  }
+
+  const schema = await fs.readFile(schemaPath, 'utf8');
+  const datasource = schema.match(/datasource\s+\w+\s*{[^}]*provider\s*=\s*"(\w+)"/);
+  return datasource ? datasource[1] : 'postgresql';
+}
+
+function detectDrizzleDatabase(dependencies) {
+  if (dependencies.mysql2) return 'mysql';
+  if (dependencies['better-sqlite3']) return 'sqlite';
+  return 'postgresql';
+}
+
+async function detectPackageManager(projectPath, rootPackage) {
+  if (rootPackage.packageManager) {
+    return rootPackage.packageManager.split('@')[0];
+  }
+  if (await fs.pathExists(path.join(projectPath, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (await fs.pathExists(path.join(projectPath, 'yarn.lock'))) return 'yarn';
+  return 'npm';
+}
+
+// Splits the CLI's first argument into the package name and the directory to
+// generate into. "my-app" and "@acme/portal" are names (generated into ./my-app
+// and ./portal), "." and anything else with a slash is a directory named after
+// its last segment. --dir always picks the directory, the argument is then
+// only the name. Either can be undefined when the wizard still has to ask.
+function resolveProjectTarget(target, { dir, cwd = process.cwd() } = {}) {
+  if (dir) {
+    return { name: target, directory: path.resolve(cwd, dir) };
+  }
+  if (!target) {
+    return { name: undefined, directory: undefined };
+  }
+  if (target.startsWith('@') || !/[\\/]|^\.\.?$/.test(target)) {
+    return { name: target, directory: path.resolve(cwd, getUnscopedName(target)) };
+  }
+
+  const directory = path.resolve(cwd, target);
+  return { name: path.basename(directory), directory };
+}
+
+// Writes a file produced by the templates (e.g. from an in-memory generation
+// run) into the project, keeping it executable if the template made it so
+async function writeGeneratedFile(file, content, mode) {
+  await fs.ensureDir(path.dirname(file));
+  await fs.writeFile(file, content);
+  if (mode !== 0o644) {
+    await fs.chmod(file, mode);
+  }
+}
+
+module.exports = {
+  detectProjectConfig,
+  resolveProjectTarget,
+  writeGeneratedFile
+};
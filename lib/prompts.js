@@ -0,0 +1,373 @@
+const readline = require('readline');
+const colors = require('./colors');
+
+// Prompts for the interactive CLI. On a terminal they are driven by the arrow
+// keys (select lists, multi-select with space); when stdin is not a TTY they
+// fall back to plain line input so answers can be piped in. Every prompt takes
+// an optional `validate(value)` returning an error message, which is shown
+// inline until the answer is valid.
+function createPrompter({ input = process.stdin, output = process.stdout } = {}) {
+  return input.isTTY && output.isTTY
+    ? createTerminalPrompter(input, output)
+    : createLinePrompter(input, output);
+}
+
+function createCancelledError() {
+  const error = new Error('Cancelled.');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+function createInputEndedError() {
+  return new Error('Input ended before every question was answered. Pass the missing options as flags instead.');
+}
+
+function formatQuestion(message, hint) {
+  return `${colors.cyan('?')} ${message}${hint ? colors.gray(` ${hint}`) : ''}`;
+}
+
+function formatAnswer(message, answer) {
+  return `${colors.green('✔')} ${message} ${colors.gray('·')} ${answer}`;
+}
+
+function formatError(message) {
+  return colors.red(`  ✖ ${message}`);
+}
+
+function formatChoices(choices, values) {
+  const titles = choices.filter((choice) => values.includes(choice.value)).map((choice) => choice.title);
+  return titles.length > 0 ? titles.join(', ') : 'none';
+}
+
+function getInitialIndex(choices, initial) {
+  return Math.max(0, choices.findIndex((choice) => choice.value === initial));
+}
+
+// Line input
+
+function createLinePrompter(input, output) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  // Piped input arrives all at once, so lines are queued until a prompt asks
+  rl.on('line', (line) => {
+    if (waiting.length > 0) {
+      waiting.shift().resolve(line);
+    } else {
+      lines.push(line);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    while (waiting.length > 0) {
+      waiting.shift().reject(createInputEndedError());
+    }
+  });
+
+  function readLine(text) {
+    output.write(text);
+    let answer;
+    if (lines.length > 0) {
+      answer = Promise.resolve(lines.shift());
+    } else if (closed) {
+      answer = Promise.reject(createInputEndedError());
+    } else {
+      answer = new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+    // Echo the answer, it isn't shown when it comes from a pipe
+    return answer.then((line) => {
+      output.write(`${line}\n`);
+      return line.trim();
+    });
+  }
+
+  // Asks until parse() returns a value and validate() has no objection
+  async function ask(text, parse, validate) {
+    for (;;) {
+      const result = parse(await readLine(text));
+      const error = result.error || (validate && validate(result.value));
+      if (!error) {
+        return result.value;
+      }
+      output.write(`${formatError(error)}\n`);
+    }
+  }
+
+  function printChoices(message, choices) {
+    output.write(`${formatQuestion(message)}\n`);
+    choices.forEach((choice, index) => {
+      output.write(`  ${index + 1}) ${choice.title}${choice.description ? colors.gray(` - ${choice.description}`) : ''}\n`);
+    });
+  }
+
+  // "2", "vite" and "React + Vite" all pick the same choice
+  function findChoice(choices, answer) {
+    const lower = answer.toLowerCase();
+    const number = Number(answer);
+    if (Number.isInteger(number) && number >= 1 && number <= choices.length) {
+      return choices[number - 1];
+    }
+    return choices.find((choice) => String(choice.value).toLowerCase() === lower || choice.title.toLowerCase() === lower);
+  }
+
+  return {
+    interactive: false,
+
+    text({ message, initial, validate }) {
+      const hint = initial ? `(${initial})` : '';
+      return ask(`${formatQuestion(message, hint)} `, (answer) => ({ value: answer || initial || '' }), validate);
+    },
+
+    select({ message, choices, initial, validate }) {
+      const defaultChoice = choices[getInitialIndex(choices, initial)];
+      printChoices(message, choices);
+
+      return ask(`  Choose 1-${choices.length} ${colors.gray(`(${defaultChoice.title})`)}: `, (answer) => {
+        const choice = answer ? findChoice(choices, answer) : defaultChoice;
+        return choice ? { value: choice.value } : { error: `Enter a number from 1 to ${choices.length}.` };
+      }, validate);
+    },
+
+    multiselect({ message, choices, validate }) {
+      const defaults = choices.filter((choice) => choice.selected).map((choice) => choice.value);
+      printChoices(message, choices);
+
+      return ask(`  Choose any, separated by commas ${colors.gray(`(${formatChoices(choices, defaults)})`)}: `, (answer) => {
+        if (!answer) {
+          return { value: defaults };
+        }
+        if (answer.toLowerCase() === 'none') {
+          return { value: [] };
+        }
+
+        const values = [];
+        for (const part of answer.split(',').map((value) => value.trim()).filter(Boolean)) {
+          const choice = findChoice(choices, part);
+          if (!choice) {
+            return { error: `"${part}" is not one of the choices.` };
+          }
+          values.push(choice.value);
+        }
+        // Keep the order of the list, not the order they were typed in
+        return { value: choices.map((choice) => choice.value).filter((value) => values.includes(value)) };
+      }, validate);
+    },
+
+    confirm({ message, initial = false }) {
+      return ask(`${formatQuestion(message, initial ? '(Y/n)' : '(y/N)')} `, (answer) => {
+        if (!answer) return { value: initial };
+        if (['y', 'yes'].includes(answer.toLowerCase())) return { value: true };
+        if (['n', 'no'].includes(answer.toLowerCase())) return { value: false };
+        return { error: 'Answer y or n.' };
+      });
+    },
+
+    print(text) {
+      output.write(`${text}\n`);
+    },
+
+    close() {
+      rl.close();
+    }
+  };
+}
+
+// Terminal
+
+function createTerminalPrompter(input, output) {
+  readline.emitKeypressEvents(input);
+
+  // Runs one prompt: render() returns the lines to show, onKey() handles a key
+  // press and calls finish() with the answer once it is accepted
+  function run({ render, onKey, cursor = false }) {
+    return new Promise((resolve, reject) => {
+      let renderedLines = 0;
+      let done = false;
+
+      const draw = (text) => {
+        if (renderedLines > 0) {
+          output.write(`\x1b[${renderedLines}A`);
+        }
+        output.write(`\r\x1b[J${text}`);
+        renderedLines = text.split('\n').length - 1;
+      };
+
+      const cleanup = () => {
+        done = true;
+        input.removeListener('keypress', handleKey);
+        input.setRawMode(false);
+        input.pause();
+        output.write('\x1b[?25h');
+      };
+
+      const finish = (value, summary) => {
+        draw(`${summary}\n`);
+        cleanup();
+        resolve(value);
+      };
+
+      function handleKey(text, key = {}) {
+        if (key.ctrl && key.name === 'c') {
+          draw(`${render()}\n`);
+          cleanup();
+          reject(createCancelledError());
+          return;
+        }
+        onKey(text, key, finish);
+        if (!done) {
+          draw(render());
+        }
+      }
+
+      if (!cursor) {
+        output.write('\x1b[?25l');
+      }
+      input.setRawMode(true);
+      input.resume();
+      input.on('keypress', handleKey);
+      draw(render());
+    });
+  }
+
+  return {
+    interactive: true,
+
+    text({ message, initial, validate }) {
+      let value = '';
+      let error = null;
+
+      return run({
+        cursor: true,
+        render: () => {
+          const placeholder = !value && initial ? colors.gray(initial) : '';
+          const question = `${formatQuestion(message)} ${value}${placeholder}`;
+          return error ? `${question}\n${formatError(error)}` : question;
+        },
+        onKey: (text, key, finish) => {
+          if (key.name === 'return' || key.name === 'enter') {
+            const answer = value.trim() || initial || '';
+            error = validate ? validate(answer) : null;
+            if (!error) {
+              finish(answer, formatAnswer(message, answer));
+            }
+          } else if (key.name === 'backspace') {
+            value = value.slice(0, -1);
+            error = null;
+          } else if (text && !key.ctrl && !key.meta && text >= ' ') {
+            value += text;
+            error = null;
+          }
+        }
+      });
+    },
+
+    select({ message, choices, initial, validate }) {
+      let index = getInitialIndex(choices, initial);
+      let error = null;
+
+      return run({
+        render: () => {
+          const lines = [formatQuestion(message, '(↑/↓ to move, enter to choose)')];
+          choices.forEach((choice, position) => {
+            const description = choice.description ? colors.gray(` - ${choice.description}`) : '';
+            lines.push(position === index
+              ? `${colors.cyan('❯')} ${colors.cyan(choice.title)}${description}`
+              : `  ${choice.title}${description}`);
+          });
+          if (error) {
+            lines.push(formatError(error));
+          }
+          return lines.join('\n');
+        },
+        onKey: (text, key, finish) => {
+          error = null;
+          if (key.name === 'up' || key.name === 'k') {
+            index = (index - 1 + choices.length) % choices.length;
+          } else if (key.name === 'down' || key.name === 'j') {
+            index = (index + 1) % choices.length;
+          } else if (key.name === 'return' || key.name === 'enter') {
+            const choice = choices[index];
+            error = validate ? validate(choice.value) : null;
+            if (!error) {
+              finish(choice.value, formatAnswer(message, choice.title));
+            }
+          }
+        }
+      });
+    },
+
+    multiselect({ message, choices, validate }) {
+      const selected = new Set(choices.filter((choice) => choice.selected).map((choice) => choice.value));
+      let index = 0;
+      let error = null;
+
+      return run({
+        render: () => {
+          const lines = [formatQuestion(message, '(space to toggle, a for all, enter to confirm)')];
+          choices.forEach((choice, position) => {
+            const box = selected.has(choice.value) ? colors.green('◉') : '◯';
+            const pointer = position === index ? colors.cyan('❯') : ' ';
+            const description = choice.description ? colors.gray(` - ${choice.description}`) : '';
+            lines.push(`${pointer} ${box} ${position === index ? colors.cyan(choice.title) : choice.title}${description}`);
+          });
+          if (error) {
+            lines.push(formatError(error));
+          }
+          return lines.join('\n');
+        },
+        onKey: (text, key, finish) => {
+          error = null;
+          if (key.name === 'up' || key.name === 'k') {
+            index = (index - 1 + choices.length) % choices.length;
+          } else if (key.name === 'down' || key.name === 'j') {
+            index = (index + 1) % choices.length;
+          } else if (key.name === 'space') {
+            const { value } = choices[index];
+            if (selected.has(value)) {
+              selected.delete(value);
+            } else {
+              selected.add(value);
+            }
+          } else if (key.name === 'a') {
+            const selectAll = selected.size < choices.length;
+            choices.forEach((choice) => (selectAll ? selected.add(choice.value) : selected.delete(choice.value)));
+          } else if (key.name === 'return' || key.name === 'enter') {
+            const values = choices.map((choice) => choice.value).filter((value) => selected.has(value));
+            error = validate ? validate(values) : null;
+            if (!error) {
+              finish(values, formatAnswer(message, formatChoices(choices, values)));
+            }
+          }
+        }
+      });
+    },
+
+    confirm({ message, initial = false }) {
+      return run({
+        render: () => formatQuestion(message, initial ? '(Y/n)' : '(y/N)'),
+        onKey: (text, key, finish) => {
+          if (key.name === 'y') {
+            finish(true, formatAnswer(message, 'yes'));
+          } else if (key.name === 'n') {
+            finish(false, formatAnswer(message, 'no'));
+          } else if (key.name === 'return' || key.name === 'enter') {
+            finish(initial, formatAnswer(message, initial ? 'yes' : 'no'));
+          }
+        }
+      });
+    },
+
+    print(text) {
+      output.write(`${text}\n`);
+    },
+
+    close() {}
+  };
+}
+
+module.exports = {
+  createPrompter,
+  createCancelledError
+};
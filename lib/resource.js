@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { detectProjectConfig } = require('./project');
+const { addNestModuleImport, addNamedImports, addTrpcRouter } = require('./merge');
+const { getDrizzleCoreModule } = require('./templates/database');
+const {
+  FIELD_TYPES,
+  generateResourceFiles,
+  generateResourceRouter,
+  generatePrismaModel,
+  generateDrizzleTable,
+  getDrizzleTableImports
+} = require('./templates/resource');
+
+const DEFAULT_FIELDS = 'name:string';
+
+// Adds a CRUD resource to the backend of an existing project: the Prisma model
+// or Drizzle table, a NestJS module with service, controller and DTOs, and
+// optionally a tRPC router. Everything is checked before the first write so a
+// clash with existing code leaves the project untouched.
+async function generateResource(projectPath, name, options = {}) {
+  const { config } = await detectProjectConfig(projectPath);
+  const resource = createResource(name, options.fields || DEFAULT_FIELDS);
+  const trpc = options.trpc === undefined ? config.trpc : options.trpc;
+
+  if (trpc && !config.trpc) {
+    throw new Error('This project does not use tRPC. Add it first with "create-kurdemy-app add trpc".');
+  }
+
+  const backendPath = path.join(projectPath, 'src/backend');
+  const paths = {
+    module: path.join(backendPath, 'src/modules', resource.plural.kebab),
+    appModule: path.join(backendPath, 'src/app.module.ts'),
+    schema: config.orm === 'prisma'
+      ? path.join(projectPath, 'prisma/schema.prisma')
+      : path.join(projectPath, 'src/shared/database/schema.ts'),
+    router: path.join(backendPath, 'src/trpc/routers', `${resource.plural.kebab}.router.ts`),
+    appRouter: path.join(backendPath, 'src/trpc/app.router.ts')
+  };
+
+  if (await fs.pathExists(paths.module)) {
+    throw new Error(`${path.relative(projectPath, paths.module)} already exists.`);
+  }
+  if (trpc && await fs.pathExists(paths.router)) {
+    throw new Error(`${path.relative(projectPath, paths.router)} already exists.`);
+  }
+
+  const schema = await fs.readFile(paths.schema, 'utf8');
+  const updatedSchema = config.orm === 'prisma'
+    ? addPrismaModel(schema, resource, config)
+    : addDrizzleTable(schema, resource, config);
+  const appModule = addNestModuleImport(
+    await fs.readFile(paths.appModule, 'utf8'),
+    `${resource.plural.pascal}Module`,
+    `./modules/${resource.plural.kebab}/${resource.plural.kebab}.module`
+  );
+  const appRouter = trpc && addTrpcRouter(
+    await fs.readFile(paths.appRouter, 'utf8'),
+    resource.plural.camel,
+    `${resource.plural.camel}Router`,
+    `./routers/${resource.plural.kebab}.router`
+  );
+
+  await generateResourceFiles(backendPath, resource, config);
+  await fs.writeFile(paths.schema, updatedSchema);
+  await fs.writeFile(paths.appModule, appModule);
+  if (trpc) {
+    await generateResourceRouter(backendPath, resource, config);
+    await fs.writeFile(paths.appRouter, appRouter);
+  }
+
+  const relative = (file) => path.relative(projectPath, file).split(path.sep).join('/');
+  const modulePrefix = `${relative(paths.module)}/`;
+
+  return {
+    resource,
+    config,
+    created: [
+      `${modulePrefix}${resource.plural.kebab}.module.ts`,
+      `${modulePrefix}${resource.plural.kebab}.service.ts`,
+      `${modulePrefix}${resource.plural.kebab}.controller.ts`,
+      `${modulePrefix}dto/create-${resource.singular.kebab}.dto.ts`,
+      `${modulePrefix}dto/update-${resource.singular.kebab}.dto.ts`,
+      ...(trpc ? [relative(paths.router)] : [])
+    ],
+    updated: [relative(paths.schema), relative(paths.appModule), ...(trpc ? [relative(paths.appRouter)] : [])]
+  };
+}
+
+function addPrismaModel(schema, resource, config) {
+  if (new RegExp(`^model\\s+${resource.singular.pascal}\\s*{`, 'm').test(schema)) {
+    throw new Error(`prisma/schema.prisma already has a ${resource.singular.pascal} model.`);
+  }
+  return `${schema.replace(/\n*$/, '\n')}\n${generatePrismaModel(resource, config)}`;
+}
+
+function addDrizzleTable(schema, resource, config) {
+  const table = resource.plural.camel;
+  if (new RegExp(`export const ${table}\\b`).test(schema)) {
+    throw new Error(`src/shared/database/schema.ts already exports ${table}.`);
+  }
+
+  const definition = generateDrizzleTable(resource, config);
+  let result = addNamedImports(
+    schema,
+    `drizzle-orm/${getDrizzleCoreModule(config.database)}`,
+    getDrizzleTableImports(definition)
+  );
+
+  // New tables go before the relations, and into the exported `schema` object if there is one
+  const relationsIndex = result.indexOf('// Relations');
+  result = relationsIndex === -1
+    ? `${result.replace(/\n*$/, '\n')}\n${definition}`
+    : `${result.slice(0, relationsIndex)}${definition}\n${result.slice(relationsIndex)}`;
+
+  return result.replace(/export const schema = {\n/, (match) => `${match}  ${table},\n`);
+}
+
+// `name` is the singular entity name in any case, e.g. "product", "BlogPost"
+// or "blog_post". A plural like "products" is read as its singular.
+function createResource(name, fields) {
+  const words = splitWords(name || '');
+  if (words.length === 0 || !/^[a-z]/.test(words[0])) {
+    throw new Error(`"${name || ''}" is not a valid resource name. Use letters and digits, e.g. "product" or "blog-post".`);
+  }
+
+  const singularWords = [...words.slice(0, -1), singularize(words[words.length - 1])];
+  const pluralWords = [...words.slice(0, -1), pluralize(singularWords[singularWords.length - 1])];
+
+  return {
+    singular: formatNames(singularWords),
+    plural: formatNames(pluralWords),
+    fields: parseFields(fields)
+  };
+}
+
+function splitWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+function formatNames(words) {
+  const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+  return {
+    words: words.join(' '),
+    label: capitalize(words.join(' ')),
+    kebab: words.join('-'),
+    snake: words.join('_'),
+    camel: words[0] + words.slice(1).map(capitalize).join(''),
+    pascal: words.map(capitalize).join('')
+  };
+}
+
+function singularize(word) {
+  if (/[^aeiou]ies$/.test(word)) return word.replace(/ies$/, 'y');
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.replace(/es$/, '');
+  if (/[^su]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, 'ies');
+  if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// "title:string,price:float,notes:text?" -> [{ name, column, type, optional }]
+function parseFields(definition) {
+  const reserved = ['id', 'createdAt', 'updatedAt'];
+  const fields = definition.split(',').map((field) => field.trim()).filter(Boolean).map((field) => {
+    const match = field.match(/^([A-Za-z][A-Za-z0-9_]*)(?::(\w+))?(\?)?$/);
+    if (!match) {
+      throw new Error(`Invalid field "${field}". Use name:type, e.g. title:string or notes:text?.`);
+    }
+
+    const [, rawName, type = 'string', optional] = match;
+    if (!FIELD_TYPES[type]) {
+      throw new Error(`Unknown type "${type}" for field "${rawName}". Use one of: ${Object.keys(FIELD_TYPES).join(', ')}.`);
+    }
+
+    const { camel: name, snake: column } = formatNames(splitWords(rawName));
+    if (reserved.includes(name)) {
+      throw new Error(`"${name}" is added to every resource automatically and cannot be used as a field.`);
+    }
+    return { name, column, type, optional: Boolean(optional) };
+  });
+
+  if (fields.length === 0) {
+    throw new Error('A resource needs at least one field.');
+  }
+
+  const names = fields.map(({ name }) => name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Field "${duplicate}" is defined twice.`);
+  }
+
+  return fields;
+}
+
+module.exports = {
+  generateResource,
+  createResource
+};
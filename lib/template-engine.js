@@ -0,0 +1,303 @@
+const { readFile } = require('fs').promises;
+const path = require('path');
+const fs = require('./file-system');
+
+// Renders the file templates in templates/<group>/. Each group has a
+// templates.json listing its files: the `template` to read, the `output` path
+// in the project (itself a template) and optionally an `if` condition, a
+// `mode` such as "755" and `data` to add for this file, so one template can be
+// written twice with different values.
+//
+// Template syntax:
+//   {{ expression }}                   inserts a string or number
+//   {{#if expression}} ... {{/if}}     with an optional {{else}}
+//   \{{                                a literal "{{"
+//   {{{ expression }}}                 the value between literal braces, as in JSX
+//
+// Expressions are names looked up in the data (`orm`, `drizzle.table`),
+// 'strings', numbers, true/false, function calls from the data
+// (`column('email')`), ==, !=, !, && and || with parentheses. A block tag
+// alone on its line removes the whole line. Names missing from the data and
+// values that aren't strings or numbers fail the render instead of ending up
+// in the output as "undefined" or "[object Object]".
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+async function renderTemplateGroup(group, projectPath, data) {
+  const groupDir = path.join(TEMPLATES_DIR, group);
+  const entries = JSON.parse(await readTemplateFile(path.join(groupDir, 'templates.json')));
+
+  for (const entry of entries) {
+    const entryData = entry.data ? { ...data, ...entry.data } : data;
+    if (entry.if !== undefined && !evaluate(entry.if, entryData, `${group}/templates.json`)) {
+      continue;
+    }
+
+    const source = await readTemplateFile(path.join(groupDir, entry.template));
+    const output = path.join(projectPath, render(entry.output, entryData, `${group}/templates.json`));
+    await fs.ensureDir(path.dirname(output));
+    await fs.writeFile(output, render(source, entryData, `${group}/${entry.template}`));
+    if (entry.mode) {
+      await fs.chmod(output, entry.mode);
+    }
+  }
+}
+
+// Templates ship with the CLI, so they are always read from disk, even when
+// the project itself is generated into memory
+function readTemplateFile(file) {
+  return readFile(file, 'utf8');
+}
+
+function render(source, data, name = 'template') {
+  const tokens = tokenize(source);
+  const [nodes, end] = parseBlocks(tokens, 0, name);
+  if (end < tokens.length) {
+    const stray = tokens[end];
+    throw new Error(`${name}:${stray.line}: {{${stray.type === 'else' ? 'else' : '/if'}}} without a matching {{#if}}.`);
+  }
+  return renderNodes(nodes, data, name);
+}
+
+// Splits the source into text and tags, dropping the lines that hold nothing
+// but a block tag
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\\\{\{|\{\{(?!\{)([\s\S]*?)\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = pattern.lastIndex;
+
+    if (match[0] === '\\{{') {
+      tokens.push({ type: 'text', value: '{{' });
+      continue;
+    }
+
+    const tag = match[1].trim();
+    const line = getLine(source, match.index);
+    const block = /^(#if\s|else$|\/if$)/.exec(tag);
+    if (!block) {
+      tokens.push({ type: 'value', expression: tag, line });
+      continue;
+    }
+
+    const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+    const lineEnd = source.indexOf('\n', last);
+    const end = lineEnd === -1 ? source.length : lineEnd;
+    const standalone = /^[ \t]*$/.test(source.slice(lineStart, match.index)) && /^[ \t\r]*$/.test(source.slice(last, end));
+
+    if (standalone) {
+      const previous = tokens[tokens.length - 1];
+      if (match.index > lineStart) {
+        previous.value = previous.value.slice(0, previous.value.length - (match.index - lineStart));
+      }
+      last = lineEnd === -1 ? source.length : lineEnd + 1;
+      pattern.lastIndex = last;
+    }
+
+    if (tag.startsWith('#if')) {
+      tokens.push({ type: 'if', expression: tag.slice(3).trim(), line });
+    } else {
+      tokens.push({ type: tag === 'else' ? 'else' : 'end', line });
+    }
+  }
+
+  if (last < source.length) {
+    tokens.push({ type: 'text', value: source.slice(last) });
+  }
+  return tokens;
+}
+
+function getLine(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+// Builds the tree of {{#if}} blocks, returning the nodes and the index of the
+// {{else}} or {{/if}} that ended them (or the end of the tokens)
+function parseBlocks(tokens, start, name) {
+  const nodes = [];
+  let index = start;
+
+  while (index < tokens.length) {
+    const token = tokens[index];
+    if (token.type === 'else' || token.type === 'end') {
+      return [nodes, index];
+    }
+
+    if (token.type !== 'if') {
+      nodes.push(token);
+      index++;
+      continue;
+    }
+
+    const [then, thenEnd] = parseBlocks(tokens, index + 1, name);
+    let otherwise = [];
+    let end = thenEnd;
+    if (tokens[end] && tokens[end].type === 'else') {
+      [otherwise, end] = parseBlocks(tokens, end + 1, name);
+    }
+    if (!tokens[end] || tokens[end].type !== 'end') {
+      throw new Error(`${name}:${token.line}: {{#if ${token.expression}}} is never closed with {{/if}}.`);
+    }
+
+    nodes.push({ type: 'if', expression: token.expression, line: token.line, then, otherwise });
+    index = end + 1;
+  }
+
+  return [nodes, index];
+}
+
+function renderNodes(nodes, data, name) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'value') {
+      const value = evaluate(node.expression, data, `${name}:${node.line}`);
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`${name}:${node.line}: {{ ${node.expression} }} is ${describe(value)}, not a string.`);
+      }
+      output += value;
+    } else {
+      const condition = evaluate(node.expression, data, `${name}:${node.line}`);
+      output += renderNodes(condition ? node.then : node.otherwise, data, name);
+    }
+  }
+
+  return output;
+}
+
+function describe(value) {
+  if (value === undefined || value === null || typeof value === 'boolean') {
+    return String(value);
+  }
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+// Expressions
+
+const EXPRESSION_TOKENS = /\s*(?:('(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(==|!=|&&|\|\||[!(),]))/y;
+
+function evaluate(expression, data, location) {
+  const tokens = [];
+  EXPRESSION_TOKENS.lastIndex = 0;
+  while (EXPRESSION_TOKENS.lastIndex < expression.length) {
+    const start = EXPRESSION_TOKENS.lastIndex;
+    if (/^\s*$/.test(expression.slice(start))) break;
+
+    const match = EXPRESSION_TOKENS.exec(expression);
+    if (!match) {
+      throw new Error(`${location}: cannot read "${expression.slice(start).trim()}" in "${expression}".`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'literal', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (match[2] !== undefined) tokens.push({ type: 'literal', value: Number(match[2]) });
+    else if (match[3] === 'true' || match[3] === 'false') tokens.push({ type: 'literal', value: match[3] === 'true' });
+    else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] });
+    else tokens.push({ type: 'operator', value: match[4] });
+  }
+
+  let position = 0;
+  const peek = () => tokens[position] && tokens[position].type === 'operator' && tokens[position].value;
+  const fail = (message) => {
+    throw new Error(`${location}: ${message} in "${expression}".`);
+  };
+  const expect = (operator) => {
+    if (peek() !== operator) fail(`expected "${operator}"`);
+    position++;
+  };
+
+  function parseOr() {
+    let value = parseAnd();
+    while (peek() === '||') {
+      position++;
+      const right = parseAnd();
+      value = value || right;
+    }
+    return value;
+  }
+
+  function parseAnd() {
+    let value = parseNot();
+    while (peek() === '&&') {
+      position++;
+      const right = parseNot();
+      value = value && right;
+    }
+    return value;
+  }
+
+  function parseNot() {
+    if (peek() === '!') {
+      position++;
+      return !parseNot();
+    }
+    const left = parsePrimary();
+    if (peek() === '==' || peek() === '!=') {
+      const operator = tokens[position++].value;
+      const right = parsePrimary();
+      return operator === '==' ? left === right : left !== right;
+    }
+    return left;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) fail('unexpected end');
+
+    if (token.type === 'literal') {
+      return token.value;
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const value = parseOr();
+      expect(')');
+      return value;
+    }
+    if (token.type !== 'name') {
+      fail(`unexpected "${token.value}"`);
+    }
+
+    const value = lookup(token.value);
+    if (peek() !== '(') {
+      return value;
+    }
+
+    position++;
+    const args = [];
+    while (peek() !== ')') {
+      args.push(parseOr());
+      if (peek() !== ')') expect(',');
+    }
+    position++;
+    if (typeof value !== 'function') fail(`${token.value} is not a function`);
+    return value(...args);
+  }
+
+  function lookup(name) {
+    let value = data;
+    for (const key of name.split('.')) {
+      if (value === null || typeof value !== 'object' || !(key in value)) {
+        fail(`${name} is not defined`);
+      }
+      value = value[key];
+    }
+    return value;
+  }
+
+  const result = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position].value}"`);
+  }
+  return result;
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  render,
+  renderTemplateGroup
+};
@@ -1,6 +1,6 @@
 module.exports = {
     // Core generators
-    generatePackageJson: require('./package').generatePackageJson,
+    generatePackageJson: require('./packages').generatePackageJson,
     generateEnvFiles: require('./env').generateEnvFiles,
     
     // Backend generators
@@ -8,7 +8,7 @@ module.exports = {
     
     // Frontend generators
     generateNextJSFiles: require('./nextjs').generateNextJSFiles,
-    generateReactFiles: require('./react').generateReactFiles,
+    generateReactFiles: require('./reactjs').generateReactFiles,
     
     // Database generators
     generateDatabaseFiles: require('./database').generateDatabaseFiles,
@@ -17,6 +17,7 @@ module.exports = {
     generateTRPCFiles: require('./trpc').generateTRPCFiles,
     generateAuthFiles: require('./auth').generateAuthFiles,
     generateTailwindFiles: require('./tailwind').generateTailwindFiles,
+    generateTestFiles: require('./testing').generateTestFiles,
     
     // Configuration generators
     generateConfigFiles: require('./config').generateConfigFiles,
@@ -1,7 +1,47 @@
-const fs = require('fs-extra');
+const fs = require('../file-system');
 const path = require('path');
+const { getDrizzleKitDialect } = require('./database');
+const { getUnscopedName } = require('../validator');
+
+const WORKSPACES = ['src/backend', 'src/frontend'];
+
+const PACKAGE_MANAGERS = {
+  npm: {
+    version: '10.2.4',
+    engine: '>=7.0.0',
+    install: 'npm install',
+    ci: 'npm ci',
+    run: 'npm run',
+    exec: 'npx',
+    audit: 'npm audit --audit-level high',
+    lockfile: 'package-lock.json'
+  },
+  yarn: {
+    version: '1.22.19',
+    engine: '>=1.22.0',
+    install: 'yarn install',
+    ci: 'yarn install --frozen-lockfile',
+    run: 'yarn',
+    exec: 'yarn',
+    audit: 'yarn audit --level high',
+    lockfile: 'yarn.lock'
+  },
+  pnpm: {
+    version: '8.15.0',
+    engine: '>=8.0.0',
+    install: 'pnpm install',
+    ci: 'pnpm install --frozen-lockfile',
+    run: 'pnpm',
+    exec: 'pnpm exec',
+    audit: 'pnpm audit --audit-level high',
+    lockfile: 'pnpm-lock.yaml'
+  }
+};
 
 async function generatePackageJson(projectPath, projectName, config) {
+  const pm = getPackageManagerCommands(config.packageManager);
+  const run = pm.run;
+
   const packageJson = {
     name: projectName,
     version: "0.1.0",
@@ -9,33 +49,32 @@ async function generatePackageJson(projectPath, projectName, config) {
     private: true,
     scripts: {
       // Development
-      "dev": "concurrently \"npm run dev:backend\" \"npm run dev:frontend\"",
-      "dev:backend": "cd src/backend && npm run start:dev",
-      "dev:frontend": config.frontend === 'nextjs' 
-        ? "cd src/frontend && npm run dev" 
-        : "cd src/frontend && npm start",
+      "dev": `concurrently \"${run} dev:backend\" \"${run} dev:frontend\"`,
+      "dev:backend": `cd src/backend && ${run} start:dev`,
+      "dev:frontend": config.frontend === 'react' 
+        ? `cd src/frontend && ${run} start` 
+        : `cd src/frontend && ${run} dev`,
       
       // Build
-      "build": "npm run build:backend && npm run build:frontend",
-      "build:backend": "cd src/backend && npm run build",
-      "build:frontend": config.frontend === 'nextjs'
-        ? "cd src/frontend && npm run build"
-        : "cd src/frontend && npm run build",
+      "build": `${run} build:backend && ${run} build:frontend`,
+      "build:backend": `cd src/backend && ${run} build`,
+      "build:frontend": `cd src/frontend && ${run} build`,
       
       // Production
-      "start": "concurrently \"npm run start:backend\" \"npm run start:frontend\"",
-      "start:backend": "cd src/backend && npm run start:prod",
+      "start": `concurrently \"${run} start:backend\" \"${run} start:frontend\"`,
+      "start:backend": `cd src/backend && ${run} start:prod`,
       "start:frontend": config.frontend === 'nextjs'
-        ? "cd src/frontend && npm start"
-        : "serve -s src/frontend/build",
+        ? `cd src/frontend && ${run} start`
+        : `serve -s src/frontend/${config.frontend === 'vite' ? 'dist' : 'build'}`,
       
       // Linting and Testing
-      "lint": "npm run lint:backend && npm run lint:frontend",
-      "lint:backend": "cd src/backend && npm run lint",
-      "lint:frontend": "cd src/frontend && npm run lint",
-      "test": "npm run test:backend && npm run test:frontend",
-      "test:backend": "cd src/backend && npm run test",
-      "test:frontend": "cd src/frontend && npm test",
+      "lint": `${run} lint:backend && ${run} lint:frontend`,
+      "lint:backend": `cd src/backend && ${run} lint`,
+      "lint:frontend": `cd src/frontend && ${run} lint`,
+      "test": `${run} test:backend && ${run} test:frontend`,
+      "test:backend": `cd src/backend && ${run} test`,
+      "test:frontend": `cd src/frontend && ${run} test`,
+      "test:e2e": `cd src/backend && ${run} test:e2e`,
       
       // Utilities
       "clean": "rimraf dist build .next",
@@ -51,19 +90,24 @@ async function generatePackageJson(projectPath, projectName, config) {
       "concurrently": "^8.2.0",
       "rimraf": "^5.0.0",
       "prettier": "^3.0.0",
-      "@types/node": "^20.0.0"
+      "@types/node": "^20.0.0",
+
+      // Git hooks
+      "husky": "^8.0.3",
+      "lint-staged": "^15.0.2",
+      "sort-package-json": "^2.6.0",
+      "@commitlint/cli": "^18.2.0",
+      "@commitlint/config-conventional": "^18.1.0"
     },
-    workspaces: [
-      "src/backend",
-      "src/frontend"
-    ],
+    workspaces: WORKSPACES,
+    packageManager: `${config.packageManager}@${pm.version}`,
     engines: {
       "node": ">=16.0.0",
-      "npm": ">=7.0.0"
+      [config.packageManager]: pm.engine
     },
     repository: {
       "type": "git",
-      "url": `git+https://github.com/dana-1sherzad/${projectName}.git`
+      "url": `git+https://github.com/dana-1sherzad/${getUnscopedName(projectName)}.git`
     },
     keywords: [
       "kurdemy",
@@ -76,6 +120,43 @@ async function generatePackageJson(projectPath, projectName, config) {
     license: "MIT"
   };
 
+  // pnpm reads its workspaces from pnpm-workspace.yaml instead of package.json
+  if (config.packageManager === 'pnpm') {
+    delete packageJson.workspaces;
+    await fs.writeFile(
+      path.join(projectPath, 'pnpm-workspace.yaml'),
+      `packages:\n${WORKSPACES.map((workspace) => `  - '${workspace}'`).join('\n')}\n`
+    );
+  }
+
+  if (config.docker) {
+    packageJson.scripts["docker:dev"] = "bash scripts/docker/dev.sh";
+    packageJson.scripts["docker:prod"] = "bash scripts/docker/prod.sh";
+    packageJson.scripts["docker:down"] = "docker-compose -f docker-compose.dev.yml down";
+  }
+
+  if (config.orm === 'prisma') {
+    packageJson.scripts["db:generate"] = "prisma generate";
+    packageJson.scripts["db:push"] = "prisma db push";
+    packageJson.scripts["db:migrate"] = "prisma migrate dev";
+    packageJson.scripts["db:studio"] = "prisma studio";
+    packageJson.dependencies["@prisma/client"] = "^5.4.0";
+    packageJson.devDependencies["prisma"] = "^5.4.0";
+  } else if (config.orm === 'drizzle') {
+    const dialect = getDrizzleKitDialect(config.database);
+    packageJson.scripts["db:generate"] = `drizzle-kit generate:${dialect}`;
+    packageJson.scripts["db:push"] = `drizzle-kit push:${dialect}`;
+    packageJson.dependencies["drizzle-orm"] = "^0.28.6";
+    packageJson.dependencies["dotenv"] = "^16.3.1";
+    Object.assign(packageJson.dependencies, getDrizzleDriverDependencies(config.database));
+    packageJson.devDependencies["drizzle-kit"] = "^0.19.13";
+  }
+
+  // Seed scripts hash passwords and run through ts-node
+  packageJson.dependencies["bcrypt"] = "^5.1.1";
+  packageJson.devDependencies["@types/bcrypt"] = "^5.0.0";
+  packageJson.devDependencies["ts-node"] = "^10.9.1";
+
   if (config.trpc) {
     packageJson.dependencies["@trpc/server"] = "^10.38.0";
     packageJson.dependencies["@trpc/client"] = "^10.38.0";
@@ -85,7 +166,7 @@ async function generatePackageJson(projectPath, projectName, config) {
     packageJson.dependencies["zod"] = "^3.22.0";
   }
 
-  if (config.auth) {
+  if (config.auth && config.frontend === 'nextjs') {
     packageJson.dependencies["next-auth"] = "^4.23.0";
   }
 
@@ -96,7 +177,7 @@ async function generatePackageJson(projectPath, projectName, config) {
   }
 
   // Add serve for React.js production
-  if (config.frontend === 'react') {
+  if (config.frontend !== 'nextjs') {
     packageJson.devDependencies["serve"] = "^14.2.0";
   }
 
@@ -141,15 +222,24 @@ async function generateBackendPackageJson(projectPath, config) {
       "reflect-metadata": "^0.1.13",
       "rxjs": "^7.8.0",
       "class-validator": "^0.14.0",
-      "class-transformer": "^0.5.1"
+      "class-transformer": "^0.5.1",
+      "@nestjs/jwt": "^10.1.1",
+      "@nestjs/passport": "^10.0.2",
+      "passport": "^0.6.0",
+      "passport-jwt": "^4.0.1",
+      "passport-local": "^1.0.0",
+      "bcrypt": "^5.1.1"
     },
     devDependencies: {
       "@nestjs/cli": "^10.0.0",
       "@nestjs/schematics": "^10.0.0",
       "@nestjs/testing": "^10.0.0",
+      "@types/bcrypt": "^5.0.0",
       "@types/express": "^4.17.17",
       "@types/jest": "^29.5.2",
       "@types/node": "^20.3.1",
+      "@types/passport-jwt": "^3.0.10",
+      "@types/passport-local": "^1.0.36",
       "@types/supertest": "^2.0.12",
       "@typescript-eslint/eslint-plugin": "^6.0.0",
       "@typescript-eslint/parser": "^6.0.0",
@@ -165,9 +255,28 @@ async function generateBackendPackageJson(projectPath, config) {
       "ts-node": "^10.9.1",
       "tsconfig-paths": "^4.2.0",
       "typescript": "^5.1.3"
+    },
+    jest: {
+      "moduleFileExtensions": ["js", "json", "ts"],
+      "rootDir": "src",
+      "testRegex": ".*\\.spec\\.ts$",
+      "transform": {
+        "^.+\\.(t|j)s$": "ts-jest"
+      },
+      "collectCoverageFrom": ["**/*.(t|j)s"],
+      "coverageDirectory": "../coverage",
+      "testEnvironment": "node"
     }
   };
 
+  // Add database client dependencies
+  if (config.orm === 'prisma') {
+    backendPackageJson.dependencies["@prisma/client"] = "^5.4.0";
+  } else if (config.orm === 'drizzle') {
+    backendPackageJson.dependencies["drizzle-orm"] = "^0.28.6";
+    Object.assign(backendPackageJson.dependencies, getDrizzleDriverDependencies(config.database));
+  }
+
   // Add tRPC specific dependencies
   if (config.trpc) {
     backendPackageJson.dependencies["@trpc/server"] = "^10.38.0";
@@ -193,6 +302,8 @@ async function generateFrontendPackageJson(projectPath, config) {
         "build": "next build",
         "start": "next start -p 3000",
         "lint": "next lint",
+        "test": "jest",
+        "test:watch": "jest --watch",
         "type-check": "tsc --noEmit"
       },
       dependencies: {
@@ -205,8 +316,49 @@ async function generateFrontendPackageJson(projectPath, config) {
         "@types/react": "^18.2.0",
         "@types/react-dom": "^18.2.0",
         "@types/node": "^20.0.0",
+        "@types/jest": "^29.5.0",
+        "@testing-library/jest-dom": "^6.4.0",
+        "@testing-library/react": "^14.2.0",
         "eslint": "^8.42.0",
-        "eslint-config-next": "^13.5.0"
+        "eslint-config-next": "^13.5.0",
+        "jest": "^29.7.0",
+        "jest-environment-jsdom": "^29.7.0"
+      }
+    };
+  } else if (config.frontend === 'vite') {
+    frontendPackageJson = {
+      name: "frontend",
+      version: "0.1.0",
+      private: true,
+      scripts: {
+        "dev": "vite",
+        "build": "vite build",
+        "preview": "vite preview",
+        "test": "vitest run",
+        "test:watch": "vitest",
+        "lint": "eslint src --ext .ts,.tsx",
+        "type-check": "tsc --noEmit"
+      },
+      dependencies: {
+        "react": "^18.2.0",
+        "react-dom": "^18.2.0",
+        "react-router-dom": "^6.22.0"
+      },
+      devDependencies: {
+        "@types/react": "^18.2.0",
+        "@types/react-dom": "^18.2.0",
+        "@vitejs/plugin-react": "^4.2.1",
+        "@testing-library/jest-dom": "^6.4.0",
+        "@testing-library/react": "^14.2.0",
+        "@typescript-eslint/eslint-plugin": "^6.21.0",
+        "@typescript-eslint/parser": "^6.21.0",
+        "eslint": "^8.56.0",
+        "eslint-config-prettier": "^9.1.0",
+        "eslint-plugin-react-hooks": "^4.6.0",
+        "jsdom": "^24.0.0",
+        "typescript": "^5.0.0",
+        "vite": "^5.1.0",
+        "vitest": "^1.3.0"
       }
     };
   } else {
@@ -217,7 +369,8 @@ async function generateFrontendPackageJson(projectPath, config) {
       scripts: {
         "start": "react-scripts start",
         "build": "react-scripts build",
-        "test": "react-scripts test",
+        "test": "react-scripts test --watchAll=false --passWithNoTests",
+        "test:watch": "react-scripts test",
         "eject": "react-scripts eject",
         "lint": "eslint src --ext .ts,.tsx",
         "type-check": "tsc --noEmit"
@@ -225,12 +378,16 @@ async function generateFrontendPackageJson(projectPath, config) {
       dependencies: {
         "react": "^18.2.0",
         "react-dom": "^18.2.0",
+        "react-router-dom": "^6.22.0",
         "react-scripts": "^5.0.1",
         "web-vitals": "^3.4.0"
       },
       devDependencies: {
+        "@types/jest": "^29.5.0",
         "@types/react": "^18.2.0",
         "@types/react-dom": "^18.2.0",
+        "@testing-library/jest-dom": "^6.4.0",
+        "@testing-library/react": "^14.2.0",
         "typescript": "^5.0.0"
       },
       browserslist: {
@@ -262,6 +419,12 @@ async function generateFrontendPackageJson(projectPath, config) {
     frontendPackageJson.dependencies["next-auth"] = "^4.23.0";
   }
 
+  // cn() in lib/utils (Next.js) and the Tailwind utilities are built on these
+  if (config.frontend === 'nextjs' || config.tailwind) {
+    frontendPackageJson.dependencies["clsx"] = "^2.0.0";
+    frontendPackageJson.dependencies["tailwind-merge"] = "^2.0.0";
+  }
+
   if (config.tailwind) {
     frontendPackageJson.devDependencies["tailwindcss"] = "^3.3.0";
     frontendPackageJson.devDependencies["autoprefixer"] = "^10.4.0";
@@ -274,8 +437,22 @@ async function generateFrontendPackageJson(projectPath, config) {
   );
 }
 
+function getPackageManagerCommands(packageManager) {
+  return PACKAGE_MANAGERS[packageManager] || PACKAGE_MANAGERS.npm;
+}
+
+function getDrizzleDriverDependencies(database) {
+  const dependencies = {
+    postgresql: { "postgres": "^3.3.5" },
+    mysql: { "mysql2": "^3.6.1" },
+    sqlite: { "better-sqlite3": "^8.7.0" }
+  };
+  return dependencies[database] || dependencies.postgresql;
+}
+
 module.exports = {
   generatePackageJson,
   generateBackendPackageJson,
-  generateFrontendPackageJson
+  generateFrontendPackageJson,
+  getPackageManagerCommands
 };
\ No newline at end of file
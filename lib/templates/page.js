@@ -0,0 +1,147 @@
+const fs = require('../file-system');
+const path = require('path');
+
+// Pages for `generate page`. Next.js pages live in the app directory next to
+// their loading/error boundaries; React pages go to src/pages and are wired
+// into App.tsx by lib/page.js.
+async function generateNextPageFiles(frontendPath, page, options) {
+  const pagePath = path.join(frontendPath, 'app', page.nextDirectory);
+  await fs.ensureDir(pagePath);
+
+  await fs.writeFile(path.join(pagePath, 'page.tsx'), generateNextPage(page, options));
+
+  if (options.loading) {
+    await fs.writeFile(path.join(pagePath, 'loading.tsx'), generateNextLoading());
+  }
+
+  if (options.error) {
+    await fs.writeFile(path.join(pagePath, 'error.tsx'), generateNextError(page));
+  }
+}
+
+async function generateReactPageFile(frontendPath, page, options) {
+  const file = path.join(frontendPath, page.reactFile);
+  await fs.ensureDir(path.dirname(file));
+  await fs.writeFile(file, generateReactPage(page, options));
+}
+
+function generateNextPage(page, { protected: isProtected, trpc }) {
+  const componentName = `${page.name}Page`;
+  const hasParams = page.params.length > 0;
+  const imports = [
+    trpc ? "import { trpc } from '@/lib/trpc/client'" : '',
+    isProtected ? "import { ProtectedRoute } from '@/components/auth/ProtectedRoute'" : ''
+  ].filter(Boolean);
+
+  const signature = hasParams
+    ? `{ params }: { params: { ${page.params.map((param) => `${param}: string`).join('; ')} } }`
+    : '';
+  const content = generatePageContent(page, { trpc, params: 'params.' }).trimEnd();
+  const body = isProtected
+    ? `    <ProtectedRoute>
+${indent(content, 6)}
+    </ProtectedRoute>`
+    : indent(content, 4);
+
+  // Hooks (tRPC) and ProtectedRoute need a client component
+  const directive = trpc || isProtected ? "'use client'\n\n" : '';
+
+  return `${directive}${imports.length > 0 ? `${imports.join('\n')}\n\n` : ''}export default function ${componentName}(${signature}) {
+${trpc ? `  // Replace with the query this page needs
+  const { data, isLoading, error } = trpc.health.check.useQuery()
+
+` : ''}  return (
+${body}
+  )
+}
+`;
+}
+
+function generateNextLoading() {
+  return `export default function Loading() {
+  return (
+    <div className="flex items-center justify-center min-h-[50vh]">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+    </div>
+  )
+}
+`;
+}
+
+function generateNextError(page) {
+  return `'use client'
+
+export default function Error({
+  error,
+  reset,
+}: {
+  error: Error & { digest?: string }
+  reset: () => void
+}) {
+  return (
+    <div className="flex flex-col items-center justify-center min-h-[50vh]">
+      <h2 className="text-2xl font-bold mb-4">Could not load ${page.label}</h2>
+      <p className="text-gray-600 mb-4">{error.message}</p>
+      <button
+        onClick={() => reset()}
+        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+      >
+        Try again
+      </button>
+    </div>
+  )
+}
+`;
+}
+
+function generateReactPage(page, { trpc }) {
+  const hasParams = page.params.length > 0;
+  // From src/pages/... back up to src/
+  const toSrc = '../'.repeat(page.reactFile.split('/').length - 2);
+  const imports = [
+    "import React from 'react';",
+    hasParams ? "import { useParams } from 'react-router-dom';" : '',
+    trpc ? `import { trpc } from '${toSrc}lib/trpc/client';` : ''
+  ].filter(Boolean);
+
+  return `${imports.join('\n')}
+
+export function ${page.name}() {
+${hasParams ? `  const { ${page.params.join(', ')} } = useParams();\n` : ''}${trpc ? `  // Replace with the query this page needs
+  const { data, isLoading, error } = trpc.health.check.useQuery();
+` : ''}${hasParams || trpc ? '\n' : ''}  return (
+${indent(generatePageContent(page, { trpc, params: '' }).trimEnd(), 4)}
+  );
+}
+`;
+}
+
+// The JSX both frameworks share, starting at column 0
+function generatePageContent(page, { trpc, params }) {
+  const description = page.params.length > 0
+    ? `${page.label} for ${page.params.map((param) => `{${params}${param}}`).join(', ')}.`
+    : `This is the ${page.route} page.`;
+
+  return `<div className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+  <h1 className="text-3xl font-bold text-gray-900">${page.label}</h1>
+  <p className="mt-2 text-gray-600">${description}</p>
+${trpc ? `  {isLoading && <p className="mt-4 text-gray-600">Loading...</p>}
+  {error && <p className="mt-4 text-red-600">{error.message}</p>}
+  {data && (
+    <pre className="mt-4 p-4 bg-gray-100 rounded text-sm text-left overflow-auto">
+      {JSON.stringify(data, null, 2)}
+    </pre>
+  )}
+` : ''}</div>
+`;
+}
+
+function indent(text, spaces) {
+  const padding = ' '.repeat(spaces);
+  return text.split('\n').map((line) => (line ? `${padding}${line}` : line)).join('\n');
+}
+
+module.exports = {
+  generateNextPageFiles,
+  generateReactPageFile
+};
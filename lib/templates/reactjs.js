@@ -1,1793 +1,19 @@
-const fs = require('fs-extra');
-const path = require('path');
+const { renderTemplateGroup } = require('../template-engine');
+const { getFrontendEnvVariable } = require('./env');
 
+// The React app lives in templates/reactjs/. Create React App and Vite share
+// src/, their build setup comes from cra/ and vite/.
 async function generateReactFiles(projectPath, config) {
-  const frontendPath = path.join(projectPath, 'src/frontend');
-
-  // Create React application structure
-  await generateReactAppStructure(frontendPath, config);
-  
-  // Create components
-  await generateReactComponents(frontendPath, config);
-  
-  // Create pages/routes
-  await generateReactPages(frontendPath, config);
-  
-  // Create utilities and hooks
-  await generateReactUtilities(frontendPath, config);
-  
-  // Create public files
-  await generateReactPublicFiles(frontendPath);
-  
-  // Create configuration files
-  await generateReactConfigFiles(frontendPath, config);
-}
-
-async function generateReactAppStructure(frontendPath, config) {
-  // src/index.tsx (Entry point)
-  const indexContent = `import React from 'react';
-import ReactDOM from 'react-dom/client';
-import './index.css';
-import App from './App';
-import reportWebVitals from './reportWebVitals';
-${config.trpc ? "import { TrpcProvider } from './lib/trpc/provider';" : ''}
-${config.auth ? "import { AuthProvider } from './lib/auth/provider';" : ''}
-
-const root = ReactDOM.createRoot(
-  document.getElementById('root') as HTMLElement
-);
-
-root.render(
-  <React.StrictMode>
-    ${config.auth ? '<AuthProvider>' : ''}
-    ${config.trpc ? '<TrpcProvider>' : ''}
-      <App />
-    ${config.trpc ? '</TrpcProvider>' : ''}
-    ${config.auth ? '</AuthProvider>' : ''}
-  </React.StrictMode>
-);
-
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/index.tsx'), indexContent);
-
-  // src/App.tsx (Main App component)
-  const appContent = `import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { Navbar } from './components/ui/Navbar';
-import { Footer } from './components/ui/Footer';
-import { Home } from './pages/Home';
-import { About } from './pages/About';
-import { Contact } from './pages/Contact';
-${config.auth ? "import { Login } from './pages/auth/Login';\nimport { Register } from './pages/auth/Register';\nimport { Dashboard } from './pages/Dashboard';\nimport { ProtectedRoute } from './components/auth/ProtectedRoute';" : ''}
-import './App.css';
-
-function App() {
-  return (
-    <Router>
-      <div className="App min-h-screen flex flex-col">
-        <Navbar />
-        <main className="flex-grow">
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/about" element={<About />} />
-            <Route path="/contact" element={<Contact />} />
-            ${config.auth ? `
-            <Route path="/auth/login" element={<Login />} />
-            <Route path="/auth/register" element={<Register />} />
-            <Route 
-              path="/dashboard" 
-              element={
-                <ProtectedRoute>
-                  <Dashboard />
-                </ProtectedRoute>
-              } 
-            />` : ''}
-          </Routes>
-        </main>
-        <Footer />
-      </div>
-    </Router>
-  );
-}
-
-export default App;
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/App.tsx'), appContent);
-
-  // src/App.css
-  const appCssContent = `@tailwind base;
-@tailwind components;
-@tailwind utilities;
-
-.App {
-  text-align: center;
-}
-
-@media (prefers-reduced-motion: no-preference) {
-  .App-logo {
-    animation: App-logo-spin infinite 20s linear;
-  }
-}
-
-@keyframes App-logo-spin {
-  from {
-    transform: rotate(0deg);
-  }
-  to {
-    transform: rotate(360deg);
-  }
-}
-
-/* Custom styles */
-.hero-gradient {
-  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-}
-
-.card-hover {
-  transition: all 0.3s ease;
-}
-
-.card-hover:hover {
-  transform: translateY(-5px);
-  box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/App.css'), appCssContent);
-
-  // src/index.css
-  const indexCssContent = `@import 'tailwindcss/base';
-@import 'tailwindcss/components';
-@import 'tailwindcss/utilities';
-
-body {
-  margin: 0;
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen',
-    'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue',
-    sans-serif;
-  -webkit-font-smoothing: antialiased;
-  -moz-osx-font-smoothing: grayscale;
-}
-
-code {
-  font-family: source-code-pro, Menlo, Monaco, Consolas, 'Courier New',
-    monospace;
-}
-
-/* Custom scrollbar */
-::-webkit-scrollbar {
-  width: 8px;
-}
-
-::-webkit-scrollbar-track {
-  background: #f1f1f1;
-}
-
-::-webkit-scrollbar-thumb {
-  background: #888;
-  border-radius: 4px;
-}
-
-::-webkit-scrollbar-thumb:hover {
-  background: #555;
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/index.css'), indexCssContent);
-
-  // src/reportWebVitals.ts
-  const reportWebVitalsContent = `import { ReportHandler } from 'web-vitals';
-
-const reportWebVitals = (onPerfEntry?: ReportHandler) => {
-  if (onPerfEntry && onPerfEntry instanceof Function) {
-    import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-      getCLS(onPerfEntry);
-      getFID(onPerfEntry);
-      getFCP(onPerfEntry);
-      getLCP(onPerfEntry);
-      getTTFB(onPerfEntry);
-    });
-  }
-};
-
-export default reportWebVitals;
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/reportWebVitals.ts'), reportWebVitalsContent);
-}
-
-async function generateReactComponents(frontendPath, config) {
-  // Navbar component
-  const navbarContent = `import React, { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
-${config.auth ? "import { useAuth } from '../../lib/auth/useAuth';" : ''}
-
-export function Navbar() {
-  const [isOpen, setIsOpen] = useState(false);
-  const location = useLocation();
-  ${config.auth ? "const { user, logout } = useAuth();" : ''}
-
-  const isActive = (path: string) => location.pathname === path;
-
-  return (
-    <nav className="bg-white shadow-lg sticky top-0 z-50">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex justify-between h-16">
-          <div className="flex items-center">
-            <Link to="/" className="text-xl font-bold text-blue-600 hover:text-blue-700">
-              Kurdemy
-            </Link>
-          </div>
-
-          {/* Desktop Navigation */}
-          <div className="hidden md:flex items-center space-x-8">
-            <Link 
-              to="/" 
-              className={\`\${isActive('/') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors\`}
-            >
-              Home
-            </Link>
-            <Link 
-              to="/about" 
-              className={\`\${isActive('/about') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors\`}
-            >
-              About
-            </Link>
-            <Link 
-              to="/contact" 
-              className={\`\${isActive('/contact') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors\`}
-            >
-              Contact
-            </Link>
-            
-            ${config.auth ? `
-            {user ? (
-              <div className="flex items-center space-x-4">
-                <Link 
-                  to="/dashboard" 
-                  className={\`\${isActive('/dashboard') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors\`}
-                >
-                  Dashboard
-                </Link>
-                <span className="text-gray-600">Welcome, {user.name}</span>
-                <button
-                  onClick={logout}
-                  className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition-colors"
-                >
-                  Sign Out
-                </button>
-              </div>
-            ) : (
-              <div className="flex items-center space-x-4">
-                <Link
-                  to="/auth/login"
-                  className="text-gray-700 hover:text-blue-600 transition-colors"
-                >
-                  Sign In
-                </Link>
-                <Link
-                  to="/auth/register"
-                  className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
-                >
-                  Sign Up
-                </Link>
-              </div>
-            )}` : `
-            <Link
-              to="/contact"
-              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
-            >
-              Get Started
-            </Link>`}
-          </div>
-
-          {/* Mobile menu button */}
-          <div className="md:hidden flex items-center">
-            <button
-              onClick={() => setIsOpen(!isOpen)}
-              className="text-gray-700 hover:text-blue-600 focus:outline-none"
-            >
-              <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                {isOpen ? (
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                ) : (
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
-                )}
-              </svg>
-            </button>
-          </div>
-        </div>
-      </div>
-
-      {/* Mobile Navigation */}
-      {isOpen && (
-        <div className="md:hidden bg-white shadow-lg">
-          <div className="px-2 pt-2 pb-3 space-y-1">
-            <Link 
-              to="/" 
-              className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
-              onClick={() => setIsOpen(false)}
-            >
-              Home
-            </Link>
-            <Link 
-              to="/about" 
-              className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
-              onClick={() => setIsOpen(false)}
-            >
-              About
-            </Link>
-            <Link 
-              to="/contact" 
-              className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
-              onClick={() => setIsOpen(false)}
-            >
-              Contact
-            </Link>
-            
-            ${config.auth ? `
-            {user ? (
-              <>
-                <Link 
-                  to="/dashboard" 
-                  className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
-                  onClick={() => setIsOpen(false)}
-                >
-                  Dashboard
-                </Link>
-                <div className="px-3 py-2 text-gray-600">Welcome, {user.name}</div>
-                <button
-                  onClick={() => {
-                    logout();
-                    setIsOpen(false);
-                  }}
-                  className="block w-full text-left px-3 py-2 text-red-600 hover:text-red-700 transition-colors"
-                >
-                  Sign Out
-                </button>
-              </>
-            ) : (
-              <>
-                <Link 
-                  to="/auth/login" 
-                  className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
-                  onClick={() => setIsOpen(false)}
-                >
-                  Sign In
-                </Link>
-                <Link 
-                  to="/auth/register" 
-                  className="block px-3 py-2 text-blue-600 hover:text-blue-700 transition-colors"
-                  onClick={() => setIsOpen(false)}
-                >
-                  Sign Up
-                </Link>
-              </>
-            )}` : ''}
-          </div>
-        </div>
-      )}
-    </nav>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/components/ui/Navbar.tsx'),
-    navbarContent
-  );
-
-  // Footer component
-  const footerContent = `import React from 'react';
-import { Link } from 'react-router-dom';
-
-export function Footer() {
-  return (
-    <footer className="bg-gray-900 text-white mt-auto">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
-        <div className="grid md:grid-cols-4 gap-8">
-          <div className="col-span-1 md:col-span-2">
-            <h3 className="text-xl font-bold mb-4">Kurdemy</h3>
-            <p className="text-gray-400 mb-4">
-              A modern fullstack application template built with the latest technologies.
-              Start building amazing applications today.
-            </p>
-            <div className="flex space-x-4">
-              <a href="#" className="text-gray-400 hover:text-white transition-colors">
-                <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 24 24">
-                  <path d="M24 4.557c-.883.392-1.832.656-2.828.775 1.017-.609 1.798-1.574 2.165-2.724-.951.564-2.005.974-3.127 1.195-.897-.957-2.178-1.555-3.594-1.555-3.179 0-5.515 2.966-4.797 6.045-4.091-.205-7.719-2.165-10.148-5.144-1.29 2.213-.669 5.108 1.523 6.574-.806-.026-1.566-.247-2.229-.616-.054 2.281 1.581 4.415 3.949 4.89-.693.188-1.452.232-2.224.084.626 1.956 2.444 3.379 4.6 3.419-2.07 1.623-4.678 2.348-7.29 2.04 2.179 1.397 4.768 2.212 7.548 2.212 9.142 0 14.307-7.721 13.995-14.646.962-.695 1.797-1.562 2.457-2.549z"/>
-                </svg>
-              </a>
-              <a href="#" className="text-gray-400 hover:text-white transition-colors">
-                <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 24 24">
-                  <path d="M22.46 6c-.77.35-1.6.58-2.46.69.88-.53 1.56-1.37 1.88-2.38-.83.5-1.75.85-2.72 1.05C18.37 4.5 17.26 4 16 4c-2.35 0-4.27 1.92-4.27 4.29 0 .34.04.67.11.98C8.28 9.09 5.11 7.38 3 4.79c-.37.63-.58 1.37-.58 2.15 0 1.49.75 2.81 1.91 3.56-.71 0-1.37-.2-1.95-.5v.03c0 2.08 1.48 3.82 3.44 4.21a4.22 4.22 0 0 1-1.93.07 4.28 4.28 0 0 0 4 2.98 8.521 8.521 0 0 1-5.33 1.84c-.34 0-.68-.02-1.02-.06C3.44 20.29 5.7 21 8.12 21 16 21 20.33 14.46 20.33 8.79c0-.19 0-.37-.01-.56.84-.6 1.56-1.36 2.14-2.23z"/>
-                </svg>
-              </a>
-              <a href="#" className="text-gray-400 hover:text-white transition-colors">
-                <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 24 24">
-                  <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
-                </svg>
-              </a>
-            </div>
-          </div>
-          
-          <div>
-            <h4 className="text-lg font-semibold mb-4">Quick Links</h4>
-            <ul className="space-y-2">
-              <li>
-                <Link to="/" className="text-gray-400 hover:text-white transition-colors">
-                  Home
-                </Link>
-              </li>
-              <li>
-                <Link to="/about" className="text-gray-400 hover:text-white transition-colors">
-                  About
-                </Link>
-              </li>
-              <li>
-                <Link to="/contact" className="text-gray-400 hover:text-white transition-colors">
-                  Contact
-                </Link>
-              </li>
-              <li>
-                <a href="/api/docs" className="text-gray-400 hover:text-white transition-colors">
-                  API Docs
-                </a>
-              </li>
-            </ul>
-          </div>
-          
-          <div>
-            <h4 className="text-lg font-semibold mb-4">Resources</h4>
-            <ul className="space-y-2">
-              <li>
-                <a href="https://github.com" className="text-gray-400 hover:text-white transition-colors">
-                  GitHub
-                </a>
-              </li>
-              <li>
-                <a href="#" className="text-gray-400 hover:text-white transition-colors">
-                  Documentation
-                </a>
-              </li>
-              <li>
-                <a href="#" className="text-gray-400 hover:text-white transition-colors">
-                  Support
-                </a>
-              </li>
-              <li>
-                <a href="#" className="text-gray-400 hover:text-white transition-colors">
-                  Community
-                </a>
-              </li>
-            </ul>
-          </div>
-        </div>
-        
-        <div className="border-t border-gray-800 mt-8 pt-8 text-center text-gray-400">
-          <p>&copy; 2024 Kurdemy. Built with ❤️ using Kurdemy Stack.</p>
-        </div>
-      </div>
-    </footer>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/components/ui/Footer.tsx'),
-    footerContent
-  );
-
-  // Loading component
-  const loadingContent = `import React from 'react';
-
-interface LoadingProps {
-  size?: 'sm' | 'md' | 'lg';
-  text?: string;
-}
-
-export function Loading({ size = 'md', text }: LoadingProps) {
-  const sizeClasses = {
-    sm: 'h-6 w-6',
-    md: 'h-12 w-12',
-    lg: 'h-16 w-16'
-  };
-
-  return (
-    <div className="flex flex-col items-center justify-center p-8">
-      <div className={\`animate-spin rounded-full border-b-2 border-blue-600 \${sizeClasses[size]}\`}></div>
-      {text && <p className="mt-4 text-gray-600">{text}</p>}
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/components/ui/Loading.tsx'),
-    loadingContent
-  );
-
-  // Error Boundary component
-  const errorBoundaryContent = `import React, { Component, ErrorInfo, ReactNode } from 'react';
-
-interface Props {
-  children: ReactNode;
-  fallback?: ReactNode;
-}
-
-interface State {
-  hasError: boolean;
-  error?: Error;
-}
-
-export class ErrorBoundary extends Component<Props, State> {
-  public state: State = {
-    hasError: false
-  };
-
-  public static getDerivedStateFromError(error: Error): State {
-    return { hasError: true, error };
-  }
-
-  public componentDidCatch(error: Error, errorInfo: ErrorInfo) {
-    console.error('Uncaught error:', error, errorInfo);
-  }
-
-  public render() {
-    if (this.state.hasError) {
-      if (this.props.fallback) {
-        return this.props.fallback;
-      }
-
-      return (
-        <div className="min-h-screen flex items-center justify-center bg-gray-50">
-          <div className="max-w-md w-full p-6 bg-white rounded-lg shadow-md">
-            <div className="text-center">
-              <div className="text-red-500 text-6xl mb-4">⚠️</div>
-              <h2 className="text-2xl font-bold text-gray-900 mb-2">
-                Something went wrong
-              </h2>
-              <p className="text-gray-600 mb-6">
-                We're sorry, but something unexpected happened. Please try refreshing the page.
-              </p>
-              <button
-                onClick={() => window.location.reload()}
-                className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition-colors"
-              >
-                Refresh Page
-              </button>
-            </div>
-          </div>
-        </div>
-      );
-    }
-
-    return this.props.children;
-  }
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/components/ui/ErrorBoundary.tsx'),
-    errorBoundaryContent
-  );
-
-  // Generate auth components if auth is enabled
-  if (config.auth) {
-    await generateAuthComponents(frontendPath);
-  }
-}
-
-async function generateAuthComponents(frontendPath) {
-  // Protected Route component
-  const protectedRouteContent = `import React from 'react';
-import { Navigate } from 'react-router-dom';
-import { useAuth } from '../../lib/auth/useAuth';
-import { Loading } from '../ui/Loading';
-
-interface ProtectedRouteProps {
-  children: React.ReactNode;
-}
-
-export function ProtectedRoute({ children }: ProtectedRouteProps) {
-  const { user, loading } = useAuth();
-
-  if (loading) {
-    return <Loading text="Checking authentication..." />;
-  }
-
-  if (!user) {
-    return <Navigate to="/auth/login" replace />;
-  }
-
-  return <>{children}</>;
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/components/auth/ProtectedRoute.tsx'),
-    protectedRouteContent
-  );
-}
-
-async function generateReactPages(frontendPath, config) {
-  // Home page
-  const homePageContent = `import React from 'react';
-import { Link } from 'react-router-dom';
-${config.trpc ? "import { trpc } from '../lib/trpc/client';" : ''}
-
-export function Home() {
-  ${config.trpc ? "const { data: healthData } = trpc.health.useQuery();" : ''}
-
-  const features = [
-    {
-      title: 'Full-stack TypeScript',
-      description: 'End-to-end type safety with TypeScript across frontend and backend.',
-      icon: '🔧',
-    },
-    {
-      title: 'Modern Architecture',
-      description: 'Built with NestJS for scalable backend and React for powerful frontend.',
-      icon: '🏗️',
-    },
-    {
-      title: 'Database Ready',
-      description: 'Integrated with ${config.orm === 'prisma' ? 'Prisma' : 'Drizzle ORM'} for seamless database operations.',
-      icon: '🗄️',
-    },
-    ${config.trpc ? `{
-      title: 'Type-safe APIs',
-      description: 'tRPC provides end-to-end type safety for your API calls.',
-      icon: '🔒',
-    },` : ''}
-    ${config.auth ? `{
-      title: 'Authentication',
-      description: 'Built-in authentication system ready to use.',
-      icon: '🔐',
-    },` : ''}
-    {
-      title: 'Developer Experience',
-      description: 'Hot reload, linting, testing, and more for an amazing developer experience.',
-      icon: '⚡',
-    },
-  ];
-
-  return (
-    <div className="min-h-screen">
-      {/* Hero Section */}
-      <section className="hero-gradient text-white py-20">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
-          <h1 className="text-4xl md:text-6xl font-bold mb-6">
-            Welcome to Kurdemy
-          </h1>
-          <p className="text-xl md:text-2xl mb-8 max-w-3xl mx-auto">
-            A modern fullstack application built with the latest technologies.
-            Experience the power of NestJS, React, and more.
-          </p>
-          ${config.trpc ? `
-          {healthData && (
-            <div className="mb-8 inline-block bg-white/10 backdrop-blur-sm rounded-lg px-4 py-2">
-              <p className="text-sm">✅ Backend Status: {healthData.status}</p>
-            </div>
-          )}` : ''}
-          <div className="flex flex-col sm:flex-row gap-4 justify-center">
-            ${config.auth ? `
-            <Link
-              to="/auth/register"
-              className="bg-white text-blue-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
-            >
-              Get Started
-            </Link>` : `
-            <Link
-              to="/about"
-              className="bg-white text-blue-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
-            >
-              Get Started
-            </Link>`}
-            <Link
-              to="/about"
-              className="border-2 border-white text-white px-8 py-3 rounded-lg font-semibold hover:bg-white hover:text-blue-600 transition-colors"
-            >
-              Learn More
-            </Link>
-          </div>
-        </div>
-      </section>
-
-      {/* Features Section */}
-      <section className="py-20 bg-gray-50">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="text-center mb-16">
-            <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
-              Why Choose Kurdemy?
-            </h2>
-            <p className="text-xl text-gray-600 max-w-3xl mx-auto">
-              Built with modern technologies and best practices to help you ship faster.
-            </p>
-          </div>
-
-          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
-            {features.map((feature, index) => (
-              <div key={index} className="bg-white p-6 rounded-lg shadow-md card-hover">
-                <div className="text-4xl mb-4">{feature.icon}</div>
-                <h3 className="text-xl font-semibold text-gray-900 mb-2">
-                  {feature.title}
-                </h3>
-                <p className="text-gray-600">
-                  {feature.description}
-                </p>
-              </div>
-            ))}
-          </div>
-        </div>
-      </section>
-
-      {/* CTA Section */}
-      <section className="py-20 bg-blue-600 text-white">
-        <div className="max-w-4xl mx-auto text-center px-4 sm:px-6 lg:px-8">
-          <h2 className="text-3xl md:text-4xl font-bold mb-4">
-            Ready to build something amazing?
-          </h2>
-          <p className="text-xl mb-8">
-            Start your next project with Kurdemy stack and experience the power of modern development.
-          </p>
-          <Link
-            to="/contact"
-            className="bg-white text-blue-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors inline-block"
-          >
-            Get in Touch
-          </Link>
-        </div>
-      </section>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/pages/Home.tsx'), homePageContent);
-
-  // About page
-  const aboutPageContent = `import React from 'react';
-
-export function About() {
-  return (
-    <div className="min-h-screen bg-gray-50 py-12">
-      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="bg-white rounded-lg shadow-md p-8">
-          <h1 className="text-4xl font-bold text-gray-900 mb-6">About Kurdemy</h1>
-          
-          <div className="prose prose-lg max-w-none">
-            <p className="text-xl text-gray-600 mb-8">
-              Kurdemy is a modern fullstack application template designed to help developers 
-              build amazing applications with the latest technologies and best practices.
-            </p>
-
-            <h2 className="text-2xl font-bold text-gray-900 mb-4">Our Technology Stack</h2>
-            <div className="grid md:grid-cols-2 gap-6 mb-8">
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <h3 className="font-semibold text-gray-900 mb-2">Backend</h3>
-                <ul className="text-gray-600 space-y-1">
-                  <li>• NestJS - Scalable Node.js framework</li>
-                  <li>• ${config.orm === 'prisma' ? 'Prisma' : 'Drizzle ORM'} - Modern database toolkit</li>
-                  <li>• ${config.database} - Database of choice</li>
-                  ${config.trpc ? '<li>• tRPC - Type-safe APIs</li>' : ''}
-                  <li>• TypeScript - Type safety</li>
-                </ul>
-              </div>
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <h3 className="font-semibold text-gray-900 mb-2">Frontend</h3>
-                <ul className="text-gray-600 space-y-1">
-                  <li>• React - Modern UI library</li>
-                  <li>• TypeScript - Type safety</li>
-                  ${config.tailwind ? '<li>• Tailwind CSS - Utility-first CSS</li>' : ''}
-                  ${config.auth ? '<li>• Authentication system</li>' : ''}
-                  <li>• React Router - Client-side routing</li>
-                </ul>
-              </div>
-            </div>
-
-            <h2 className="text-2xl font-bold text-gray-900 mb-4">Key Features</h2>
-            <ul className="list-disc list-inside text-gray-600 space-y-2 mb-8">
-              <li>Full-stack TypeScript for end-to-end type safety</li>
-              <li>Modern, scalable architecture</li>
-              <li>Database integration with migrations</li>
-              ${config.trpc ? '<li>Type-safe API communication with tRPC</li>' : ''}
-              ${config.auth ? '<li>Built-in authentication system</li>' : ''}
-              ${config.tailwind ? '<li>Beautiful UI with Tailwind CSS</li>' : ''}
-              <li>Development tools and testing setup</li>
-              <li>Production-ready deployment configuration</li>
-            </ul>
-
-            <h2 className="text-2xl font-bold text-gray-900 mb-4">Getting Started</h2>
-            <p className="text-gray-600 mb-4">
-              To get started with your own Kurdemy application, simply run:
-            </p>
-            <div className="bg-gray-900 text-green-400 p-4 rounded-lg font-mono text-sm mb-8">
-              npx create-kurdemy-app my-awesome-app
-            </div>
-
-            <p className="text-gray-600">
-              This will create a new project with all the necessary files and configurations
-              to start building your application immediately.
-            </p>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/pages/About.tsx'), aboutPageContent);
-
-  // Contact page
-  const contactPageContent = `import React, { useState } from 'react';
-
-export function Contact() {
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    message: ''
-  });
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [submitted, setSubmitted] = useState(false);
-
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
-
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    setIsSubmitting(true);
-
-    // Simulate form submission
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    setSubmitted(true);
-    setIsSubmitting(false);
-    setFormData({ name: '', email: '', message: '' });
-  };
-
-  if (submitted) {
-    return (
-      <div className="min-h-screen bg-gray-50 py-12 flex items-center justify-center">
-        <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8 text-center">
-          <div className="text-green-500 text-6xl mb-4">✓</div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">Message Sent!</h2>
-          <p className="text-gray-600 mb-6">
-            Thank you for your message. We'll get back to you soon.
-          </p>
-          <button
-            onClick={() => setSubmitted(false)}
-            className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition-colors"
-          >
-            Send Another Message
-          </button>
-        </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="min-h-screen bg-gray-50 py-12">
-      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="text-center mb-12">
-          <h1 className="text-4xl font-bold text-gray-900 mb-4">Get in Touch</h1>
-          <p className="text-xl text-gray-600">
-            Have a question or want to work together? We'd love to hear from you.
-          </p>
-        </div>
-
-        <div className="grid md:grid-cols-2 gap-8">
-          <div className="bg-white rounded-lg shadow-md p-8">
-            <h2 className="text-2xl font-bold text-gray-900 mb-6">Send us a message</h2>
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <div>
-                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
-                  Name
-                </label>
-                <input
-                  type="text"
-                  id="name"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                />
-              </div>
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-                  Email
-                </label>
-                <input
-                  type="email"
-                  id="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                />
-              </div>
-              <div>
-                <label htmlFor="message" className="block text-sm font-medium text-gray-700 mb-2">
-                  Message
-                </label>
-                <textarea
-                  id="message"
-                  name="message"
-                  value={formData.message}
-                  onChange={handleChange}
-                  required
-                  rows={4}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                />
-              </div>
-              <button
-                type="submit"
-                disabled={isSubmitting}
-                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              >
-                {isSubmitting ? 'Sending...' : 'Send Message'}
-              </button>
-            </form>
-          </div>
-
-          <div className="bg-white rounded-lg shadow-md p-8">
-            <h2 className="text-2xl font-bold text-gray-900 mb-6">Contact Information</h2>
-            <div className="space-y-4">
-              <div className="flex items-start">
-                <div className="text-blue-600 mr-3 mt-1">
-                  <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
-                    <path d="M2.003 5.884L10 9.882l7.997-3.998A2 2 0 0016 4H4a2 2 0 00-1.997 1.884z" />
-                    <path d="M18 8.118l-8 4-8-4V14a2 2 0 002 2h12a2 2 0 002-2V8.118z" />
-                  </svg>
-                </div>
-                <div>
-                  <h3 className="font-semibold text-gray-900">Email</h3>
-                  <p className="text-gray-600">hello@kurdemy.com</p>
-                </div>
-              </div>
-              <div className="flex items-start">
-                <div className="text-blue-600 mr-3 mt-1">
-                  <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
-                    <path fillRule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clipRule="evenodd" />
-                  </svg>
-                </div>
-                <div>
-                  <h3 className="font-semibold text-gray-900">Location</h3>
-                  <p className="text-gray-600">Worldwide (Remote)</p>
-                </div>
-              </div>
-              <div className="flex items-start">
-                <div className="text-blue-600 mr-3 mt-1">
-                  <svg className="h-5 w-5" fill="currentColor" viewBox="0 0 20 20">
-                    <path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                </div>
-                <div>
-                  <h3 className="font-semibold text-gray-900">Response Time</h3>
-                  <p className="text-gray-600">Usually within 24 hours</p>
-                </div>
-              </div>
-            </div>
-
-            <div className="mt-8">
-              <h3 className="font-semibold text-gray-900 mb-4">Follow Us</h3>
-              <div className="flex space-x-4">
-                <a href="#" className="text-gray-400 hover:text-blue-600 transition-colors">
-                  <svg className="h-6 w-6" fill="currentColor" viewBox="0 0 24 24">
-                    <path d="M24 4.557c-.883.392-1.832.656-2.828.775 1.017-.609 1.798-1.574 2.165-2.724-.951.564-2.005.974-3.127 1.195-.897-.957-2.178-1.555-3.594-1.555-3.179 0-5.515 2.966-4.797 6.045-4.091-.205-7.719-2.165-10.148-5.144-1.29 2.213-.669 5.108 1.523 6.574-.806-.026-1.566-.247-2.229-.616-.054 2.281 1.581 4.415 3.949 4.89-.693.188-1.452.232-2.224.084.626 1.956 2.444 3.379 4.6 3.419-2.07 1.623-4.678 2.348-7.29 2.04 2.179 1.397 4.768 2.212 7.548 2.212 9.142 0 14.307-7.721 13.995-14.646.962-.695 1.797-1.562 2.457-2.549z"/>
-                  </svg>
-                </a>
-                <a href="#" className="text-gray-400 hover:text-blue-600 transition-colors">
-                  <svg className="h-6 w-6" fill="currentColor" viewBox="0 0 24 24">
-                    <path d="M22.46 6c-.77.35-1.6.58-2.46.69.88-.53 1.56-1.37 1.88-2.38-.83.5-1.75.85-2.72 1.05C18.37 4.5 17.26 4 16 4c-2.35 0-4.27 1.92-4.27 4.29 0 .34.04.67.11.98C8.28 9.09 5.11 7.38 3 4.79c-.37.63-.58 1.37-.58 2.15 0 1.49.75 2.81 1.91 3.56-.71 0-1.37-.2-1.95-.5v.03c0 2.08 1.48 3.82 3.44 4.21a4.22 4.22 0 0 1-1.93.07 4.28 4.28 0 0 0 4 2.98 8.521 8.521 0 0 1-5.33 1.84c-.34 0-.68-.02-1.02-.06C3.44 20.29 5.7 21 8.12 21 16 21 20.33 14.46 20.33 8.79c0-.19 0-.37-.01-.56.84-.6 1.56-1.36 2.14-2.23z"/>
-                  </svg>
-                </a>
-                <a href="#" className="text-gray-400 hover:text-blue-600 transition-colors">
-                  <svg className="h-6 w-6" fill="currentColor" viewBox="0 0 24 24">
-                    <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
-                  </svg>
-                </a>
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/pages/Contact.tsx'), contactPageContent);
-
-  // Generate auth pages if auth is enabled
-  if (config.auth) {
-    await generateReactAuthPages(frontendPath);
-  }
-}
-
-async function generateReactAuthPages(frontendPath) {
-  // Login page
-  const loginPageContent = `import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { useAuth } from '../../lib/auth/useAuth';
-
-export function Login() {
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
-  const navigate = useNavigate();
-  const { login } = useAuth();
-
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    setIsLoading(true);
-    setError('');
-
-    try {
-      await login(email, password);
-      navigate('/dashboard');
-    } catch (err: any) {
-      setError(err.message || 'Login failed');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
-      <div className="max-w-md w-full space-y-8">
-        <div>
-          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            Sign in to your account
-          </h2>
-          <p className="mt-2 text-center text-sm text-gray-600">
-            Or{' '}
-            <Link to="/auth/register" className="font-medium text-blue-600 hover:text-blue-500">
-              create a new account
-            </Link>
-          </p>
-        </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && (
-            <div className="bg-red-50 border border-red-200 rounded-md p-4">
-              <p className="text-sm text-red-600">{error}</p>
-            </div>
-          )}
-          <div className="rounded-md shadow-sm -space-y-px">
-            <div>
-              <label htmlFor="email" className="sr-only">
-                Email address
-              </label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="relative block w-full px-3 py-2 border border-gray-300 rounded-t-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                placeholder="Email address"
-              />
-            </div>
-            <div>
-              <label htmlFor="password" className="sr-only">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="relative block w-full px-3 py-2 border border-gray-300 rounded-b-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                placeholder="Password"
-              />
-            </div>
-          </div>
-
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? 'Signing in...' : 'Sign in'}
-            </button>
-          </div>
-
-          <div className="text-center">
-            <Link to="/" className="font-medium text-blue-600 hover:text-blue-500">
-              ← Back to home
-            </Link>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/pages/auth/Login.tsx'),
-    loginPageContent
-  );
-
-  // Register page
-  const registerPageContent = `import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { useAuth } from '../../lib/auth/useAuth';
-
-export function Register() {
-  const [name, setName] = useState('');
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [confirmPassword, setConfirmPassword] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
-  const navigate = useNavigate();
-  const { register } = useAuth();
-
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    setIsLoading(true);
-    setError('');
-
-    if (password !== confirmPassword) {
-      setError('Passwords do not match');
-      setIsLoading(false);
-      return;
-    }
-
-    try {
-      await register(name, email, password);
-      navigate('/dashboard');
-    } catch (err: any) {
-      setError(err.message || 'Registration failed');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
-      <div className="max-w-md w-full space-y-8">
-        <div>
-          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            Create your account
-          </h2>
-          <p className="mt-2 text-center text-sm text-gray-600">
-            Or{' '}
-            <Link to="/auth/login" className="font-medium text-blue-600 hover:text-blue-500">
-              sign in to your existing account
-            </Link>
-          </p>
-        </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && (
-            <div className="bg-red-50 border border-red-200 rounded-md p-4">
-              <p className="text-sm text-red-600">{error}</p>
-            </div>
-          )}
-          <div className="rounded-md shadow-sm -space-y-px">
-            <div>
-              <label htmlFor="name" className="sr-only">
-                Full name
-              </label>
-              <input
-                id="name"
-                name="name"
-                type="text"
-                autoComplete="name"
-                required
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-                className="relative block w-full px-3 py-2 border border-gray-300 rounded-t-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                placeholder="Full name"
-              />
-            </div>
-            <div>
-              <label htmlFor="email" className="sr-only">
-                Email address
-              </label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                placeholder="Email address"
-              />
-            </div>
-            <div>
-              <label htmlFor="password" className="sr-only">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="new-password"
-                required
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                placeholder="Password"
-              />
-            </div>
-            <div>
-              <label htmlFor="confirmPassword" className="sr-only">
-                Confirm password
-              </label>
-              <input
-                id="confirmPassword"
-                name="confirmPassword"
-                type="password"
-                autoComplete="new-password"
-                required
-                value={confirmPassword}
-                onChange={(e) => setConfirmPassword(e.target.value)}
-                className="relative block w-full px-3 py-2 border border-gray-300 rounded-b-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                placeholder="Confirm password"
-              />
-            </div>
-          </div>
-
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? 'Creating account...' : 'Sign up'}
-            </button>
-          </div>
-
-          <div className="text-center">
-            <Link to="/" className="font-medium text-blue-600 hover:text-blue-500">
-              ← Back to home
-            </Link>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/pages/auth/Register.tsx'),
-    registerPageContent
-  );
-
-  // Dashboard page
-  const dashboardPageContent = `import React from 'react';
-import { useAuth } from '../lib/auth/useAuth';
-${config.trpc ? "import { trpc } from '../lib/trpc/client';" : ''}
-
-export function Dashboard() {
-  const { user } = useAuth();
-  ${config.trpc ? "const { data: userData, isLoading } = trpc.users.getProfile.useQuery();" : ''}
-
-  return (
-    <div className="min-h-screen bg-gray-50 py-8">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
-          <p className="text-gray-600">Welcome back, {user?.name}!</p>
-        </div>
-
-        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {/* Profile Card */}
-          <div className="bg-white p-6 rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Profile Information</h3>
-            ${config.trpc ? `
-            {isLoading ? (
-              <div className="animate-pulse">
-                <div className="h-4 bg-gray-200 rounded mb-2"></div>
-                <div className="h-4 bg-gray-200 rounded mb-2"></div>
-                <div className="h-4 bg-gray-200 rounded"></div>
-              </div>
-            ) : userData ? (
-              <div className="space-y-2">
-                <p><span className="font-medium">Name:</span> {userData.name}</p>
-                <p><span className="font-medium">Email:</span> {userData.email}</p>
-                <p><span className="font-medium">Member since:</span> {new Date(userData.createdAt).toLocaleDateString()}</p>
-              </div>
-            ) : (
-              <div className="space-y-2">
-                <p><span className="font-medium">Name:</span> {user?.name}</p>
-                <p><span className="font-medium">Email:</span> {user?.email}</p>
-              </div>
-            )}` : `
-            <div className="space-y-2">
-              <p><span className="font-medium">Name:</span> {user?.name}</p>
-              <p><span className="font-medium">Email:</span> {user?.email}</p>
-            </div>`}
-          </div>
-
-          {/* Stats Card */}
-          <div className="bg-white p-6 rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Statistics</h3>
-            <div className="space-y-3">
-              <div className="flex justify-between">
-                <span className="text-gray-600">Projects</span>
-                <span className="font-medium">0</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-gray-600">Tasks</span>
-                <span className="font-medium">0</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-gray-600">Completed</span>
-                <span className="font-medium">0</span>
-              </div>
-            </div>
-          </div>
-
-          {/* Quick Actions Card */}
-          <div className="bg-white p-6 rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
-            <div className="space-y-3">
-              <button className="w-full bg-blue-600 text-white py-2 px-4 rounded hover:bg-blue-700 transition-colors">
-                Create Project
-              </button>
-              <button className="w-full bg-gray-600 text-white py-2 px-4 rounded hover:bg-gray-700 transition-colors">
-                Add Task
-              </button>
-              <button className="w-full bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition-colors">
-                View Reports
-              </button>
-            </div>
-          </div>
-        </div>
-
-        {/* Recent Activity */}
-        <div className="mt-8 bg-white rounded-lg shadow-md">
-          <div className="px-6 py-4 border-b border-gray-200">
-            <h3 className="text-lg font-semibold text-gray-900">Recent Activity</h3>
-          </div>
-          <div className="p-6">
-            <div className="text-center text-gray-500 py-8">
-              <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2M4 13h2m13-8l-4 4-4-4m0 0l-4 4-4-4" />
-              </svg>
-              <p className="mt-2">No recent activity</p>
-              <p className="text-sm">Get started by creating your first project!</p>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/pages/Dashboard.tsx'),
-    dashboardPageContent
-  );
-}
-
-async function generateReactUtilities(frontendPath, config) {
-  // Generate tRPC utilities if enabled
-  if (config.trpc) {
-    await generateReactTRPCFiles(frontendPath);
-  }
-
-  // Generate auth utilities if enabled
-  if (config.auth) {
-    await generateReactAuthFiles(frontendPath);
-  }
-
-  // Generate general utilities
-  const utilsContent = `export function cn(...classes: string[]) {
-  return classes.filter(Boolean).join(' ');
-}
-
-export function formatDate(date: Date | string) {
-  return new Intl.DateTimeFormat('en-US', {
-    month: 'long',
-    day: 'numeric',
-    year: 'numeric',
-  }).format(new Date(date));
-}
-
-export function formatTime(date: Date | string) {
-  return new Intl.DateTimeFormat('en-US', {
-    hour: '2-digit',
-    minute: '2-digit',
-  }).format(new Date(date));
-}
-
-export function formatDateTime(date: Date | string) {
-  return new Intl.DateTimeFormat('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  }).format(new Date(date));
-}
-
-export function debounce<T extends (...args: any[]) => any>(
-  func: T,
-  wait: number
-): (...args: Parameters<T>) => void {
-  let timeout: NodeJS.Timeout;
-  return (...args: Parameters<T>) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
-  };
-}
-
-export function throttle<T extends (...args: any[]) => any>(
-  func: T,
-  limit: number
-): (...args: Parameters<T>) => void {
-  let inThrottle: boolean;
-  return (...args: Parameters<T>) => {
-    if (!inThrottle) {
-      func(...args);
-      inThrottle = true;
-      setTimeout(() => (inThrottle = false), limit);
-    }
-  };
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'src/lib/utils.ts'), utilsContent);
-}
-
-async function generateReactTRPCFiles(frontendPath) {
-  // tRPC provider
-  const trpcProviderContent = `import React, { useState } from 'react';
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
-import { httpBatchLink } from '@trpc/client';
-import { trpc } from './client';
-
-interface TrpcProviderProps {
-  children: React.ReactNode;
+  await renderTemplateGroup('reactjs', projectPath, getTemplateData(config));
 }
 
-export function TrpcProvider({ children }: TrpcProviderProps) {
-  const [queryClient] = useState(() => new QueryClient({
-    defaultOptions: {
-      queries: {
-        staleTime: 5 * 60 * 1000, // 5 minutes
-        cacheTime: 10 * 60 * 1000, // 10 minutes
-      },
-    },
-  }));
-
-  const [trpcClient] = useState(() =>
-    trpc.createClient({
-      links: [
-        httpBatchLink({
-          url: process.env.REACT_APP_TRPC_URL || 'http://localhost:4000/api/trpc',
-          headers() {
-            const token = localStorage.getItem('authToken');
-            return token ? { authorization: \`Bearer \${token}\` } : {};
-          },
-        }),
-      ],
-    })
-  );
-
-  return (
-    <trpc.Provider client={trpcClient} queryClient={queryClient}>
-      <QueryClientProvider client={queryClient}>
-        {children}
-      </QueryClientProvider>
-    </trpc.Provider>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/lib/trpc/provider.tsx'),
-    trpcProviderContent
-  );
-
-  // tRPC client
-  const trpcClientContent = `import { createTRPCReact } from '@trpc/react-query';
-import type { AppRouter } from '../../../../backend/src/trpc/app.router';
-
-export const trpc = createTRPCReact<AppRouter>();
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/lib/trpc/client.ts'),
-    trpcClientContent
-  );
-}
-
-async function generateReactAuthFiles(frontendPath) {
-  // Auth context and provider
-  const authProviderContent = `import React, { createContext, useContext, useState, useEffect } from 'react';
-
-interface User {
-  id: string;
-  name: string;
-  email: string;
-}
-
-interface AuthContextType {
-  user: User | null;
-  loading: boolean;
-  login: (email: string, password: string) => Promise<void>;
-  register: (name: string, email: string, password: string) => Promise<void>;
-  logout: () => void;
-}
-
-const AuthContext = createContext<AuthContextType | undefined>(undefined);
-
-interface AuthProviderProps {
-  children: React.ReactNode;
-}
-
-export function AuthProvider({ children }: AuthProviderProps) {
-  const [user, setUser] = useState<User | null>(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    // Check if user is logged in on mount
-    const token = localStorage.getItem('authToken');
-    const userData = localStorage.getItem('userData');
-    
-    if (token && userData) {
-      try {
-        setUser(JSON.parse(userData));
-      } catch (error) {
-        console.error('Error parsing user data:', error);
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('userData');
-      }
-    }
-    
-    setLoading(false);
-  }, []);
-
-  const login = async (email: string, password: string) => {
-    try {
-      const response = await fetch(\`\${process.env.REACT_APP_API_URL || 'http://localhost:4000/api'}/auth/login\`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Login failed');
-      }
-
-      const data = await response.json();
-      
-      localStorage.setItem('authToken', data.access_token);
-      localStorage.setItem('userData', JSON.stringify(data.user));
-      setUser(data.user);
-    } catch (error) {
-      throw error;
-    }
+function getTemplateData(config) {
+  return {
+    ...config,
+    trpcUrlVariable: getFrontendEnvVariable(config, 'TRPC_URL')
   };
-
-  const register = async (name: string, email: string, password: string) => {
-    try {
-      const response = await fetch(\`\${process.env.REACT_APP_API_URL || 'http://localhost:4000/api'}/auth/register\`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ name, email, password }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Registration failed');
-      }
-
-      const data = await response.json();
-      
-      localStorage.setItem('authToken', data.access_token);
-      localStorage.setItem('userData', JSON.stringify(data.user));
-      setUser(data.user);
-    } catch (error) {
-      throw error;
-    }
-  };
-
-  const logout = () => {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('userData');
-    setUser(null);
-  };
-
-  const value = {
-    user,
-    loading,
-    login,
-    register,
-    logout,
-  };
-
-  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
-}
-
-export function useAuth() {
-  const context = useContext(AuthContext);
-  if (context === undefined) {
-    throw new Error('useAuth must be used within an AuthProvider');
-  }
-  return context;
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/lib/auth/provider.tsx'),
-    authProviderContent
-  );
-
-  // Auth hook
-  const useAuthContent = `export { useAuth } from './provider';
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'src/lib/auth/useAuth.ts'),
-    useAuthContent
-  );
-}
-
-async function generateReactPublicFiles(frontendPath) {
-  // index.html
-  const indexHtmlContent = `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="utf-8" />
-    <link rel="icon" href="%PUBLIC_URL%/favicon.ico" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <meta name="theme-color" content="#000000" />
-    <meta
-      name="description"
-      content="A modern fullstack application built with Kurdemy stack"
-    />
-    <link rel="apple-touch-icon" href="%PUBLIC_URL%/logo192.png" />
-    <link rel="manifest" href="%PUBLIC_URL%/manifest.json" />
-    <title>Kurdemy App</title>
-  </head>
-  <body>
-    <noscript>You need to enable JavaScript to run this app.</noscript>
-    <div id="root"></div>
-  </body>
-</html>
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'public/index.html'), indexHtmlContent);
-
-  // manifest.json
-  const manifestContent = {
-    "short_name": "Kurdemy App",
-    "name": "Kurdemy Stack Application",
-    "icons": [
-      {
-        "src": "favicon.ico",
-        "sizes": "64x64 32x32 24x24 16x16",
-        "type": "image/x-icon"
-      }
-    ],
-    "start_url": ".",
-    "display": "standalone",
-    "theme_color": "#000000",
-    "background_color": "#ffffff"
-  };
-
-  await fs.writeFile(
-    path.join(frontendPath, 'public/manifest.json'),
-    JSON.stringify(manifestContent, null, 2)
-  );
-
-  // robots.txt
-  const robotsContent = `User-agent: *
-Disallow:
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'public/robots.txt'), robotsContent);
-
-  // Simple favicon.ico placeholder (base64 encoded)
-  const faviconSvg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">
-  <rect width="32" height="32" fill="#2563eb"/>
-  <text x="16" y="20" text-anchor="middle" fill="white" font-family="Arial" font-size="16" font-weight="bold">K</text>
-</svg>`;
-
-  await fs.writeFile(path.join(frontendPath, 'public/favicon.svg'), faviconSvg);
-}
-
-async function generateReactConfigFiles(frontendPath, config) {
-  // tsconfig.json
-  const tsconfigContent = {
-    "compilerOptions": {
-      "target": "es5",
-      "lib": [
-        "dom",
-        "dom.iterable",
-        "esnext"
-      ],
-      "allowJs": true,
-      "skipLibCheck": true,
-      "esModuleInterop": true,
-      "allowSyntheticDefaultImports": true,
-      "strict": true,
-      "forceConsistentCasingInFileNames": true,
-      "noFallthroughCasesInSwitch": true,
-      "module": "esnext",
-      "moduleResolution": "node",
-      "resolveJsonModule": true,
-      "isolatedModules": true,
-      "noEmit": true,
-      "jsx": "react-jsx"
-    },
-    "include": [
-      "src"
-    ]
-  };
-
-  await fs.writeFile(
-    path.join(frontendPath, 'tsconfig.json'),
-    JSON.stringify(tsconfigContent, null, 2)
-  );
-
-  // Add React Router dependency to dependencies if not already there
-  const reactRouterDeps = {
-    "react-router-dom": "^6.8.0",
-    "@types/react-router-dom": "^5.3.3"
-  };
-
-  // Create a note file for additional dependencies
-  const additionalDepsContent = `# Additional Dependencies for React Frontend
-
-The following dependencies should be added to the frontend package.json:
-
-## Required:
-- react-router-dom: ^6.8.0
-- @types/react-router-dom: ^5.3.3
-
-## Optional (based on configuration):
-${config.trpc ? '- @trpc/client: ^10.38.0\n- @trpc/react-query: ^10.38.0\n- @tanstack/react-query: ^4.35.0' : ''}
-
-These are automatically included when generating the package.json files.
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, 'DEPENDENCIES.md'),
-    additionalDepsContent
-  );
 }
 
 module.exports = {
-  generateReactFiles,
-  generateReactAppStructure,
-  generateReactComponents,
-  generateReactPages,
-  generateReactUtilities
-};
\ No newline at end of file
+  generateReactFiles
+};
@@ -0,0 +1,436 @@
+const fs = require('../file-system');
+const path = require('path');
+const {
+  getDrizzleTableFunction,
+  getDrizzlePrimaryKey,
+  getDrizzleStringColumn,
+  getDrizzleTimestampColumn,
+  getDrizzleBooleanColumn,
+  getDrizzleIntegerColumn,
+  getDrizzleFloatColumn
+} = require('./database');
+
+// How each field type of `generate resource --fields` maps onto the schema,
+// the DTO validators and the tRPC input
+const FIELD_TYPES = {
+  string: { prisma: 'String', ts: 'string', validators: ['IsString', 'MaxLength(255)'], zod: 'z.string().min(1).max(255)' },
+  text: { prisma: 'String', ts: 'string', validators: ['IsString'], zod: 'z.string()' },
+  int: { prisma: 'Int', ts: 'number', validators: ['IsInt'], zod: 'z.number().int()' },
+  float: { prisma: 'Float', ts: 'number', validators: ['IsNumber'], zod: 'z.number()' },
+  boolean: { prisma: 'Boolean', ts: 'boolean', validators: ['IsBoolean'], zod: 'z.boolean()' },
+  date: { prisma: 'DateTime', ts: 'Date', validators: ['IsDate'], zod: 'z.coerce.date()' }
+};
+
+async function generateResourceFiles(backendPath, resource, config) {
+  const { plural } = resource;
+  const modulePath = path.join(backendPath, 'src/modules', plural.kebab);
+  await fs.ensureDir(path.join(modulePath, 'dto'));
+
+  await fs.writeFile(path.join(modulePath, `${plural.kebab}.module.ts`), generateResourceModule(resource));
+  await fs.writeFile(path.join(modulePath, `${plural.kebab}.service.ts`), generateResourceService(resource, config));
+  await fs.writeFile(path.join(modulePath, `${plural.kebab}.controller.ts`), generateResourceController(resource));
+  await fs.writeFile(
+    path.join(modulePath, `dto/create-${resource.singular.kebab}.dto.ts`),
+    generateCreateDto(resource)
+  );
+  await fs.writeFile(
+    path.join(modulePath, `dto/update-${resource.singular.kebab}.dto.ts`),
+    generateUpdateDto(resource)
+  );
+}
+
+async function generateResourceRouter(backendPath, resource, config) {
+  await fs.writeFile(
+    path.join(backendPath, `src/trpc/routers/${resource.plural.kebab}.router.ts`),
+    generateResourceRouterContent(resource, config)
+  );
+}
+
+function generateResourceModule({ plural }) {
+  return `import { Module } from '@nestjs/common';
+import { ${plural.pascal}Service } from './${plural.kebab}.service';
+import { ${plural.pascal}Controller } from './${plural.kebab}.controller';
+
+@Module({
+  providers: [${plural.pascal}Service],
+  controllers: [${plural.pascal}Controller],
+  exports: [${plural.pascal}Service],
+})
+export class ${plural.pascal}Module {}
+`;
+}
+
+function generateResourceService({ singular, plural }, config) {
+  const imports = `import { Create${singular.pascal}Dto } from './dto/create-${singular.kebab}.dto';
+import { Update${singular.pascal}Dto } from './dto/update-${singular.kebab}.dto';`;
+
+  if (config.orm === 'prisma') {
+    return `import { Injectable, NotFoundException } from '@nestjs/common';
+import { PrismaService } from '../../config/prisma.service';
+${imports}
+
+@Injectable()
+export class ${plural.pascal}Service {
+  constructor(private prisma: PrismaService) {}
+
+  async findAll() {
+    return this.prisma.${singular.camel}.findMany({
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async findById(id: string) {
+    const ${singular.camel} = await this.prisma.${singular.camel}.findUnique({
+      where: { id },
+    });
+
+    if (!${singular.camel}) {
+      throw new NotFoundException(\`${singular.label} \${id} not found\`);
+    }
+
+    return ${singular.camel};
+  }
+
+  async create(data: Create${singular.pascal}Dto) {
+    return this.prisma.${singular.camel}.create({
+      data,
+    });
+  }
+
+  async update(id: string, data: Update${singular.pascal}Dto) {
+    await this.findById(id);
+
+    return this.prisma.${singular.camel}.update({
+      where: { id },
+      data,
+    });
+  }
+
+  async delete(id: string) {
+    await this.findById(id);
+
+    return this.prisma.${singular.camel}.delete({
+      where: { id },
+    });
+  }
+}
+`;
+  }
+
+  // Inserts and updates read the row back instead of using .returning(), which MySQL lacks
+  return `import { Injectable, NotFoundException } from '@nestjs/common';
+import { randomUUID } from 'crypto';
+import { desc, eq } from 'drizzle-orm';
+import { DrizzleService } from '../../config/drizzle.service';
+import { ${plural.camel} } from '../../../../shared/database/schema';
+${imports}
+
+@Injectable()
+export class ${plural.pascal}Service {
+  constructor(private drizzle: DrizzleService) {}
+
+  async findAll() {
+    return this.drizzle.db.select().from(${plural.camel}).orderBy(desc(${plural.camel}.createdAt));
+  }
+
+  async findById(id: string) {
+    const [${singular.camel}] = await this.drizzle.db.select().from(${plural.camel}).where(eq(${plural.camel}.id, id));
+
+    if (!${singular.camel}) {
+      throw new NotFoundException(\`${singular.label} \${id} not found\`);
+    }
+
+    return ${singular.camel};
+  }
+
+  async create(data: Create${singular.pascal}Dto) {
+    const id = randomUUID();
+
+    await this.drizzle.db.insert(${plural.camel}).values({
+      ...data,
+      id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    return this.findById(id);
+  }
+
+  async update(id: string, data: Update${singular.pascal}Dto) {
+    await this.findById(id);
+
+    await this.drizzle.db.update(${plural.camel})
+      .set({ ...data, updatedAt: new Date() })
+      .where(eq(${plural.camel}.id, id));
+
+    return this.findById(id);
+  }
+
+  async delete(id: string) {
+    const ${singular.camel} = await this.findById(id);
+    await this.drizzle.db.delete(${plural.camel}).where(eq(${plural.camel}.id, id));
+    return ${singular.camel};
+  }
+}
+`;
+}
+
+function generateResourceController({ singular, plural }) {
+  const service = `${plural.camel}Service`;
+  const article = /^[aeiou]/i.test(singular.words) ? 'an' : 'a';
+
+  return `import { Body, Controller, Delete, Get, Param, Patch, Post } from '@nestjs/common';
+import { ApiTags, ApiOperation } from '@nestjs/swagger';
+import { ${plural.pascal}Service } from './${plural.kebab}.service';
+import { Create${singular.pascal}Dto } from './dto/create-${singular.kebab}.dto';
+import { Update${singular.pascal}Dto } from './dto/update-${singular.kebab}.dto';
+
+@ApiTags('${plural.kebab}')
+@Controller('${plural.kebab}')
+export class ${plural.pascal}Controller {
+  constructor(private ${service}: ${plural.pascal}Service) {}
+
+  @Get()
+  @ApiOperation({ summary: 'Get all ${plural.words}' })
+  async findAll() {
+    return this.${service}.findAll();
+  }
+
+  @Get(':id')
+  @ApiOperation({ summary: 'Get ${article} ${singular.words} by id' })
+  async findOne(@Param('id') id: string) {
+    return this.${service}.findById(id);
+  }
+
+  @Post()
+  @ApiOperation({ summary: 'Create ${article} ${singular.words}' })
+  async create(@Body() create${singular.pascal}Dto: Create${singular.pascal}Dto) {
+    return this.${service}.create(create${singular.pascal}Dto);
+  }
+
+  @Patch(':id')
+  @ApiOperation({ summary: 'Update ${article} ${singular.words}' })
+  async update(@Param('id') id: string, @Body() update${singular.pascal}Dto: Update${singular.pascal}Dto) {
+    return this.${service}.update(id, update${singular.pascal}Dto);
+  }
+
+  @Delete(':id')
+  @ApiOperation({ summary: 'Delete ${article} ${singular.words}' })
+  async delete(@Param('id') id: string) {
+    return this.${service}.delete(id);
+  }
+}
+`;
+}
+
+function generateCreateDto({ singular, fields }) {
+  const validators = new Set(fields.some(({ optional }) => optional) ? ['IsOptional'] : []);
+  fields.forEach(({ type }) => FIELD_TYPES[type].validators.forEach((validator) => validators.add(validator.split('(')[0])));
+  const hasDates = fields.some(({ type }) => type === 'date');
+
+  const properties = fields.map(({ name, type, optional }) => {
+    const { ts, validators: fieldValidators } = FIELD_TYPES[type];
+    const decorators = [
+      optional ? '@ApiPropertyOptional()' : '@ApiProperty()',
+      ...(optional ? ['@IsOptional()'] : []),
+      ...(type === 'date' ? ['@Type(() => Date)'] : []),
+      ...fieldValidators.map((validator) => `@${validator.includes('(') ? validator : `${validator}()`}`)
+    ];
+    return `${decorators.map((decorator) => `  ${decorator}`).join('\n')}
+  ${name}${optional ? '?' : ''}: ${ts};`;
+  });
+
+  return `import { ApiProperty, ApiPropertyOptional } from '@nestjs/swagger';
+${hasDates ? "import { Type } from 'class-transformer';\n" : ''}import { ${[...validators].sort().join(', ')} } from 'class-validator';
+
+export class Create${singular.pascal}Dto {
+${properties.join('\n\n')}
+}
+`;
+}
+
+function generateUpdateDto({ singular }) {
+  return `import { PartialType } from '@nestjs/swagger';
+import { Create${singular.pascal}Dto } from './create-${singular.kebab}.dto';
+
+export class Update${singular.pascal}Dto extends PartialType(Create${singular.pascal}Dto) {}
+`;
+}
+
+function generateResourceRouterContent({ singular, plural, fields }, config) {
+  const table = plural.camel;
+  const schemaFields = fields
+    .map(({ name, type, optional }) => `  ${name}: ${FIELD_TYPES[type].zod}${optional ? '.optional()' : ''},`)
+    .join('\n');
+
+  const queries = config.orm === 'prisma'
+    ? {
+      findAll: `ctx.prisma.${singular.camel}.findMany({ orderBy: { createdAt: 'desc' } })`,
+      findById: `ctx.prisma.${singular.camel}.findUnique({ where: { id } })`,
+      create: `return ctx.prisma.${singular.camel}.create({
+        data: input,
+      });`,
+      update: `return ctx.prisma.${singular.camel}.update({
+        where: { id },
+        data,
+      });`,
+      delete: `return ctx.prisma.${singular.camel}.delete({
+        where: { id: input.id },
+      });`
+    }
+    : {
+      findAll: `ctx.db.db.select().from(${table}).orderBy(desc(${table}.createdAt))`,
+      findById: `ctx.db.db.select().from(${table}).where(eq(${table}.id, id)).then((rows) => rows[0])`,
+      create: `const id = randomUUID();
+      await ctx.db.db.insert(${table}).values({
+        ...input,
+        id,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      return find${singular.pascal}(ctx, id);`,
+      update: `await ctx.db.db.update(${table})
+        .set({ ...data, updatedAt: new Date() })
+        .where(eq(${table}.id, id));
+      return find${singular.pascal}(ctx, id);`,
+      delete: `const ${singular.camel} = await find${singular.pascal}(ctx, input.id);
+      await ctx.db.db.delete(${table}).where(eq(${table}.id, input.id));
+      return ${singular.camel};`
+    };
+
+  return `import { z } from 'zod';
+import { TRPCError } from '@trpc/server';
+import { type Context } from '../context';
+import { publicProcedure, protectedProcedure, createTRPCRouter } from '../trpc';
+${config.orm === 'drizzle' ? `import { randomUUID } from 'crypto';\nimport { ${table} } from '../../../../shared/database/schema';\nimport { eq, desc } from 'drizzle-orm';\n` : ''}
+const create${singular.pascal}Schema = z.object({
+${schemaFields}
+});
+
+const update${singular.pascal}Schema = create${singular.pascal}Schema.partial().extend({
+  id: z.string(),
+});
+
+async function find${singular.pascal}(ctx: Context, id: string) {
+  const ${singular.camel} = await ${queries.findById};
+
+  if (!${singular.camel}) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: '${singular.label} not found',
+    });
+  }
+
+  return ${singular.camel};
+}
+
+export const ${plural.camel}Router = createTRPCRouter({
+  getAll: publicProcedure.query(async ({ ctx }) => {
+    return ${queries.findAll};
+  }),
+
+  getById: publicProcedure
+    .input(z.object({ id: z.string() }))
+    .query(async ({ input, ctx }) => {
+      return find${singular.pascal}(ctx, input.id);
+    }),
+
+  create: protectedProcedure
+    .input(create${singular.pascal}Schema)
+    .mutation(async ({ input, ctx }) => {
+      ${queries.create}
+    }),
+
+  update: protectedProcedure
+    .input(update${singular.pascal}Schema)
+    .mutation(async ({ input, ctx }) => {
+      const { id, ...data } = input;
+      await find${singular.pascal}(ctx, id);
+      ${queries.update}
+    }),
+
+  delete: protectedProcedure
+    .input(z.object({ id: z.string() }))
+    .mutation(async ({ input, ctx }) => {
+      ${config.orm === 'prisma' ? `await find${singular.pascal}(ctx, input.id);\n      ` : ''}${queries.delete}
+    }),
+});
+`;
+}
+
+function generatePrismaModel({ singular, plural, fields }, config) {
+  const columns = [
+    ['id', 'String', '@id @default(cuid())'],
+    ...fields.map(({ name, column, type, optional }) => {
+      const attributes = [];
+      if (type === 'text' && config.database !== 'sqlite') {
+        attributes.push('@db.Text');
+      }
+      if (column !== name) {
+        attributes.push(`@map("${column}")`);
+      }
+      return [name, `${FIELD_TYPES[type].prisma}${optional ? '?' : ''}`, attributes.join(' ')];
+    }),
+    ['createdAt', 'DateTime', '@default(now())'],
+    ['updatedAt', 'DateTime', '@updatedAt']
+  ];
+
+  // Aligned like the models in the generated schema
+  const nameWidth = Math.max(...columns.map(([name]) => name.length));
+  const typeWidth = Math.max(...columns.map(([, type]) => type.length));
+  const lines = columns.map(([name, type, attributes]) =>
+    `  ${name.padEnd(nameWidth)} ${attributes ? `${type.padEnd(typeWidth)} ${attributes}` : type}`
+  );
+
+  return `model ${singular.pascal} {
+${lines.join('\n')}
+
+  @@map("${plural.snake}")
+}
+`;
+}
+
+function generateDrizzleTable({ plural, fields }, config) {
+  const db = config.database;
+  const column = ({ column: name, type }) => {
+    switch (type) {
+      case 'text':
+        return `text('${name}')`;
+      case 'int':
+        return getDrizzleIntegerColumn(db, name);
+      case 'float':
+        return getDrizzleFloatColumn(db, name);
+      case 'boolean':
+        return getDrizzleBooleanColumn(db, name);
+      case 'date':
+        return getDrizzleTimestampColumn(db, name, false);
+      default:
+        return getDrizzleStringColumn(db, name);
+    }
+  };
+
+  const columns = fields.map((field) => `  ${field.name}: ${column(field)}${field.optional ? '' : '.notNull()'},`);
+
+  return `// ${plural.label} table
+export const ${plural.camel} = ${getDrizzleTableFunction(db)}('${plural.snake}', {
+  id: ${getDrizzlePrimaryKey(db)},
+${columns.join('\n')}
+  createdAt: ${getDrizzleTimestampColumn(db, 'created_at')}.notNull(),
+  updatedAt: ${getDrizzleTimestampColumn(db, 'updated_at')}.notNull(),
+});
+`;
+}
+
+// The drizzle-orm/*-core column builders a table uses, e.g. ['pgTable', 'uuid', 'varchar']
+function getDrizzleTableImports(table) {
+  return [...new Set([...table.matchAll(/[\s(](\w+)\('/g)].map((match) => match[1]))];
+}
+
+module.exports = {
+  FIELD_TYPES,
+  generateResourceFiles,
+  generateResourceRouter,
+  generatePrismaModel,
+  generateDrizzleTable,
+  getDrizzleTableImports
+};
@@ -1,1681 +1,23 @@
-const fs = require('fs-extra');
-const path = require('path');
+const { renderTemplateGroup } = require('../template-engine');
 
+// The Tailwind config, UI components and theme live in templates/tailwind/.
+// Next.js keeps components/ and lib/ at the root of the app, React and Vite
+// under src/.
 async function generateTailwindFiles(projectPath, config) {
-  const frontendPath = path.join(projectPath, 'src/frontend');
-
-  // Generate Tailwind configuration
-  await generateTailwindConfig(frontendPath, config);
-  
-  // Generate PostCSS configuration
-  await generatePostCSSConfig(frontendPath, config);
-  
-  // Generate component library
-  await generateComponentLibrary(frontendPath, config);
-  
-  // Generate Tailwind utilities
-  await generateTailwindUtilities(frontendPath, config);
-  
-  // Generate theme configuration
-  await generateThemeConfig(frontendPath, config);
-}
-
-async function generateTailwindConfig(frontendPath, config) {
-  const tailwindConfigContent = `/** @type {import('tailwindcss').Config} */
-module.exports = {
-  content: [
-    ${config.frontend === 'nextjs' ? `
-    './pages/**/*.{js,ts,jsx,tsx,mdx}',
-    './components/**/*.{js,ts,jsx,tsx,mdx}',
-    './app/**/*.{js,ts,jsx,tsx,mdx}',
-    './lib/**/*.{js,ts,jsx,tsx,mdx}',` : `
-    './src/**/*.{js,jsx,ts,tsx}',
-    './public/index.html',`}
-  ],
-  theme: {
-    extend: {
-      colors: {
-        primary: {
-          50: '#eff6ff',
-          100: '#dbeafe',
-          200: '#bfdbfe',
-          300: '#93c5fd',
-          400: '#60a5fa',
-          500: '#3b82f6',
-          600: '#2563eb',
-          700: '#1d4ed8',
-          800: '#1e40af',
-          900: '#1e3a8a',
-          950: '#172554',
-        },
-        secondary: {
-          50: '#f8fafc',
-          100: '#f1f5f9',
-          200: '#e2e8f0',
-          300: '#cbd5e1',
-          400: '#94a3b8',
-          500: '#64748b',
-          600: '#475569',
-          700: '#334155',
-          800: '#1e293b',
-          900: '#0f172a',
-          950: '#020617',
-        },
-        success: {
-          50: '#f0fdf4',
-          100: '#dcfce7',
-          200: '#bbf7d0',
-          300: '#86efac',
-          400: '#4ade80',
-          500: '#22c55e',
-          600: '#16a34a',
-          700: '#15803d',
-          800: '#166534',
-          900: '#14532d',
-          950: '#052e16',
-        },
-        warning: {
-          50: '#fffbeb',
-          100: '#fef3c7',
-          200: '#fde68a',
-          300: '#fcd34d',
-          400: '#fbbf24',
-          500: '#f59e0b',
-          600: '#d97706',
-          700: '#b45309',
-          800: '#92400e',
-          900: '#78350f',
-          950: '#451a03',
-        },
-        error: {
-          50: '#fef2f2',
-          100: '#fee2e2',
-          200: '#fecaca',
-          300: '#fca5a5',
-          400: '#f87171',
-          500: '#ef4444',
-          600: '#dc2626',
-          700: '#b91c1c',
-          800: '#991b1b',
-          900: '#7f1d1d',
-          950: '#450a0a',
-        },
-      },
-      fontFamily: {
-        sans: ['Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
-        mono: ['JetBrains Mono', 'ui-monospace', 'monospace'],
-        display: ['Cal Sans', 'Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
-      },
-      fontSize: {
-        '2xs': ['0.625rem', { lineHeight: '0.75rem' }],
-        '3xl': ['1.875rem', { lineHeight: '2.25rem' }],
-        '4xl': ['2.25rem', { lineHeight: '2.5rem' }],
-        '5xl': ['3rem', { lineHeight: '1' }],
-        '6xl': ['3.75rem', { lineHeight: '1' }],
-        '7xl': ['4.5rem', { lineHeight: '1' }],
-        '8xl': ['6rem', { lineHeight: '1' }],
-        '9xl': ['8rem', { lineHeight: '1' }],
-      },
-      spacing: {
-        '18': '4.5rem',
-        '88': '22rem',
-        '100': '25rem',
-        '112': '28rem',
-        '128': '32rem',
-      },
-      maxWidth: {
-        '8xl': '88rem',
-        '9xl': '96rem',
-      },
-      zIndex: {
-        '60': '60',
-        '70': '70',
-        '80': '80',
-        '90': '90',
-        '100': '100',
-      },
-      animation: {
-        'fade-in': 'fadeIn 0.5s ease-in-out',
-        'fade-out': 'fadeOut 0.5s ease-in-out',
-        'slide-in': 'slideIn 0.3s ease-out',
-        'slide-out': 'slideOut 0.3s ease-in',
-        'bounce-slow': 'bounce 2s infinite',
-        'pulse-slow': 'pulse 3s infinite',
-        'spin-slow': 'spin 3s linear infinite',
-        'wiggle': 'wiggle 1s ease-in-out infinite',
-        'float': 'float 3s ease-in-out infinite',
-        'gradient': 'gradient 3s ease infinite',
-      },
-      keyframes: {
-        fadeIn: {
-          '0%': { opacity: '0' },
-          '100%': { opacity: '1' },
-        },
-        fadeOut: {
-          '0%': { opacity: '1' },
-          '100%': { opacity: '0' },
-        },
-        slideIn: {
-          '0%': { transform: 'translateX(-100%)' },
-          '100%': { transform: 'translateX(0)' },
-        },
-        slideOut: {
-          '0%': { transform: 'translateX(0)' },
-          '100%': { transform: 'translateX(-100%)' },
-        },
-        wiggle: {
-          '0%, 100%': { transform: 'rotate(-3deg)' },
-          '50%': { transform: 'rotate(3deg)' },
-        },
-        float: {
-          '0%, 100%': { transform: 'translateY(0px)' },
-          '50%': { transform: 'translateY(-10px)' },
-        },
-        gradient: {
-          '0%, 100%': { backgroundPosition: '0% 50%' },
-          '50%': { backgroundPosition: '100% 50%' },
-        },
-      },
-      backgroundImage: {
-        'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
-        'gradient-conic': 'conic-gradient(from 180deg at 50% 50%, var(--tw-gradient-stops))',
-        'mesh-gradient': 'radial-gradient(at 27% 37%, hsla(215, 98%, 61%, 1) 0px, transparent 0%), radial-gradient(at 97% 21%, hsla(125, 98%, 72%, 1) 0px, transparent 50%), radial-gradient(at 52% 99%, hsla(354, 98%, 61%, 1) 0px, transparent 50%), radial-gradient(at 10% 29%, hsla(256, 96%, 67%, 1) 0px, transparent 50%), radial-gradient(at 97% 96%, hsla(38, 60%, 74%, 1) 0px, transparent 50%), radial-gradient(at 33% 50%, hsla(222, 67%, 73%, 1) 0px, transparent 50%), radial-gradient(at 79% 53%, hsla(343, 68%, 79%, 1) 0px, transparent 50%)',
-      },
-      backdropBlur: {
-        xs: '2px',
-      },
-      boxShadow: {
-        'inner-lg': 'inset 0 2px 4px 0 rgba(0, 0, 0, 0.06)',
-        'inner-xl': 'inset 0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-        'glow': '0 0 20px rgba(59, 130, 246, 0.5)',
-        'glow-lg': '0 0 40px rgba(59, 130, 246, 0.5)',
-      },
-      dropShadow: {
-        'glow': [
-          '0 0px 20px rgba(255, 255, 255, 0.35)',
-          '0 0px 65px rgba(255, 255, 255, 0.2)'
-        ]
-      }
-    },
-  },
-  plugins: [
-    require('@tailwindcss/forms'),
-    require('@tailwindcss/typography'),
-    require('@tailwindcss/aspect-ratio'),
-    require('@tailwindcss/container-queries'),
-    // Custom plugin for additional utilities
-    function({ addUtilities, addComponents, theme }) {
-      addUtilities({
-        '.text-shadow': {
-          textShadow: '0 2px 4px rgba(0,0,0,0.10)',
-        },
-        '.text-shadow-md': {
-          textShadow: '0 4px 8px rgba(0,0,0,0.12), 0 2px 4px rgba(0,0,0,0.08)',
-        },
-        '.text-shadow-lg': {
-          textShadow: '0 15px 35px rgba(0,0,0,0.12), 0 5px 15px rgba(0,0,0,0.07)',
-        },
-        '.text-shadow-none': {
-          textShadow: 'none',
-        },
-      });
-
-      addComponents({
-        '.btn': {
-          padding: theme('spacing.2') + ' ' + theme('spacing.4'),
-          borderRadius: theme('borderRadius.md'),
-          fontWeight: theme('fontWeight.semibold'),
-          fontSize: theme('fontSize.sm'),
-          transition: 'all 0.2s ease-in-out',
-          '&:focus': {
-            outline: 'none',
-            boxShadow: '0 0 0 3px rgba(59, 130, 246, 0.5)',
-          },
-        },
-        '.btn-primary': {
-          backgroundColor: theme('colors.primary.600'),
-          color: theme('colors.white'),
-          '&:hover': {
-            backgroundColor: theme('colors.primary.700'),
-          },
-          '&:disabled': {
-            backgroundColor: theme('colors.gray.400'),
-            cursor: 'not-allowed',
-          },
-        },
-        '.btn-secondary': {
-          backgroundColor: theme('colors.secondary.600'),
-          color: theme('colors.white'),
-          '&:hover': {
-            backgroundColor: theme('colors.secondary.700'),
-          },
-          '&:disabled': {
-            backgroundColor: theme('colors.gray.400'),
-            cursor: 'not-allowed',
-          },
-        },
-        '.btn-outline': {
-          backgroundColor: 'transparent',
-          color: theme('colors.primary.600'),
-          borderWidth: '1px',
-          borderColor: theme('colors.primary.600'),
-          '&:hover': {
-            backgroundColor: theme('colors.primary.600'),
-            color: theme('colors.white'),
-          },
-        },
-        '.btn-ghost': {
-          backgroundColor: 'transparent',
-          color: theme('colors.gray.700'),
-          '&:hover': {
-            backgroundColor: theme('colors.gray.100'),
-          },
-        },
-        '.card': {
-          backgroundColor: theme('colors.white'),
-          borderRadius: theme('borderRadius.lg'),
-          boxShadow: theme('boxShadow.md'),
-          padding: theme('spacing.6'),
-        },
-        '.input': {
-          width: '100%',
-          padding: theme('spacing.3'),
-          borderWidth: '1px',
-          borderColor: theme('colors.gray.300'),
-          borderRadius: theme('borderRadius.md'),
-          fontSize: theme('fontSize.sm'),
-          '&:focus': {
-            outline: 'none',
-            borderColor: theme('colors.primary.500'),
-            boxShadow: '0 0 0 3px rgba(59, 130, 246, 0.1)',
-          },
-          '&::placeholder': {
-            color: theme('colors.gray.400'),
-          },
-        },
-      });
-    },
-  ],
-  darkMode: 'class',
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'tailwind.config.js'), tailwindConfigContent);
-}
-
-async function generatePostCSSConfig(frontendPath, config) {
-  const postCSSConfigContent = `module.exports = {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-    ...(process.env.NODE_ENV === 'production' ? { cssnano: {} } : {})
-  },
-}
-`;
-
-  await fs.writeFile(path.join(frontendPath, 'postcss.config.js'), postCSSConfigContent);
-}
-
-async function generateComponentLibrary(frontendPath, config) {
-  // Button component
-  const buttonComponentContent = `import React from 'react';
-import { cn } from '${config.frontend === 'nextjs' ? '@/lib/utils' : '../lib/utils'}';
-
-export interface ButtonProps extends React.ButtonHTMLAttributes<HTMLButtonElement> {
-  variant?: 'primary' | 'secondary' | 'outline' | 'ghost' | 'destructive';
-  size?: 'sm' | 'md' | 'lg' | 'xl';
-  loading?: boolean;
-  leftIcon?: React.ReactNode;
-  rightIcon?: React.ReactNode;
-}
-
-const buttonVariants = {
-  primary: 'bg-primary-600 text-white hover:bg-primary-700 focus:ring-primary-500',
-  secondary: 'bg-secondary-600 text-white hover:bg-secondary-700 focus:ring-secondary-500',
-  outline: 'border border-primary-600 text-primary-600 hover:bg-primary-600 hover:text-white focus:ring-primary-500',
-  ghost: 'text-gray-700 hover:bg-gray-100 focus:ring-gray-500',
-  destructive: 'bg-error-600 text-white hover:bg-error-700 focus:ring-error-500',
-};
-
-const buttonSizes = {
-  sm: 'px-3 py-1.5 text-sm',
-  md: 'px-4 py-2 text-sm',
-  lg: 'px-6 py-3 text-base',
-  xl: 'px-8 py-4 text-lg',
-};
-
-export const Button = React.forwardRef<HTMLButtonElement, ButtonProps>(
-  ({ 
-    className, 
-    variant = 'primary', 
-    size = 'md', 
-    loading, 
-    leftIcon, 
-    rightIcon, 
-    disabled,
-    children,
-    ...props 
-  }, ref) => {
-    return (
-      <button
-        className={cn(
-          'inline-flex items-center justify-center gap-2 rounded-md font-semibold transition-all duration-200',
-          'focus:outline-none focus:ring-2 focus:ring-offset-2',
-          'disabled:opacity-50 disabled:cursor-not-allowed',
-          buttonVariants[variant],
-          buttonSizes[size],
-          loading && 'cursor-wait',
-          className
-        )}
-        disabled={disabled || loading}
-        ref={ref}
-        {...props}
-      >
-        {loading ? (
-          <svg className="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
-            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-          </svg>
-        ) : leftIcon}
-        {children}
-        {!loading && rightIcon}
-      </button>
-    );
-  }
-);
-
-Button.displayName = 'Button';
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'components' : 'src/components'}/ui/Button.tsx`),
-    buttonComponentContent
-  );
-
-  // Input component
-  const inputComponentContent = `import React from 'react';
-import { cn } from '${config.frontend === 'nextjs' ? '@/lib/utils' : '../lib/utils'}';
-
-export interface InputProps extends React.InputHTMLAttributes<HTMLInputElement> {
-  label?: string;
-  error?: string;
-  helperText?: string;
-  leftIcon?: React.ReactNode;
-  rightIcon?: React.ReactNode;
-}
-
-export const Input = React.forwardRef<HTMLInputElement, InputProps>(
-  ({ className, label, error, helperText, leftIcon, rightIcon, id, ...props }, ref) => {
-    const inputId = id || \`input-\${Math.random().toString(36).substr(2, 9)}\`;
-
-    return (
-      <div className="w-full">
-        {label && (
-          <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-2">
-            {label}
-          </label>
-        )}
-        <div className="relative">
-          {leftIcon && (
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <div className="text-gray-400">{leftIcon}</div>
-            </div>
-          )}
-          <input
-            id={inputId}
-            className={cn(
-              'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm',
-              'placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500',
-              'sm:text-sm transition-colors duration-200',
-              leftIcon && 'pl-10',
-              rightIcon && 'pr-10',
-              error && 'border-error-500 focus:ring-error-500 focus:border-error-500',
-              className
-            )}
-            ref={ref}
-            {...props}
-          />
-          {rightIcon && (
-            <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-              <div className="text-gray-400">{rightIcon}</div>
-            </div>
-          )}
-        </div>
-        {error && (
-          <p className="mt-1 text-sm text-error-600">{error}</p>
-        )}
-        {helperText && !error && (
-          <p className="mt-1 text-sm text-gray-500">{helperText}</p>
-        )}
-      </div>
-    );
-  }
-);
-
-Input.displayName = 'Input';
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'components' : 'src/components'}/ui/Input.tsx`),
-    inputComponentContent
-  );
-
-  // Card component
-  const cardComponentContent = `import React from 'react';
-import { cn } from '${config.frontend === 'nextjs' ? '@/lib/utils' : '../lib/utils'}';
-
-export interface CardProps extends React.HTMLAttributes<HTMLDivElement> {
-  variant?: 'default' | 'bordered' | 'shadow' | 'elevated';
-  padding?: 'none' | 'sm' | 'md' | 'lg' | 'xl';
-}
-
-const cardVariants = {
-  default: 'bg-white rounded-lg',
-  bordered: 'bg-white border border-gray-200 rounded-lg',
-  shadow: 'bg-white shadow-md rounded-lg',
-  elevated: 'bg-white shadow-lg rounded-lg',
-};
-
-const cardPadding = {
-  none: 'p-0',
-  sm: 'p-4',
-  md: 'p-6',
-  lg: 'p-8',
-  xl: 'p-10',
-};
-
-export const Card = React.forwardRef<HTMLDivElement, CardProps>(
-  ({ className, variant = 'default', padding = 'md', ...props }, ref) => {
-    return (
-      <div
-        className={cn(
-          cardVariants[variant],
-          cardPadding[padding],
-          className
-        )}
-        ref={ref}
-        {...props}
-      />
-    );
-  }
-);
-
-Card.displayName = 'Card';
-
-export const CardHeader = React.forwardRef<HTMLDivElement, React.HTMLAttributes<HTMLDivElement>>(
-  ({ className, ...props }, ref) => (
-    <div
-      ref={ref}
-      className={cn('flex flex-col space-y-1.5 pb-6', className)}
-      {...props}
-    />
-  )
-);
-
-CardHeader.displayName = 'CardHeader';
-
-export const CardTitle = React.forwardRef<HTMLParagraphElement, React.HTMLAttributes<HTMLHeadingElement>>(
-  ({ className, ...props }, ref) => (
-    <h3
-      ref={ref}
-      className={cn('text-lg font-semibold leading-none tracking-tight', className)}
-      {...props}
-    />
-  )
-);
-
-CardTitle.displayName = 'CardTitle';
-
-export const CardDescription = React.forwardRef<HTMLParagraphElement, React.HTMLAttributes<HTMLParagraphElement>>(
-  ({ className, ...props }, ref) => (
-    <p
-      ref={ref}
-      className={cn('text-sm text-gray-600', className)}
-      {...props}
-    />
-  )
-);
-
-CardDescription.displayName = 'CardDescription';
-
-export const CardContent = React.forwardRef<HTMLDivElement, React.HTMLAttributes<HTMLDivElement>>(
-  ({ className, ...props }, ref) => (
-    <div ref={ref} className={cn('pt-0', className)} {...props} />
-  )
-);
-
-CardContent.displayName = 'CardContent';
-
-export const CardFooter = React.forwardRef<HTMLDivElement, React.HTMLAttributes<HTMLDivElement>>(
-  ({ className, ...props }, ref) => (
-    <div
-      ref={ref}
-      className={cn('flex items-center pt-6', className)}
-      {...props}
-    />
-  )
-);
-
-CardFooter.displayName = 'CardFooter';
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'components' : 'src/components'}/ui/Card.tsx`),
-    cardComponentContent
-  );
-
-  // Modal component
-  const modalComponentContent = `import React, { useEffect } from 'react';
-import { createPortal } from 'react-dom';
-import { cn } from '${config.frontend === 'nextjs' ? '@/lib/utils' : '../lib/utils'}';
-
-export interface ModalProps {
-  isOpen: boolean;
-  onClose: () => void;
-  title?: string;
-  description?: string;
-  children: React.ReactNode;
-  size?: 'sm' | 'md' | 'lg' | 'xl' | 'full';
-  showCloseButton?: boolean;
-  closeOnOverlayClick?: boolean;
-  closeOnEscape?: boolean;
-}
-
-const modalSizes = {
-  sm: 'max-w-md',
-  md: 'max-w-lg',
-  lg: 'max-w-2xl',
-  xl: 'max-w-4xl',
-  full: 'max-w-full m-4',
-};
-
-export function Modal({
-  isOpen,
-  onClose,
-  title,
-  description,
-  children,
-  size = 'md',
-  showCloseButton = true,
-  closeOnOverlayClick = true,
-  closeOnEscape = true,
-}: ModalProps) {
-  useEffect(() => {
-    if (!closeOnEscape) return;
-
-    const handleEscape = (event: KeyboardEvent) => {
-      if (event.key === 'Escape' && isOpen) {
-        onClose();
-      }
-    };
-
-    document.addEventListener('keydown', handleEscape);
-    return () => document.removeEventListener('keydown', handleEscape);
-  }, [isOpen, onClose, closeOnEscape]);
-
-  useEffect(() => {
-    if (isOpen) {
-      document.body.style.overflow = 'hidden';
-    } else {
-      document.body.style.overflow = 'unset';
-    }
-
-    return () => {
-      document.body.style.overflow = 'unset';
-    };
-  }, [isOpen]);
-
-  if (!isOpen) return null;
-
-  const modalContent = (
-    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
-      {/* Overlay */}
-      <div
-        className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
-        onClick={closeOnOverlayClick ? onClose : undefined}
-      />
-      
-      {/* Modal */}
-      <div className={cn(
-        'relative bg-white rounded-lg shadow-xl max-h-[90vh] overflow-hidden',
-        'animate-fade-in',
-        modalSizes[size]
-      )}>
-        {/* Header */}
-        {(title || showCloseButton) && (
-          <div className="flex items-center justify-between p-6 border-b border-gray-200">
-            <div>
-              {title && (
-                <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
-              )}
-              {description && (
-                <p className="mt-1 text-sm text-gray-600">{description}</p>
-              )}
-            </div>
-            {showCloseButton && (
-              <button
-                onClick={onClose}
-                className="text-gray-400 hover:text-gray-600 transition-colors"
-              >
-                <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            )}
-          </div>
-        )}
-        
-        {/* Content */}
-        <div className="p-6 overflow-y-auto max-h-[calc(90vh-8rem)]">
-          {children}
-        </div>
-      </div>
-    </div>
-  );
-
-  return createPortal(modalContent, document.body);
-}
-
-export function ModalHeader({ children, className, ...props }: React.HTMLAttributes<HTMLDivElement>) {
-  return (
-    <div className={cn('px-6 py-4 border-b border-gray-200', className)} {...props}>
-      {children}
-    </div>
-  );
+  await renderTemplateGroup('tailwind', projectPath, getTemplateData(config));
 }
 
-export function ModalBody({ children, className, ...props }: React.HTMLAttributes<HTMLDivElement>) {
-  return (
-    <div className={cn('px-6 py-4', className)} {...props}>
-      {children}
-    </div>
-  );
-}
-
-export function ModalFooter({ children, className, ...props }: React.HTMLAttributes<HTMLDivElement>) {
-  return (
-    <div className={cn('px-6 py-4 border-t border-gray-200 flex justify-end space-x-3', className)} {...props}>
-      {children}
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'components' : 'src/components'}/ui/Modal.tsx`),
-    modalComponentContent
-  );
-
-  // Toast component
-  const toastComponentContent = `import React, { createContext, useContext, useState, useCallback } from 'react';
-import { createPortal } from 'react-dom';
-import { cn } from '${config.frontend === 'nextjs' ? '@/lib/utils' : '../lib/utils'}';
-
-export type ToastType = 'success' | 'error' | 'warning' | 'info';
-
-export interface Toast {
-  id: string;
-  type: ToastType;
-  title: string;
-  description?: string;
-  duration?: number;
-  action?: {
-    label: string;
-    onClick: () => void;
-  };
-}
-
-interface ToastContextType {
-  toasts: Toast[];
-  addToast: (toast: Omit<Toast, 'id'>) => void;
-  removeToast: (id: string) => void;
-  success: (title: string, description?: string) => void;
-  error: (title: string, description?: string) => void;
-  warning: (title: string, description?: string) => void;
-  info: (title: string, description?: string) => void;
-}
-
-const ToastContext = createContext<ToastContextType | undefined>(undefined);
-
-export function useToast() {
-  const context = useContext(ToastContext);
-  if (!context) {
-    throw new Error('useToast must be used within a ToastProvider');
-  }
-  return context;
-}
-
-export function ToastProvider({ children }: { children: React.ReactNode }) {
-  const [toasts, setToasts] = useState<Toast[]>([]);
-
-  const removeToast = useCallback((id: string) => {
-    setToasts((prev) => prev.filter((toast) => toast.id !== id));
-  }, []);
-
-  const addToast = useCallback((toast: Omit<Toast, 'id'>) => {
-    const id = Math.random().toString(36).substr(2, 9);
-    const newToast = { ...toast, id };
-    
-    setToasts((prev) => [...prev, newToast]);
-
-    // Auto remove after duration
-    const duration = toast.duration ?? 5000;
-    if (duration > 0) {
-      setTimeout(() => {
-        removeToast(id);
-      }, duration);
-    }
-  }, [removeToast]);
-
-  const success = useCallback((title: string, description?: string) => {
-    addToast({ type: 'success', title, description });
-  }, [addToast]);
-
-  const error = useCallback((title: string, description?: string) => {
-    addToast({ type: 'error', title, description });
-  }, [addToast]);
-
-  const warning = useCallback((title: string, description?: string) => {
-    addToast({ type: 'warning', title, description });
-  }, [addToast]);
-
-  const info = useCallback((title: string, description?: string) => {
-    addToast({ type: 'info', title, description });
-  }, [addToast]);
-
-  return (
-    <ToastContext.Provider value={{
-      toasts,
-      addToast,
-      removeToast,
-      success,
-      error,
-      warning,
-      info,
-    }}>
-      {children}
-      <ToastContainer toasts={toasts} onRemove={removeToast} />
-    </ToastContext.Provider>
-  );
-}
-
-interface ToastContainerProps {
-  toasts: Toast[];
-  onRemove: (id: string) => void;
-}
-
-function ToastContainer({ toasts, onRemove }: ToastContainerProps) {
-  if (toasts.length === 0) return null;
-
-  return createPortal(
-    <div className="fixed top-4 right-4 z-50 flex flex-col space-y-2 max-w-sm">
-      {toasts.map((toast) => (
-        <ToastItem key={toast.id} toast={toast} onRemove={onRemove} />
-      ))}
-    </div>,
-    document.body
-  );
-}
-
-interface ToastItemProps {
-  toast: Toast;
-  onRemove: (id: string) => void;
-}
-
-const toastStyles = {
-  success: 'bg-success-50 border-success-200 text-success-800',
-  error: 'bg-error-50 border-error-200 text-error-800',
-  warning: 'bg-warning-50 border-warning-200 text-warning-800',
-  info: 'bg-blue-50 border-blue-200 text-blue-800',
-};
-
-const toastIcons = {
-  success: (
-    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-    </svg>
-  ),
-  error: (
-    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-    </svg>
-  ),
-  warning: (
-    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-      <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-    </svg>
-  ),
-  info: (
-    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-      <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
-    </svg>
-  ),
-};
-
-function ToastItem({ toast, onRemove }: ToastItemProps) {
-  return (
-    <div className={cn(
-      'max-w-sm w-full p-4 rounded-lg border shadow-lg animate-slide-in',
-      toastStyles[toast.type]
-    )}>
-      <div className="flex items-start">
-        <div className="flex-shrink-0">
-          {toastIcons[toast.type]}
-        </div>
-        <div className="ml-3 flex-1">
-          <p className="text-sm font-medium">{toast.title}</p>
-          {toast.description && (
-            <p className="mt-1 text-sm opacity-90">{toast.description}</p>
-          )}
-          {toast.action && (
-            <div className="mt-3">
-              <button
-                onClick={toast.action.onClick}
-                className="text-sm font-medium underline hover:no-underline"
-              >
-                {toast.action.label}
-              </button>
-            </div>
-          )}
-        </div>
-        <div className="ml-4 flex-shrink-0">
-          <button
-            onClick={() => onRemove(toast.id)}
-            className="inline-flex text-gray-400 hover:text-gray-600 focus:outline-none"
-          >
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
-            </svg>
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'components' : 'src/components'}/ui/Toast.tsx`),
-    toastComponentContent
-  );
-
-  // Component library index
-  const indexContent = `// UI Components
-export { Button } from './Button';
-export type { ButtonProps } from './Button';
-
-export { Input } from './Input';
-export type { InputProps } from './Input';
-
-export { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from './Card';
-export type { CardProps } from './Card';
-
-export { Modal, ModalHeader, ModalBody, ModalFooter } from './Modal';
-export type { ModalProps } from './Modal';
+function getTemplateData(config) {
+  const nextjs = config.frontend === 'nextjs';
 
-export { ToastProvider, useToast } from './Toast';
-export type { Toast, ToastType } from './Toast';
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'components' : 'src/components'}/ui/index.ts`),
-    indexContent
-  );
-}
-
-async function generateTailwindUtilities(frontendPath, config) {
-  // Utility functions for Tailwind
-  const utilsContent = `import { type ClassValue, clsx } from 'clsx';
-import { twMerge } from 'tailwind-merge';
-
-/**
- * Utility function to merge Tailwind CSS classes
- * Combines clsx and tailwind-merge for optimal class merging
- */
-export function cn(...inputs: ClassValue[]) {
-  return twMerge(clsx(inputs));
-}
-
-/**
- * Screen size breakpoints for responsive design
- */
-export const breakpoints = {
-  sm: 640,
-  md: 768,
-  lg: 1024,
-  xl: 1280,
-  '2xl': 1536,
-} as const;
-
-/**
- * Check if current screen size matches a breakpoint
- */
-export function useMediaQuery(query: string): boolean {
-  if (typeof window === 'undefined') return false;
-  
-  const mediaQuery = window.matchMedia(query);
-  return mediaQuery.matches;
-}
-
-/**
- * Get responsive classes based on screen size
- */
-export function getResponsiveClass(
-  base: string,
-  responsive: Partial<Record<keyof typeof breakpoints, string>> = {}
-): string {
-  const classes = [base];
-  
-  Object.entries(responsive).forEach(([breakpoint, className]) => {
-    if (className) {
-      classes.push(\`\${breakpoint}:\${className}\`);
-    }
-  });
-  
-  return classes.join(' ');
-}
-
-/**
- * Generate color variants for components
- */
-export function generateColorVariants(baseColor: string) {
   return {
-    50: \`\${baseColor}-50\`,
-    100: \`\${baseColor}-100\`,
-    200: \`\${baseColor}-200\`,
-    300: \`\${baseColor}-300\`,
-    400: \`\${baseColor}-400\`,
-    500: \`\${baseColor}-500\`,
-    600: \`\${baseColor}-600\`,
-    700: \`\${baseColor}-700\`,
-    800: \`\${baseColor}-800\`,
-    900: \`\${baseColor}-900\`,
-    950: \`\${baseColor}-950\`,
+    ...config,
+    frontendComponents: nextjs ? 'components' : 'src/components',
+    frontendLib: nextjs ? 'lib' : 'src/lib',
+    utilsImport: nextjs ? '@/lib/utils' : '../../lib/utils'
   };
 }
 
-/**
- * Convert hex color to RGB values
- */
-export function hexToRgb(hex: string): { r: number; g: number; b: number } | null {
-  const result = /^#?([a-f\\d]{2})([a-f\\d]{2})([a-f\\d]{2})$/i.exec(hex);
-  return result
-    ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16),
-      }
-    : null;
-}
-
-/**
- * Generate CSS custom properties for colors
- */
-export function generateCSSVariables(colors: Record<string, string>): string {
-  return Object.entries(colors)
-    .map(([name, value]) => {
-      const rgb = hexToRgb(value);
-      return rgb ? \`--color-\${name}: \${rgb.r} \${rgb.g} \${rgb.b};\` : '';
-    })
-    .filter(Boolean)
-    .join('\\n');
-}
-
-/**
- * Animation utilities
- */
-export const animations = {
-  fadeIn: 'animate-fade-in',
-  fadeOut: 'animate-fade-out',
-  slideIn: 'animate-slide-in',
-  slideOut: 'animate-slide-out',
-  bounce: 'animate-bounce',
-  pulse: 'animate-pulse',
-  spin: 'animate-spin',
-  ping: 'animate-ping',
-  wiggle: 'animate-wiggle',
-  float: 'animate-float',
-} as const;
-
-/**
- * Shadow utilities
- */
-export const shadows = {
-  none: 'shadow-none',
-  sm: 'shadow-sm',
-  md: 'shadow-md',
-  lg: 'shadow-lg',
-  xl: 'shadow-xl',
-  '2xl': 'shadow-2xl',
-  inner: 'shadow-inner',
-  glow: 'shadow-glow',
-  glowLg: 'shadow-glow-lg',
-} as const;
-
-/**
- * Spacing utilities
- */
-export const spacing = {
-  0: 'p-0',
-  1: 'p-1',
-  2: 'p-2',
-  3: 'p-3',
-  4: 'p-4',
-  5: 'p-5',
-  6: 'p-6',
-  8: 'p-8',
-  10: 'p-10',
-  12: 'p-12',
-  16: 'p-16',
-  20: 'p-20',
-  24: 'p-24',
-} as const;
-
-/**
- * Typography utilities
- */
-export const typography = {
-  xs: 'text-xs',
-  sm: 'text-sm',
-  base: 'text-base',
-  lg: 'text-lg',
-  xl: 'text-xl',
-  '2xl': 'text-2xl',
-  '3xl': 'text-3xl',
-  '4xl': 'text-4xl',
-  '5xl': 'text-5xl',
-  '6xl': 'text-6xl',
-} as const;
-
-/**
- * Focus ring utilities
- */
-export function focusRing(color = 'primary'): string {
-  return \`focus:outline-none focus:ring-2 focus:ring-\${color}-500 focus:ring-offset-2\`;
-}
-
-/**
- * Transition utilities
- */
-export function transition(
-  properties: string[] = ['all'],
-  duration = '200ms',
-  easing = 'ease-in-out'
-): string {
-  return \`transition-[\${properties.join(',')}] duration-[\${duration}] ease-[\${easing}]\`;
-}
-
-/**
- * Gradient utilities
- */
-export const gradients = {
-  primary: 'bg-gradient-to-r from-primary-500 to-primary-700',
-  secondary: 'bg-gradient-to-r from-secondary-500 to-secondary-700',
-  success: 'bg-gradient-to-r from-success-500 to-success-700',
-  warning: 'bg-gradient-to-r from-warning-500 to-warning-700',
-  error: 'bg-gradient-to-r from-error-500 to-error-700',
-  rainbow: 'bg-gradient-to-r from-red-500 via-yellow-500 to-blue-500',
-  mesh: 'bg-mesh-gradient',
-} as const;
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'lib' : 'src/lib'}/tailwind-utils.ts`),
-    utilsContent
-  );
-}
-
-async function generateThemeConfig(frontendPath, config) {
-  // Theme configuration
-  const themeConfigContent = `/**
- * Theme Configuration for Kurdemy App
- * Customize colors, typography, spacing, and other design tokens
- */
-
-export const theme = {
-  colors: {
-    primary: {
-      50: '#eff6ff',
-      100: '#dbeafe',
-      200: '#bfdbfe',
-      300: '#93c5fd',
-      400: '#60a5fa',
-      500: '#3b82f6',
-      600: '#2563eb',
-      700: '#1d4ed8',
-      800: '#1e40af',
-      900: '#1e3a8a',
-      950: '#172554',
-    },
-    secondary: {
-      50: '#f8fafc',
-      100: '#f1f5f9',
-      200: '#e2e8f0',
-      300: '#cbd5e1',
-      400: '#94a3b8',
-      500: '#64748b',
-      600: '#475569',
-      700: '#334155',
-      800: '#1e293b',
-      900: '#0f172a',
-      950: '#020617',
-    },
-    success: {
-      50: '#f0fdf4',
-      100: '#dcfce7',
-      200: '#bbf7d0',
-      300: '#86efac',
-      400: '#4ade80',
-      500: '#22c55e',
-      600: '#16a34a',
-      700: '#15803d',
-      800: '#166534',
-      900: '#14532d',
-      950: '#052e16',
-    },
-    warning: {
-      50: '#fffbeb',
-      100: '#fef3c7',
-      200: '#fde68a',
-      300: '#fcd34d',
-      400: '#fbbf24',
-      500: '#f59e0b',
-      600: '#d97706',
-      700: '#b45309',
-      800: '#92400e',
-      900: '#78350f',
-      950: '#451a03',
-    },
-    error: {
-      50: '#fef2f2',
-      100: '#fee2e2',
-      200: '#fecaca',
-      300: '#fca5a5',
-      400: '#f87171',
-      500: '#ef4444',
-      600: '#dc2626',
-      700: '#b91c1c',
-      800: '#991b1b',
-      900: '#7f1d1d',
-      950: '#450a0a',
-    },
-    gray: {
-      50: '#f9fafb',
-      100: '#f3f4f6',
-      200: '#e5e7eb',
-      300: '#d1d5db',
-      400: '#9ca3af',
-      500: '#6b7280',
-      600: '#4b5563',
-      700: '#374151',
-      800: '#1f2937',
-      900: '#111827',
-      950: '#030712',
-    },
-  },
-  fonts: {
-    sans: ['Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
-    mono: ['JetBrains Mono', 'ui-monospace', 'monospace'],
-    display: ['Cal Sans', 'Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
-  },
-  spacing: {
-    xs: '0.5rem',
-    sm: '0.75rem',
-    md: '1rem',
-    lg: '1.5rem',
-    xl: '2rem',
-    '2xl': '3rem',
-    '3xl': '4rem',
-    '4xl': '6rem',
-    '5xl': '8rem',
-  },
-  borderRadius: {
-    none: '0',
-    sm: '0.25rem',
-    md: '0.375rem',
-    lg: '0.5rem',
-    xl: '0.75rem',
-    '2xl': '1rem',
-    '3xl': '1.5rem',
-    full: '9999px',
-  },
-  shadows: {
-    sm: '0 1px 2px 0 rgba(0, 0, 0, 0.05)',
-    md: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
-    lg: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
-    xl: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
-    '2xl': '0 25px 50px -12px rgba(0, 0, 0, 0.25)',
-    glow: '0 0 20px rgba(59, 130, 246, 0.5)',
-  },
-  breakpoints: {
-    sm: '640px',
-    md: '768px',
-    lg: '1024px',
-    xl: '1280px',
-    '2xl': '1536px',
-  },
-  zIndex: {
-    hide: -1,
-    auto: 'auto',
-    base: 0,
-    docked: 10,
-    dropdown: 1000,
-    sticky: 1100,
-    banner: 1200,
-    overlay: 1300,
-    modal: 1400,
-    popover: 1500,
-    skipLink: 1600,
-    toast: 1700,
-    tooltip: 1800,
-  },
-  animations: {
-    durations: {
-      fast: '150ms',
-      normal: '200ms',
-      slow: '300ms',
-      slower: '500ms',
-    },
-    easings: {
-      ease: 'ease',
-      easeIn: 'ease-in',
-      easeOut: 'ease-out',
-      easeInOut: 'ease-in-out',
-      linear: 'linear',
-      spring: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)',
-    },
-  },
-} as const;
-
-export type Theme = typeof theme;
-
-/**
- * Dark mode color overrides
- */
-export const darkTheme = {
-  colors: {
-    ...theme.colors,
-    gray: {
-      50: '#030712',
-      100: '#111827',
-      200: '#1f2937',
-      300: '#374151',
-      400: '#4b5563',
-      500: '#6b7280',
-      600: '#9ca3af',
-      700: '#d1d5db',
-      800: '#e5e7eb',
-      900: '#f3f4f6',
-      950: '#f9fafb',
-    },
-  },
-} as const;
-
-/**
- * Theme utilities
- */
-export function getColorValue(colorPath: string, theme: Theme = theme): string {
-  const keys = colorPath.split('.');
-  let value: any = theme.colors;
-  
-  for (const key of keys) {
-    value = value?.[key];
-  }
-  
-  return value || colorPath;
-}
-
-export function getSpacingValue(size: keyof Theme['spacing']): string {
-  return theme.spacing[size];
-}
-
-export function getFontFamily(family: keyof Theme['fonts']): string[] {
-  return theme.fonts[family];
-}
-
-/**
- * CSS custom properties generator
- */
-export function generateCSSCustomProperties(themeConfig: Theme): string {
-  const cssVars: string[] = [];
-  
-  // Generate color variables
-  Object.entries(themeConfig.colors).forEach(([colorName, colorShades]) => {
-    if (typeof colorShades === 'string') {
-      cssVars.push(\`--color-\${colorName}: \${colorShades};\`);
-    } else {
-      Object.entries(colorShades).forEach(([shade, value]) => {
-        cssVars.push(\`--color-\${colorName}-\${shade}: \${value};\`);
-      });
-    }
-  });
-  
-  // Generate spacing variables
-  Object.entries(themeConfig.spacing).forEach(([name, value]) => {
-    cssVars.push(\`--spacing-\${name}: \${value};\`);
-  });
-  
-  // Generate border radius variables
-  Object.entries(themeConfig.borderRadius).forEach(([name, value]) => {
-    cssVars.push(\`--radius-\${name}: \${value};\`);
-  });
-  
-  return cssVars.join('\\n  ');
-}
-
-/**
- * Component-specific theme configurations
- */
-export const componentThemes = {
-  button: {
-    sizes: {
-      sm: 'px-3 py-1.5 text-sm',
-      md: 'px-4 py-2 text-sm',
-      lg: 'px-6 py-3 text-base',
-      xl: 'px-8 py-4 text-lg',
-    },
-    variants: {
-      solid: 'bg-primary-600 text-white hover:bg-primary-700',
-      outline: 'border border-primary-600 text-primary-600 hover:bg-primary-600 hover:text-white',
-      ghost: 'text-primary-600 hover:bg-primary-100',
-      link: 'text-primary-600 underline hover:text-primary-700',
-    },
-  },
-  input: {
-    sizes: {
-      sm: 'px-2 py-1 text-sm',
-      md: 'px-3 py-2 text-sm',
-      lg: 'px-4 py-3 text-base',
-    },
-    variants: {
-      default: 'border border-gray-300 focus:border-primary-500 focus:ring-primary-500',
-      error: 'border border-error-500 focus:border-error-500 focus:ring-error-500',
-      success: 'border border-success-500 focus:border-success-500 focus:ring-success-500',
-    },
-  },
-  card: {
-    variants: {
-      default: 'bg-white rounded-lg',
-      bordered: 'bg-white border border-gray-200 rounded-lg',
-      shadow: 'bg-white shadow-md rounded-lg',
-      elevated: 'bg-white shadow-lg rounded-lg',
-    },
-    padding: {
-      none: 'p-0',
-      sm: 'p-4',
-      md: 'p-6',
-      lg: 'p-8',
-    },
-  },
-} as const;
-
-export type ComponentThemes = typeof componentThemes;
-`;
-
-  await fs.writeFile(
-    path.join(frontendPath, `${config.frontend === 'nextjs' ? 'lib' : 'src/lib'}/theme.ts`),
-    themeConfigContent
-  );
-
-  // CSS base styles with custom properties
-  const baseStylesContent = `/* Base styles with CSS custom properties */
-:root {
-  /* Colors */
-  --color-primary-50: #eff6ff;
-  --color-primary-100: #dbeafe;
-  --color-primary-200: #bfdbfe;
-  --color-primary-300: #93c5fd;
-  --color-primary-400: #60a5fa;
-  --color-primary-500: #3b82f6;
-  --color-primary-600: #2563eb;
-  --color-primary-700: #1d4ed8;
-  --color-primary-800: #1e40af;
-  --color-primary-900: #1e3a8a;
-  --color-primary-950: #172554;
-  
-  /* Spacing */
-  --spacing-xs: 0.5rem;
-  --spacing-sm: 0.75rem;
-  --spacing-md: 1rem;
-  --spacing-lg: 1.5rem;
-  --spacing-xl: 2rem;
-  --spacing-2xl: 3rem;
-  --spacing-3xl: 4rem;
-  
-  /* Border radius */
-  --radius-sm: 0.25rem;
-  --radius-md: 0.375rem;
-  --radius-lg: 0.5rem;
-  --radius-xl: 0.75rem;
-  --radius-2xl: 1rem;
-  --radius-full: 9999px;
-  
-  /* Shadows */
-  --shadow-sm: 0 1px 2px 0 rgba(0, 0, 0, 0.05);
-  --shadow-md: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
-  --shadow-lg: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
-  --shadow-xl: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
-  
-  /* Typography */
-  --font-family-sans: Inter, ui-sans-serif, system-ui, sans-serif;
-  --font-family-mono: 'JetBrains Mono', ui-monospace, monospace;
-  --font-family-display: 'Cal Sans', Inter, ui-sans-serif, system-ui, sans-serif;
-  
-  /* Transitions */
-  --transition-fast: 150ms ease-in-out;
-  --transition-normal: 200ms ease-in-out;
-  --transition-slow: 300ms ease-in-out;
-}
-
-/* Dark mode overrides */
-@media (prefers-color-scheme: dark) {
-  :root {
-    --color-background: #0f172a;
-    --color-foreground: #f1f5f9;
-    --color-muted: #1e293b;
-    --color-muted-foreground: #94a3b8;
-    --color-border: #334155;
-  }
-}
-
-.dark {
-  --color-background: #0f172a;
-  --color-foreground: #f1f5f9;
-  --color-muted: #1e293b;
-  --color-muted-foreground: #94a3b8;
-  --color-border: #334155;
-}
-
-/* Custom animations */
-@keyframes fade-in {
-  from {
-    opacity: 0;
-  }
-  to {
-    opacity: 1;
-  }
-}
-
-@keyframes fade-out {
-  from {
-    opacity: 1;
-  }
-  to {
-    opacity: 0;
-  }
-}
-
-@keyframes slide-in {
-  from {
-    transform: translateX(-100%);
-  }
-  to {
-    transform: translateX(0);
-  }
-}
-
-@keyframes slide-out {
-  from {
-    transform: translateX(0);
-  }
-  to {
-    transform: translateX(-100%);
-  }
-}
-
-@keyframes wiggle {
-  0%, 100% {
-    transform: rotate(-3deg);
-  }
-  50% {
-    transform: rotate(3deg);
-  }
-}
-
-@keyframes float {
-  0%, 100% {
-    transform: translateY(0px);
-  }
-  50% {
-    transform: translateY(-10px);
-  }
-}
-
-@keyframes gradient {
-  0%, 100% {
-    background-position: 0% 50%;
-  }
-  50% {
-    background-position: 100% 50%;
-  }
-}
-
-/* Utility classes */
-.animate-fade-in {
-  animation: fade-in 0.5s ease-in-out;
-}
-
-.animate-fade-out {
-  animation: fade-out 0.5s ease-in-out;
-}
-
-.animate-slide-in {
-  animation: slide-in 0.3s ease-out;
-}
-
-.animate-slide-out {
-  animation: slide-out 0.3s ease-in;
-}
-
-.animate-wiggle {
-  animation: wiggle 1s ease-in-out infinite;
-}
-
-.animate-float {
-  animation: float 3s ease-in-out infinite;
-}
-
-.animate-gradient {
-  animation: gradient 3s ease infinite;
-  background-size: 200% 200%;
-}
-
-/* Focus styles */
-.focus-ring {
-  @apply focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2;
-}
-
-/* Text shadows */
-.text-shadow {
-  text-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-}
-
-.text-shadow-md {
-  text-shadow: 0 4px 8px rgba(0, 0, 0, 0.12), 0 2px 4px rgba(0, 0, 0, 0.08);
-}
-
-.text-shadow-lg {
-  text-shadow: 0 15px 35px rgba(0, 0, 0, 0.12), 0 5px 15px rgba(0, 0, 0, 0.07);
-}
-
-.text-shadow-none {
-  text-shadow: none;
-}
-
-/* Glass morphism */
-.glass {
-  background: rgba(255, 255, 255, 0.1);
-  backdrop-filter: blur(10px);
-  border: 1px solid rgba(255, 255, 255, 0.2);
-}
-
-.glass-dark {
-  background: rgba(0, 0, 0, 0.1);
-  backdrop-filter: blur(10px);
-  border: 1px solid rgba(255, 255, 255, 0.1);
-}
-
-/* Gradient backgrounds */
-.gradient-mesh {
-  background: radial-gradient(at 27% 37%, hsla(215, 98%, 61%, 1) 0px, transparent 0%), 
-              radial-gradient(at 97% 21%, hsla(125, 98%, 72%, 1) 0px, transparent 50%), 
-              radial-gradient(at 52% 99%, hsla(354, 98%, 61%, 1) 0px, transparent 50%), 
-              radial-gradient(at 10% 29%, hsla(256, 96%, 67%, 1) 0px, transparent 50%), 
-              radial-gradient(at 97% 96%, hsla(38, 60%, 74%, 1) 0px, transparent 50%), 
-              radial-gradient(at 33% 50%, hsla(222, 67%, 73%, 1) 0px, transparent 50%), 
-              radial-gradient(at 79% 53%, hsla(343, 68%, 79%, 1) 0px, transparent 50%);
-}
-
-/* Scrollbar styling */
-.custom-scrollbar::-webkit-scrollbar {
-  width: 8px;
-  height: 8px;
-}
-
-.custom-scrollbar::-webkit-scrollbar-track {
-  background: #f1f1f1;
-  border-radius: 4px;
-}
-
-.custom-scrollbar::-webkit-scrollbar-thumb {
-  background: #888;
-  border-radius: 4px;
-}
-
-.custom-scrollbar::-webkit-scrollbar-thumb:hover {
-  background: #555;
-}
-
-/* Print styles */
-@media print {
-  .no-print {
-    display: none !important;
-  }
-  
-  .print-only {
-    display: block !important;
-  }
-}
-
-/* Reduced motion */
-@media (prefers-reduced-motion: reduce) {
-  *,
-  *::before,
-  *::after {
-    animation-duration: 0.01ms !important;
-    animation-iteration-count: 1 !important;
-    transition-duration: 0.01ms !important;
-    scroll-behavior: auto !important;
-  }
-}
-`;
-}
-
 module.exports = {
-  generateTailwindFiles,
-  generateTailwindConfig,
-  generatePostCSSConfig,
-  generateComponentLibrary,
-  generateTailwindUtilities,
-  generateThemeConfig,
-};
\ No newline at end of file
+  generateTailwindFiles
+};
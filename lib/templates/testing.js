@@ -0,0 +1,39 @@
+const { renderTemplateGroup } = require('../template-engine');
+
+// The test files live in templates/testing/: the backend unit and e2e tests,
+// the UI component tests that come with Tailwind and the auth form tests
+async function generateTestFiles(projectPath, config) {
+  await renderTemplateGroup('testing', projectPath, getTemplateData(config));
+}
+
+function getTemplateData(config) {
+  const isNext = config.frontend === 'nextjs';
+
+  return {
+    ...config,
+    ...getTestRunner(config),
+    // Next.js keeps its tests in __tests__, React next to the components
+    uiTestsDir: isNext ? '__tests__/components/ui' : 'src/components/ui',
+    uiImport: isNext ? '@/components/ui' : '.'
+  };
+}
+
+// Next.js and Create React App run the tests with Jest and its globals, Vite
+// with Vitest, whose functions are imported
+function getTestRunner(config) {
+  if (config.frontend === 'vite') {
+    return {
+      header: "import { describe, expect, it, vi } from 'vitest';\n",
+      mockFn: 'vi.fn()'
+    };
+  }
+
+  return {
+    header: '',
+    mockFn: 'jest.fn()'
+  };
+}
+
+module.exports = {
+  generateTestFiles
+};
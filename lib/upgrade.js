@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { generateProject } = require('./generator');
+const { createVirtualFileSystem, hashContent } = require('./file-system');
+const { MANIFEST_FILE, readManifest, createManifest, writeManifest } = require('./manifest');
+const { mergeThreeWay } = require('./merge');
+const { writeGeneratedFile } = require('./project');
+const { runCommand } = require('./installer');
+const { version: cliVersion } = require('../package.json');
+
+const TEMPLATE_CACHE = path.join(os.tmpdir(), 'kurdemy-templates');
+
+// Brings template changes made since the project was generated into it. The
+// project is regenerated with the recorded config by the CLI version that
+// created it (the base) and by this one, and each file the templates changed
+// is three-way merged into the user's copy.
+//
+// `templatesFrom` points at a create-kurdemy-app checkout to use for the base
+// instead of downloading the recorded version from npm.
+async function upgradeProject(projectPath, { templatesFrom } = {}) {
+  const manifest = await readManifest(projectPath);
+  if (!manifest) {
+    throw new Error(`${projectPath} has no ${MANIFEST_FILE}, so the version it was generated with is unknown.`);
+  }
+
+  const report = { from: manifest.cliVersion, to: cliVersion, clean: [], merged: [], conflicted: [], removed: [], skipped: [] };
+  if (manifest.cliVersion === cliVersion && !templatesFrom) {
+    return report;
+  }
+
+  const config = { ...manifest.config, install: false, git: false };
+  const base = await generateWithCli(templatesFrom || await fetchCli(manifest.cliVersion), manifest.name, config);
+  const next = await generateWithCurrentCli(projectPath, manifest.name, config);
+  const hashes = {};
+  const labels = { current: 'yours', next: `create-kurdemy-app ${cliVersion}` };
+
+  for (const [relative, { content, mode }] of next) {
+    hashes[relative] = hashContent(content);
+    const file = path.join(projectPath, ...relative.split('/'));
+    const previous = base.get(relative);
+    if (previous && previous.content.equals(content)) continue;
+
+    if (!await fs.pathExists(file)) {
+      // A file the user deleted stays deleted
+      if (previous) {
+        report.skipped.push(relative);
+        continue;
+      }
+      await writeGeneratedFile(file, content, mode);
+      report.clean.push(relative);
+      continue;
+    }
+
+    const current = await fs.readFile(file);
+    if (current.equals(content)) continue;
+    if (previous && current.equals(previous.content)) {
+      await writeGeneratedFile(file, content, mode);
+      report.clean.push(relative);
+      continue;
+    }
+
+    const merged = mergeThreeWay(
+      current.toString('utf8'),
+      previous ? previous.content.toString('utf8') : '',
+      content.toString('utf8'),
+      labels
+    );
+    await fs.writeFile(file, merged.content);
+    (merged.conflicts > 0 ? report.conflicted : report.merged).push(relative);
+  }
+
+  // Files the new templates no longer produce are removed unless the user changed them
+  for (const [relative, { content }] of base) {
+    if (next.has(relative)) continue;
+    const file = path.join(projectPath, ...relative.split('/'));
+    if (!await fs.pathExists(file)) continue;
+    if ((await fs.readFile(file)).equals(content)) {
+      await fs.remove(file);
+      report.removed.push(relative);
+    } else {
+      report.skipped.push(relative);
+    }
+  }
+
+  await writeManifest(projectPath, createManifest(
+    manifest.name,
+    manifest.config,
+    Object.entries(hashes).map(([file, hash]) => ({ path: file, hash }))
+  ));
+
+  return report;
+}
+
+// Installs the given create-kurdemy-app version once into a cache directory
+async function fetchCli(version) {
+  const directory = path.join(TEMPLATE_CACHE, version);
+  const cliPath = path.join(directory, 'node_modules', 'create-kurdemy-app');
+
+  if (!await fs.pathExists(path.join(cliPath, 'package.json'))) {
+    await fs.ensureDir(directory);
+    try {
+      await runCommand('npm', [
+        'install',
+        '--prefix', directory,
+        '--no-save',
+        '--no-audit',
+        '--no-fund',
+        '--ignore-scripts',
+        `create-kurdemy-app@${version}`
+      ]);
+    } catch (error) {
+      throw new Error(`Could not download the templates of create-kurdemy-app ${version}: ${error.message}`);
+    }
+  }
+
+  return cliPath;
+}
+
+// Older versions can only write to disk, so they generate into a scratch directory
+async function generateWithCli(cliPath, projectName, config) {
+  const { generateProject: generateOldProject } = require(path.join(path.resolve(cliPath), 'lib', 'generator'));
+  const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-upgrade-'));
+
+  try {
+    const projectPath = path.join(scratch, projectName);
+    await generateOldProject(projectPath, projectName, config);
+    return await readTree(projectPath);
+  } finally {
+    await fs.remove(scratch);
+  }
+}
+
+async function generateWithCurrentCli(projectPath, projectName, config) {
+  const fileSystem = createVirtualFileSystem();
+  await generateProject(projectPath, projectName, config, { fileSystem });
+
+  const files = new Map();
+  for (const [file, entry] of fileSystem.files) {
+    const relative = path.relative(projectPath, file).split(path.sep).join('/');
+    if (relative !== MANIFEST_FILE) {
+      files.set(relative, entry);
+    }
+  }
+  return files;
+}
+
+async function readTree(root, directory = root, files = new Map()) {
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    const absolute = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      await readTree(root, absolute, files);
+      continue;
+    }
+
+    const relative = path.relative(root, absolute).split(path.sep).join('/');
+    if (relative !== MANIFEST_FILE) {
+      const { mode } = await fs.stat(absolute);
+      files.set(relative, { content: await fs.readFile(absolute), mode: mode & 0o777 });
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  upgradeProject
+};
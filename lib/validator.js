@@ -1,9 +1,11 @@
+const { builtinModules } = require('module');
+
 function validateOptions(config) {
   const errors = [];
 
   // Validate frontend choice
-  if (!['nextjs', 'react'].includes(config.frontend)) {
-    errors.push('Invalid frontend choice. Must be "nextjs" or "react".');
+  if (!['nextjs', 'react', 'vite'].includes(config.frontend)) {
+    errors.push('Invalid frontend choice. Must be "nextjs", "react" or "vite".');
   }
 
   // Validate package manager
@@ -11,8 +13,18 @@ function validateOptions(config) {
     errors.push('Invalid package manager. Must be "npm", "yarn", or "pnpm".');
   }
 
+  // Validate database choice
+  if (!['postgresql', 'mysql', 'sqlite', 'sqlserver'].includes(config.database)) {
+    errors.push('Invalid database. Must be "postgresql", "mysql", "sqlite", or "sqlserver".');
+  }
+
+  // Validate ORM choice
+  if (!['prisma', 'drizzle'].includes(config.orm)) {
+    errors.push('Invalid ORM. Must be "prisma" or "drizzle".');
+  }
+
   // Validate boolean options
-  const booleanOptions = ['trpc', 'auth', 'tailwind'];
+  const booleanOptions = ['trpc', 'auth', 'tailwind', 'docker', 'install', 'git'];
   for (const option of booleanOptions) {
     if (typeof config[option] !== 'boolean') {
       errors.push(`${option} must be a boolean value.`);
@@ -20,8 +32,8 @@ function validateOptions(config) {
   }
 
   // Check compatibility issues
-  if (config.auth && config.frontend !== 'nextjs') {
-    errors.push('NextAuth.js requires Next.js as the frontend framework.');
+  if (config.orm === 'drizzle' && config.database === 'sqlserver') {
+    errors.push('Drizzle does not support SQL Server. Use Prisma or choose another database.');
   }
 
   return {
@@ -44,14 +56,23 @@ function validateProjectName(name) {
     return { valid: false, error: 'Project name is too long (max 214 characters).' };
   }
 
-  // Check for invalid characters
-  if (!/^[a-z0-9_.-]+$/i.test(name)) {
-    return { valid: false, error: 'Project name can only contain letters, numbers, hyphens, underscores, and dots.' };
+  // Scoped names (@scope/name) follow the same rules for the scope and the name
+  const scoped = /^@([^/]*)\/([^/]*)$/.exec(name);
+  if (name.startsWith('@') && !scoped) {
+    return { valid: false, error: 'Scoped project names must look like @scope/name.' };
   }
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+
+  for (const part of parts) {
+    // Check for invalid characters
+    if (!/^[a-z0-9_.-]+$/i.test(part)) {
+      return { valid: false, error: 'Project name can only contain letters, numbers, hyphens, underscores, and dots.' };
+    }
 
-  // Check if it starts with a dot or hyphen
-  if (name.startsWith('.') || name.startsWith('-')) {
-    return { valid: false, error: 'Project name cannot start with a dot or hyphen.' };
+    // Check if it starts with a dot, hyphen or underscore
+    if (/^[._-]/.test(part)) {
+      return { valid: false, error: 'Project name cannot start with a dot, hyphen or underscore.' };
+    }
   }
 
   // Check for reserved names
@@ -68,18 +89,29 @@ function validateProjectName(name) {
     'build'
   ];
 
-  if (reservedNames.includes(name.toLowerCase())) {
+  const baseName = parts[parts.length - 1].toLowerCase();
+  if (reservedNames.includes(baseName)) {
     return { valid: false, error: `"${name}" is a reserved name and cannot be used as a project name.` };
   }
 
-  return { valid: true };
+  if (!scoped && builtinModules.includes(baseName)) {
+    return { valid: false, error: `"${name}" is a Node.js core module and cannot be used as a project name.` };
+  }
+
+  // npm no longer accepts uppercase letters, so the package name is lowercased
+  return { valid: true, packageName: name.toLowerCase() };
+}
+
+// "@acme/portal" is generated into ./portal
+function getUnscopedName(name) {
+  return name.replace(/^@[^/]+\//, '');
 }
 
 function getRecommendations(config) {
   const recommendations = [];
 
   // Performance recommendations
-  if (config.frontend === 'react' && !config.trpc) {
+  if (config.frontend !== 'nextjs' && !config.trpc) {
     recommendations.push('Consider using tRPC for better type safety between frontend and backend.');
   }
 
@@ -135,10 +167,18 @@ function validateStackCompatibility(config) {
     warnings.push('Using NextAuth.js with tRPC provides better type safety for authentication.');
   }
 
-  if (config.trpc && config.frontend === 'react') {
+  if (config.trpc && config.frontend !== 'nextjs') {
     warnings.push('tRPC works great with React, but consider the additional setup complexity.');
   }
 
+  if (config.auth && config.frontend !== 'nextjs') {
+    warnings.push('NextAuth.js requires Next.js, so React apps use JWT authentication against the NestJS /auth endpoints.');
+  }
+
+  if (config.database === 'sqlite') {
+    warnings.push('SQLite is great for local development, but consider PostgreSQL or MySQL for production.');
+  }
+
   return {
     compatible: true, // Our simplified stack is always compatible
     warnings
@@ -148,6 +188,7 @@ function validateStackCompatibility(config) {
 module.exports = {
   validateOptions,
   validateProjectName,
+  getUnscopedName,
   getRecommendations,
   validateEnvironmentSetup,
   validateStackCompatibility
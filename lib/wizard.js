@@ -0,0 +1,171 @@
+const colors = require('./colors');
+const { createCancelledError } = require('./prompts');
+const { validateOptions, validateProjectName } = require('./validator');
+
+const CHOICES = {
+  frontend: [
+    { title: 'Next.js', value: 'nextjs', description: 'App Router, NextAuth.js for auth' },
+    { title: 'React', value: 'react', description: 'Create React App' },
+    { title: 'React + Vite', value: 'vite' }
+  ],
+  database: [
+    { title: 'PostgreSQL', value: 'postgresql' },
+    { title: 'MySQL', value: 'mysql' },
+    { title: 'SQLite', value: 'sqlite', description: 'no database server needed' },
+    { title: 'SQL Server', value: 'sqlserver', description: 'Prisma only' }
+  ],
+  orm: [
+    { title: 'Prisma', value: 'prisma' },
+    { title: 'Drizzle', value: 'drizzle' }
+  ],
+  packageManager: [
+    { title: 'npm', value: 'npm' },
+    { title: 'yarn', value: 'yarn' },
+    { title: 'pnpm', value: 'pnpm' }
+  ]
+};
+
+const FEATURE_CHOICES = [
+  { title: 'tRPC', value: 'trpc', description: 'typesafe API between backend and frontend' },
+  { title: 'Authentication', value: 'auth' },
+  { title: 'Tailwind CSS', value: 'tailwind' },
+  { title: 'Docker', value: 'docker', description: 'Dockerfiles and Docker Compose' }
+];
+
+const LABELS = {
+  projectName: 'Project name',
+  frontend: 'Frontend',
+  database: 'Database',
+  orm: 'ORM',
+  packageManager: 'Package manager',
+  features: 'Features',
+  install: 'Install dependencies',
+  git: 'Initialize git'
+};
+
+// Asks for every option the flags and preset left open, then (on a terminal)
+// shows everything on a review screen where any answer can be changed before
+// the project is written. `defaults` fills in the initial answers and
+// `suggestedName` the one for the project name.
+async function runWizard(prompter, { projectName, suggestedName, flags = {}, defaults, dryRun = false }) {
+  const state = { ...defaults, ...flags, projectName };
+  const questions = getQuestions(state, flags, dryRun);
+
+  for (const question of questions) {
+    await ask(prompter, question, state, flags, suggestedName);
+  }
+
+  if (prompter.interactive && questions.length > 0) {
+    await review(prompter, questions, state, flags, dryRun);
+  }
+
+  const { projectName: name, ...config } = state;
+  return { projectName: name, config };
+}
+
+function getQuestions(state, flags, dryRun) {
+  const questions = [];
+
+  if (!state.projectName) questions.push('projectName');
+  for (const option of Object.keys(CHOICES)) {
+    if (flags[option] === undefined) questions.push(option);
+  }
+  if (FEATURE_CHOICES.some(({ value }) => flags[value] === undefined)) questions.push('features');
+  // A dry run neither installs nor commits
+  if (!dryRun && flags.install === undefined) questions.push('install');
+  if (!dryRun && flags.git === undefined) questions.push('git');
+
+  return questions;
+}
+
+async function ask(prompter, question, state, flags, suggestedName) {
+  const message = LABELS[question];
+
+  if (question === 'projectName') {
+    state.projectName = await prompter.text({
+      message,
+      initial: state.projectName || suggestedName,
+      validate: (name) => validateProjectName(name).error
+    });
+    return;
+  }
+
+  if (question === 'features') {
+    const choices = FEATURE_CHOICES
+      .filter(({ value }) => flags[value] === undefined)
+      .map((choice) => ({ ...choice, selected: Boolean(state[choice.value]) }));
+    const selected = await prompter.multiselect({ message, choices });
+    choices.forEach(({ value }) => {
+      state[value] = selected.includes(value);
+    });
+    return;
+  }
+
+  if (question === 'install' || question === 'git') {
+    state[question] = await prompter.confirm({ message: `${message}?`, initial: state[question] });
+    return;
+  }
+
+  state[question] = await prompter.select({
+    message,
+    choices: CHOICES[question],
+    initial: state[question],
+    validate: (value) => findNewError(state, question, value)
+  });
+}
+
+// Only reports problems the answer itself causes (e.g. Drizzle with SQL Server),
+// anything already wrong in the flags is reported once the wizard is done
+function findNewError(state, option, value) {
+  const before = validateOptions(state).errors;
+  return validateOptions({ ...state, [option]: value }).errors.find((error) => !before.includes(error));
+}
+
+async function review(prompter, questions, state, flags, dryRun) {
+  for (;;) {
+    prompter.print(`\n${colors.blue('Review')}\n${formatReview(state, dryRun)}\n`);
+
+    const action = await prompter.select({
+      message: 'Create the project?',
+      choices: [
+        { title: 'Create the project', value: 'create' },
+        { title: 'Change an answer', value: 'change' },
+        { title: 'Cancel', value: 'cancel' }
+      ]
+    });
+
+    if (action === 'create') return;
+    if (action === 'cancel') throw createCancelledError();
+
+    const question = await prompter.select({
+      message: 'Which answer?',
+      choices: questions.map((name) => ({ title: LABELS[name], value: name, description: formatValue(name, state) }))
+    });
+    await ask(prompter, question, state, flags);
+  }
+}
+
+function formatReview(state, dryRun) {
+  const rows = Object.keys(LABELS).filter((name) => !dryRun || (name !== 'install' && name !== 'git'));
+  const width = Math.max(...rows.map((name) => LABELS[name].length));
+  return rows.map((name) => `  ${LABELS[name].padEnd(width)}  ${colors.cyan(formatValue(name, state))}`).join('\n');
+}
+
+function formatValue(name, state) {
+  if (name === 'projectName') {
+    return state.projectName;
+  }
+  if (name === 'features') {
+    const features = FEATURE_CHOICES.filter(({ value }) => state[value]).map(({ title }) => title);
+    return features.length > 0 ? features.join(', ') : 'none';
+  }
+  if (CHOICES[name]) {
+    const choice = CHOICES[name].find(({ value }) => value === state[name]);
+    return choice ? choice.title : String(state[name]);
+  }
+  return state[name] ? 'yes' : 'no';
+}
+
+module.exports = {
+  runWizard
+};
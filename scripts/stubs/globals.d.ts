@@ -0,0 +1,108 @@
+// Stand-ins for the globals that @types/node, @types/jest, Vitest's globals,
+// vite/client and React's JSX types would declare. They are deliberately loose:
+// the compile check is after mistakes in the generated code, not in how it
+// uses its dependencies.
+
+declare var process: any;
+declare var require: any;
+declare var module: any;
+declare var exports: any;
+declare var global: any;
+declare var Buffer: any;
+declare var __dirname: string;
+declare var __filename: string;
+
+// Node has these globals too, lib.dom only declares them for the frontend
+interface Crypto {
+  [key: string]: any;
+}
+declare var crypto: Crypto;
+declare function atob(data: string): string;
+declare function btoa(data: string): string;
+
+interface Console {
+  log(...data: any[]): void;
+  info(...data: any[]): void;
+  warn(...data: any[]): void;
+  error(...data: any[]): void;
+  debug(...data: any[]): void;
+}
+declare var console: Console;
+
+declare function setTimeout(callback: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+declare function setInterval(callback: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+declare function clearTimeout(id: any): void;
+declare function clearInterval(id: any): void;
+
+declare namespace NodeJS {
+  interface ProcessEnv {
+    [key: string]: string | undefined;
+  }
+  type Timeout = any;
+  type Timer = any;
+}
+
+declare var describe: any;
+declare var it: any;
+declare var test: any;
+declare var expect: any;
+declare var beforeAll: any;
+declare var beforeEach: any;
+declare var afterAll: any;
+declare var afterEach: any;
+declare var jest: any;
+
+declare namespace jest {
+  type Mock<T = any, Y extends any[] = any[]> = any;
+  type Mocked<T> = any;
+  type MockedFunction<T> = any;
+  type SpyInstance = any;
+}
+
+interface ImportMeta {
+  readonly env: Record<string, any>;
+}
+
+// @types/react makes React a global namespace, so its types work without an import
+declare namespace React {
+  type ReactNode = any;
+  type ReactElement<P = any> = any;
+  type FC<P = any> = any;
+  type ComponentType<P = any> = any;
+  type ComponentProps<T = any> = any;
+  type PropsWithChildren<P = any> = any;
+  type HTMLAttributes<T = any> = any;
+  type ButtonHTMLAttributes<T = any> = any;
+  type InputHTMLAttributes<T = any> = any;
+  type TextareaHTMLAttributes<T = any> = any;
+  type CSSProperties = any;
+  type ChangeEvent<T = any> = any;
+  type FormEvent<T = any> = any;
+  type MouseEvent<T = any> = any;
+  type KeyboardEvent<T = any> = any;
+  type ErrorInfo = any;
+  type Dispatch<A = any> = any;
+  type SetStateAction<S = any> = any;
+  type Ref<T = any> = any;
+}
+
+declare namespace JSX {
+  interface Element {}
+  interface ElementClass {}
+  interface ElementAttributesProperty {
+    props: {};
+  }
+  interface ElementChildrenAttribute {
+    children: {};
+  }
+  interface IntrinsicAttributes {
+    key?: any;
+  }
+  // Event handler props get a parameter type so inline handlers aren't implicit any
+  interface IntrinsicElements {
+    [element: string]: {
+      [prop: string]: any;
+      [handler: `on${string}`]: ((event: any) => any) | undefined;
+    };
+  }
+}
@@ -0,0 +1,16 @@
+// Imports of anything that is not code (styles, images) as bundlers allow them
+
+declare module '*.css' {
+  const classes: Record<string, string>;
+  export default classes;
+}
+
+declare module '*.svg' {
+  const src: string;
+  export default src;
+}
+
+declare module '*.png' {
+  const src: string;
+  export default src;
+}
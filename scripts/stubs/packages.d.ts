@@ -0,0 +1,41 @@
+// Typed stand-ins for the packages whose types carry the generated code's own
+// types. Everything else the code imports is declared as `any` by
+// verify-templates.js.
+
+// initTRPC.context<Context>() passes the context type to every procedure, so
+// ctx.prisma.healthCheck() is checked against the generated PrismaService
+declare module '@trpc/server' {
+  interface MiddlewareOptions<Context> {
+    ctx: Context;
+    next(options?: { ctx?: Partial<Context> }): any;
+    [key: string]: any;
+  }
+
+  interface ResolverOptions<Context> {
+    ctx: Context;
+    input: any;
+    [key: string]: any;
+  }
+
+  interface ProcedureBuilder<Context> {
+    input(schema: any): ProcedureBuilder<Context>;
+    output(schema: any): ProcedureBuilder<Context>;
+    meta(meta: any): ProcedureBuilder<Context>;
+    use(middleware: (options: MiddlewareOptions<Context>) => any): ProcedureBuilder<Context>;
+    query<Output>(resolver: (options: ResolverOptions<Context>) => Output): any;
+    mutation<Output>(resolver: (options: ResolverOptions<Context>) => Output): any;
+    subscription<Output>(resolver: (options: ResolverOptions<Context>) => Output): any;
+  }
+
+  export const initTRPC: {
+    context<Context>(): {
+      create(options?: any): {
+        procedure: ProcedureBuilder<Context>;
+        router(procedures: Record<string, any>): any;
+        middleware(middleware: (options: MiddlewareOptions<Context>) => any): any;
+        mergeRouters(...routers: any[]): any;
+        createCallerFactory(router: any): any;
+      };
+    };
+  };
+}
@@ -28,6 +28,9 @@ async function testCLI() {
         '--trpc',
         '--auth',
         '--tailwind',
+        '--no-docker',
+        '--no-install',
+        '--no-git',
         '--package-manager', 'npm'
       ]
     },
@@ -41,6 +44,9 @@ async function testCLI() {
         '--no-trpc',
         '--no-auth',
         '--tailwind',
+        '--no-docker',
+        '--no-install',
+        '--no-git',
         '--package-manager', 'npm'
       ]
     },
@@ -54,6 +60,9 @@ async function testCLI() {
         '--no-trpc',
         '--no-auth',
         '--no-tailwind',
+        '--no-docker',
+        '--no-install',
+        '--no-git',
         '--package-manager', 'npm'
       ]
     }
@@ -0,0 +1,458 @@
+// scripts/verify-templates.js - Compile Check for Generated Projects
+//
+// Generates projects in memory and type-checks every TypeScript file in them
+// with the local compiler, so the template matrix can be validated offline.
+// Nothing is installed: imports of packages are typed as `any`, the globals
+// they would declare and the few typed packages come from scripts/stubs, and
+// @prisma/client is stubbed from the generated schema. Errors are reported by
+// the generator that wrote the file.
+//
+//   npm run verify:templates                          every config in tests/matrix.js
+//   npm run verify:templates -- --frontend vite --orm drizzle --trpc
+
+const path = require('path');
+const ts = require('typescript');
+const colors = require('../lib/colors');
+const { parseArgs } = require('../lib/args');
+const { generateProject } = require('../lib/generator');
+const { createVirtualFileSystem } = require('../lib/file-system');
+const { DEFAULT_CONFIG, resolvePreset } = require('../lib/presets');
+const { validateOptions } = require('../lib/validator');
+const { MATRIX, getConfigName } = require('../tests/matrix');
+
+const STUBS_DIR = path.join(__dirname, 'stubs');
+const STUB_FILES = ['globals.d.ts', 'modules.d.ts', 'packages.d.ts'].map((file) => path.join(STUBS_DIR, file));
+const PROJECT_ROOT = path.resolve('/kurdemy-verify');
+const TS_EXTENSIONS = /\.tsx?$/;
+const ANY_TYPE_PARAMETERS = '<A = any, B = any, C = any, D = any>';
+const CONFIG_KEYS = ['frontend', 'database', 'orm', 'trpc', 'auth', 'tailwind', 'docker', 'packageManager'];
+
+// "Untyped function calls may not accept type arguments", e.g. configService.get<string>()
+// when ConfigService is stubbed as `any`
+const IGNORED_DIAGNOSTICS = [2347];
+
+// Settings that only matter for emitting or for editor tooling
+const IGNORED_OPTIONS = ['incremental', 'composite', 'tsBuildInfoFile', 'declaration', 'sourceMap', 'plugins', 'outDir'];
+
+async function verifyProject(config) {
+  const name = getConfigName(config);
+  const projectPath = path.join(PROJECT_ROOT, name);
+  const fileSystem = createVirtualFileSystem();
+  const generated = await generateProject(projectPath, 'verify-app', { ...config, install: false, git: false }, { fileSystem });
+
+  const files = new Map();
+  for (const [file, { content }] of fileSystem.files) {
+    files.set(file, content.toString('utf8'));
+  }
+  const generators = new Map(generated.map((file) => [path.join(projectPath, file.path), file.generators]));
+
+  const packagesFile = path.join(projectPath, 'node_modules', 'kurdemy-verify-packages.d.ts');
+  files.set(packagesFile, createPackageStubs(files));
+
+  const host = createCompilerHost(files, fileSystem.directories);
+  const errors = [];
+
+  for (const [tsconfig, rootNames] of groupByTsconfig(files)) {
+    const { options, diagnostics: configDiagnostics } = readCompilerOptions(tsconfig, host);
+    const program = ts.createProgram({
+      rootNames: [...rootNames, ...STUB_FILES, packagesFile],
+      options,
+      host
+    });
+    const diagnostics = [...configDiagnostics, ...ts.getPreEmitDiagnostics(program)]
+      .filter((diagnostic) => !IGNORED_DIAGNOSTICS.includes(diagnostic.code));
+
+    for (const diagnostic of diagnostics) {
+      // Files pulled in through imports are checked with their own tsconfig
+      const file = diagnostic.file ? diagnostic.file.fileName : tsconfig;
+      if (diagnostic.file && !rootNames.includes(file)) {
+        continue;
+      }
+
+      let location = path.relative(projectPath, file);
+      if (diagnostic.file && diagnostic.start !== undefined) {
+        const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+        location += `:${line + 1}:${character + 1}`;
+      }
+      errors.push({
+        generators: generators.get(file) || ['unknown'],
+        message: `${location} - TS${diagnostic.code}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`
+      });
+    }
+
+    for (const file of rootNames) {
+      for (const artifact of findInterpolationArtifacts(files.get(file))) {
+        errors.push({
+          generators: generators.get(file) || ['unknown'],
+          message: `${path.relative(projectPath, file)}:${artifact.line}:${artifact.column} - ${artifact.message}`
+        });
+      }
+    }
+  }
+
+  return { name, errors };
+}
+
+// A template that interpolates something that isn't a string can still produce
+// valid TypeScript, e.g. a helper that returns nothing becomes a bare
+// `undefined` statement
+function findInterpolationArtifacts(content) {
+  const artifacts = [];
+
+  content.split('\n').forEach((text, index) => {
+    const objectColumn = text.indexOf('[object Object]');
+    if (objectColumn !== -1) {
+      artifacts.push({ line: index + 1, column: objectColumn + 1, message: 'An object was interpolated into the template.' });
+    }
+    if (/^\s*undefined;?\s*$/.test(text)) {
+      artifacts.push({ line: index + 1, column: text.indexOf('undefined') + 1, message: 'The template interpolated undefined as a statement.' });
+    }
+  });
+
+  return artifacts;
+}
+
+// Every TypeScript file is compiled with the options of the closest tsconfig.json
+// above it, like an editor would
+function groupByTsconfig(files) {
+  const groups = new Map();
+
+  for (const file of files.keys()) {
+    if (!TS_EXTENSIONS.test(file) || file.includes(`${path.sep}node_modules${path.sep}`)) {
+      continue;
+    }
+
+    let directory = path.dirname(file);
+    while (!files.has(path.join(directory, 'tsconfig.json')) && directory !== PROJECT_ROOT) {
+      directory = path.dirname(directory);
+    }
+
+    const tsconfig = path.join(directory, 'tsconfig.json');
+    if (!files.has(tsconfig)) {
+      continue;
+    }
+    if (!groups.has(tsconfig)) {
+      groups.set(tsconfig, []);
+    }
+    groups.get(tsconfig).push(file);
+  }
+
+  return groups;
+}
+
+function readCompilerOptions(tsconfig, host) {
+  const { config, error } = ts.readConfigFile(tsconfig, host.readFile);
+  if (error) {
+    return { options: {}, diagnostics: [error] };
+  }
+
+  const parseHost = {
+    useCaseSensitiveFileNames: true,
+    readDirectory: () => [],
+    fileExists: host.fileExists,
+    readFile: host.readFile
+  };
+  const parsed = ts.parseJsonConfigFileContent(config, parseHost, path.dirname(tsconfig), undefined, tsconfig);
+  // Callbacks handed to a stubbed package get no parameter types from it, so
+  // implicit any would only report the stubs
+  const options = { ...parsed.options, noEmit: true, noImplicitAny: false, skipLibCheck: true, types: [], typeRoots: [] };
+  for (const option of IGNORED_OPTIONS) {
+    delete options[option];
+  }
+
+  // "No inputs were found" only means the stubbed readDirectory found nothing
+  return { options, diagnostics: parsed.errors.filter((diagnostic) => diagnostic.code !== 18003) };
+}
+
+// Reads the generated files from memory and the compiler's lib files and the
+// stubs from disk. Type references (`/// <reference types="vite/client" />`)
+// all resolve to the global stubs.
+function createCompilerHost(files, directories) {
+  const libDirectory = path.dirname(ts.getDefaultLibFilePath({}));
+  const isOnDisk = (file) => file.startsWith(libDirectory) || file.startsWith(STUBS_DIR);
+
+  const readFile = (file) => {
+    if (files.has(file)) {
+      return files.get(file);
+    }
+    return isOnDisk(file) && ts.sys.fileExists(file) ? ts.sys.readFile(file) : undefined;
+  };
+  const fileExists = (file) => files.has(file) || (isOnDisk(file) && ts.sys.fileExists(file));
+
+  return {
+    readFile,
+    fileExists,
+    directoryExists: (directory) => directories.has(directory) || (isOnDisk(directory) && ts.sys.directoryExists(directory)),
+    getDirectories: () => [],
+    getSourceFile(file, languageVersion) {
+      const content = readFile(file);
+      return content === undefined ? undefined : ts.createSourceFile(file, content, languageVersion, true);
+    },
+    getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+    writeFile: () => {},
+    getCurrentDirectory: () => PROJECT_ROOT,
+    getCanonicalFileName: (file) => file,
+    useCaseSensitiveFileNames: () => true,
+    getNewLine: () => '\n',
+    resolveTypeReferenceDirectives: (names) => names.map(() => ({ primary: true, resolvedFileName: STUB_FILES[0] }))
+  };
+}
+
+// Declares every package the generated code imports with exactly the names it
+// imports from it. Each name is both a type and a value of type `any` (callable,
+// constructible, usable with instanceof), default and namespace imports get the
+// members they are used with. @prisma/client is declared from schema.prisma
+// instead, so a query on a model that doesn't exist is still caught.
+function createPackageStubs(files) {
+  const packages = new Map();
+  const getPackage = (name) => {
+    if (!packages.has(name)) {
+      packages.set(name, { named: new Set(), interfaces: new Set(), members: new Set(), hasDefault: false });
+    }
+    return packages.get(name);
+  };
+
+  // The automatic JSX runtime imports it without an import statement
+  getPackage('react/jsx-runtime');
+
+  for (const [file, content] of files) {
+    if (TS_EXTENSIONS.test(file)) {
+      collectImports(ts.createSourceFile(file, content, ts.ScriptTarget.Latest, true), getPackage);
+    }
+  }
+  packages.delete('@prisma/client');
+
+  const stubbed = getStubbedExports();
+  const declarations = [...packages.keys()].sort().map((name) => {
+    const { named, interfaces, members, hasDefault } = packages.get(name);
+    const declared = stubbed.get(name) || new Set();
+    const lines = [...named].filter((member) => !declared.has(member)).sort().map((member) => (interfaces.has(member)
+      ? `  export interface ${member} { [key: string]: any }\n  export const ${member}: AnyValue;`
+      : `  export type ${member}${ANY_TYPE_PARAMETERS} = any;\n  export const ${member}: AnyValue;`));
+
+    if (hasDefault) {
+      const types = [...members].sort().map((member) => `type ${member}${ANY_TYPE_PARAMETERS} = any;`);
+      lines.push(`  const _default: AnyValue;\n  namespace _default { ${types.join(' ')} }\n  export default _default;`);
+    }
+
+    return `declare module '${name}' {\n${lines.join('\n')}\n}`;
+  });
+
+  return `type AnyValue = {
+  new ${ANY_TYPE_PARAMETERS}(...args: any[]): any;
+  ${ANY_TYPE_PARAMETERS}(...args: any[]): any;
+  [key: string]: any;
+};
+
+${declarations.join('\n\n')}
+
+${createPrismaClientStub(files)}
+`;
+}
+
+// The names scripts/stubs already declares for each package, which must not be
+// declared a second time
+function getStubbedExports() {
+  const stubbed = new Map();
+
+  for (const file of STUB_FILES) {
+    const sourceFile = ts.createSourceFile(file, ts.sys.readFile(file), ts.ScriptTarget.Latest, true);
+    for (const statement of sourceFile.statements) {
+      if (ts.isModuleDeclaration(statement) && ts.isStringLiteral(statement.name) && statement.body) {
+        const names = stubbed.get(statement.name.text) || new Set();
+        for (const declaration of statement.body.statements) {
+          const declarations = ts.isVariableStatement(declaration) ? declaration.declarationList.declarations : [declaration];
+          declarations.filter((node) => node.name).forEach((node) => names.add(node.name.text));
+        }
+        stubbed.set(statement.name.text, names);
+      }
+    }
+  }
+
+  return stubbed;
+}
+
+function collectImports(sourceFile, getPackage) {
+  const isPackage = (name) => !name.startsWith('.') && !name.startsWith('@/');
+  const namespaces = new Map();
+
+  for (const statement of sourceFile.statements) {
+    const specifier = statement.moduleSpecifier && statement.moduleSpecifier.text;
+
+    if (ts.isImportDeclaration(statement) && isPackage(specifier)) {
+      const stub = getPackage(specifier);
+      const clause = statement.importClause;
+      if (clause && clause.name) {
+        stub.hasDefault = true;
+        namespaces.set(clause.name.text, { stub, isDefault: true });
+      }
+      if (clause && clause.namedBindings && ts.isNamespaceImport(clause.namedBindings)) {
+        namespaces.set(clause.namedBindings.name.text, { stub, isDefault: false });
+      }
+      if (clause && clause.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+        for (const element of clause.namedBindings.elements) {
+          stub.named.add((element.propertyName || element.name).text);
+        }
+      }
+    } else if (ts.isExportDeclaration(statement) && specifier && isPackage(specifier)) {
+      const stub = getPackage(specifier);
+      if (statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          stub.named.add((element.propertyName || element.name).text);
+        }
+      }
+    } else if (ts.isModuleDeclaration(statement) && ts.isStringLiteral(statement.name) && statement.body) {
+      // Module augmentations add to interfaces, so those have to be declared as interfaces
+      const stub = getPackage(statement.name.text);
+      for (const declaration of statement.body.statements) {
+        if (ts.isInterfaceDeclaration(declaration)) {
+          stub.named.add(declaration.name.text);
+          stub.interfaces.add(declaration.name.text);
+        }
+      }
+    }
+  }
+
+  // React.ReactNode, trpcExpress.CreateExpressContextOptions, ...
+  const visit = (node) => {
+    collectDynamicImport(node, getPackage);
+
+    const left = ts.isPropertyAccessExpression(node) ? node.expression : ts.isQualifiedName(node) ? node.left : undefined;
+    const right = ts.isPropertyAccessExpression(node) ? node.name : ts.isQualifiedName(node) ? node.right : undefined;
+
+    if (left && ts.isIdentifier(left) && namespaces.has(left.text) && ts.isIdentifier(right)) {
+      const { stub, isDefault } = namespaces.get(left.text);
+      (isDefault ? stub.members : stub.named).add(right.text);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+}
+
+// import('web-vitals').then(({ getCLS, getFID }) => ...)
+function collectDynamicImport(node, getPackage) {
+  if (!ts.isCallExpression(node) || node.expression.kind !== ts.SyntaxKind.ImportKeyword) {
+    return;
+  }
+
+  const [specifier] = node.arguments;
+  if (!specifier || !ts.isStringLiteral(specifier) || specifier.text.startsWith('.')) {
+    return;
+  }
+
+  const stub = getPackage(specifier.text);
+  const then = node.parent;
+  if (!ts.isPropertyAccessExpression(then) || then.name.text !== 'then' || !ts.isCallExpression(then.parent)) {
+    return;
+  }
+
+  const [callback] = then.parent.arguments;
+  const [parameter] = (callback && callback.parameters) || [];
+  if (parameter && ts.isObjectBindingPattern(parameter.name)) {
+    for (const element of parameter.name.elements) {
+      stub.named.add((element.propertyName || element.name).text);
+    }
+  }
+}
+
+function createPrismaClientStub(files) {
+  const models = [];
+  for (const [file, content] of files) {
+    if (file.endsWith('schema.prisma')) {
+      models.push(...[...content.matchAll(/^model (\w+) \{/gm)].map((match) => match[1]));
+    }
+  }
+
+  const delegates = models.map((model) => `    ${model[0].toLowerCase()}${model.slice(1)}: any;`);
+  const modelTypes = models.map((model) => `  export type ${model} = any;`);
+
+  return `declare module '@prisma/client' {
+  export class PrismaClient {
+    constructor(options?: any);
+${delegates.join('\n')}
+    $connect(): Promise<void>;
+    $disconnect(): Promise<void>;
+    $on(event: any, callback: (...args: any[]) => any): void;
+    $transaction(query: any, options?: any): Promise<any>;
+    $queryRaw<T = unknown>(query: TemplateStringsArray, ...values: any[]): Promise<T>;
+    $executeRaw(query: TemplateStringsArray, ...values: any[]): Promise<number>;
+    $queryRawUnsafe<T = unknown>(query: string, ...values: any[]): Promise<T>;
+    $executeRawUnsafe(query: string, ...values: any[]): Promise<number>;
+  }
+${modelTypes.join('\n')}
+}`;
+}
+
+function getConfigs(argv) {
+  const { preset, ...options } = parseArgs(argv).options;
+  const overrides = Object.fromEntries(Object.entries(options).filter(([key]) => CONFIG_KEYS.includes(key)));
+
+  if (!preset && Object.keys(overrides).length === 0) {
+    return MATRIX;
+  }
+
+  const config = { ...(preset ? resolvePreset(preset) : DEFAULT_CONFIG), ...overrides };
+  const validation = validateOptions(config);
+  if (!validation.valid) {
+    throw new Error(validation.errors.join(' '));
+  }
+  return [config];
+}
+
+function printReport({ name, errors }) {
+  if (errors.length === 0) {
+    console.log(colors.green(`✅ ${name}`));
+    return;
+  }
+
+  console.log(colors.red(`❌ ${name} (${errors.length} error${errors.length === 1 ? '' : 's'})`));
+
+  const byGenerator = new Map();
+  for (const error of errors) {
+    const generator = error.generators.join(', ');
+    if (!byGenerator.has(generator)) {
+      byGenerator.set(generator, []);
+    }
+    byGenerator.get(generator).push(error.message);
+  }
+
+  for (const [generator, messages] of byGenerator) {
+    console.log(colors.cyan(`   ${generator}`));
+    for (const message of messages) {
+      console.log(`     ${message.split('\n').join('\n       ')}`);
+    }
+  }
+}
+
+async function verifyTemplates() {
+  const configs = getConfigs(process.argv.slice(2));
+  let failed = 0;
+
+  console.log(`🔍 Type-checking ${configs.length} generated project${configs.length === 1 ? '' : 's'}...\n`);
+
+  for (const config of configs) {
+    const report = await verifyProject(config);
+    printReport(report);
+    if (report.errors.length > 0) {
+      failed++;
+    }
+  }
+
+  if (failed > 0) {
+    console.log(colors.red(`\n${failed} of ${configs.length} project(s) have type errors.`));
+    process.exit(1);
+  }
+
+  console.log(colors.green(`\nAll ${configs.length} project(s) type-check.`));
+}
+
+if (require.main === module) {
+  verifyTemplates().catch((error) => {
+    console.error(colors.red(`❌ ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  verifyProject
+};
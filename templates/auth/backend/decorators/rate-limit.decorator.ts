@@ -0,0 +1,8 @@
+import { SetMetadata } from '@nestjs/common';
+
+export interface RateLimitOptions {
+  windowMs: number;
+  max: number;
+}
+
+export const RateLimit = (options: RateLimitOptions) => SetMetadata('rateLimit', options);
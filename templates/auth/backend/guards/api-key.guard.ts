@@ -0,0 +1,20 @@
+import { Injectable, CanActivate, ExecutionContext, UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+@Injectable()
+export class ApiKeyGuard implements CanActivate {
+  constructor(private configService: ConfigService) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const request = context.switchToHttp().getRequest();
+    const apiKey = request.headers['x-api-key'] || request.query.apiKey;
+    
+    const validApiKeys = this.configService.get<string>('API_KEYS', '').split(',').filter(Boolean);
+    
+    if (!apiKey || !validApiKeys.includes(apiKey)) {
+      throw new UnauthorizedException('Invalid API key');
+    }
+    
+    return true;
+  }
+}
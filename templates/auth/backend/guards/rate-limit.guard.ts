@@ -0,0 +1,56 @@
+import { Injectable, CanActivate, ExecutionContext, HttpException, HttpStatus } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { ConfigService } from '@nestjs/config';
+
+interface RateLimitOptions {
+  windowMs: number;
+  max: number;
+}
+
+const rateLimitStore = new Map<string, { count: number; resetTime: number }>();
+
+@Injectable()
+export class RateLimitGuard implements CanActivate {
+  constructor(
+    private reflector: Reflector,
+    private configService: ConfigService,
+  ) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const request = context.switchToHttp().getRequest();
+    const ip = request.ip || request.connection.remoteAddress;
+    
+    // Get rate limit options from decorator or use defaults
+    const options: RateLimitOptions = this.reflector.get('rateLimit', context.getHandler()) || {
+      windowMs: parseInt(this.configService.get('RATE_LIMIT_WINDOW_MS', '900000')), // 15 minutes
+      max: parseInt(this.configService.get('RATE_LIMIT_MAX_REQUESTS', '100')),
+    };
+
+    const key = `${ip}_${context.getClass().name}_${context.getHandler().name}`;
+    const now = Date.now();
+    const record = rateLimitStore.get(key);
+
+    if (!record || now > record.resetTime) {
+      // Reset window
+      rateLimitStore.set(key, {
+        count: 1,
+        resetTime: now + options.windowMs,
+      });
+      return true;
+    }
+
+    if (record.count >= options.max) {
+      throw new HttpException(
+        {
+          statusCode: HttpStatus.TOO_MANY_REQUESTS,
+          message: 'Too many requests',
+          retryAfter: Math.ceil((record.resetTime - now) / 1000),
+        },
+        HttpStatus.TOO_MANY_REQUESTS,
+      );
+    }
+
+    record.count++;
+    return true;
+  }
+}
@@ -0,0 +1,29 @@
+import { Injectable, NestMiddleware, Logger } from '@nestjs/common';
+import { Request, Response, NextFunction } from 'express';
+
+@Injectable()
+export class LoggingMiddleware implements NestMiddleware {
+  private readonly logger = new Logger(LoggingMiddleware.name);
+
+  use(req: Request, res: Response, next: NextFunction) {
+    const start = Date.now();
+    const { method, originalUrl, ip } = req;
+    const userAgent = req.get('User-Agent') || '';
+
+    res.on('finish', () => {
+      const { statusCode } = res;
+      const contentLength = res.get('content-length');
+      const duration = Date.now() - start;
+
+      const logMessage = `${method} ${originalUrl} ${statusCode} ${contentLength || 0}b - ${duration}ms - ${ip} ${userAgent}`;
+
+      if (statusCode >= 400) {
+        this.logger.warn(logMessage);
+      } else {
+        this.logger.log(logMessage);
+      }
+    });
+
+    next();
+  }
+}
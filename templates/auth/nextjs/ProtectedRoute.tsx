@@ -0,0 +1,42 @@
+'use client';
+
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import { useEffect } from 'react';
+
+interface ProtectedRouteProps {
+  children: React.ReactNode;
+  fallback?: React.ReactNode;
+  redirectTo?: string;
+}
+
+export function ProtectedRoute({ 
+  children, 
+  fallback, 
+  redirectTo = '/auth/login' 
+}: ProtectedRouteProps) {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (status === 'loading') return; // Still loading
+
+    if (!session) {
+      router.push(redirectTo);
+    }
+  }, [session, status, router, redirectTo]);
+
+  if (status === 'loading') {
+    return fallback || (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return fallback || null;
+  }
+
+  return <>{children}</>;
+}
@@ -0,0 +1,128 @@
+import { NextAuthOptions } from 'next-auth';
+import CredentialsProvider from 'next-auth/providers/credentials';
+import GoogleProvider from 'next-auth/providers/google';
+import GitHubProvider from 'next-auth/providers/github';
+import DiscordProvider from 'next-auth/providers/discord';
+
+// Credentials are checked by the NestJS backend (POST /auth/login)
+const API_URL = process.env.API_URL || 'http://localhost:4000/api';
+
+export const authOptions: NextAuthOptions = {
+  providers: [
+    CredentialsProvider({
+      name: 'credentials',
+      credentials: {
+        email: { label: 'Email', type: 'email' },
+        password: { label: 'Password', type: 'password' }
+      },
+      async authorize(credentials) {
+        if (!credentials?.email || !credentials?.password) {
+          throw new Error('Invalid credentials');
+        }
+
+        try {
+          const response = await fetch(`${API_URL}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              email: credentials.email,
+              password: credentials.password,
+            }),
+          });
+
+          if (!response.ok) {
+            throw new Error('Invalid credentials');
+          }
+
+          const data = await response.json();
+          
+          if (data.user) {
+            return {
+              id: data.user.id,
+              email: data.user.email,
+              name: data.user.name,
+              accessToken: data.access_token,
+            };
+          }
+
+          return null;
+        } catch (error) {
+          console.error('Auth error:', error);
+          return null;
+        }
+      }
+    }),
+    
+    // OAuth providers (configure these in your environment variables)
+    ...(process.env.GOOGLE_CLIENT_ID ? [
+      GoogleProvider({
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      })
+    ] : []),
+    
+    ...(process.env.GITHUB_CLIENT_ID ? [
+      GitHubProvider({
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      })
+    ] : []),
+    
+    ...(process.env.DISCORD_CLIENT_ID ? [
+      DiscordProvider({
+        clientId: process.env.DISCORD_CLIENT_ID,
+        clientSecret: process.env.DISCORD_CLIENT_SECRET,
+      })
+    ] : []),
+  ],
+  
+  pages: {
+    signIn: '/auth/login',
+  },
+  
+  callbacks: {
+    async jwt({ token, user, account }) {
+      if (user) {
+        token.id = user.id;
+        token.accessToken = user.accessToken;
+      }
+      
+      // OAuth providers hand out their own access token
+      if (account && account.provider !== 'credentials') {
+        token.accessToken = account.access_token;
+      }
+      
+      return token;
+    },
+    
+    async session({ session, token }) {
+      if (token) {
+        session.user.id = token.id as string;
+        session.accessToken = token.accessToken as string;
+      }
+      
+      return session;
+    },
+    
+    async redirect({ url, baseUrl }) {
+      // Allows relative callback URLs
+      if (url.startsWith('/')) return `${baseUrl}${url}`;
+      // Allows callback URLs on the same origin
+      if (new URL(url).origin === baseUrl) return url;
+      return baseUrl;
+    },
+  },
+  
+  session: {
+    strategy: 'jwt',
+    maxAge: 7 * 24 * 60 * 60, // 7 days
+  },
+  
+  jwt: {
+    maxAge: 7 * 24 * 60 * 60, // 7 days
+  },
+  
+  secret: process.env.NEXTAUTH_SECRET,
+  
+  debug: process.env.NODE_ENV === 'development',
+};
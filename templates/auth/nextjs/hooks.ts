@@ -0,0 +1,86 @@
+'use client';
+
+import { useSession, signIn, signOut } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import { useEffect } from 'react';
+
+export function useAuth() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+
+  const login = async (email: string, password: string) => {
+    const result = await signIn('credentials', {
+      email,
+      password,
+      redirect: false,
+    });
+
+    if (result?.error) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  };
+
+  const register = async (name: string, email: string, password: string) => {
+    const response = await fetch('/api/auth/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, email, password }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Registration failed');
+    }
+
+    // Auto-login after registration
+    return login(email, password);
+  };
+
+  const logout = async () => {
+    await signOut({ redirect: false });
+    router.push('/');
+  };
+
+  return {
+    user: session?.user,
+    session,
+    status,
+    isLoading: status === 'loading',
+    isAuthenticated: !!session,
+    login,
+    register,
+    logout,
+  };
+}
+
+export function useRequireAuth(redirectTo = '/auth/login') {
+  const { session, status } = useSession();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (status === 'loading') return; // Still loading
+
+    if (!session) {
+      router.push(redirectTo);
+    }
+  }, [session, status, router, redirectTo]);
+
+  return { session, status };
+}
+
+export function useRedirectIfAuthenticated(redirectTo = '/dashboard') {
+  const { session, status } = useSession();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (status === 'loading') return; // Still loading
+
+    if (session) {
+      router.push(redirectTo);
+    }
+  }, [session, status, router, redirectTo]);
+
+  return { session, status };
+}
@@ -0,0 +1,50 @@
+import { NextRequest, NextResponse } from 'next/server';
+
+const API_URL = process.env.API_URL || 'http://localhost:4000/api';
+
+export async function POST(request: NextRequest) {
+  try {
+    const { name, email, password } = await request.json();
+
+    // Validate input
+    if (!name || !email || !password) {
+      return NextResponse.json(
+        { message: 'Name, email, and password are required' },
+        { status: 400 }
+      );
+    }
+
+    if (password.length < 6) {
+      return NextResponse.json(
+        { message: 'Password must be at least 6 characters long' },
+        { status: 400 }
+      );
+    }
+
+    const response = await fetch(`${API_URL}/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, email, password }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return NextResponse.json(
+        { message: data.message || 'Registration failed' },
+        { status: response.status }
+      );
+    }
+
+    return NextResponse.json({
+      message: 'User created successfully',
+      user: data.user,
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    return NextResponse.json(
+      { message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
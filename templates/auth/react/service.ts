@@ -0,0 +1,198 @@
+export const AUTH_STORAGE_KEY = 'authToken';
+export const USER_STORAGE_KEY = 'userData';
+
+export interface User {
+  id: string;
+  name: string;
+  email: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Shape returned by the NestJS /auth/login and /auth/register endpoints
+export interface AuthResponse {
+  user: User;
+  access_token: string;
+}
+
+export class AuthService {
+  private baseUrl: string;
+
+  constructor() {
+    this.baseUrl = {{ apiUrlVariable }} || '{{#if frontend == 'vite'}}/api{{else}}http://localhost:4000/api{{/if}}';
+  }
+
+  async login(email: string, password: string): Promise<AuthResponse> {
+    const response = await fetch(`${this.baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email, password }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Login failed');
+    }
+
+    const data = await response.json();
+    
+    // Store auth data
+    this.setAuthData(data);
+    
+    return data;
+  }
+
+  async register(name: string, email: string, password: string): Promise<AuthResponse> {
+    const response = await fetch(`${this.baseUrl}/auth/register`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name, email, password }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Registration failed');
+    }
+
+    const data = await response.json();
+    
+    // Store auth data
+    this.setAuthData(data);
+    
+    return data;
+  }
+
+  async logout(): Promise<void> {
+    // JWTs are stateless, so logging out only drops the stored token
+    this.clearAuthData();
+  }
+
+  async refreshToken(): Promise<string | null> {
+    try {
+      const token = this.getToken();
+      if (!token) return null;
+
+      const response = await fetch(`${this.baseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        this.clearAuthData();
+        return null;
+      }
+
+      const data = await response.json();
+      localStorage.setItem(AUTH_STORAGE_KEY, data.access_token);
+      
+      return data.access_token;
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      this.clearAuthData();
+      return null;
+    }
+  }
+
+  async getProfile(): Promise<User | null> {
+    try {
+      const token = this.getToken();
+      if (!token) return null;
+
+      const response = await fetch(`${this.baseUrl}/users/profile`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          this.clearAuthData();
+        }
+        return null;
+      }
+
+      return response.json();
+    } catch (error) {
+      console.error('Get profile error:', error);
+      return null;
+    }
+  }
+
+  getToken(): string | null {
+    return localStorage.getItem(AUTH_STORAGE_KEY);
+  }
+
+  getUser(): User | null {
+    const userData = localStorage.getItem(USER_STORAGE_KEY);
+    if (!userData) return null;
+
+    try {
+      return JSON.parse(userData);
+    } catch {
+      return null;
+    }
+  }
+
+  isAuthenticated(): boolean {
+    return !!this.getToken();
+  }
+
+  private setAuthData(data: AuthResponse): void {
+    localStorage.setItem(AUTH_STORAGE_KEY, data.access_token);
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(data.user));
+  }
+
+  private clearAuthData(): void {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    localStorage.removeItem(USER_STORAGE_KEY);
+  }
+}
+
+export const authService = new AuthService();
+
+// HTTP interceptor for automatic token attachment
+export function createAuthenticatedFetch() {
+  return async (url: string, options: RequestInit = {}) => {
+    const token = authService.getToken();
+    
+    const headers = {
+      ...options.headers,
+      ...(token && { Authorization: `Bearer ${token}` }),
+    };
+
+    const response = await fetch(url, {
+      ...options,
+      headers,
+    });
+
+    // Handle token expiration
+    if (response.status === 401 && token) {
+      const newToken = await authService.refreshToken();
+      
+      if (newToken) {
+        // Retry with new token
+        return fetch(url, {
+          ...options,
+          headers: {
+            ...options.headers,
+            Authorization: `Bearer ${newToken}`,
+          },
+        });
+      } else {
+        // Redirect to login or handle logout
+        window.location.href = '/auth/login';
+      }
+    }
+
+    return response;
+  };
+}
+
+export const authenticatedFetch = createAuthenticatedFetch();
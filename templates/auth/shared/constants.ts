@@ -0,0 +1,81 @@
+// Authentication constants
+
+export const AUTH_CONSTANTS = {
+  TOKEN_EXPIRY: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  REFRESH_TOKEN_EXPIRY: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+  SESSION_TIMEOUT: 60 * 60 * 1000, // 1 hour in milliseconds
+  PASSWORD_MIN_LENGTH: 6,
+  PASSWORD_MAX_LENGTH: 100,
+  MAX_LOGIN_ATTEMPTS: 5,
+  LOGIN_ATTEMPT_WINDOW: 15 * 60 * 1000, // 15 minutes
+  EMAIL_VERIFICATION_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours
+  PASSWORD_RESET_EXPIRY: 60 * 60 * 1000, // 1 hour
+} as const;
+
+export const STORAGE_KEYS = {
+  ACCESS_TOKEN: 'auth_token',
+  REFRESH_TOKEN: 'refresh_token',
+  USER_DATA: 'user_data',
+  REMEMBER_ME: 'remember_me',
+  LAST_ACTIVITY: 'last_activity',
+} as const;
+
+export const API_ENDPOINTS = {
+  LOGIN: '/api/auth/login',
+  REGISTER: '/api/auth/register',
+  LOGOUT: '/api/auth/logout',
+  REFRESH: '/api/auth/refresh',
+  PROFILE: '/api/auth/profile',
+  CHANGE_PASSWORD: '/api/auth/change-password',
+  RESET_PASSWORD: '/api/auth/reset-password',
+  VERIFY_EMAIL: '/api/auth/verify-email',
+  RESEND_VERIFICATION: '/api/auth/resend-verification',
+} as const;
+
+export const USER_ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+} as const;
+
+export const PERMISSIONS = {
+  READ_POSTS: 'read:posts',
+  WRITE_POSTS: 'write:posts',
+  DELETE_POSTS: 'delete:posts',
+  READ_USERS: 'read:users',
+  WRITE_USERS: 'write:users',
+  DELETE_USERS: 'delete:users',
+  ADMIN_ALL: 'admin:all',
+} as const;
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [USER_ROLES.USER]: [
+    PERMISSIONS.READ_POSTS,
+    PERMISSIONS.WRITE_POSTS,
+  ],
+  [USER_ROLES.MODERATOR]: [
+    PERMISSIONS.READ_POSTS,
+    PERMISSIONS.WRITE_POSTS,
+    PERMISSIONS.DELETE_POSTS,
+    PERMISSIONS.READ_USERS,
+  ],
+  [USER_ROLES.ADMIN]: [
+    PERMISSIONS.ADMIN_ALL,
+  ],
+} as const;
+
+// Error messages
+export const AUTH_ERROR_MESSAGES = {
+  INVALID_CREDENTIALS: 'Invalid email or password',
+  USER_NOT_FOUND: 'User not found',
+  USER_ALREADY_EXISTS: 'User with this email already exists',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address',
+  TOKEN_EXPIRED: 'Your session has expired. Please log in again.',
+  TOKEN_INVALID: 'Invalid authentication token',
+  WEAK_PASSWORD: 'Password does not meet security requirements',
+  RATE_LIMITED: 'Too many attempts. Please try again later.',
+  ACCOUNT_DISABLED: 'Your account has been disabled',
+  PASSWORD_MISMATCH: 'Current password is incorrect',
+  EMAIL_SEND_FAILED: 'Failed to send email. Please try again.',
+  VERIFICATION_FAILED: 'Email verification failed',
+} as const;
@@ -0,0 +1,91 @@
+// Shared authentication types
+
+export interface User {
+  id: string;
+  email: string;
+  name: string;
+  createdAt: Date | string;
+  updatedAt: Date | string;
+  role?: 'user' | 'admin' | 'moderator';
+}
+
+export interface AuthResponse {
+  user: Omit<User, 'password'>;
+  accessToken: string;
+  refreshToken?: string;
+  expiresIn?: number;
+}
+
+export interface LoginRequest {
+  email: string;
+  password: string;
+}
+
+export interface RegisterRequest {
+  name: string;
+  email: string;
+  password: string;
+}
+
+export interface RefreshTokenRequest {
+  refreshToken: string;
+}
+
+export interface ChangePasswordRequest {
+  currentPassword: string;
+  newPassword: string;
+}
+
+export interface ResetPasswordRequest {
+  email: string;
+}
+
+export interface VerifyEmailRequest {
+  token: string;
+}
+
+export interface UpdateProfileRequest {
+  name?: string;
+  email?: string;
+}
+
+// Error types
+export interface AuthError {
+  code: string;
+  message: string;
+  details?: any;
+}
+
+export const AuthErrorCodes = {
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  USER_ALREADY_EXISTS: 'USER_ALREADY_EXISTS',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_INVALID: 'TOKEN_INVALID',
+  WEAK_PASSWORD: 'WEAK_PASSWORD',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
+} as const;
+
+// Permission types
+export type Permission = 
+  | 'read:posts'
+  | 'write:posts'
+  | 'delete:posts'
+  | 'read:users'
+  | 'write:users'
+  | 'delete:users'
+  | 'admin:all';
+
+export interface Role {
+  name: string;
+  permissions: Permission[];
+}
+
+// Session types
+export interface SessionData {
+  user: User;
+  permissions: Permission[];
+  expiresAt: Date;
+}
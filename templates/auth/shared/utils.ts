@@ -0,0 +1,129 @@
+import { z } from 'zod';
+
+// Validation schemas
+export const loginSchema = z.object({
+  email: z.string().email('Invalid email address'),
+  password: z.string().min(1, 'Password is required'),
+});
+
+export const registerSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100, 'Name is too long'),
+  email: z.string().email('Invalid email address'),
+  password: z.string()
+    .min(6, 'Password must be at least 6 characters')
+    .max(100, 'Password is too long')
+    .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+});
+
+export const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: z.string()
+    .min(6, 'Password must be at least 6 characters')
+    .max(100, 'Password is too long')
+    .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+});
+
+export const updateProfileSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100, 'Name is too long').optional(),
+  email: z.string().email('Invalid email address').optional(),
+});
+
+export const resetPasswordSchema = z.object({
+  email: z.string().email('Invalid email address'),
+});
+
+// Validation functions
+export function validatePassword(password: string): { isValid: boolean; errors: string[] } {
+  const errors: string[] = [];
+
+  if (password.length < 6) {
+    errors.push('Password must be at least 6 characters long');
+  }
+
+  if (password.length > 100) {
+    errors.push('Password must be less than 100 characters');
+  }
+
+  if (!/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+
+  if (!/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export function validateEmail(email: string): boolean {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
+
+export function sanitizeInput(input: string): string {
+  return input.trim().replace(/[<>]/g, '');
+}
+
+// Rate limiting helpers
+export function createRateLimiter(maxAttempts: number, windowMs: number) {
+  const attempts = new Map<string, { count: number; resetTime: number }>();
+
+  return {
+    isAllowed(identifier: string): boolean {
+      const now = Date.now();
+      const record = attempts.get(identifier);
+
+      if (!record || now > record.resetTime) {
+        attempts.set(identifier, { count: 1, resetTime: now + windowMs });
+        return true;
+      }
+
+      if (record.count >= maxAttempts) {
+        return false;
+      }
+
+      record.count++;
+      return true;
+    },
+
+    getRemainingTime(identifier: string): number {
+      const record = attempts.get(identifier);
+      if (!record) return 0;
+      
+      return Math.max(0, record.resetTime - Date.now());
+    },
+
+    reset(identifier: string): void {
+      attempts.delete(identifier);
+    },
+  };
+}
+
+// Common auth utilities
+export function generateSecureToken(): string {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function isTokenExpired(expiresAt: Date | string | number): boolean {
+  const expiration = new Date(expiresAt);
+  return expiration.getTime() < Date.now();
+}
+
+export function getTokenExpirationTime(token: string): Date | null {
+  try {
+    // For JWT tokens, decode the payload
+    const payload = JSON.parse(atob(token.split('.')[1]));
+    return payload.exp ? new Date(payload.exp * 1000) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,4 @@
+#!/usr/bin/env sh
+if [ -z "$HUSKY_SKIP_INSTALL" ]; then
+  npx husky install
+fi
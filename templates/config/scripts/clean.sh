@@ -0,0 +1,30 @@
+#!/bin/bash
+
+echo "🧹 Cleaning build artifacts..."
+
+# Remove build directories
+rm -rf dist/
+rm -rf build/
+rm -rf .next/
+rm -rf out/
+
+# Remove dependency directories
+rm -rf node_modules/
+rm -rf src/backend/node_modules/
+rm -rf src/frontend/node_modules/
+
+# Remove lock files
+rm -f {{ pm.lockfile }}
+rm -f src/backend/{{ pm.lockfile }}
+rm -f src/frontend/{{ pm.lockfile }}
+
+# Remove coverage
+rm -rf coverage/
+
+# Remove logs
+rm -f *.log
+rm -f npm-debug.log*
+rm -f yarn-debug.log*
+rm -f yarn-error.log*
+
+echo "✅ Clean complete!"
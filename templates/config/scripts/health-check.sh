@@ -0,0 +1,39 @@
+#!/bin/bash
+
+echo "🏥 Running health checks..."
+
+# Check if ports are available
+check_port() {
+    if lsof -Pi :$1 -sTCP:LISTEN -t >/dev/null ; then
+        echo "❌ Port $1 is already in use"
+        return 1
+    else
+        echo "✅ Port $1 is available"
+        return 0
+    fi
+}
+
+# Check dependencies
+echo "📦 Checking dependencies..."
+if [ -d "node_modules" ]; then
+    echo "✅ Dependencies installed"
+else
+    echo "❌ Dependencies not installed. Run '{{ pm.install }}'"
+    exit 1
+fi
+
+# Check environment file
+echo "📝 Checking environment configuration..."
+if [ -f ".env" ]; then
+    echo "✅ Environment file exists"
+else
+    echo "❌ Environment file missing. Copy .env.example to .env"
+    exit 1
+fi
+
+# Check ports
+echo "🔌 Checking ports..."
+check_port 3000
+check_port 4000
+
+echo "🎉 All health checks passed!"
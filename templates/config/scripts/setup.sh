@@ -0,0 +1,46 @@
+#!/bin/bash
+
+set -e
+
+echo "🚀 Setting up Kurdemy development environment..."
+
+# Check if Node.js is installed
+if ! command -v node &> /dev/null; then
+    echo "❌ Node.js is not installed. Please install Node.js 16+ and try again."
+    exit 1
+fi
+
+# Check Node.js version
+NODE_VERSION=$(node -v | cut -d 'v' -f 2 | cut -d '.' -f 1)
+if [ "$NODE_VERSION" -lt 16 ]; then
+    echo "❌ Node.js version 16+ is required. Current version: $(node -v)"
+    exit 1
+fi
+
+echo "✅ Node.js version: $(node -v)"
+
+# Install dependencies
+echo "📦 Installing dependencies..."
+{{ pm.install }}
+
+# Setup Git hooks
+echo "🎣 Setting up Git hooks..."
+{{ pm.exec }} husky install
+
+# Setup environment files
+if [ ! -f .env ]; then
+    echo "📝 Setting up environment files..."
+    echo "# Add your environment variables here" > .env
+    echo "✅ .env file created"
+fi
+
+# Run initial build
+echo "🔨 Running initial build..."
+{{ pm.run }} build
+
+echo "🎉 Setup complete! Run '{{ pm.run }} dev' to start development."
+echo ""
+echo "📖 Next steps:"
+echo "   1. Update .env with your configuration"
+echo "   2. Run '{{ pm.run }} dev' to start development"
+echo "   3. Visit http://localhost:3000 to see your app"
@@ -0,0 +1,19 @@
+import type { Config } from 'drizzle-kit';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+export default {
+  schema: './src/shared/database/schema.ts',
+  out: './migrations',
+  driver: '{{ drizzle.kitDriver }}',
+  dbCredentials: {
+    {{#if database == 'sqlite'}}
+    url: process.env.DATABASE_URL!,
+    {{else}}
+    connectionString: process.env.DATABASE_URL!,
+    {{/if}}
+  },
+  verbose: true,
+  strict: true,
+} satisfies Config;
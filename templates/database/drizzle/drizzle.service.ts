@@ -0,0 +1,57 @@
+import { Injectable, OnModuleInit } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { drizzle } from 'drizzle-orm/{{ drizzle.dialect }}';
+import {{ drizzle.clientImport }} from '{{ drizzle.clientPackage }}';
+import { schema } from '../../../shared/database/schema';
+
+@Injectable()
+export class DrizzleService implements OnModuleInit {
+  public db: ReturnType<typeof drizzle>;
+  private client: any;
+
+  constructor(private configService: ConfigService) {}
+
+  async onModuleInit() {
+    const databaseUrl = this.configService.get<string>('DATABASE_URL');
+    
+    if (!databaseUrl) {
+      throw new Error('DATABASE_URL is not defined in environment variables');
+    }
+
+    try {
+      {{ drizzle.serviceConnection }}
+      
+      this.db = drizzle(this.client, { schema });
+      
+      // Test connection
+      await this.healthCheck();
+      console.log('✅ Database connected successfully');
+    } catch (error) {
+      console.error('❌ Database connection failed:', error);
+      throw error;
+    }
+  }
+
+  async healthCheck() {
+    try {
+      // Perform a simple query to test the connection
+      const result = await this.db.query.users.findFirst({
+        columns: { id: true }
+      });
+      return { status: 'healthy', timestamp: new Date() };
+    } catch (error) {
+      return { status: 'unhealthy', error: error instanceof Error ? error.message : String(error), timestamp: new Date() };
+    }
+  }
+
+  async onModuleDestroy() {
+    if (this.client) {
+      {{#if database == 'sqlite'}}
+      this.client.close();
+      {{else}}
+      await this.client.end();
+      {{/if}}
+      console.log('🔌 Database disconnected');
+    }
+  }
+}
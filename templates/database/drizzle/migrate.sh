@@ -0,0 +1,11 @@
+#!/bin/bash
+
+echo "🔄 Running database migrations..."
+
+# Generate migration files
+npx drizzle-kit generate:{{ drizzle.kitDialect }}
+
+# Apply migrations
+npx drizzle-kit push:{{ drizzle.kitDialect }}
+
+echo "✅ Migrations completed!"
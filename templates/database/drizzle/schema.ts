@@ -0,0 +1,103 @@
+import { {{ drizzle.imports }} } from 'drizzle-orm/{{ drizzle.coreModule }}';
+import { relations } from 'drizzle-orm';
+
+// Users table
+export const users = {{ drizzle.table }}('users', {
+  id: {{ drizzle.primaryKey }},
+  email: {{ drizzle.string('email') }}.notNull().unique(),
+  name: {{ drizzle.string('name') }}.notNull(),
+  password: {{ drizzle.string('password') }}.notNull(),
+  createdAt: {{ drizzle.timestamp('created_at') }}.notNull(),
+  updatedAt: {{ drizzle.timestamp('updated_at') }}.notNull(),
+});
+
+// Posts table
+export const posts = {{ drizzle.table }}('posts', {
+  id: {{ drizzle.primaryKey }},
+  title: {{ drizzle.string('title') }}.notNull(),
+  content: text('content'),
+  published: {{ drizzle.boolean('published') }}.default(false).notNull(),
+  authorId: {{ drizzle.string('author_id') }}.notNull(),
+  createdAt: {{ drizzle.timestamp('created_at') }}.notNull(),
+  updatedAt: {{ drizzle.timestamp('updated_at') }}.notNull(),
+});
+{{#if auth}}
+
+// Auth tables for NextAuth.js compatibility
+export const accounts = {{ drizzle.table }}('accounts', {
+  id: {{ drizzle.primaryKey }},
+  userId: {{ drizzle.string('user_id') }}.notNull(),
+  type: {{ drizzle.string('type') }}.notNull(),
+  provider: {{ drizzle.string('provider') }}.notNull(),
+  providerAccountId: {{ drizzle.string('provider_account_id') }}.notNull(),
+  refreshToken: text('refresh_token'),
+  accessToken: text('access_token'),
+  expiresAt: {{ drizzle.integer('expires_at') }},
+  tokenType: {{ drizzle.string('token_type') }},
+  scope: {{ drizzle.string('scope') }},
+  idToken: text('id_token'),
+  sessionState: {{ drizzle.string('session_state') }},
+});
+
+export const sessions = {{ drizzle.table }}('sessions', {
+  id: {{ drizzle.primaryKey }},
+  sessionToken: {{ drizzle.string('session_token') }}.notNull().unique(),
+  userId: {{ drizzle.string('user_id') }}.notNull(),
+  expires: {{ drizzle.timestamp('expires', false) }}.notNull(),
+});
+
+export const verificationTokens = {{ drizzle.table }}('verification_tokens', {
+  identifier: {{ drizzle.string('identifier') }}.notNull(),
+  token: {{ drizzle.string('token') }}.notNull().unique(),
+  expires: {{ drizzle.timestamp('expires', false) }}.notNull(),
+});
+{{/if}}
+
+// Relations
+export const usersRelations = relations(users, ({ many }) => ({
+  posts: many(posts),
+  {{#if auth}}
+  accounts: many(accounts),
+  sessions: many(sessions),
+  {{/if}}
+}));
+
+export const postsRelations = relations(posts, ({ one }) => ({
+  author: one(users, {
+    fields: [posts.authorId],
+    references: [users.id],
+  }),
+}));
+{{#if auth}}
+
+export const accountsRelations = relations(accounts, ({ one }) => ({
+  user: one(users, {
+    fields: [accounts.userId],
+    references: [users.id],
+  }),
+}));
+
+export const sessionsRelations = relations(sessions, ({ one }) => ({
+  user: one(users, {
+    fields: [sessions.userId],
+    references: [users.id],
+  }),
+}));
+{{/if}}
+
+// Export all tables
+export const schema = {
+  users,
+  posts,
+  {{#if auth}}
+  accounts,
+  sessions,
+  verificationTokens,
+  {{/if}}
+  usersRelations,
+  postsRelations,
+  {{#if auth}}
+  accountsRelations,
+  sessionsRelations,
+  {{/if}}
+};
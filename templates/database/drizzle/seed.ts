@@ -0,0 +1,72 @@
+import { drizzle } from 'drizzle-orm/{{ drizzle.dialect }}';
+import {{ drizzle.clientImport }} from '{{ drizzle.clientPackage }}';
+import * as bcrypt from 'bcrypt';
+import { users, posts } from '../src/shared/database/schema';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+const client = {{ drizzle.clientConnection }};
+const db = drizzle(client);
+
+async function main() {
+  console.log('🌱 Starting database seed...');
+
+  try {
+    // Create test users
+    const hashedPassword = await bcrypt.hash('password123', 12);
+    
+    const insertedUsers = await db.insert(users).values([
+      {
+        id: 'user-1',
+        email: 'admin@kurdemy.com',
+        name: 'Admin User',
+        password: hashedPassword,
+      },
+      {
+        id: 'user-2',
+        email: 'user@kurdemy.com',
+        name: 'Test User',
+        password: hashedPassword,
+      },
+    ]).returning();
+
+    console.log('✅ Users created:', insertedUsers.map(u => u.email));
+
+    // Create sample posts
+    const insertedPosts = await db.insert(posts).values([
+      {
+        id: 'post-1',
+        title: 'Welcome to Kurdemy',
+        content: 'This is a sample post created during database seeding. You can edit or delete this post.',
+        published: true,
+        authorId: insertedUsers[0].id,
+      },
+      {
+        id: 'post-2',
+        title: 'Getting Started Guide',
+        content: 'Here are some tips to get started with your new Kurdemy application...',
+        published: false,
+        authorId: insertedUsers[1].id,
+      },
+    ]).returning();
+
+    console.log('✅ Posts created:', insertedPosts.map(p => p.title));
+
+    console.log('🎉 Database seeding completed successfully!');
+  } catch (error) {
+    console.error('❌ Database seeding failed:', error);
+    throw error;
+  } finally {
+    {{#if database == 'sqlite'}}
+    client.close();
+    {{else}}
+    await client.end();
+    {{/if}}
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
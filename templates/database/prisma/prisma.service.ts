@@ -0,0 +1,55 @@
+import { Injectable, OnModuleInit, OnModuleDestroy } from '@nestjs/common';
+import { PrismaClient } from '@prisma/client';
+
+@Injectable()
+export class PrismaService extends PrismaClient implements OnModuleInit, OnModuleDestroy {
+  constructor() {
+    super({
+      log: ['query', 'info', 'warn', 'error'],
+    });
+  }
+
+  async onModuleInit() {
+    try {
+      await this.$connect();
+      console.log('✅ Database connected successfully');
+    } catch (error) {
+      console.error('❌ Database connection failed:', error);
+      throw error;
+    }
+  }
+
+  async onModuleDestroy() {
+    await this.$disconnect();
+    console.log('🔌 Database disconnected');
+  }
+
+  async healthCheck() {
+    try {
+      await this.$queryRaw`SELECT 1`;
+      return { status: 'healthy', timestamp: new Date() };
+    } catch (error) {
+      return { status: 'unhealthy', error: error instanceof Error ? error.message : String(error), timestamp: new Date() };
+    }
+  }
+
+  async clearDatabase() {
+    if (process.env.NODE_ENV !== 'test') {
+      throw new Error('Database clearing is only allowed in test environment');
+    }
+
+    const tablenames = await this.$queryRaw<Array<{ tablename: string }>>`
+      SELECT tablename FROM pg_tables WHERE schemaname='public'
+    `;
+
+    for (const { tablename } of tablenames) {
+      if (tablename !== '_prisma_migrations') {
+        try {
+          await this.$executeRawUnsafe(`TRUNCATE TABLE "${tablename}" CASCADE;`);
+        } catch (error) {
+          console.log({ error });
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,72 @@
+import { PrismaClient } from '@prisma/client';
+import * as bcrypt from 'bcrypt';
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log('🌱 Starting database seed...');
+
+  // Create test users
+  const hashedPassword = await bcrypt.hash('password123', 12);
+  
+  const user1 = await prisma.user.upsert({
+    where: { email: 'admin@kurdemy.com' },
+    update: {},
+    create: {
+      email: 'admin@kurdemy.com',
+      name: 'Admin User',
+      password: hashedPassword,
+    },
+  });
+
+  const user2 = await prisma.user.upsert({
+    where: { email: 'user@kurdemy.com' },
+    update: {},
+    create: {
+      email: 'user@kurdemy.com',
+      name: 'Test User',
+      password: hashedPassword,
+    },
+  });
+
+  console.log('✅ Users created:', { user1: user1.email, user2: user2.email });
+
+  // Create sample posts
+  const post1 = await prisma.post.upsert({
+    where: { id: 'sample-post-1' },
+    update: {},
+    create: {
+      id: 'sample-post-1',
+      title: 'Welcome to Kurdemy',
+      content: 'This is a sample post created during database seeding. You can edit or delete this post.',
+      published: true,
+      authorId: user1.id,
+    },
+  });
+
+  const post2 = await prisma.post.upsert({
+    where: { id: 'sample-post-2' },
+    update: {},
+    create: {
+      id: 'sample-post-2',
+      title: 'Getting Started Guide',
+      content: 'Here are some tips to get started with your new Kurdemy application...',
+      published: false,
+      authorId: user2.id,
+    },
+  });
+
+  console.log('✅ Posts created:', { post1: post1.title, post2: post2.title });
+
+  console.log('🎉 Database seeding completed successfully!');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Database seeding failed:');
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,42 @@
+#!/bin/bash
+
+set -e
+
+BACKUP_DIR="./backups"
+DATE=$(date +%Y%m%d_%H%M%S)
+DATABASE_TYPE="{{ database || 'none' }}"
+
+echo "📦 Creating database backup..."
+
+# Create backup directory
+mkdir -p $BACKUP_DIR
+
+case $DATABASE_TYPE in
+  postgresql)
+    echo "🐘 Backing up PostgreSQL database..."
+    docker-compose -f docker-compose.dev.yml exec -T postgres pg_dump -U postgres -d kurdemy_dev > "$BACKUP_DIR/postgresql_backup_$DATE.sql"
+    ;;
+  mysql)
+    echo "🐬 Backing up MySQL database..."
+    docker-compose -f docker-compose.dev.yml exec -T mysql mysqldump -u root -prootpassword kurdemy_dev > "$BACKUP_DIR/mysql_backup_$DATE.sql"
+    ;;
+  sqlite)
+    echo "📄 Backing up SQLite database..."
+    cp dev.db "$BACKUP_DIR/sqlite_backup_$DATE.db"
+    ;;
+  sqlserver)
+    echo "🏢 Backing up SQL Server database..."
+    docker-compose -f docker-compose.dev.yml exec -T sqlserver /opt/mssql-tools/bin/sqlcmd -S localhost -U sa -P YourStrong@Passw0rd -Q "BACKUP DATABASE kurdemy_dev TO DISK = '/var/opt/mssql/backup_$DATE.bak'"
+    ;;
+  *)
+    echo "ℹ️  No database configured, nothing to back up."
+    exit 0
+    ;;
+esac
+
+echo "✅ Database backup created: $BACKUP_DIR/${DATABASE_TYPE}_backup_$DATE.*"
+
+# Clean up old backups (keep last 7 days)
+find $BACKUP_DIR -name "${DATABASE_TYPE}_backup_*" -mtime +7 -delete
+
+echo "🧹 Old backups cleaned up (kept last 7 days)"
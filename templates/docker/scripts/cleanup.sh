@@ -0,0 +1,31 @@
+#!/bin/bash
+
+echo "🧹 Cleaning up Docker resources..."
+
+# Stop all containers
+echo "⏹️  Stopping all containers..."
+docker-compose -f docker-compose.dev.yml down -v 2>/dev/null || true
+docker-compose -f docker-compose.prod.yml down -v 2>/dev/null || true
+
+# Remove unused images
+echo "🗑️  Removing unused images..."
+docker image prune -f
+
+# Remove unused volumes
+echo "📦 Removing unused volumes..."
+docker volume prune -f
+
+# Remove unused networks
+echo "🌐 Removing unused networks..."
+docker network prune -f
+
+# Remove build cache
+echo "🗂️  Removing build cache..."
+docker builder prune -f
+
+echo "✅ Docker cleanup complete!"
+
+# Show current status
+echo ""
+echo "📊 Current Docker status:"
+docker system df
@@ -0,0 +1,51 @@
+#!/bin/bash
+
+set -e
+
+echo "🐳 Starting Kurdemy development environment with Docker..."
+
+# Check if Docker is running
+if ! docker info > /dev/null 2>&1; then
+    echo "❌ Docker is not running. Please start Docker and try again."
+    exit 1
+fi
+
+# Check if Docker Compose is available
+if ! command -v docker-compose &> /dev/null; then
+    echo "❌ Docker Compose is not installed. Please install Docker Compose and try again."
+    exit 1
+fi
+
+# Build and start services
+echo "🔨 Building and starting services..."
+docker-compose -f docker-compose.dev.yml up --build -d
+
+# Wait for services to be healthy
+echo "⏳ Waiting for services to be ready..."
+sleep 10
+
+# Check service health
+echo "🏥 Checking service health..."
+docker-compose -f docker-compose.dev.yml ps
+
+# Show logs
+echo "📝 Showing service logs..."
+docker-compose -f docker-compose.dev.yml logs --tail=50
+
+echo ""
+echo "🎉 Development environment is ready!"
+echo "📖 Services:"
+echo "   Frontend: http://localhost:3000"
+echo "   Backend: http://localhost:4000"
+echo "   API Docs: http://localhost:4000/api/docs"
+{{#if database == 'postgresql'}}
+echo "   Database Admin: http://localhost:8080"
+{{/if}}
+{{#if database == 'mysql'}}
+echo "   phpMyAdmin: http://localhost:8080"
+{{/if}}
+echo ""
+echo "🔧 Useful commands:"
+echo "   docker-compose -f docker-compose.dev.yml logs -f [service]  # View logs"
+echo "   docker-compose -f docker-compose.dev.yml down              # Stop services"
+echo "   docker-compose -f docker-compose.dev.yml restart [service] # Restart service"
@@ -0,0 +1,70 @@
+#!/bin/bash
+
+echo "🏥 Running health checks on Docker services..."
+
+# Check if services are running
+echo "📋 Service status:"
+docker-compose -f docker-compose.dev.yml ps
+
+echo ""
+echo "🔍 Health check results:"
+
+# Check backend health
+echo -n "Backend: "
+if curl -f -s http://localhost:4000/api/health > /dev/null; then
+    echo "✅ Healthy"
+else
+    echo "❌ Unhealthy"
+fi
+
+# Check frontend health
+echo -n "Frontend: "
+if curl -f -s http://localhost:3000 > /dev/null; then
+    echo "✅ Healthy"
+else
+    echo "❌ Unhealthy"
+fi
+
+# Check database health
+echo -n "Database: "
+case "{{ database || 'none' }}" in
+  postgresql)
+    if docker-compose -f docker-compose.dev.yml exec -T postgres pg_isready -U postgres > /dev/null 2>&1; then
+        echo "✅ Healthy"
+    else
+        echo "❌ Unhealthy"
+    fi
+    ;;
+  mysql)
+    if docker-compose -f docker-compose.dev.yml exec -T mysql mysqladmin ping -h localhost -u root -prootpassword > /dev/null 2>&1; then
+        echo "✅ Healthy"
+    else
+        echo "❌ Unhealthy"
+    fi
+    ;;
+  sqlite)
+    echo "✅ Healthy (file-based)"
+    ;;
+  sqlserver)
+    if docker-compose -f docker-compose.dev.yml exec -T sqlserver /opt/mssql-tools/bin/sqlcmd -S localhost -U sa -P YourStrong@Passw0rd -Q "SELECT 1" > /dev/null 2>&1; then
+        echo "✅ Healthy"
+    else
+        echo "❌ Unhealthy"
+    fi
+    ;;
+  *)
+    echo "➖ Not configured"
+    ;;
+esac
+
+# Check Redis health
+echo -n "Redis: "
+if docker-compose -f docker-compose.dev.yml exec -T redis redis-cli ping > /dev/null 2>&1; then
+    echo "✅ Healthy"
+else
+    echo "❌ Unhealthy"
+fi
+
+echo ""
+echo "📊 Resource usage:"
+docker stats --no-stream --format "table \{{.Container}}\t\{{.CPUPerc}}\t\{{.MemUsage}}\t\{{.NetIO}}"
@@ -0,0 +1,39 @@
+#!/bin/bash
+
+set -e
+
+echo "🐳 Starting Kurdemy production environment with Docker..."
+
+# Check if Docker is running
+if ! docker info > /dev/null 2>&1; then
+    echo "❌ Docker is not running. Please start Docker and try again."
+    exit 1
+fi
+
+# Load environment variables
+if [ -f .env.production ]; then
+    export $(cat .env.production | xargs)
+else
+    echo "⚠️  .env.production file not found. Using defaults."
+fi
+
+# Build and start services
+echo "🔨 Building and starting production services..."
+docker-compose -f docker-compose.prod.yml up --build -d
+
+# Wait for services to be healthy
+echo "⏳ Waiting for services to be ready..."
+sleep 30
+
+# Check service health
+echo "🏥 Checking service health..."
+docker-compose -f docker-compose.prod.yml ps
+
+echo ""
+echo "🎉 Production environment is ready!"
+echo "📖 Application: http://localhost"
+echo ""
+echo "🔧 Useful commands:"
+echo "   docker-compose -f docker-compose.prod.yml logs -f [service]  # View logs"
+echo "   docker-compose -f docker-compose.prod.yml down               # Stop services"
+echo "   docker-compose -f docker-compose.prod.yml restart [service]  # Restart service"
@@ -0,0 +1,48 @@
+import { Injectable, OnModuleInit } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+{{#if database == 'postgresql'}}
+import { drizzle } from 'drizzle-orm/postgres-js';
+import postgres from 'postgres';
+{{/if}}
+{{#if database == 'mysql'}}
+import { drizzle } from 'drizzle-orm/mysql2';
+import mysql from 'mysql2/promise';
+{{/if}}
+{{#if database == 'sqlite'}}
+import { drizzle } from 'drizzle-orm/better-sqlite3';
+import Database from 'better-sqlite3';
+{{/if}}
+{{#if database == 'sqlserver'}}
+import { drizzle } from 'drizzle-orm/node-postgres';
+import { Pool } from 'pg';
+{{/if}}
+
+@Injectable()
+export class DrizzleService implements OnModuleInit {
+  public db: any;
+
+  constructor(private configService: ConfigService) {}
+
+  async onModuleInit() {
+    const databaseUrl = this.configService.get<string>('DATABASE_URL');
+    
+{{#if database == 'postgresql'}}
+    const client = postgres(databaseUrl);
+    this.db = drizzle(client);
+{{/if}}
+{{#if database == 'mysql'}}
+    const connection = await mysql.createConnection(databaseUrl);
+    this.db = drizzle(connection);
+{{/if}}
+{{#if database == 'sqlite'}}
+    const sqlite = new Database(databaseUrl.replace('file:', ''));
+    this.db = drizzle(sqlite);
+{{/if}}
+{{#if database == 'sqlserver'}}
+    const pool = new Pool({ connectionString: databaseUrl });
+    this.db = drizzle(pool);
+{{/if}}
+    
+    console.log('✅ Database connected successfully');
+  }
+}
@@ -0,0 +1,65 @@
+import { Injectable } from '@nestjs/common';
+import { randomUUID } from 'crypto';
+import { DrizzleService } from '../../config/drizzle.service';
+import { users } from '../../../../shared/database/schema';
+import { eq } from 'drizzle-orm';
+
+@Injectable()
+export class UsersService {
+  constructor(private drizzle: DrizzleService) {}
+
+  async findAll() {
+    return this.drizzle.db.select({
+      id: users.id,
+      email: users.email,
+      name: users.name,
+      createdAt: users.createdAt,
+      updatedAt: users.updatedAt,
+    }).from(users);
+  }
+
+  async findById(id: string) {
+    const result = await this.drizzle.db.select({
+      id: users.id,
+      email: users.email,
+      name: users.name,
+      createdAt: users.createdAt,
+      updatedAt: users.updatedAt,
+    }).from(users).where(eq(users.id, id));
+    
+    return result[0];
+  }
+
+  async findByEmail(email: string) {
+    const result = await this.drizzle.db.select().from(users).where(eq(users.email, email));
+    return result[0];
+  }
+
+  async create(userData: { name: string; email: string; password: string }) {
+    const id = randomUUID();
+
+    await this.drizzle.db.insert(users).values({
+      ...userData,
+      id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const result = await this.drizzle.db.select().from(users).where(eq(users.id, id));
+    return result[0];
+  }
+
+  async update(id: string, userData: Partial<{ name: string; email: string }>) {
+    await this.drizzle.db.update(users)
+      .set({ ...userData, updatedAt: new Date() })
+      .where(eq(users.id, id));
+
+    return this.findById(id);
+  }
+
+  async delete(id: string) {
+    const user = await this.findById(id);
+    await this.drizzle.db.delete(users).where(eq(users.id, id));
+    return user;
+  }
+}
@@ -0,0 +1,21 @@
+import { Controller, Get } from '@nestjs/common';
+import { ApiTags, ApiOperation } from '@nestjs/swagger';
+import { AppService } from './app.service';
+
+@ApiTags('app')
+@Controller()
+export class AppController {
+  constructor(private readonly appService: AppService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'Health check endpoint' })
+  getHello(): string {
+    return this.appService.getHello();
+  }
+
+  @Get('health')
+  @ApiOperation({ summary: 'Application health status' })
+  getHealth() {
+    return this.appService.getHealthStatus();
+  }
+}
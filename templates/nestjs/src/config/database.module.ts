@@ -0,0 +1,9 @@
+import { Global, Module } from '@nestjs/common';
+import { {{ databaseService }} } from './{{ databaseServiceFile }}';
+
+@Global()
+@Module({
+  providers: [{{ databaseService }}],
+  exports: [{{ databaseService }}],
+})
+export class DatabaseModule {}
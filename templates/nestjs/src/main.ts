@@ -0,0 +1,47 @@
+import { NestFactory } from '@nestjs/core';
+import { ValidationPipe } from '@nestjs/common';
+import { DocumentBuilder, SwaggerModule } from '@nestjs/swagger';
+import { AppModule } from './app.module';
+import { ConfigService } from '@nestjs/config';
+
+async function bootstrap() {
+  const app = await NestFactory.create(AppModule);
+  const configService = app.get(ConfigService);
+
+  // Global validation pipe
+  app.useGlobalPipes(
+    new ValidationPipe({
+      whitelist: true,
+      forbidNonWhitelisted: true,
+      transform: true,
+    }),
+  );
+
+  // CORS configuration
+  app.enableCors({
+    origin: configService.get('CORS_ORIGIN', 'http://localhost:3000'),
+    credentials: true,
+  });
+
+  // API prefix
+  app.setGlobalPrefix('api');
+
+  // Swagger configuration
+  if (configService.get('SWAGGER_ENABLED', true)) {
+    const config = new DocumentBuilder()
+      .setTitle('Kurdemy API')
+      .setDescription('The Kurdemy API documentation')
+      .setVersion('1.0')
+      .addBearerAuth()
+      .build();
+    const document = SwaggerModule.createDocument(app, config);
+    SwaggerModule.setup('api/docs', app, document);
+  }
+
+  const port = configService.get('BACKEND_PORT', 4000);
+  await app.listen(port);
+  console.log(`🚀 Backend server running on http://localhost:${port}`);
+  console.log(`📚 API Documentation available at http://localhost:${port}/api/docs`);
+}
+
+bootstrap();
@@ -0,0 +1,27 @@
+import { Controller, Get, UseGuards } from '@nestjs/common';
+import { ApiTags, ApiOperation, ApiBearerAuth } from '@nestjs/swagger';
+import { UsersService } from './users.service';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { GetCurrentUser } from '../../common/decorators/get-current-user.decorator';
+
+@ApiTags('users')
+@Controller('users')
+export class UsersController {
+  constructor(private usersService: UsersService) {}
+
+  @UseGuards(JwtAuthGuard)
+  @Get('profile')
+  @ApiOperation({ summary: 'Get current user profile' })
+  @ApiBearerAuth()
+  async getProfile(@GetCurrentUser() user: any) {
+    return this.usersService.findById(user.userId);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Get()
+  @ApiOperation({ summary: 'Get all users' })
+  @ApiBearerAuth()
+  async findAll() {
+    return this.usersService.findAll();
+  }
+}
@@ -0,0 +1,19 @@
+'use client'
+
+import { useSession } from 'next-auth/react'
+import { ProtectedRoute } from '@/components/auth/ProtectedRoute'
+
+export default function DashboardPage() {
+  const { data: session } = useSession()
+
+  return (
+    <ProtectedRoute>
+      <div className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+        <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
+        <p className="mt-2 text-gray-600">
+          Welcome back, {session?.user?.name || session?.user?.email}!
+        </p>
+      </div>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,29 @@
+import './globals.css'
+import { Inter } from 'next/font/google'
+{{#if trpc}}import { TrpcProvider } from '@/lib/trpc/provider'{{/if}}
+{{#if auth}}import { AuthProvider } from '@/lib/auth/provider'{{/if}}
+
+const inter = Inter({ subsets: ['latin'] })
+
+export const metadata = {
+  title: '{{ projectName }}',
+  description: 'A modern fullstack application built with Kurdemy stack',
+}
+
+export default function RootLayout({
+  children,
+}: {
+  children: React.ReactNode
+}) {
+  return (
+    <html lang="en">
+      <body className={inter.className}>
+        {{#if auth}}<AuthProvider>{{/if}}
+        {{#if trpc}}<TrpcProvider>{{/if}}
+          {children}
+        {{#if trpc}}</TrpcProvider>{{/if}}
+        {{#if auth}}</AuthProvider>{{/if}}
+      </body>
+    </html>
+  )
+}
@@ -0,0 +1,15 @@
+import { Navbar } from '@/components/ui/navbar'
+import { Hero } from '@/components/sections/hero'
+import { Features } from '@/components/sections/features'
+import { Footer } from '@/components/ui/footer'
+
+export default function Home() {
+  return (
+    <main className="min-h-screen">
+      <Navbar />
+      <Hero />
+      <Features />
+      <Footer />
+    </main>
+  )
+}
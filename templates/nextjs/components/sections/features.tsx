@@ -0,0 +1,63 @@
+export function Features() {
+  const features = [
+    {
+      title: 'Full-stack TypeScript',
+      description: 'End-to-end type safety with TypeScript across frontend and backend.',
+      icon: '🔧',
+    },
+    {
+      title: 'Modern Architecture',
+      description: 'Built with NestJS for scalable backend and Next.js for powerful frontend.',
+      icon: '🏗️',
+    },
+    {
+      title: 'Database Ready',
+      description: 'Integrated with {{#if orm == 'prisma'}}Prisma{{else}}Drizzle ORM{{/if}} for seamless database operations.',
+      icon: '🗄️',
+    },
+    {{#if trpc}}{
+      title: 'Type-safe APIs',
+      description: 'tRPC provides end-to-end type safety for your API calls.',
+      icon: '🔒',
+    },{{/if}}
+    {{#if auth}}{
+      title: 'Authentication',
+      description: 'Built-in authentication system with NextAuth.js.',
+      icon: '🔐',
+    },{{/if}}
+    {
+      title: 'Developer Experience',
+      description: 'Hot reload, linting, testing, and more for an amazing developer experience.',
+      icon: '⚡',
+    },
+  ]
+
+  return (
+    <div className="py-24 bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="text-center mb-16">
+          <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+            Why Choose Kurdemy?
+          </h2>
+          <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+            Built with modern technologies and best practices to help you ship faster.
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+          {features.map((feature, index) => (
+            <div key={index} className="bg-white p-6 rounded-lg shadow-md hover:shadow-lg transition-shadow">
+              <div className="text-4xl mb-4">{feature.icon}</div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                {feature.title}
+              </h3>
+              <p className="text-gray-600">
+                {feature.description}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,40 @@
+export function Footer() {
+  return (
+    <footer className="bg-gray-900 text-white">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="grid md:grid-cols-4 gap-8">
+          <div className="col-span-1 md:col-span-2">
+            <h3 className="text-xl font-bold mb-4">Kurdemy</h3>
+            <p className="text-gray-400 mb-4">
+              A modern fullstack application template built with the latest technologies.
+              Start building amazing applications today.
+            </p>
+          </div>
+          
+          <div>
+            <h4 className="text-lg font-semibold mb-4">Quick Links</h4>
+            <ul className="space-y-2 text-gray-400">
+              <li><a href="/" className="hover:text-white">Home</a></li>
+              <li><a href="/about" className="hover:text-white">About</a></li>
+              <li><a href="/contact" className="hover:text-white">Contact</a></li>
+              <li><a href="/docs" className="hover:text-white">Documentation</a></li>
+            </ul>
+          </div>
+          
+          <div>
+            <h4 className="text-lg font-semibold mb-4">Resources</h4>
+            <ul className="space-y-2 text-gray-400">
+              <li><a href="https://github.com" className="hover:text-white">GitHub</a></li>
+              <li><a href="/api/docs" className="hover:text-white">API Docs</a></li>
+              <li><a href="/support" className="hover:text-white">Support</a></li>
+            </ul>
+          </div>
+        </div>
+        
+        <div className="border-t border-gray-800 mt-8 pt-8 text-center text-gray-400">
+          <p>&copy; 2024 Kurdemy. Built with ❤️ using Kurdemy Stack.</p>
+        </div>
+      </div>
+    </footer>
+  )
+}
@@ -0,0 +1,120 @@
+'use client'
+
+import Link from 'next/link'
+import { useState } from 'react'
+{{#if auth}}import { useSession, signOut } from 'next-auth/react'{{/if}}
+
+export function Navbar() {
+  const [isOpen, setIsOpen] = useState(false)
+  {{#if auth}}const { data: session } = useSession(){{/if}}
+
+  return (
+    <nav className="bg-white shadow-lg">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between h-16">
+          <div className="flex items-center">
+            <Link href="/" className="text-xl font-bold text-blue-600">
+              Kurdemy
+            </Link>
+          </div>
+
+          <div className="hidden md:flex items-center space-x-8">
+            <Link href="/" className="text-gray-700 hover:text-blue-600">
+              Home
+            </Link>
+            <Link href="/about" className="text-gray-700 hover:text-blue-600">
+              About
+            </Link>
+            
+{{#if auth}}
+            {session ? (
+              <div className="flex items-center space-x-4">
+                <span className="text-gray-700">Welcome, {session.user?.name}</span>
+                <button
+                  onClick={() => signOut()}
+                  className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700"
+                >
+                  Sign Out
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center space-x-4">
+                <Link
+                  href="/auth/login"
+                  className="text-gray-700 hover:text-blue-600"
+                >
+                  Sign In
+                </Link>
+                <Link
+                  href="/auth/register"
+                  className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+                >
+                  Sign Up
+                </Link>
+              </div>
+            )}
+{{else}}
+            <Link
+              href="/contact"
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+            >
+              Contact
+            </Link>
+{{/if}}
+          </div>
+
+          <div className="md:hidden flex items-center">
+            <button
+              onClick={() => setIsOpen(!isOpen)}
+              className="text-gray-700 hover:text-blue-600"
+            >
+              <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+              </svg>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="md:hidden">
+          <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3 bg-white shadow-lg">
+            <Link href="/" className="block px-3 py-2 text-gray-700 hover:text-blue-600">
+              Home
+            </Link>
+            <Link href="/about" className="block px-3 py-2 text-gray-700 hover:text-blue-600">
+              About
+            </Link>
+            
+{{#if auth}}
+            {session ? (
+              <>
+                <span className="block px-3 py-2 text-gray-700">Welcome, {session.user?.name}</span>
+                <button
+                  onClick={() => signOut()}
+                  className="block w-full text-left px-3 py-2 text-red-600 hover:text-red-700"
+                >
+                  Sign Out
+                </button>
+              </>
+            ) : (
+              <>
+                <Link href="/auth/login" className="block px-3 py-2 text-gray-700 hover:text-blue-600">
+                  Sign In
+                </Link>
+                <Link href="/auth/register" className="block px-3 py-2 text-blue-600 hover:text-blue-700">
+                  Sign Up
+                </Link>
+              </>
+            )}
+{{else}}
+            <Link href="/contact" className="block px-3 py-2 text-blue-600 hover:text-blue-700">
+              Contact
+            </Link>
+{{/if}}
+          </div>
+        </div>
+      )}
+    </nav>
+  )
+}
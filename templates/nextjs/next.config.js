@@ -0,0 +1,33 @@
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+{{#if docker}}
+  // Emit a self-contained server for the Docker image
+  output: 'standalone',
+{{/if}}
+  experimental: {
+    appDir: true,
+  },
+  env: {
+    CUSTOM_KEY: 'my-value',
+  },
+  
+{{#if trpc}}
+  // Configure for tRPC
+  async rewrites() {
+    return [
+      {
+        source: '/api/trpc/:path*',
+        destination: 'http://localhost:4000/api/trpc/:path*',
+      },
+    ];
+  },
+{{/if}}
+  images: {
+    domains: ['localhost'],
+  },
+  eslint: {
+    dirs: ['app', 'components', 'lib'],
+  },
+}
+
+module.exports = nextConfig;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../../lib/auth/useAuth';
+import { Loading } from '../ui/Loading';
+
+interface ProtectedRouteProps {
+  children: React.ReactNode;
+  // Only let signed out users through, e.g. for the login page
+  guestOnly?: boolean;
+}
+
+export function ProtectedRoute({ children, guestOnly = false }: ProtectedRouteProps) {
+  const { user, loading } = useAuth();
+
+  if (loading) {
+    return <Loading text="Checking authentication..." />;
+  }
+
+  if (guestOnly && user) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  if (!guestOnly && !user) {
+    return <Navigate to="/auth/login" replace />;
+  }
+
+  return <>{children}</>;
+}
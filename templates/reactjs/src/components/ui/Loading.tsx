@@ -0,0 +1,21 @@
+import React from 'react';
+
+interface LoadingProps {
+  size?: 'sm' | 'md' | 'lg';
+  text?: string;
+}
+
+export function Loading({ size = 'md', text }: LoadingProps) {
+  const sizeClasses = {
+    sm: 'h-6 w-6',
+    md: 'h-12 w-12',
+    lg: 'h-16 w-16'
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center p-8">
+      <div className={`animate-spin rounded-full border-b-2 border-blue-600 ${sizeClasses[size]}`}></div>
+      {text && <p className="mt-4 text-gray-600">{text}</p>}
+    </div>
+  );
+}
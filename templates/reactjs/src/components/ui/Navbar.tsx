@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+{{#if auth}}import { useAuth } from '../../lib/auth/useAuth';{{/if}}
+
+export function Navbar() {
+  const [isOpen, setIsOpen] = useState(false);
+  const location = useLocation();
+  {{#if auth}}const { user, logout } = useAuth();{{/if}}
+
+  const isActive = (path: string) => location.pathname === path;
+
+  return (
+    <nav className="bg-white shadow-lg sticky top-0 z-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between h-16">
+          <div className="flex items-center">
+            <Link to="/" className="text-xl font-bold text-blue-600 hover:text-blue-700">
+              Kurdemy
+            </Link>
+          </div>
+
+          {/* Desktop Navigation */}
+          <div className="hidden md:flex items-center space-x-8">
+            <Link 
+              to="/" 
+              className={`${isActive('/') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors`}
+            >
+              Home
+            </Link>
+            <Link 
+              to="/about" 
+              className={`${isActive('/about') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors`}
+            >
+              About
+            </Link>
+            <Link 
+              to="/contact" 
+              className={`${isActive('/contact') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors`}
+            >
+              Contact
+            </Link>
+            
+            
+{{#if auth}}
+            {user ? (
+              <div className="flex items-center space-x-4">
+                <Link 
+                  to="/dashboard" 
+                  className={`${isActive('/dashboard') ? 'text-blue-600' : 'text-gray-700'} hover:text-blue-600 transition-colors`}
+                >
+                  Dashboard
+                </Link>
+                <span className="text-gray-600">Welcome, {user.name}</span>
+                <button
+                  onClick={logout}
+                  className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition-colors"
+                >
+                  Sign Out
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center space-x-4">
+                <Link
+                  to="/auth/login"
+                  className="text-gray-700 hover:text-blue-600 transition-colors"
+                >
+                  Sign In
+                </Link>
+                <Link
+                  to="/auth/register"
+                  className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
+                >
+                  Sign Up
+                </Link>
+              </div>
+            )}
+{{else}}
+            <Link
+              to="/contact"
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
+            >
+              Get Started
+            </Link>
+{{/if}}
+          </div>
+
+          {/* Mobile menu button */}
+          <div className="md:hidden flex items-center">
+            <button
+              onClick={() => setIsOpen(!isOpen)}
+              className="text-gray-700 hover:text-blue-600 focus:outline-none"
+            >
+              <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                {isOpen ? (
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                ) : (
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+                )}
+              </svg>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Mobile Navigation */}
+      {isOpen && (
+        <div className="md:hidden bg-white shadow-lg">
+          <div className="px-2 pt-2 pb-3 space-y-1">
+            <Link 
+              to="/" 
+              className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
+              onClick={() => setIsOpen(false)}
+            >
+              Home
+            </Link>
+            <Link 
+              to="/about" 
+              className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
+              onClick={() => setIsOpen(false)}
+            >
+              About
+            </Link>
+            <Link 
+              to="/contact" 
+              className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
+              onClick={() => setIsOpen(false)}
+            >
+              Contact
+            </Link>
+            
+            
+{{#if auth}}
+            {user ? (
+              <>
+                <Link 
+                  to="/dashboard" 
+                  className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
+                  onClick={() => setIsOpen(false)}
+                >
+                  Dashboard
+                </Link>
+                <div className="px-3 py-2 text-gray-600">Welcome, {user.name}</div>
+                <button
+                  onClick={() => {
+                    logout();
+                    setIsOpen(false);
+                  }}
+                  className="block w-full text-left px-3 py-2 text-red-600 hover:text-red-700 transition-colors"
+                >
+                  Sign Out
+                </button>
+              </>
+            ) : (
+              <>
+                <Link 
+                  to="/auth/login" 
+                  className="block px-3 py-2 text-gray-700 hover:text-blue-600 transition-colors"
+                  onClick={() => setIsOpen(false)}
+                >
+                  Sign In
+                </Link>
+                <Link 
+                  to="/auth/register" 
+                  className="block px-3 py-2 text-blue-600 hover:text-blue-700 transition-colors"
+                  onClick={() => setIsOpen(false)}
+                >
+                  Sign Up
+                </Link>
+              </>
+            )}
+{{/if}}
+          </div>
+        </div>
+      )}
+    </nav>
+  );
+}
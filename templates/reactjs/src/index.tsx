@@ -0,0 +1,30 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './index.css';
+import App from './App';
+{{#if frontend != 'vite'}}
+import reportWebVitals from './reportWebVitals';
+{{/if}}
+{{#if trpc}}import { TrpcProvider } from './lib/trpc/provider';{{/if}}
+{{#if auth}}import { AuthProvider } from './lib/auth/provider';{{/if}}
+
+const root = ReactDOM.createRoot(
+  document.getElementById('root') as HTMLElement
+);
+
+root.render(
+  <React.StrictMode>
+    {{#if auth}}<AuthProvider>{{/if}}
+    {{#if trpc}}<TrpcProvider>{{/if}}
+      <App />
+    {{#if trpc}}</TrpcProvider>{{/if}}
+    {{#if auth}}</AuthProvider>{{/if}}
+  </React.StrictMode>
+);
+{{#if frontend != 'vite'}}
+
+// If you want to start measuring performance in your app, pass a function
+// to log results (for example: reportWebVitals(console.log))
+// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
+reportWebVitals();
+{{/if}}
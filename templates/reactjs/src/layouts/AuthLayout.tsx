@@ -0,0 +1,11 @@
+import React from 'react';
+import { Outlet } from 'react-router-dom';
+import { ProtectedRoute } from '../components/auth/ProtectedRoute';
+
+export function AuthLayout() {
+  return (
+    <ProtectedRoute guestOnly>
+      <Outlet />
+    </ProtectedRoute>
+  );
+}
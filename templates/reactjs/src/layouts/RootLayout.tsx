@@ -0,0 +1,16 @@
+import React from 'react';
+import { Outlet } from 'react-router-dom';
+import { Navbar } from '../components/ui/Navbar';
+import { Footer } from '../components/ui/Footer';
+
+export function RootLayout() {
+  return (
+    <div className="App min-h-screen flex flex-col">
+      <Navbar />
+      <main className="flex-grow">
+        <Outlet />
+      </main>
+      <Footer />
+    </div>
+  );
+}
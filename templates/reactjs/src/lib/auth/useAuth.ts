@@ -0,0 +1 @@
+export { useAuth } from './provider';
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { httpBatchLink } from '@trpc/client';
+import { trpc } from './client';
+
+interface TrpcProviderProps {
+  children: React.ReactNode;
+}
+
+export function TrpcProvider({ children }: TrpcProviderProps) {
+  const [queryClient] = useState(() => new QueryClient({
+    defaultOptions: {
+      queries: {
+        staleTime: 5 * 60 * 1000, // 5 minutes
+        cacheTime: 10 * 60 * 1000, // 10 minutes
+      },
+    },
+  }));
+
+  const [trpcClient] = useState(() =>
+    trpc.createClient({
+      links: [
+        httpBatchLink({
+          url: {{ trpcUrlVariable }} || '{{#if frontend == 'vite'}}/api/trpc{{else}}http://localhost:4000/api/trpc{{/if}}',
+          headers() {
+            const token = localStorage.getItem('authToken');
+            return token ? { authorization: `Bearer ${token}` } : {};
+          },
+        }),
+      ],
+    })
+  );
+
+  return (
+    <trpc.Provider client={trpcClient} queryClient={queryClient}>
+      <QueryClientProvider client={queryClient}>
+        {children}
+      </QueryClientProvider>
+    </trpc.Provider>
+  );
+}
@@ -0,0 +1,69 @@
+import React from 'react';
+
+export function About() {
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white rounded-lg shadow-md p-8">
+          <h1 className="text-4xl font-bold text-gray-900 mb-6">About Kurdemy</h1>
+          
+          <div className="prose prose-lg max-w-none">
+            <p className="text-xl text-gray-600 mb-8">
+              Kurdemy is a modern fullstack application template designed to help developers 
+              build amazing applications with the latest technologies and best practices.
+            </p>
+
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Our Technology Stack</h2>
+            <div className="grid md:grid-cols-2 gap-6 mb-8">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h3 className="font-semibold text-gray-900 mb-2">Backend</h3>
+                <ul className="text-gray-600 space-y-1">
+                  <li>• NestJS - Scalable Node.js framework</li>
+                  <li>• {{#if orm == 'prisma'}}Prisma{{else}}Drizzle ORM{{/if}} - Modern database toolkit</li>
+                  <li>• {{ database }} - Database of choice</li>
+                  {{#if trpc}}<li>• tRPC - Type-safe APIs</li>{{/if}}
+                  <li>• TypeScript - Type safety</li>
+                </ul>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h3 className="font-semibold text-gray-900 mb-2">Frontend</h3>
+                <ul className="text-gray-600 space-y-1">
+                  <li>• React - Modern UI library</li>
+                  <li>• TypeScript - Type safety</li>
+                  {{#if tailwind}}<li>• Tailwind CSS - Utility-first CSS</li>{{/if}}
+                  {{#if auth}}<li>• Authentication system</li>{{/if}}
+                  <li>• React Router - Client-side routing</li>
+                </ul>
+              </div>
+            </div>
+
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Key Features</h2>
+            <ul className="list-disc list-inside text-gray-600 space-y-2 mb-8">
+              <li>Full-stack TypeScript for end-to-end type safety</li>
+              <li>Modern, scalable architecture</li>
+              <li>Database integration with migrations</li>
+              {{#if trpc}}<li>Type-safe API communication with tRPC</li>{{/if}}
+              {{#if auth}}<li>Built-in authentication system</li>{{/if}}
+              {{#if tailwind}}<li>Beautiful UI with Tailwind CSS</li>{{/if}}
+              <li>Development tools and testing setup</li>
+              <li>Production-ready deployment configuration</li>
+            </ul>
+
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Getting Started</h2>
+            <p className="text-gray-600 mb-4">
+              To get started with your own Kurdemy application, simply run:
+            </p>
+            <div className="bg-gray-900 text-green-400 p-4 rounded-lg font-mono text-sm mb-8">
+              npx create-kurdemy-app my-awesome-app
+            </div>
+
+            <p className="text-gray-600">
+              This will create a new project with all the necessary files and configurations
+              to start building your application immediately.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React from 'react';
+import { useAuth } from '../lib/auth/useAuth';
+{{#if trpc}}import { trpc } from '../lib/trpc/client';{{/if}}
+
+export function Dashboard() {
+  const { user } = useAuth();
+  {{#if trpc}}const { data: userData, isLoading } = trpc.users.getProfile.useQuery();{{/if}}
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
+          <p className="text-gray-600">Welcome back, {user?.name}!</p>
+        </div>
+
+        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {/* Profile Card */}
+          <div className="bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Profile Information</h3>
+            
+{{#if trpc}}
+            {isLoading ? (
+              <div className="animate-pulse">
+                <div className="h-4 bg-gray-200 rounded mb-2"></div>
+                <div className="h-4 bg-gray-200 rounded mb-2"></div>
+                <div className="h-4 bg-gray-200 rounded"></div>
+              </div>
+            ) : userData ? (
+              <div className="space-y-2">
+                <p><span className="font-medium">Name:</span> {userData.name}</p>
+                <p><span className="font-medium">Email:</span> {userData.email}</p>
+                <p><span className="font-medium">Member since:</span> {new Date(userData.createdAt).toLocaleDateString()}</p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <p><span className="font-medium">Name:</span> {user?.name}</p>
+                <p><span className="font-medium">Email:</span> {user?.email}</p>
+              </div>
+            )}
+{{else}}
+            <div className="space-y-2">
+              <p><span className="font-medium">Name:</span> {user?.name}</p>
+              <p><span className="font-medium">Email:</span> {user?.email}</p>
+            </div>
+{{/if}}
+          </div>
+
+          {/* Stats Card */}
+          <div className="bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Statistics</h3>
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Projects</span>
+                <span className="font-medium">0</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Tasks</span>
+                <span className="font-medium">0</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Completed</span>
+                <span className="font-medium">0</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Quick Actions Card */}
+          <div className="bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
+            <div className="space-y-3">
+              <button className="w-full bg-blue-600 text-white py-2 px-4 rounded hover:bg-blue-700 transition-colors">
+                Create Project
+              </button>
+              <button className="w-full bg-gray-600 text-white py-2 px-4 rounded hover:bg-gray-700 transition-colors">
+                Add Task
+              </button>
+              <button className="w-full bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition-colors">
+                View Reports
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Recent Activity */}
+        <div className="mt-8 bg-white rounded-lg shadow-md">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900">Recent Activity</h3>
+          </div>
+          <div className="p-6">
+            <div className="text-center text-gray-500 py-8">
+              <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2M4 13h2m13-8l-4 4-4-4m0 0l-4 4-4-4" />
+              </svg>
+              <p className="mt-2">No recent activity</p>
+              <p className="text-sm">Get started by creating your first project!</p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
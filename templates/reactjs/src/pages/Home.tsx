@@ -0,0 +1,135 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+{{#if trpc}}import { trpc } from '../lib/trpc/client';{{/if}}
+
+export function Home() {
+  {{#if trpc}}const { data: healthData } = trpc.health.useQuery();{{/if}}
+
+  const features = [
+    {
+      title: 'Full-stack TypeScript',
+      description: 'End-to-end type safety with TypeScript across frontend and backend.',
+      icon: '🔧',
+    },
+    {
+      title: 'Modern Architecture',
+      description: 'Built with NestJS for scalable backend and React for powerful frontend.',
+      icon: '🏗️',
+    },
+    {
+      title: 'Database Ready',
+      description: 'Integrated with {{#if orm == 'prisma'}}Prisma{{else}}Drizzle ORM{{/if}} for seamless database operations.',
+      icon: '🗄️',
+    },
+    {{#if trpc}}{
+      title: 'Type-safe APIs',
+      description: 'tRPC provides end-to-end type safety for your API calls.',
+      icon: '🔒',
+    },{{/if}}
+    {{#if auth}}{
+      title: 'Authentication',
+      description: 'Built-in authentication system ready to use.',
+      icon: '🔐',
+    },{{/if}}
+    {
+      title: 'Developer Experience',
+      description: 'Hot reload, linting, testing, and more for an amazing developer experience.',
+      icon: '⚡',
+    },
+  ];
+
+  return (
+    <div className="min-h-screen">
+      {/* Hero Section */}
+      <section className="hero-gradient text-white py-20">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <h1 className="text-4xl md:text-6xl font-bold mb-6">
+            Welcome to Kurdemy
+          </h1>
+          <p className="text-xl md:text-2xl mb-8 max-w-3xl mx-auto">
+            A modern fullstack application built with the latest technologies.
+            Experience the power of NestJS, React, and more.
+          </p>
+          
+{{#if trpc}}
+          {healthData && (
+            <div className="mb-8 inline-block bg-white/10 backdrop-blur-sm rounded-lg px-4 py-2">
+              <p className="text-sm">✅ Backend Status: {healthData.status}</p>
+            </div>
+          )}
+{{/if}}
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            
+{{#if auth}}
+            <Link
+              to="/auth/register"
+              className="bg-white text-blue-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+            >
+              Get Started
+            </Link>
+{{else}}
+            <Link
+              to="/about"
+              className="bg-white text-blue-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+            >
+              Get Started
+            </Link>
+{{/if}}
+            <Link
+              to="/about"
+              className="border-2 border-white text-white px-8 py-3 rounded-lg font-semibold hover:bg-white hover:text-blue-600 transition-colors"
+            >
+              Learn More
+            </Link>
+          </div>
+        </div>
+      </section>
+
+      {/* Features Section */}
+      <section className="py-20 bg-gray-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-16">
+            <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+              Why Choose Kurdemy?
+            </h2>
+            <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+              Built with modern technologies and best practices to help you ship faster.
+            </p>
+          </div>
+
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {features.map((feature, index) => (
+              <div key={index} className="bg-white p-6 rounded-lg shadow-md card-hover">
+                <div className="text-4xl mb-4">{feature.icon}</div>
+                <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                  {feature.title}
+                </h3>
+                <p className="text-gray-600">
+                  {feature.description}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </section>
+
+      {/* CTA Section */}
+      <section className="py-20 bg-blue-600 text-white">
+        <div className="max-w-4xl mx-auto text-center px-4 sm:px-6 lg:px-8">
+          <h2 className="text-3xl md:text-4xl font-bold mb-4">
+            Ready to build something amazing?
+          </h2>
+          <p className="text-xl mb-8">
+            Start your next project with Kurdemy stack and experience the power of modern development.
+          </p>
+          <Link
+            to="/contact"
+            className="bg-white text-blue-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors inline-block"
+          >
+            Get in Touch
+          </Link>
+        </div>
+      </section>
+    </div>
+  );
+}
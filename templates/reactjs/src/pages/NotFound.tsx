@@ -0,0 +1,20 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+export function NotFound() {
+  return (
+    <div className="min-h-[60vh] flex flex-col items-center justify-center px-4 py-20">
+      <h1 className="text-6xl font-bold text-blue-600 mb-4">404</h1>
+      <h2 className="text-2xl font-semibold text-gray-900 mb-2">Page not found</h2>
+      <p className="text-gray-600 mb-8">
+        The page you are looking for does not exist or has been moved.
+      </p>
+      <Link
+        to="/"
+        className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+      >
+        Back to Home
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../lib/auth/useAuth';
+import { RegisterForm } from '../../components/auth/AuthForms';
+
+export function Register() {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  const { register } = useAuth();
+
+  const handleSubmit = async (name: string, email: string, password: string) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await register(name, email, password);
+      navigate('/dashboard');
+    } catch (err: any) {
+      setError(err.message || 'Registration failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Create your account
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Or{' '}
+            <Link to="/auth/login" className="font-medium text-blue-600 hover:text-blue-500">
+              sign in to your existing account
+            </Link>
+          </p>
+        </div>
+
+        <RegisterForm onSubmit={handleSubmit} isLoading={isLoading} error={error} />
+
+        <div className="text-center">
+          <Link to="/" className="font-medium text-blue-600 hover:text-blue-500">
+            ← Back to home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import type { RouteObject } from 'react-router-dom';
+import { RootLayout } from './layouts/RootLayout';
+{{#if auth}}
+import { ProtectedLayout } from './layouts/ProtectedLayout';
+import { AuthLayout } from './layouts/AuthLayout';
+{{/if}}
+import { Home } from './pages/Home';
+import { About } from './pages/About';
+import { Contact } from './pages/Contact';
+{{#if auth}}
+import { Dashboard } from './pages/Dashboard';
+import { Login } from './pages/auth/Login';
+import { Register } from './pages/auth/Register';
+{{/if}}
+import { NotFound } from './pages/NotFound';
+
+export const routes: RouteObject[] = [
+  {
+    path: '/',
+    element: <RootLayout />,
+    children: [
+      { index: true, element: <Home /> },
+      { path: 'about', element: <About /> },
+      { path: 'contact', element: <Contact /> },
+{{#if auth}}
+      {
+        // Signed in users only
+        element: <ProtectedLayout />,
+        children: [
+          { path: 'dashboard', element: <Dashboard /> },
+        ],
+      },
+      {
+        // Signed out users only
+        path: 'auth',
+        element: <AuthLayout />,
+        children: [
+          { path: 'login', element: <Login /> },
+          { path: 'register', element: <Register /> },
+        ],
+      },
+{{/if}}
+      { path: '*', element: <NotFound /> },
+    ],
+  },
+];
@@ -0,0 +1,13 @@
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  readonly VITE_APP_NAME: string;
+  readonly VITE_API_URL: string;
+{{#if trpc}}
+  readonly VITE_TRPC_URL: string;
+{{/if}}
+}
+
+interface ImportMeta {
+  readonly env: ImportMetaEnv;
+}
@@ -0,0 +1,26 @@
+import { defineConfig } from 'vitest/config';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  server: {
+    port: 3000,
+    // Listen on all addresses so the dev server is reachable from Docker
+    host: true,
+    proxy: {
+      // Forward API{{#if trpc}} and tRPC{{/if}} calls to the NestJS backend
+      '/api': {
+        target: 'http://localhost:4000',
+        changeOrigin: true,
+      },
+    },
+  },
+  preview: {
+    port: 3000,
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/setupTests.ts',
+    passWithNoTests: true,
+  },
+});
@@ -0,0 +1,192 @@
+import { type ClassValue, clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+/**
+ * Utility function to merge Tailwind CSS classes
+ * Combines clsx and tailwind-merge for optimal class merging
+ */
+export function cn(...inputs: ClassValue[]) {
+  return twMerge(clsx(inputs));
+}
+
+/**
+ * Screen size breakpoints for responsive design
+ */
+export const breakpoints = {
+  sm: 640,
+  md: 768,
+  lg: 1024,
+  xl: 1280,
+  '2xl': 1536,
+} as const;
+
+/**
+ * Check if current screen size matches a breakpoint
+ */
+export function useMediaQuery(query: string): boolean {
+  if (typeof window === 'undefined') return false;
+  
+  const mediaQuery = window.matchMedia(query);
+  return mediaQuery.matches;
+}
+
+/**
+ * Get responsive classes based on screen size
+ */
+export function getResponsiveClass(
+  base: string,
+  responsive: Partial<Record<keyof typeof breakpoints, string>> = {}
+): string {
+  const classes = [base];
+  
+  Object.entries(responsive).forEach(([breakpoint, className]) => {
+    if (className) {
+      classes.push(`${breakpoint}:${className}`);
+    }
+  });
+  
+  return classes.join(' ');
+}
+
+/**
+ * Generate color variants for components
+ */
+export function generateColorVariants(baseColor: string) {
+  return {
+    50: `${baseColor}-50`,
+    100: `${baseColor}-100`,
+    200: `${baseColor}-200`,
+    300: `${baseColor}-300`,
+    400: `${baseColor}-400`,
+    500: `${baseColor}-500`,
+    600: `${baseColor}-600`,
+    700: `${baseColor}-700`,
+    800: `${baseColor}-800`,
+    900: `${baseColor}-900`,
+    950: `${baseColor}-950`,
+  };
+}
+
+/**
+ * Convert hex color to RGB values
+ */
+export function hexToRgb(hex: string): { r: number; g: number; b: number } | null {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result
+    ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16),
+      }
+    : null;
+}
+
+/**
+ * Generate CSS custom properties for colors
+ */
+export function generateCSSVariables(colors: Record<string, string>): string {
+  return Object.entries(colors)
+    .map(([name, value]) => {
+      const rgb = hexToRgb(value);
+      return rgb ? `--color-${name}: ${rgb.r} ${rgb.g} ${rgb.b};` : '';
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Animation utilities
+ */
+export const animations = {
+  fadeIn: 'animate-fade-in',
+  fadeOut: 'animate-fade-out',
+  slideIn: 'animate-slide-in',
+  slideOut: 'animate-slide-out',
+  bounce: 'animate-bounce',
+  pulse: 'animate-pulse',
+  spin: 'animate-spin',
+  ping: 'animate-ping',
+  wiggle: 'animate-wiggle',
+  float: 'animate-float',
+} as const;
+
+/**
+ * Shadow utilities
+ */
+export const shadows = {
+  none: 'shadow-none',
+  sm: 'shadow-sm',
+  md: 'shadow-md',
+  lg: 'shadow-lg',
+  xl: 'shadow-xl',
+  '2xl': 'shadow-2xl',
+  inner: 'shadow-inner',
+  glow: 'shadow-glow',
+  glowLg: 'shadow-glow-lg',
+} as const;
+
+/**
+ * Spacing utilities
+ */
+export const spacing = {
+  0: 'p-0',
+  1: 'p-1',
+  2: 'p-2',
+  3: 'p-3',
+  4: 'p-4',
+  5: 'p-5',
+  6: 'p-6',
+  8: 'p-8',
+  10: 'p-10',
+  12: 'p-12',
+  16: 'p-16',
+  20: 'p-20',
+  24: 'p-24',
+} as const;
+
+/**
+ * Typography utilities
+ */
+export const typography = {
+  xs: 'text-xs',
+  sm: 'text-sm',
+  base: 'text-base',
+  lg: 'text-lg',
+  xl: 'text-xl',
+  '2xl': 'text-2xl',
+  '3xl': 'text-3xl',
+  '4xl': 'text-4xl',
+  '5xl': 'text-5xl',
+  '6xl': 'text-6xl',
+} as const;
+
+/**
+ * Focus ring utilities
+ */
+export function focusRing(color = 'primary'): string {
+  return `focus:outline-none focus:ring-2 focus:ring-${color}-500 focus:ring-offset-2`;
+}
+
+/**
+ * Transition utilities
+ */
+export function transition(
+  properties: string[] = ['all'],
+  duration = '200ms',
+  easing = 'ease-in-out'
+): string {
+  return `transition-[${properties.join(',')}] duration-[${duration}] ease-[${easing}]`;
+}
+
+/**
+ * Gradient utilities
+ */
+export const gradients = {
+  primary: 'bg-gradient-to-r from-primary-500 to-primary-700',
+  secondary: 'bg-gradient-to-r from-secondary-500 to-secondary-700',
+  success: 'bg-gradient-to-r from-success-500 to-success-700',
+  warning: 'bg-gradient-to-r from-warning-500 to-warning-700',
+  error: 'bg-gradient-to-r from-error-500 to-error-700',
+  rainbow: 'bg-gradient-to-r from-red-500 via-yellow-500 to-blue-500',
+  mesh: 'bg-mesh-gradient',
+} as const;
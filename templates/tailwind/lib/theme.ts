@@ -0,0 +1,283 @@
+/**
+ * Theme Configuration for Kurdemy App
+ * Customize colors, typography, spacing, and other design tokens
+ */
+
+export const theme = {
+  colors: {
+    primary: {
+      50: '#eff6ff',
+      100: '#dbeafe',
+      200: '#bfdbfe',
+      300: '#93c5fd',
+      400: '#60a5fa',
+      500: '#3b82f6',
+      600: '#2563eb',
+      700: '#1d4ed8',
+      800: '#1e40af',
+      900: '#1e3a8a',
+      950: '#172554',
+    },
+    secondary: {
+      50: '#f8fafc',
+      100: '#f1f5f9',
+      200: '#e2e8f0',
+      300: '#cbd5e1',
+      400: '#94a3b8',
+      500: '#64748b',
+      600: '#475569',
+      700: '#334155',
+      800: '#1e293b',
+      900: '#0f172a',
+      950: '#020617',
+    },
+    success: {
+      50: '#f0fdf4',
+      100: '#dcfce7',
+      200: '#bbf7d0',
+      300: '#86efac',
+      400: '#4ade80',
+      500: '#22c55e',
+      600: '#16a34a',
+      700: '#15803d',
+      800: '#166534',
+      900: '#14532d',
+      950: '#052e16',
+    },
+    warning: {
+      50: '#fffbeb',
+      100: '#fef3c7',
+      200: '#fde68a',
+      300: '#fcd34d',
+      400: '#fbbf24',
+      500: '#f59e0b',
+      600: '#d97706',
+      700: '#b45309',
+      800: '#92400e',
+      900: '#78350f',
+      950: '#451a03',
+    },
+    error: {
+      50: '#fef2f2',
+      100: '#fee2e2',
+      200: '#fecaca',
+      300: '#fca5a5',
+      400: '#f87171',
+      500: '#ef4444',
+      600: '#dc2626',
+      700: '#b91c1c',
+      800: '#991b1b',
+      900: '#7f1d1d',
+      950: '#450a0a',
+    },
+    gray: {
+      50: '#f9fafb',
+      100: '#f3f4f6',
+      200: '#e5e7eb',
+      300: '#d1d5db',
+      400: '#9ca3af',
+      500: '#6b7280',
+      600: '#4b5563',
+      700: '#374151',
+      800: '#1f2937',
+      900: '#111827',
+      950: '#030712',
+    },
+  },
+  fonts: {
+    sans: ['Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
+    mono: ['JetBrains Mono', 'ui-monospace', 'monospace'],
+    display: ['Cal Sans', 'Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
+  },
+  spacing: {
+    xs: '0.5rem',
+    sm: '0.75rem',
+    md: '1rem',
+    lg: '1.5rem',
+    xl: '2rem',
+    '2xl': '3rem',
+    '3xl': '4rem',
+    '4xl': '6rem',
+    '5xl': '8rem',
+  },
+  borderRadius: {
+    none: '0',
+    sm: '0.25rem',
+    md: '0.375rem',
+    lg: '0.5rem',
+    xl: '0.75rem',
+    '2xl': '1rem',
+    '3xl': '1.5rem',
+    full: '9999px',
+  },
+  shadows: {
+    sm: '0 1px 2px 0 rgba(0, 0, 0, 0.05)',
+    md: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+    lg: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
+    xl: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+    '2xl': '0 25px 50px -12px rgba(0, 0, 0, 0.25)',
+    glow: '0 0 20px rgba(59, 130, 246, 0.5)',
+  },
+  breakpoints: {
+    sm: '640px',
+    md: '768px',
+    lg: '1024px',
+    xl: '1280px',
+    '2xl': '1536px',
+  },
+  zIndex: {
+    hide: -1,
+    auto: 'auto',
+    base: 0,
+    docked: 10,
+    dropdown: 1000,
+    sticky: 1100,
+    banner: 1200,
+    overlay: 1300,
+    modal: 1400,
+    popover: 1500,
+    skipLink: 1600,
+    toast: 1700,
+    tooltip: 1800,
+  },
+  animations: {
+    durations: {
+      fast: '150ms',
+      normal: '200ms',
+      slow: '300ms',
+      slower: '500ms',
+    },
+    easings: {
+      ease: 'ease',
+      easeIn: 'ease-in',
+      easeOut: 'ease-out',
+      easeInOut: 'ease-in-out',
+      linear: 'linear',
+      spring: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)',
+    },
+  },
+} as const;
+
+export type Theme = typeof theme;
+
+/**
+ * Dark mode color overrides
+ */
+export const darkTheme = {
+  colors: {
+    ...theme.colors,
+    gray: {
+      50: '#030712',
+      100: '#111827',
+      200: '#1f2937',
+      300: '#374151',
+      400: '#4b5563',
+      500: '#6b7280',
+      600: '#9ca3af',
+      700: '#d1d5db',
+      800: '#e5e7eb',
+      900: '#f3f4f6',
+      950: '#f9fafb',
+    },
+  },
+} as const;
+
+/**
+ * Theme utilities
+ */
+export function getColorValue(colorPath: string, themeConfig: Theme = theme): string {
+  const keys = colorPath.split('.');
+  let value: any = themeConfig.colors;
+  
+  for (const key of keys) {
+    value = value?.[key];
+  }
+  
+  return value || colorPath;
+}
+
+export function getSpacingValue(size: keyof Theme['spacing']): string {
+  return theme.spacing[size];
+}
+
+export function getFontFamily(family: keyof Theme['fonts']): readonly string[] {
+  return theme.fonts[family];
+}
+
+/**
+ * CSS custom properties generator
+ */
+export function generateCSSCustomProperties(themeConfig: Theme): string {
+  const cssVars: string[] = [];
+  
+  // Generate color variables
+  Object.entries(themeConfig.colors).forEach(([colorName, colorShades]) => {
+    if (typeof colorShades === 'string') {
+      cssVars.push(`--color-${colorName}: ${colorShades};`);
+    } else {
+      Object.entries(colorShades).forEach(([shade, value]) => {
+        cssVars.push(`--color-${colorName}-${shade}: ${value};`);
+      });
+    }
+  });
+  
+  // Generate spacing variables
+  Object.entries(themeConfig.spacing).forEach(([name, value]) => {
+    cssVars.push(`--spacing-${name}: ${value};`);
+  });
+  
+  // Generate border radius variables
+  Object.entries(themeConfig.borderRadius).forEach(([name, value]) => {
+    cssVars.push(`--radius-${name}: ${value};`);
+  });
+  
+  return cssVars.join('\n  ');
+}
+
+/**
+ * Component-specific theme configurations
+ */
+export const componentThemes = {
+  button: {
+    sizes: {
+      sm: 'px-3 py-1.5 text-sm',
+      md: 'px-4 py-2 text-sm',
+      lg: 'px-6 py-3 text-base',
+      xl: 'px-8 py-4 text-lg',
+    },
+    variants: {
+      solid: 'bg-primary-600 text-white hover:bg-primary-700',
+      outline: 'border border-primary-600 text-primary-600 hover:bg-primary-600 hover:text-white',
+      ghost: 'text-primary-600 hover:bg-primary-100',
+      link: 'text-primary-600 underline hover:text-primary-700',
+    },
+  },
+  input: {
+    sizes: {
+      sm: 'px-2 py-1 text-sm',
+      md: 'px-3 py-2 text-sm',
+      lg: 'px-4 py-3 text-base',
+    },
+    variants: {
+      default: 'border border-gray-300 focus:border-primary-500 focus:ring-primary-500',
+      error: 'border border-error-500 focus:border-error-500 focus:ring-error-500',
+      success: 'border border-success-500 focus:border-success-500 focus:ring-success-500',
+    },
+  },
+  card: {
+    variants: {
+      default: 'bg-white rounded-lg',
+      bordered: 'bg-white border border-gray-200 rounded-lg',
+      shadow: 'bg-white shadow-md rounded-lg',
+      elevated: 'bg-white shadow-lg rounded-lg',
+    },
+    padding: {
+      none: 'p-0',
+      sm: 'p-4',
+      md: 'p-6',
+      lg: 'p-8',
+    },
+  },
+} as const;
+
+export type ComponentThemes = typeof componentThemes;
@@ -0,0 +1,280 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: [
+    
+{{#if frontend == 'nextjs'}}
+    './pages/**/*.{js,ts,jsx,tsx,mdx}',
+    './components/**/*.{js,ts,jsx,tsx,mdx}',
+    './app/**/*.{js,ts,jsx,tsx,mdx}',
+    './lib/**/*.{js,ts,jsx,tsx,mdx}',
+{{else}}
+    './src/**/*.{js,jsx,ts,tsx}',
+    '{{#if frontend == 'vite'}}./index.html{{else}}./public/index.html{{/if}}',
+{{/if}}
+  ],
+  theme: {
+    extend: {
+      colors: {
+        primary: {
+          50: '#eff6ff',
+          100: '#dbeafe',
+          200: '#bfdbfe',
+          300: '#93c5fd',
+          400: '#60a5fa',
+          500: '#3b82f6',
+          600: '#2563eb',
+          700: '#1d4ed8',
+          800: '#1e40af',
+          900: '#1e3a8a',
+          950: '#172554',
+        },
+        secondary: {
+          50: '#f8fafc',
+          100: '#f1f5f9',
+          200: '#e2e8f0',
+          300: '#cbd5e1',
+          400: '#94a3b8',
+          500: '#64748b',
+          600: '#475569',
+          700: '#334155',
+          800: '#1e293b',
+          900: '#0f172a',
+          950: '#020617',
+        },
+        success: {
+          50: '#f0fdf4',
+          100: '#dcfce7',
+          200: '#bbf7d0',
+          300: '#86efac',
+          400: '#4ade80',
+          500: '#22c55e',
+          600: '#16a34a',
+          700: '#15803d',
+          800: '#166534',
+          900: '#14532d',
+          950: '#052e16',
+        },
+        warning: {
+          50: '#fffbeb',
+          100: '#fef3c7',
+          200: '#fde68a',
+          300: '#fcd34d',
+          400: '#fbbf24',
+          500: '#f59e0b',
+          600: '#d97706',
+          700: '#b45309',
+          800: '#92400e',
+          900: '#78350f',
+          950: '#451a03',
+        },
+        error: {
+          50: '#fef2f2',
+          100: '#fee2e2',
+          200: '#fecaca',
+          300: '#fca5a5',
+          400: '#f87171',
+          500: '#ef4444',
+          600: '#dc2626',
+          700: '#b91c1c',
+          800: '#991b1b',
+          900: '#7f1d1d',
+          950: '#450a0a',
+        },
+      },
+      fontFamily: {
+        sans: ['Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
+        mono: ['JetBrains Mono', 'ui-monospace', 'monospace'],
+        display: ['Cal Sans', 'Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
+      },
+      fontSize: {
+        '2xs': ['0.625rem', { lineHeight: '0.75rem' }],
+        '3xl': ['1.875rem', { lineHeight: '2.25rem' }],
+        '4xl': ['2.25rem', { lineHeight: '2.5rem' }],
+        '5xl': ['3rem', { lineHeight: '1' }],
+        '6xl': ['3.75rem', { lineHeight: '1' }],
+        '7xl': ['4.5rem', { lineHeight: '1' }],
+        '8xl': ['6rem', { lineHeight: '1' }],
+        '9xl': ['8rem', { lineHeight: '1' }],
+      },
+      spacing: {
+        '18': '4.5rem',
+        '88': '22rem',
+        '100': '25rem',
+        '112': '28rem',
+        '128': '32rem',
+      },
+      maxWidth: {
+        '8xl': '88rem',
+        '9xl': '96rem',
+      },
+      zIndex: {
+        '60': '60',
+        '70': '70',
+        '80': '80',
+        '90': '90',
+        '100': '100',
+      },
+      animation: {
+        'fade-in': 'fadeIn 0.5s ease-in-out',
+        'fade-out': 'fadeOut 0.5s ease-in-out',
+        'slide-in': 'slideIn 0.3s ease-out',
+        'slide-out': 'slideOut 0.3s ease-in',
+        'bounce-slow': 'bounce 2s infinite',
+        'pulse-slow': 'pulse 3s infinite',
+        'spin-slow': 'spin 3s linear infinite',
+        'wiggle': 'wiggle 1s ease-in-out infinite',
+        'float': 'float 3s ease-in-out infinite',
+        'gradient': 'gradient 3s ease infinite',
+      },
+      keyframes: {
+        fadeIn: {
+          '0%': { opacity: '0' },
+          '100%': { opacity: '1' },
+        },
+        fadeOut: {
+          '0%': { opacity: '1' },
+          '100%': { opacity: '0' },
+        },
+        slideIn: {
+          '0%': { transform: 'translateX(-100%)' },
+          '100%': { transform: 'translateX(0)' },
+        },
+        slideOut: {
+          '0%': { transform: 'translateX(0)' },
+          '100%': { transform: 'translateX(-100%)' },
+        },
+        wiggle: {
+          '0%, 100%': { transform: 'rotate(-3deg)' },
+          '50%': { transform: 'rotate(3deg)' },
+        },
+        float: {
+          '0%, 100%': { transform: 'translateY(0px)' },
+          '50%': { transform: 'translateY(-10px)' },
+        },
+        gradient: {
+          '0%, 100%': { backgroundPosition: '0% 50%' },
+          '50%': { backgroundPosition: '100% 50%' },
+        },
+      },
+      backgroundImage: {
+        'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
+        'gradient-conic': 'conic-gradient(from 180deg at 50% 50%, var(--tw-gradient-stops))',
+        'mesh-gradient': 'radial-gradient(at 27% 37%, hsla(215, 98%, 61%, 1) 0px, transparent 0%), radial-gradient(at 97% 21%, hsla(125, 98%, 72%, 1) 0px, transparent 50%), radial-gradient(at 52% 99%, hsla(354, 98%, 61%, 1) 0px, transparent 50%), radial-gradient(at 10% 29%, hsla(256, 96%, 67%, 1) 0px, transparent 50%), radial-gradient(at 97% 96%, hsla(38, 60%, 74%, 1) 0px, transparent 50%), radial-gradient(at 33% 50%, hsla(222, 67%, 73%, 1) 0px, transparent 50%), radial-gradient(at 79% 53%, hsla(343, 68%, 79%, 1) 0px, transparent 50%)',
+      },
+      backdropBlur: {
+        xs: '2px',
+      },
+      boxShadow: {
+        'inner-lg': 'inset 0 2px 4px 0 rgba(0, 0, 0, 0.06)',
+        'inner-xl': 'inset 0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+        'glow': '0 0 20px rgba(59, 130, 246, 0.5)',
+        'glow-lg': '0 0 40px rgba(59, 130, 246, 0.5)',
+      },
+      dropShadow: {
+        'glow': [
+          '0 0px 20px rgba(255, 255, 255, 0.35)',
+          '0 0px 65px rgba(255, 255, 255, 0.2)'
+        ]
+      }
+    },
+  },
+  plugins: [
+    require('@tailwindcss/forms'),
+    require('@tailwindcss/typography'),
+    require('@tailwindcss/aspect-ratio'),
+    require('@tailwindcss/container-queries'),
+    // Custom plugin for additional utilities
+    function({ addUtilities, addComponents, theme }) {
+      addUtilities({
+        '.text-shadow': {
+          textShadow: '0 2px 4px rgba(0,0,0,0.10)',
+        },
+        '.text-shadow-md': {
+          textShadow: '0 4px 8px rgba(0,0,0,0.12), 0 2px 4px rgba(0,0,0,0.08)',
+        },
+        '.text-shadow-lg': {
+          textShadow: '0 15px 35px rgba(0,0,0,0.12), 0 5px 15px rgba(0,0,0,0.07)',
+        },
+        '.text-shadow-none': {
+          textShadow: 'none',
+        },
+      });
+
+      addComponents({
+        '.btn': {
+          padding: theme('spacing.2') + ' ' + theme('spacing.4'),
+          borderRadius: theme('borderRadius.md'),
+          fontWeight: theme('fontWeight.semibold'),
+          fontSize: theme('fontSize.sm'),
+          transition: 'all 0.2s ease-in-out',
+          '&:focus': {
+            outline: 'none',
+            boxShadow: '0 0 0 3px rgba(59, 130, 246, 0.5)',
+          },
+        },
+        '.btn-primary': {
+          backgroundColor: theme('colors.primary.600'),
+          color: theme('colors.white'),
+          '&:hover': {
+            backgroundColor: theme('colors.primary.700'),
+          },
+          '&:disabled': {
+            backgroundColor: theme('colors.gray.400'),
+            cursor: 'not-allowed',
+          },
+        },
+        '.btn-secondary': {
+          backgroundColor: theme('colors.secondary.600'),
+          color: theme('colors.white'),
+          '&:hover': {
+            backgroundColor: theme('colors.secondary.700'),
+          },
+          '&:disabled': {
+            backgroundColor: theme('colors.gray.400'),
+            cursor: 'not-allowed',
+          },
+        },
+        '.btn-outline': {
+          backgroundColor: 'transparent',
+          color: theme('colors.primary.600'),
+          borderWidth: '1px',
+          borderColor: theme('colors.primary.600'),
+          '&:hover': {
+            backgroundColor: theme('colors.primary.600'),
+            color: theme('colors.white'),
+          },
+        },
+        '.btn-ghost': {
+          backgroundColor: 'transparent',
+          color: theme('colors.gray.700'),
+          '&:hover': {
+            backgroundColor: theme('colors.gray.100'),
+          },
+        },
+        '.card': {
+          backgroundColor: theme('colors.white'),
+          borderRadius: theme('borderRadius.lg'),
+          boxShadow: theme('boxShadow.md'),
+          padding: theme('spacing.6'),
+        },
+        '.input': {
+          width: '100%',
+          padding: theme('spacing.3'),
+          borderWidth: '1px',
+          borderColor: theme('colors.gray.300'),
+          borderRadius: theme('borderRadius.md'),
+          fontSize: theme('fontSize.sm'),
+          '&:focus': {
+            outline: 'none',
+            borderColor: theme('colors.primary.500'),
+            boxShadow: '0 0 0 3px rgba(59, 130, 246, 0.1)',
+          },
+          '&::placeholder': {
+            color: theme('colors.gray.400'),
+          },
+        },
+      });
+    },
+  ],
+  darkMode: 'class',
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import { cn } from '{{ utilsImport }}';
+
+export interface ButtonProps extends React.ButtonHTMLAttributes<HTMLButtonElement> {
+  variant?: 'primary' | 'secondary' | 'outline' | 'ghost' | 'destructive';
+  size?: 'sm' | 'md' | 'lg' | 'xl';
+  loading?: boolean;
+  leftIcon?: React.ReactNode;
+  rightIcon?: React.ReactNode;
+}
+
+const buttonVariants = {
+  primary: 'bg-primary-600 text-white hover:bg-primary-700 focus:ring-primary-500',
+  secondary: 'bg-secondary-600 text-white hover:bg-secondary-700 focus:ring-secondary-500',
+  outline: 'border border-primary-600 text-primary-600 hover:bg-primary-600 hover:text-white focus:ring-primary-500',
+  ghost: 'text-gray-700 hover:bg-gray-100 focus:ring-gray-500',
+  destructive: 'bg-error-600 text-white hover:bg-error-700 focus:ring-error-500',
+};
+
+const buttonSizes = {
+  sm: 'px-3 py-1.5 text-sm',
+  md: 'px-4 py-2 text-sm',
+  lg: 'px-6 py-3 text-base',
+  xl: 'px-8 py-4 text-lg',
+};
+
+export const Button = React.forwardRef<HTMLButtonElement, ButtonProps>(
+  ({ 
+    className, 
+    variant = 'primary', 
+    size = 'md', 
+    loading, 
+    leftIcon, 
+    rightIcon, 
+    disabled,
+    children,
+    ...props 
+  }, ref) => {
+    return (
+      <button
+        className={cn(
+          'inline-flex items-center justify-center gap-2 rounded-md font-semibold transition-all duration-200',
+          'focus:outline-none focus:ring-2 focus:ring-offset-2',
+          'disabled:opacity-50 disabled:cursor-not-allowed',
+          buttonVariants[variant],
+          buttonSizes[size],
+          loading && 'cursor-wait',
+          className
+        )}
+        disabled={disabled || loading}
+        ref={ref}
+        {...props}
+      >
+        {loading ? (
+          <svg className="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+          </svg>
+        ) : leftIcon}
+        {children}
+        {!loading && rightIcon}
+      </button>
+    );
+  }
+);
+
+Button.displayName = 'Button';
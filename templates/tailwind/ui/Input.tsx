@@ -0,0 +1,60 @@
+import React from 'react';
+import { cn } from '{{ utilsImport }}';
+
+export interface InputProps extends React.InputHTMLAttributes<HTMLInputElement> {
+  label?: string;
+  error?: string;
+  helperText?: string;
+  leftIcon?: React.ReactNode;
+  rightIcon?: React.ReactNode;
+}
+
+export const Input = React.forwardRef<HTMLInputElement, InputProps>(
+  ({ className, label, error, helperText, leftIcon, rightIcon, id, ...props }, ref) => {
+    const inputId = id || `input-${Math.random().toString(36).substr(2, 9)}`;
+
+    return (
+      <div className="w-full">
+        {label && (
+          <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-2">
+            {label}
+          </label>
+        )}
+        <div className="relative">
+          {leftIcon && (
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <div className="text-gray-400">{leftIcon}</div>
+            </div>
+          )}
+          <input
+            id={inputId}
+            className={cn(
+              'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm',
+              'placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500',
+              'sm:text-sm transition-colors duration-200',
+              leftIcon && 'pl-10',
+              rightIcon && 'pr-10',
+              error && 'border-error-500 focus:ring-error-500 focus:border-error-500',
+              className
+            )}
+            ref={ref}
+            {...props}
+          />
+          {rightIcon && (
+            <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
+              <div className="text-gray-400">{rightIcon}</div>
+            </div>
+          )}
+        </div>
+        {error && (
+          <p className="mt-1 text-sm text-error-600">{error}</p>
+        )}
+        {helperText && !error && (
+          <p className="mt-1 text-sm text-gray-500">{helperText}</p>
+        )}
+      </div>
+    );
+  }
+);
+
+Input.displayName = 'Input';
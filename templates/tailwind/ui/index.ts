@@ -0,0 +1,15 @@
+// UI Components
+export { Button } from './Button';
+export type { ButtonProps } from './Button';
+
+export { Input } from './Input';
+export type { InputProps } from './Input';
+
+export { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from './Card';
+export type { CardProps } from './Card';
+
+export { Modal, ModalHeader, ModalBody, ModalFooter } from './Modal';
+export type { ModalProps } from './Modal';
+
+export { ToastProvider, useToast } from './Toast';
+export type { Toast, ToastType } from './Toast';
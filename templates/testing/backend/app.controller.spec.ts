@@ -0,0 +1,30 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { AppController } from './app.controller';
+import { AppService } from './app.service';
+
+describe('AppController', () => {
+  let appController: AppController;
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      controllers: [AppController],
+      providers: [AppService],
+    }).compile();
+
+    appController = module.get<AppController>(AppController);
+  });
+
+  describe('getHello', () => {
+    it('returns the welcome message', () => {
+      expect(appController.getHello()).toBe('Welcome to Kurdemy API! 🚀');
+    });
+  });
+
+  describe('getHealth', () => {
+    it('reports the API as healthy', () => {
+      expect(appController.getHealth()).toEqual(
+        expect.objectContaining({ status: 'ok', version: '1.0.0' }),
+      );
+    });
+  });
+});
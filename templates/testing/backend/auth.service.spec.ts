@@ -0,0 +1,101 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { JwtService } from '@nestjs/jwt';
+import { Test, TestingModule } from '@nestjs/testing';
+import * as bcrypt from 'bcrypt';
+import { AuthService } from './auth.service';
+import { UsersService } from '../users/users.service';
+
+describe('AuthService', () => {
+  let service: AuthService;
+  let usersService: { findByEmail: jest.Mock; create: jest.Mock };
+  let jwtService: { sign: jest.Mock };
+  let user: { id: string; name: string; email: string; password: string };
+
+  beforeAll(async () => {
+    // A low cost factor keeps the hashing fast
+    user = {
+      id: 'user-1',
+      name: 'Test User',
+      email: 'test@example.com',
+      password: await bcrypt.hash('password123', 4),
+    };
+  });
+
+  beforeEach(async () => {
+    usersService = { findByEmail: jest.fn(), create: jest.fn() };
+    jwtService = { sign: jest.fn().mockReturnValue('signed-token') };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AuthService,
+        { provide: UsersService, useValue: usersService },
+        { provide: JwtService, useValue: jwtService },
+      ],
+    }).compile();
+
+    service = module.get<AuthService>(AuthService);
+  });
+
+  describe('validateUser', () => {
+    it('returns the user without the password when the password matches', async () => {
+      usersService.findByEmail.mockResolvedValue(user);
+
+      await expect(service.validateUser(user.email, 'password123')).resolves.toEqual({
+        id: user.id,
+        name: user.name,
+        email: user.email,
+      });
+    });
+
+    it('returns null when the password does not match', async () => {
+      usersService.findByEmail.mockResolvedValue(user);
+
+      await expect(service.validateUser(user.email, 'wrong-password')).resolves.toBeNull();
+    });
+
+    it('returns null for an unknown email', async () => {
+      usersService.findByEmail.mockResolvedValue(undefined);
+
+      await expect(service.validateUser('unknown@example.com', 'password123')).resolves.toBeNull();
+    });
+  });
+
+  describe('login', () => {
+    it('signs a token for the user', async () => {
+      const result = await service.login({ id: user.id, email: user.email });
+
+      expect(jwtService.sign).toHaveBeenCalledWith({ email: user.email, sub: user.id });
+      expect(result.access_token).toBe('signed-token');
+    });
+  });
+
+  describe('register', () => {
+    it('rejects an email that is already registered', async () => {
+      usersService.findByEmail.mockResolvedValue(user);
+
+      await expect(
+        service.register({ name: 'Test User', email: user.email, password: 'password123' }),
+      ).rejects.toThrow(UnauthorizedException);
+      expect(usersService.create).not.toHaveBeenCalled();
+    });
+
+    it('stores a hashed password and signs the new user in', async () => {
+      usersService.findByEmail.mockResolvedValue(undefined);
+      usersService.create.mockImplementation(async (data) => ({ id: 'user-2', ...data }));
+
+      const result = await service.register({
+        name: 'New User',
+        email: 'new@example.com',
+        password: 'password123',
+      });
+
+      const { password } = usersService.create.mock.calls[0][0];
+      expect(password).not.toBe('password123');
+      await expect(bcrypt.compare('password123', password)).resolves.toBe(true);
+      expect(result).toEqual({
+        access_token: 'signed-token',
+        user: { id: 'user-2', name: 'New User', email: 'new@example.com' },
+      });
+    });
+  });
+});
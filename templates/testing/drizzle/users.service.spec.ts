@@ -0,0 +1,63 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { UsersService } from './users.service';
+import { DrizzleService } from '../../config/drizzle.service';
+
+const builderMethods = ['select', 'from', 'where', 'insert', 'values', 'update', 'set', 'delete'] as const;
+
+type DbMock = Record<(typeof builderMethods)[number], jest.Mock> & PromiseLike<unknown[]> & { rows: unknown[] };
+
+// Stands in for the Drizzle query builder: every builder call returns the
+// builder, and awaiting it resolves to the rows the test sets
+function createDb(): DbMock {
+  const db = { rows: [] } as DbMock;
+  for (const method of builderMethods) {
+    db[method] = jest.fn(() => db);
+  }
+  db.then = (resolve, reject) => Promise.resolve(db.rows).then(resolve, reject);
+  return db;
+}
+
+describe('UsersService', () => {
+  let service: UsersService;
+  let db: DbMock;
+  const data = { name: 'Test User', email: 'test@example.com', password: 'hashed-password' };
+  const user = { id: 'user-1', ...data };
+
+  beforeEach(async () => {
+    db = createDb();
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [UsersService, { provide: DrizzleService, useValue: { db } }],
+    }).compile();
+
+    service = module.get<UsersService>(UsersService);
+  });
+
+  it('finds users by email', async () => {
+    db.rows = [user];
+
+    await expect(service.findByEmail(user.email)).resolves.toEqual(user);
+    expect(db.where).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns undefined for an unknown id', async () => {
+    await expect(service.findById('unknown')).resolves.toBeUndefined();
+  });
+
+  it('leaves the password out when finding users by id', async () => {
+    db.rows = [user];
+
+    await service.findById(user.id);
+
+    expect(db.select.mock.calls[0][0]).not.toHaveProperty('password');
+  });
+
+  it('creates users with a generated id and reads them back', async () => {
+    db.rows = [user];
+
+    await expect(service.create(data)).resolves.toEqual(user);
+    expect(db.values).toHaveBeenCalledWith(
+      expect.objectContaining({ ...data, id: expect.any(String) }),
+    );
+  });
+});
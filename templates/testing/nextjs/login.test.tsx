@@ -0,0 +1,54 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react'
+import { signIn } from 'next-auth/react'
+import LoginPage from '@/app/auth/login/page'
+
+const mockPush = jest.fn()
+
+jest.mock('next-auth/react', () => ({
+  signIn: jest.fn(),
+  getSession: jest.fn(),
+}))
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: mockPush }),
+}))
+
+const mockSignIn = signIn as jest.Mock
+
+describe('LoginPage', () => {
+  beforeEach(() => {
+    mockPush.mockReset()
+    mockSignIn.mockReset()
+    window.alert = jest.fn()
+  })
+
+  function submit() {
+    fireEvent.change(screen.getByPlaceholderText('Email address'), { target: { value: 'test@example.com' } })
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'password123' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Sign in' }))
+  }
+
+  it('signs in with the credentials and opens the dashboard', async () => {
+    mockSignIn.mockResolvedValue({ ok: true })
+    render(<LoginPage />)
+
+    submit()
+
+    await waitFor(() => expect(mockPush).toHaveBeenCalledWith('/dashboard'))
+    expect(mockSignIn).toHaveBeenCalledWith('credentials', {
+      email: 'test@example.com',
+      password: 'password123',
+      redirect: false,
+    })
+  })
+
+  it('tells the user when the credentials are wrong', async () => {
+    mockSignIn.mockResolvedValue({ ok: false, error: 'CredentialsSignin' })
+    render(<LoginPage />)
+
+    submit()
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Invalid credentials'))
+    expect(mockPush).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,48 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react'
+import RegisterPage from '@/app/auth/register/page'
+
+const mockPush = jest.fn()
+const mockFetch = jest.fn()
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: mockPush }),
+}))
+
+describe('RegisterPage', () => {
+  beforeEach(() => {
+    mockPush.mockReset()
+    mockFetch.mockReset()
+    global.fetch = mockFetch
+    window.alert = jest.fn()
+  })
+
+  function submit() {
+    fireEvent.change(screen.getByPlaceholderText('Full name'), { target: { value: 'Test User' } })
+    fireEvent.change(screen.getByPlaceholderText('Email address'), { target: { value: 'test@example.com' } })
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'password123' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Sign up' }))
+  }
+
+  it('creates the account and opens the login page', async () => {
+    mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) })
+    render(<RegisterPage />)
+
+    submit()
+
+    await waitFor(() => expect(mockPush).toHaveBeenCalledWith('/auth/login'))
+    expect(mockFetch).toHaveBeenCalledWith('/api/auth/register', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ name: 'Test User', email: 'test@example.com', password: 'password123' }),
+    }))
+  })
+
+  it('shows the error from the API', async () => {
+    mockFetch.mockResolvedValue({ ok: false, json: async () => ({ message: 'User already exists' }) })
+    render(<RegisterPage />)
+
+    submit()
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('User already exists'))
+    expect(mockPush).not.toHaveBeenCalled()
+  })
+})
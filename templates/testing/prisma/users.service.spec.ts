@@ -0,0 +1,56 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { UsersService } from './users.service';
+import { PrismaService } from '../../config/prisma.service';
+
+describe('UsersService', () => {
+  let service: UsersService;
+  let prisma: { user: Record<'findMany' | 'findUnique' | 'create' | 'update' | 'delete', jest.Mock> };
+  const data = { name: 'Test User', email: 'test@example.com', password: 'hashed-password' };
+  const user = { id: 'user-1', ...data };
+
+  beforeEach(async () => {
+    prisma = {
+      user: {
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        create: jest.fn(),
+        update: jest.fn(),
+        delete: jest.fn(),
+      },
+    };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [UsersService, { provide: PrismaService, useValue: prisma }],
+    }).compile();
+
+    service = module.get<UsersService>(UsersService);
+  });
+
+  it('finds users by email', async () => {
+    prisma.user.findUnique.mockResolvedValue(user);
+
+    await expect(service.findByEmail(user.email)).resolves.toEqual(user);
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { email: user.email } });
+  });
+
+  it('leaves the password out when finding users by id', async () => {
+    await service.findById(user.id);
+
+    const [{ where, select }] = prisma.user.findUnique.mock.calls[0];
+    expect(where).toEqual({ id: user.id });
+    expect(select).not.toHaveProperty('password');
+  });
+
+  it('leaves the password out when listing users', async () => {
+    await service.findAll();
+
+    expect(prisma.user.findMany.mock.calls[0][0].select).not.toHaveProperty('password');
+  });
+
+  it('creates users', async () => {
+    prisma.user.create.mockResolvedValue(user);
+
+    await expect(service.create(data)).resolves.toEqual(user);
+    expect(prisma.user.create).toHaveBeenCalledWith({ data });
+  });
+});
@@ -0,0 +1,66 @@
+{{ header }}import { fireEvent, render, screen } from '@testing-library/react';
+import { LoginForm, RegisterForm } from './AuthForms';
+
+describe('LoginForm', () => {
+  it('submits the email and password', () => {
+    const onSubmit = {{ mockFn }}.mockResolvedValue(undefined);
+    render(<LoginForm onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'test@example.com' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'password123' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+    expect(onSubmit).toHaveBeenCalledWith('test@example.com', 'password123');
+  });
+
+  it('shows the error it is given', () => {
+    render(<LoginForm onSubmit={{{ mockFn }}} error="Invalid credentials" />);
+
+    expect(screen.getByText('Invalid credentials')).toBeInTheDocument();
+  });
+
+  it('disables the submit button while signing in', () => {
+    render(<LoginForm onSubmit={{{ mockFn }}} isLoading />);
+
+    expect(screen.getByRole('button', { name: 'Signing in...' })).toBeDisabled();
+  });
+});
+
+describe('RegisterForm', () => {
+  function fillIn(password: string, confirmPassword: string) {
+    fireEvent.change(screen.getByLabelText('Full Name'), { target: { value: 'Test User' } });
+    fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'test@example.com' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: password } });
+    fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: confirmPassword } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign Up' }));
+  }
+
+  it('submits the name, email and password', () => {
+    const onSubmit = {{ mockFn }}.mockResolvedValue(undefined);
+    render(<RegisterForm onSubmit={onSubmit} />);
+
+    fillIn('password123', 'password123');
+
+    expect(onSubmit).toHaveBeenCalledWith('Test User', 'test@example.com', 'password123');
+  });
+
+  it('rejects passwords that do not match', () => {
+    const onSubmit = {{ mockFn }};
+    render(<RegisterForm onSubmit={onSubmit} />);
+
+    fillIn('password123', 'password456');
+
+    expect(screen.getByText('Passwords do not match')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('rejects passwords shorter than 6 characters', () => {
+    const onSubmit = {{ mockFn }};
+    render(<RegisterForm onSubmit={onSubmit} />);
+
+    fillIn('12345', '12345');
+
+    expect(screen.getByText('Password must be at least 6 characters long')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,30 @@
+{{ header }}import { fireEvent, render, screen } from '@testing-library/react';
+import { Button } from '{{ uiImport }}/Button';
+
+describe('Button', () => {
+  it('renders its children', () => {
+    render(<Button>Save</Button>);
+
+    expect(screen.getByRole('button', { name: 'Save' })).toBeInTheDocument();
+  });
+
+  it('calls onClick when clicked', () => {
+    const onClick = {{ mockFn }};
+    render(<Button onClick={onClick}>Save</Button>);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('is disabled while loading', () => {
+    const onClick = {{ mockFn }};
+    render(<Button loading onClick={onClick}>Save</Button>);
+
+    const button = screen.getByRole('button', { name: 'Save' });
+    fireEvent.click(button);
+
+    expect(button).toBeDisabled();
+    expect(onClick).not.toHaveBeenCalled();
+  });
+});
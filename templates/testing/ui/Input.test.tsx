@@ -0,0 +1,27 @@
+{{ header }}import { fireEvent, render, screen } from '@testing-library/react';
+import { Input } from '{{ uiImport }}/Input';
+
+describe('Input', () => {
+  it('is labelled by its label', () => {
+    render(<Input label="Email" />);
+
+    expect(screen.getByLabelText('Email')).toBeInstanceOf(HTMLInputElement);
+  });
+
+  it('shows the error instead of the helper text', () => {
+    render(<Input label="Email" helperText="We never share your email" error="Email is required" />);
+
+    expect(screen.getByText('Email is required')).toBeInTheDocument();
+    expect(screen.queryByText('We never share your email')).not.toBeInTheDocument();
+  });
+
+  it('calls onChange as the user types', () => {
+    const onChange = {{ mockFn }};
+    render(<Input label="Email" onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'test@example.com' } });
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(screen.getByLabelText('Email')).toHaveValue('test@example.com');
+  });
+});
@@ -0,0 +1,51 @@
+{{ header }}import { fireEvent, render, screen } from '@testing-library/react';
+import { Modal } from '{{ uiImport }}/Modal';
+
+describe('Modal', () => {
+  it('renders nothing while closed', () => {
+    render(
+      <Modal isOpen={false} onClose={{{ mockFn }}} title="Delete project">
+        This cannot be undone.
+      </Modal>
+    );
+
+    expect(screen.queryByText('Delete project')).not.toBeInTheDocument();
+  });
+
+  it('shows the title and content while open', () => {
+    render(
+      <Modal isOpen onClose={{{ mockFn }}} title="Delete project">
+        This cannot be undone.
+      </Modal>
+    );
+
+    expect(screen.getByText('Delete project')).toBeInTheDocument();
+    expect(screen.getByText('This cannot be undone.')).toBeInTheDocument();
+  });
+
+  it('closes on Escape', () => {
+    const onClose = {{ mockFn }};
+    render(
+      <Modal isOpen onClose={onClose} title="Delete project">
+        This cannot be undone.
+      </Modal>
+    );
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes from the close button', () => {
+    const onClose = {{ mockFn }};
+    render(
+      <Modal isOpen onClose={onClose} title="Delete project">
+        This cannot be undone.
+      </Modal>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
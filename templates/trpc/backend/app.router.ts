@@ -0,0 +1,14 @@
+import { createTRPCRouter } from './trpc';
+import { authRouter } from './routers/auth.router';
+import { usersRouter } from './routers/users.router';
+import { postsRouter } from './routers/posts.router';
+import { healthRouter } from './routers/health.router';
+
+export const appRouter = createTRPCRouter({
+  health: healthRouter,
+  auth: authRouter,
+  users: usersRouter,
+  posts: postsRouter,
+});
+
+export type AppRouter = typeof appRouter;
@@ -0,0 +1,79 @@
+import { type CreateExpressContextOptions } from '@trpc/server/adapters/express';
+import { type CreateNextContextOptions } from '@trpc/server/adapters/next';
+import jwt from 'jsonwebtoken';
+import { ConfigService } from '@nestjs/config';
+{{#if orm == 'prisma'}}import { PrismaService } from '../config/prisma.service';{{else}}import { DrizzleService } from '../config/drizzle.service';{{/if}}
+
+export interface User {
+  id: string;
+  email: string;
+  name: string;
+}
+
+interface CreateContextOptions {
+  user?: User;
+  {{#if orm == 'prisma'}}prisma: PrismaService;{{else}}db: DrizzleService;{{/if}}
+  config: ConfigService;
+}
+
+export interface Context extends CreateContextOptions {}
+
+export const createContext = async (
+  opts: CreateExpressContextOptions,
+  {{#if orm == 'prisma'}}prisma: PrismaService,{{else}}db: DrizzleService,{{/if}}
+  configService: ConfigService
+): Promise<Context> => {
+  let user: User | undefined;
+
+  // Extract token from Authorization header
+  const authHeader = opts.req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.substring(7);
+    
+    try {
+      const jwtSecret = configService.get<string>('JWT_SECRET');
+      const decoded = jwt.verify(token, jwtSecret) as any;
+      
+      // Fetch user from database
+      
+{{#if orm == 'prisma'}}
+      const dbUser = await prisma.user.findUnique({
+        where: { id: decoded.sub },
+        select: { id: true, email: true, name: true }
+      });
+{{else}}
+      const dbUser = await db.db.query.users.findFirst({
+        where: (users, { eq }) => eq(users.id, decoded.sub),
+        columns: { id: true, email: true, name: true }
+      });
+{{/if}}
+      
+      
+      if (dbUser) {
+        user = dbUser;
+      }
+    } catch (error) {
+      // Invalid token, user remains undefined
+      console.warn('Invalid JWT token:', error instanceof Error ? error.message : error);
+    }
+  }
+
+  return {
+    user,
+    {{#if orm == 'prisma'}}prisma,{{else}}db,{{/if}}
+    config: configService,
+  };
+};
+
+// For Next.js API routes (if using Next.js with tRPC)
+export const createNextContext = async (
+  opts: CreateNextContextOptions,
+  {{#if orm == 'prisma'}}prisma: PrismaService,{{else}}db: DrizzleService,{{/if}}
+  configService: ConfigService
+): Promise<Context> => {
+  return createContext(
+    { req: opts.req, res: opts.res },
+    {{#if orm == 'prisma'}}prisma,{{else}}db,{{/if}}
+    configService
+  );
+};
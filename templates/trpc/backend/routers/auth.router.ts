@@ -0,0 +1,147 @@
+import { z } from 'zod';
+import { TRPCError } from '@trpc/server';
+import { publicProcedure, protectedProcedure, createTRPCRouter } from '../trpc';
+import * as bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+{{#if orm == 'drizzle'}}import { users } from '../../../../shared/database/schema';{{/if}}
+
+const loginSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(1),
+});
+
+const registerSchema = z.object({
+  name: z.string().min(1),
+  email: z.string().email(),
+  password: z.string().min(6),
+});
+
+export const authRouter = createTRPCRouter({
+  login: publicProcedure
+    .input(loginSchema)
+    .mutation(async ({ input, ctx }) => {
+      const { email, password } = input;
+
+      // Find user by email
+      
+{{#if orm == 'prisma'}}
+      const user = await ctx.prisma.user.findUnique({
+        where: { email },
+      });
+{{else}}
+      const user = await ctx.db.db.query.users.findFirst({
+        where: (users, { eq }) => eq(users.email, email),
+      });
+{{/if}}
+      
+
+      if (!user) {
+        throw new TRPCError({
+          code: 'UNAUTHORIZED',
+          message: 'Invalid email or password',
+        });
+      }
+
+      // Verify password
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        throw new TRPCError({
+          code: 'UNAUTHORIZED',
+          message: 'Invalid email or password',
+        });
+      }
+
+      // Generate JWT token
+      const jwtSecret = ctx.config.get<string>('JWT_SECRET');
+      const token = jwt.sign(
+        { sub: user.id, email: user.email },
+        jwtSecret,
+        { expiresIn: '7d' }
+      );
+
+      // Return user without password
+      const { password: _, ...userWithoutPassword } = user;
+
+      return {
+        user: userWithoutPassword,
+        accessToken: token,
+      };
+    }),
+
+  register: publicProcedure
+    .input(registerSchema)
+    .mutation(async ({ input, ctx }) => {
+      const { name, email, password } = input;
+
+      // Check if user already exists
+      
+{{#if orm == 'prisma'}}
+      const existingUser = await ctx.prisma.user.findUnique({
+        where: { email },
+      });
+{{else}}
+      const existingUser = await ctx.db.db.query.users.findFirst({
+        where: (users, { eq }) => eq(users.email, email),
+      });
+{{/if}}
+      
+
+      if (existingUser) {
+        throw new TRPCError({
+          code: 'CONFLICT',
+          message: 'User with this email already exists',
+        });
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 12);
+
+      // Create user
+      
+{{#if orm == 'prisma'}}
+      const user = await ctx.prisma.user.create({
+        data: {
+          name,
+          email,
+          password: hashedPassword,
+        },
+      });
+{{else}}
+      const [user] = await ctx.db.db.insert(users).values({
+        id: crypto.randomUUID(),
+        name,
+        email,
+        password: hashedPassword,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      }).returning();
+{{/if}}
+      
+
+      // Generate JWT token
+      const jwtSecret = ctx.config.get<string>('JWT_SECRET');
+      const token = jwt.sign(
+        { sub: user.id, email: user.email },
+        jwtSecret,
+        { expiresIn: '7d' }
+      );
+
+      // Return user without password
+      const { password: _, ...userWithoutPassword } = user;
+
+      return {
+        user: userWithoutPassword,
+        accessToken: token,
+      };
+    }),
+
+  me: protectedProcedure.query(async ({ ctx }) => {
+    return ctx.user;
+  }),
+
+  logout: protectedProcedure.mutation(async () => {
+    // In a JWT setup, logout is typically handled client-side
+    // by removing the token. You could implement token blacklisting here.
+    return { success: true };
+  }),
+});
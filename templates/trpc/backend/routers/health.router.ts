@@ -0,0 +1,15 @@
+import { publicProcedure, createTRPCRouter } from '../trpc';
+
+export const healthRouter = createTRPCRouter({
+  check: publicProcedure.query(async ({ ctx }) => {
+    const dbHealth = {{#if orm == 'prisma'}}await ctx.prisma.healthCheck();{{else}}await ctx.db.healthCheck();{{/if}}
+    
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      database: dbHealth,
+      environment: ctx.config.get('NODE_ENV'),
+      version: '1.0.0',
+    };
+  }),
+});
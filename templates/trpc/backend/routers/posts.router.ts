@@ -0,0 +1,334 @@
+import { z } from 'zod';
+import { TRPCError } from '@trpc/server';
+import { publicProcedure, protectedProcedure, createTRPCRouter } from '../trpc';
+{{#if orm == 'drizzle'}}import { posts } from '../../../../shared/database/schema';
+import { eq, desc } from 'drizzle-orm';{{/if}}
+
+const createPostSchema = z.object({
+  title: z.string().min(1).max(255),
+  content: z.string().optional(),
+  published: z.boolean().default(false),
+});
+
+const updatePostSchema = z.object({
+  id: z.string(),
+  title: z.string().min(1).max(255).optional(),
+  content: z.string().optional(),
+  published: z.boolean().optional(),
+});
+
+export const postsRouter = createTRPCRouter({
+  getAll: publicProcedure
+    .input(
+      z.object({
+        limit: z.number().min(1).max(100).default(10),
+        offset: z.number().min(0).default(0),
+        published: z.boolean().optional(),
+      })
+    )
+    .query(async ({ input, ctx }) => {
+      const { limit, offset, published } = input;
+
+      
+{{#if orm == 'prisma'}}
+      const where = published !== undefined ? { published } : {};
+
+      const [posts, total] = await Promise.all([
+        ctx.prisma.post.findMany({
+          where,
+          take: limit,
+          skip: offset,
+          include: {
+            author: {
+              select: {
+                id: true,
+                name: true,
+                email: true,
+              },
+            },
+          },
+          orderBy: { createdAt: 'desc' },
+        }),
+        ctx.prisma.post.count({ where }),
+      ]);
+{{else}}
+      const postsList = await ctx.db.db.query.posts.findMany({
+        limit,
+        offset,
+        where: published !== undefined 
+          ? (posts, { eq }) => eq(posts.published, published)
+          : undefined,
+        with: {
+          author: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+        orderBy: (posts, { desc }) => [desc(posts.createdAt)],
+      });
+
+      const total = postsList.length; // Simplified
+{{/if}}
+      
+
+      return {
+        posts{{#if orm == 'drizzle'}}: postsList{{/if}},
+        total,
+        hasMore: offset + limit < total,
+      };
+    }),
+
+  getById: publicProcedure
+    .input(z.object({ id: z.string() }))
+    .query(async ({ input, ctx }) => {
+      
+{{#if orm == 'prisma'}}
+      const post = await ctx.prisma.post.findUnique({
+        where: { id: input.id },
+        include: {
+          author: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+{{else}}
+      const post = await ctx.db.db.query.posts.findFirst({
+        where: (posts, { eq }) => eq(posts.id, input.id),
+        with: {
+          author: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+{{/if}}
+      
+
+      if (!post) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Post not found',
+        });
+      }
+
+      return post;
+    }),
+
+  create: protectedProcedure
+    .input(createPostSchema)
+    .mutation(async ({ input, ctx }) => {
+      
+{{#if orm == 'prisma'}}
+      const post = await ctx.prisma.post.create({
+        data: {
+          ...input,
+          authorId: ctx.user.id,
+        },
+        include: {
+          author: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+{{else}}
+      const [post] = await ctx.db.db.insert(posts).values({
+        id: crypto.randomUUID(),
+        ...input,
+        authorId: ctx.user.id,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      }).returning();
+
+      // Fetch with author
+      const postWithAuthor = await ctx.db.db.query.posts.findFirst({
+        where: (posts, { eq }) => eq(posts.id, post.id),
+        with: {
+          author: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+{{/if}}
+      
+
+      return {{#if orm == 'drizzle'}}postWithAuthor{{else}}post{{/if}};
+    }),
+
+  update: protectedProcedure
+    .input(updatePostSchema)
+    .mutation(async ({ input, ctx }) => {
+      const { id, ...updateData } = input;
+
+      // Check if post exists and user owns it
+      
+{{#if orm == 'prisma'}}
+      const existingPost = await ctx.prisma.post.findUnique({
+        where: { id },
+      });
+{{else}}
+      const existingPost = await ctx.db.db.query.posts.findFirst({
+        where: (posts, { eq }) => eq(posts.id, id),
+      });
+{{/if}}
+      
+
+      if (!existingPost) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Post not found',
+        });
+      }
+
+      if (existingPost.authorId !== ctx.user.id) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: 'You can only update your own posts',
+        });
+      }
+
+      // Update post
+      
+{{#if orm == 'prisma'}}
+      const updatedPost = await ctx.prisma.post.update({
+        where: { id },
+        data: updateData,
+        include: {
+          author: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+{{else}}
+      const [updatedPost] = await ctx.db.db.update(posts)
+        .set({
+          ...updateData,
+          updatedAt: new Date(),
+        })
+        .where(eq(posts.id, id))
+        .returning();
+
+      // Fetch with author
+      const postWithAuthor = await ctx.db.db.query.posts.findFirst({
+        where: (posts, { eq }) => eq(posts.id, id),
+        with: {
+          author: {
+            columns: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+{{/if}}
+      
+
+      return {{#if orm == 'drizzle'}}postWithAuthor{{else}}updatedPost{{/if}};
+    }),
+
+  delete: protectedProcedure
+    .input(z.object({ id: z.string() }))
+    .mutation(async ({ input, ctx }) => {
+      // Check if post exists and user owns it
+      
+{{#if orm == 'prisma'}}
+      const existingPost = await ctx.prisma.post.findUnique({
+        where: { id: input.id },
+      });
+{{else}}
+      const existingPost = await ctx.db.db.query.posts.findFirst({
+        where: (posts, { eq }) => eq(posts.id, input.id),
+      });
+{{/if}}
+      
+
+      if (!existingPost) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Post not found',
+        });
+      }
+
+      if (existingPost.authorId !== ctx.user.id) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: 'You can only delete your own posts',
+        });
+      }
+
+      // Delete post
+      
+{{#if orm == 'prisma'}}
+      await ctx.prisma.post.delete({
+        where: { id: input.id },
+      });
+{{else}}
+      await ctx.db.db.delete(posts).where(eq(posts.id, input.id));
+{{/if}}
+      
+
+      return { success: true };
+    }),
+
+  getMyPosts: protectedProcedure
+    .input(
+      z.object({
+        limit: z.number().min(1).max(100).default(10),
+        offset: z.number().min(0).default(0),
+      })
+    )
+    .query(async ({ input, ctx }) => {
+      const { limit, offset } = input;
+
+      
+{{#if orm == 'prisma'}}
+      const [posts, total] = await Promise.all([
+        ctx.prisma.post.findMany({
+          where: { authorId: ctx.user.id },
+          take: limit,
+          skip: offset,
+          orderBy: { createdAt: 'desc' },
+        }),
+        ctx.prisma.post.count({ where: { authorId: ctx.user.id } }),
+      ]);
+{{else}}
+      const postsList = await ctx.db.db.query.posts.findMany({
+        where: (posts, { eq }) => eq(posts.authorId, ctx.user.id),
+        limit,
+        offset,
+        orderBy: (posts, { desc }) => [desc(posts.createdAt)],
+      });
+
+      const total = postsList.length; // Simplified
+{{/if}}
+      
+
+      return {
+        posts{{#if orm == 'drizzle'}}: postsList{{/if}},
+        total,
+        hasMore: offset + limit < total,
+      };
+    }),
+});
@@ -0,0 +1,173 @@
+import { z } from 'zod';
+import { TRPCError } from '@trpc/server';
+import { publicProcedure, protectedProcedure, createTRPCRouter } from '../trpc';
+{{#if orm == 'drizzle'}}import { users } from '../../../../shared/database/schema';
+import { eq } from 'drizzle-orm';{{/if}}
+
+const updateUserSchema = z.object({
+  name: z.string().min(1).optional(),
+  email: z.string().email().optional(),
+});
+
+export const usersRouter = createTRPCRouter({
+  getProfile: protectedProcedure.query(async ({ ctx }) => {
+    
+{{#if orm == 'prisma'}}
+    const user = await ctx.prisma.user.findUnique({
+      where: { id: ctx.user.id },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+{{else}}
+    const user = await ctx.db.db.query.users.findFirst({
+      where: (users, { eq }) => eq(users.id, ctx.user.id),
+      columns: {
+        id: true,
+        email: true,
+        name: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+{{/if}}
+    
+
+    if (!user) {
+      throw new TRPCError({
+        code: 'NOT_FOUND',
+        message: 'User not found',
+      });
+    }
+
+    return user;
+  }),
+
+  updateProfile: protectedProcedure
+    .input(updateUserSchema)
+    .mutation(async ({ input, ctx }) => {
+      const { name, email } = input;
+
+      // Check if email is already taken by another user
+      if (email) {
+        
+{{#if orm == 'prisma'}}
+        const existingUser = await ctx.prisma.user.findFirst({
+          where: {
+            email,
+            NOT: { id: ctx.user.id },
+          },
+        });
+{{else}}
+        const existingUser = await ctx.db.db.query.users.findFirst({
+          where: (users, { eq, and, not }) => and(
+            eq(users.email, email),
+            not(eq(users.id, ctx.user.id))
+          ),
+        });
+{{/if}}
+        
+
+        if (existingUser) {
+          throw new TRPCError({
+            code: 'CONFLICT',
+            message: 'Email is already taken',
+          });
+        }
+      }
+
+      // Update user
+      
+{{#if orm == 'prisma'}}
+      const updatedUser = await ctx.prisma.user.update({
+        where: { id: ctx.user.id },
+        data: {
+          ...(name && { name }),
+          ...(email && { email }),
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      });
+{{else}}
+      const [updatedUser] = await ctx.db.db.update(users)
+        .set({
+          ...(name && { name }),
+          ...(email && { email }),
+          updatedAt: new Date(),
+        })
+        .where(eq(users.id, ctx.user.id))
+        .returning({
+          id: users.id,
+          email: users.email,
+          name: users.name,
+          createdAt: users.createdAt,
+          updatedAt: users.updatedAt,
+        });
+{{/if}}
+      
+
+      return updatedUser;
+    }),
+
+  getAll: protectedProcedure
+    .input(
+      z.object({
+        limit: z.number().min(1).max(100).default(10),
+        offset: z.number().min(0).default(0),
+      })
+    )
+    .query(async ({ input, ctx }) => {
+      const { limit, offset } = input;
+
+      
+{{#if orm == 'prisma'}}
+      const [users, total] = await Promise.all([
+        ctx.prisma.user.findMany({
+          take: limit,
+          skip: offset,
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            createdAt: true,
+            updatedAt: true,
+          },
+          orderBy: { createdAt: 'desc' },
+        }),
+        ctx.prisma.user.count(),
+      ]);
+{{else}}
+      const usersList = await ctx.db.db.query.users.findMany({
+        limit,
+        offset,
+        columns: {
+          id: true,
+          email: true,
+          name: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+        orderBy: (users, { desc }) => [desc(users.createdAt)],
+      });
+
+      // For total count, you might want to implement a separate query
+      const total = usersList.length; // Simplified for now
+{{/if}}
+      
+
+      return {
+        users{{#if orm == 'drizzle'}}: usersList{{/if}},
+        total,
+        hasMore: offset + limit < total,
+      };
+    }),
+});
@@ -0,0 +1,11 @@
+import { Module } from '@nestjs/common';
+import { TrpcService } from './trpc.service';
+import { TrpcRouter } from './trpc.router';
+{{#if orm == 'prisma'}}import { PrismaService } from '../config/prisma.service';{{else}}import { DrizzleService } from '../config/drizzle.service';{{/if}}
+
+@Module({
+  imports: [],
+  controllers: [TrpcRouter],
+  providers: [TrpcService, {{#if orm == 'prisma'}}PrismaService{{else}}DrizzleService{{/if}}],
+})
+export class TrpcModule {}
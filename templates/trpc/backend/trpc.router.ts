@@ -0,0 +1,13 @@
+import { All, Controller, Next, Req, Res } from '@nestjs/common';
+import { TrpcService } from './trpc.service';
+
+@Controller('/trpc')
+export class TrpcRouter {
+  constructor(private readonly trpc: TrpcService) {}
+
+  @All('/*')
+  async handler(@Req() req: any, @Res() res: any, @Next() next: any) {
+    const handler = await this.trpc.createExpressMiddleware();
+    return handler(req, res, next);
+  }
+}
@@ -0,0 +1,29 @@
+import { Injectable } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import * as trpcExpress from '@trpc/server/adapters/express';
+import { appRouter } from './app.router';
+import { createContext } from './context';
+{{#if orm == 'prisma'}}import { PrismaService } from '../config/prisma.service';{{else}}import { DrizzleService } from '../config/drizzle.service';{{/if}}
+
+@Injectable()
+export class TrpcService {
+  constructor(
+    {{#if orm == 'prisma'}}private prisma: PrismaService,{{else}}private db: DrizzleService,{{/if}}
+    private configService: ConfigService,
+  ) {}
+
+  async createExpressMiddleware() {
+    return trpcExpress.createExpressMiddleware({
+      router: appRouter,
+      createContext: (opts) => createContext(opts, {{#if orm == 'prisma'}}this.prisma{{else}}this.db{{/if}}, this.configService),
+      onError:
+        this.configService.get('NODE_ENV') === 'development'
+          ? ({ path, error }) => {
+              console.error(
+                `❌ tRPC failed on ${path ?? '<no-path>'}: ${error.message}`
+              );
+            }
+          : undefined,
+    });
+  }
+}
@@ -0,0 +1,48 @@
+import { initTRPC, TRPCError } from '@trpc/server';
+import { type Context } from './context';
+import superjson from 'superjson';
+import { ZodError } from 'zod';
+
+// Initialize tRPC
+const t = initTRPC.context<Context>().create({
+  transformer: superjson,
+  errorFormatter({ shape, error }) {
+    return {
+      ...shape,
+      data: {
+        ...shape.data,
+        zodError:
+          error.cause instanceof ZodError ? error.cause.flatten() : null,
+      },
+    };
+  },
+});
+
+// Create a server-side caller
+export const createTRPCRouter = t.router;
+
+// Base procedure
+export const publicProcedure = t.procedure;
+
+// Protected procedure with authentication
+export const protectedProcedure = t.procedure.use(({ ctx, next }) => {
+  if (!ctx.user) {
+    throw new TRPCError({ code: 'UNAUTHORIZED' });
+  }
+  return next({
+    ctx: {
+      ...ctx,
+      user: ctx.user, // Now guaranteed to be defined
+    },
+  });
+});
+
+// Admin procedure (extend with role checks if needed)
+export const adminProcedure = protectedProcedure.use(({ ctx, next }) => {
+  // Add admin role check logic here
+  // For now, just using the same as protected
+  return next({ ctx });
+});
+
+// Export the router instance
+export { t };
@@ -0,0 +1,98 @@
+import React from 'react';
+import { TRPCClientError } from '@trpc/client';
+
+interface TRPCErrorBoundaryState {
+  hasError: boolean;
+  error?: TRPCClientError<any>;
+}
+
+interface TRPCErrorBoundaryProps {
+  children: React.ReactNode;
+  fallback?: (error: TRPCClientError<any>) => React.ReactNode;
+}
+
+export class TRPCErrorBoundary extends React.Component<
+  TRPCErrorBoundaryProps,
+  TRPCErrorBoundaryState
+> {
+  constructor(props: TRPCErrorBoundaryProps) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError(error: any): TRPCErrorBoundaryState {
+    if (error instanceof TRPCClientError) {
+      return { hasError: true, error };
+    }
+    return { hasError: true };
+  }
+
+  componentDidCatch(error: any, errorInfo: any) {
+    console.error('tRPC Error Boundary caught an error:', error, errorInfo);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      if (this.props.fallback && this.state.error) {
+        return this.props.fallback(this.state.error);
+      }
+
+      return (
+        <div className="flex flex-col items-center justify-center min-h-[200px] p-8 text-center">
+          <div className="text-red-500 text-4xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">
+            Something went wrong
+          </h2>
+          <p className="text-gray-600 mb-4">
+            {this.state.error?.message || 'An unexpected error occurred'}
+          </p>
+          <button
+            onClick={() => this.setState({ hasError: false, error: undefined })}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
+          >
+            Try again
+          </button>
+        </div>
+      );
+    }
+
+    return this.props.children;
+  }
+}
+
+// Hook for handling tRPC errors consistently
+export function useTRPCErrorHandler() {
+  const handleError = (error: TRPCClientError<any>) => {
+    const code = error.data?.code;
+    
+    switch (code) {
+      case 'UNAUTHORIZED':
+        // Clear auth and redirect
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('userData');
+        window.location.href = '/auth/login';
+        break;
+        
+      case 'FORBIDDEN':
+        alert('You do not have permission to perform this action');
+        break;
+        
+      case 'NOT_FOUND':
+        alert('The requested resource was not found');
+        break;
+        
+      case 'CONFLICT':
+        alert('A conflict occurred. Please check your data and try again.');
+        break;
+        
+      case 'TIMEOUT':
+        alert('Request timed out. Please try again.');
+        break;
+        
+      default:
+        alert(error.message || 'An unexpected error occurred');
+    }
+  };
+
+  return { handleError };
+}
@@ -0,0 +1,154 @@
+import { trpc } from './client';
+import { useState } from 'react';
+
+// Custom hooks that wrap tRPC calls with additional functionality
+
+export function useAuth() {
+  const [isLoading, setIsLoading] = useState(false);
+  const utils = trpc.useUtils();
+  
+  const loginMutation = trpc.auth.login.useMutation({
+    onSuccess: (data) => {
+      // Store token in localStorage
+      localStorage.setItem('authToken', data.accessToken);
+      localStorage.setItem('userData', JSON.stringify(data.user));
+      
+      // Invalidate and refetch user data
+      utils.auth.me.invalidate();
+    },
+  });
+
+  const registerMutation = trpc.auth.register.useMutation({
+    onSuccess: (data) => {
+      // Store token in localStorage
+      localStorage.setItem('authToken', data.accessToken);
+      localStorage.setItem('userData', JSON.stringify(data.user));
+      
+      // Invalidate and refetch user data
+      utils.auth.me.invalidate();
+    },
+  });
+
+  const logoutMutation = trpc.auth.logout.useMutation({
+    onSuccess: () => {
+      // Remove token from localStorage
+      localStorage.removeItem('authToken');
+      localStorage.removeItem('userData');
+      
+      // Clear all cached data
+      utils.invalidate();
+    },
+  });
+
+  const login = async (email: string, password: string) => {
+    setIsLoading(true);
+    try {
+      await loginMutation.mutateAsync({ email, password });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const register = async (name: string, email: string, password: string) => {
+    setIsLoading(true);
+    try {
+      await registerMutation.mutateAsync({ name, email, password });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const logout = async () => {
+    setIsLoading(true);
+    try {
+      await logoutMutation.mutateAsync();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return {
+    login,
+    register,
+    logout,
+    isLoading: isLoading || loginMutation.isLoading || registerMutation.isLoading || logoutMutation.isLoading,
+    error: loginMutation.error || registerMutation.error || logoutMutation.error,
+  };
+}
+
+export function usePosts() {
+  const utils = trpc.useUtils();
+
+  const createMutation = trpc.posts.create.useMutation({
+    onSuccess: () => {
+      // Invalidate posts queries to refetch data
+      utils.posts.getAll.invalidate();
+      utils.posts.getMyPosts.invalidate();
+    },
+  });
+
+  const updateMutation = trpc.posts.update.useMutation({
+    onSuccess: (data) => {
+      // Update the cached post data
+      utils.posts.getById.setData({ id: data.id }, data);
+      utils.posts.getAll.invalidate();
+      utils.posts.getMyPosts.invalidate();
+    },
+  });
+
+  const deleteMutation = trpc.posts.delete.useMutation({
+    onSuccess: () => {
+      // Invalidate posts queries
+      utils.posts.getAll.invalidate();
+      utils.posts.getMyPosts.invalidate();
+    },
+  });
+
+  return {
+    create: createMutation.mutateAsync,
+    update: updateMutation.mutateAsync,
+    delete: deleteMutation.mutateAsync,
+    isCreating: createMutation.isLoading,
+    isUpdating: updateMutation.isLoading,
+    isDeleting: deleteMutation.isLoading,
+    error: createMutation.error || updateMutation.error || deleteMutation.error,
+  };
+}
+
+export function useOptimisticUpdates() {
+  const utils = trpc.useUtils();
+
+  const optimisticUpdate = <T>(
+    queryKey: any,
+    updater: (oldData: T | undefined) => T
+  ) => {
+    utils.setData(queryKey, updater);
+  };
+
+  const revertOptimisticUpdate = (queryKey: any) => {
+    utils.invalidate(queryKey);
+  };
+
+  return { optimisticUpdate, revertOptimisticUpdate };
+}
+
+// Error handling hook
+export function useTRPCError() {
+  const handleError = (error: any) => {
+    if (error?.data?.code === 'UNAUTHORIZED') {
+      // Redirect to login or show auth modal
+      localStorage.removeItem('authToken');
+      localStorage.removeItem('userData');
+      window.location.href = '/auth/login';
+    } else if (error?.data?.code === 'FORBIDDEN') {
+      // Show forbidden message
+      alert('You do not have permission to perform this action');
+    } else {
+      // Show generic error message
+      console.error('tRPC Error:', error);
+      alert(error?.message || 'An unexpected error occurred');
+    }
+  };
+
+  return { handleError };
+}
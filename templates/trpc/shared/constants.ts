@@ -0,0 +1,30 @@
+// tRPC Configuration Constants
+
+export const TRPC_ENDPOINTS = {
+  development: 'http://localhost:4000/api/trpc',
+  production: process.env.TRPC_URL || 'https://yourapp.com/api/trpc',
+} as const;
+
+export const QUERY_KEYS = {
+  health: ['health'] as const,
+  auth: {
+    me: ['auth', 'me'] as const,
+  },
+  users: {
+    profile: ['users', 'profile'] as const,
+    all: (limit: number, offset: number) => ['users', 'all', { limit, offset }] as const,
+  },
+  posts: {
+    all: (limit: number, offset: number, published?: boolean) => 
+      ['posts', 'all', { limit, offset, published }] as const,
+    byId: (id: string) => ['posts', 'byId', id] as const,
+    my: (limit: number, offset: number) => ['posts', 'my', { limit, offset }] as const,
+  },
+} as const;
+
+export const DEFAULT_QUERY_OPTIONS = {
+  staleTime: 5 * 60 * 1000, // 5 minutes
+  cacheTime: 10 * 60 * 1000, // 10 minutes
+  retry: 3,
+  retryDelay: (attemptIndex: number) => Math.min(1000 * 2 ** attemptIndex, 30000),
+} as const;
@@ -0,0 +1,60 @@
+// Shared types between frontend and backend
+
+export interface User {
+  id: string;
+  email: string;
+  name: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface Post {
+  id: string;
+  title: string;
+  content: string | null;
+  published: boolean;
+  authorId: string;
+  createdAt: Date;
+  updatedAt: Date;
+  author?: Pick<User, 'id' | 'name' | 'email'>;
+}
+
+export interface AuthResponse {
+  user: Omit<User, 'password'>;
+  accessToken: string;
+}
+
+export interface PaginatedResponse<T> {
+  data: T[];
+  total: number;
+  hasMore: boolean;
+}
+
+export interface HealthCheck {
+  status: 'ok' | 'error';
+  timestamp: string;
+  database: {
+    status: 'healthy' | 'unhealthy';
+    error?: string;
+  };
+  environment: string;
+  version: string;
+}
+
+// Form validation schemas (can be reused on frontend)
+export const loginSchema = {
+  email: 'string().email()',
+  password: 'string().min(1)',
+};
+
+export const registerSchema = {
+  name: 'string().min(1)',
+  email: 'string().email()',
+  password: 'string().min(6)',
+};
+
+export const createPostSchema = {
+  title: 'string().min(1).max(255)',
+  content: 'string().optional()',
+  published: 'boolean().default(false)',
+};
@@ -0,0 +1,65 @@
+// tests/args.test.js - Command Line Flags
+
+const { parseArgs } = require('../lib/args');
+
+describe('parseArgs', () => {
+  test('reads the project name, string flags and boolean flags', () => {
+    expect(parseArgs(['my-app', '--frontend', 'vite', '--package-manager', 'pnpm', '--trpc', '--dry-run'])).toEqual({
+      projectName: 'my-app',
+      options: { frontend: 'vite', packageManager: 'pnpm', trpc: true, dryRun: true },
+      help: false,
+      verbose: false
+    });
+  });
+
+  test.each([
+    [['--frontend=react'], { frontend: 'react' }],
+    [['--database=postgresql', '--orm=drizzle'], { database: 'postgresql', orm: 'drizzle' }],
+    [['--auth=true', '--docker=false'], { auth: true, docker: false }],
+    [['--dir=apps/web'], { dir: 'apps/web' }]
+  ])('takes the value after "=" in %j', (argv, options) => {
+    expect(parseArgs(argv).options).toEqual(options);
+  });
+
+  test.each([
+    [['--no-trpc'], { trpc: false }],
+    [['--no-install', '--no-git'], { install: false, git: false }],
+    [['--tailwind', '--no-docker'], { tailwind: true, docker: false }]
+  ])('negates boolean flags in %j', (argv, options) => {
+    expect(parseArgs(argv).options).toEqual(options);
+  });
+
+  test('pulls --help and --verbose out of the options', () => {
+    expect(parseArgs(['--help', '--verbose', '--auth'])).toEqual({
+      projectName: undefined,
+      options: { auth: true },
+      help: true,
+      verbose: true
+    });
+  });
+
+  test('accepts a flag repeated with the same value', () => {
+    expect(parseArgs(['--orm', 'prisma', '--orm=prisma']).options).toEqual({ orm: 'prisma' });
+  });
+
+  test.each([
+    [['--trpc', '--no-trpc'], 'Conflicting options: "--trpc" and "--no-trpc".'],
+    [['--frontend', 'react', '--frontend=nextjs'], 'Conflicting options: "--frontend" and "--frontend=nextjs".'],
+    [['--auth=false', '--auth'], 'Conflicting options: "--auth=false" and "--auth".']
+  ])('rejects conflicting flags in %j', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+
+  test.each([
+    [['--framework', 'react'], 'Unknown option "--framework". Run with --help to see the available options.'],
+    [['-f'], 'Unknown option "-f". Run with --help to see the available options.'],
+    [['--no-frontend'], 'Unknown option "--no-frontend". Run with --help to see the available options.'],
+    [['--no-trpc=true'], 'Option "--no-trpc" does not take a value.'],
+    [['--docker=yes'], 'Option "--docker" must be "true" or "false".'],
+    [['--frontend'], 'Option "--frontend" requires a value.'],
+    [['--frontend', '--trpc'], 'Option "--frontend" requires a value.'],
+    [['my-app', 'other-app'], 'Unexpected argument "other-app". Only one project name can be given.']
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+});
@@ -0,0 +1,15 @@
+// tests/compile.test.js - Compile Check for the Template Matrix
+//
+// Type-checks every project in MATRIX with scripts/verify-templates.js, so a
+// template that generates code which doesn't compile fails the suite. Run the
+// script directly to check other configs.
+
+const { verifyProject } = require('../scripts/verify-templates');
+const { MATRIX, getConfigName } = require('./matrix');
+
+describe('generated projects type-check', () => {
+  test.each(MATRIX.map((config) => [getConfigName(config), config]))('%s', async (name, config) => {
+    const { errors } = await verifyProject(config);
+    expect(errors.map((error) => `${error.generators.join(', ')}: ${error.message}`)).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+// tests/existing-directory.test.js - Generating Into Directories That Already Have Files
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+const {
+  assertNoUncommittedChanges,
+  backupDirectory,
+  mergeIntoDirectory
+} = require('../lib/existing-directory');
+
+const CONFIG = { ...DEFAULT_CONFIG, frontend: 'vite', trpc: false, auth: false, install: false, git: false };
+
+describe('existing directories', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-existing-')), 'app');
+    await fs.outputFile(path.join(projectPath, 'package.json'), '{ "name": "mine" }\n');
+    await fs.outputFile(path.join(projectPath, 'README.md'), '# Mine\n');
+    await fs.outputFile(path.join(projectPath, 'notes.txt'), 'not generated\n');
+  });
+
+  afterEach(async () => {
+    await fs.remove(path.dirname(projectPath));
+  });
+
+  test('merge keeps every file that differs unless told otherwise', async () => {
+    const report = await mergeIntoDirectory(projectPath, 'app', CONFIG, {
+      resolveConflict: async (file) => file === 'README.md'
+    });
+
+    expect(report.kept).toEqual(['package.json']);
+    expect(report.overwritten).toEqual(['README.md']);
+    expect(report.created).toContain('src/frontend/vite.config.ts');
+    expect(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8')).toBe('{ "name": "mine" }\n');
+    expect(await fs.readFile(path.join(projectPath, 'README.md'), 'utf8')).toMatch(/^# app\n/);
+    expect(await fs.readFile(path.join(projectPath, 'notes.txt'), 'utf8')).toBe('not generated\n');
+  });
+
+  test('backup moves the files next to the directory and leaves it empty', async () => {
+    const backupPath = await backupDirectory(projectPath);
+
+    expect(path.basename(backupPath)).toMatch(/^app\.backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}$/);
+    expect((await fs.readdir(backupPath)).sort()).toEqual(['README.md', 'notes.txt', 'package.json']);
+    expect(await fs.readdir(projectPath)).toEqual([]);
+  });
+
+  test('refuses a git repository with uncommitted changes', async () => {
+    const git = (...args) => execFileSync('git', args, { cwd: projectPath, stdio: 'pipe' });
+    git('init', '-q');
+    git('add', '.');
+    git('-c', 'user.name=Kurdemy', '-c', 'user.email=kurdemy@example.com', 'commit', '-q', '-m', 'init');
+
+    await expect(assertNoUncommittedChanges(projectPath)).resolves.toBe(true);
+
+    await fs.appendFile(path.join(projectPath, 'notes.txt'), 'more\n');
+    await expect(assertNoUncommittedChanges(projectPath)).rejects.toThrow(/has uncommitted changes.*\n {2}notes\.txt/);
+  });
+});
@@ -0,0 +1,116 @@
+// tests/features.test.js - Adding Features to Existing Projects
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { addFeature } = require('../lib/features');
+const { generateProject } = require('../lib/generator');
+const { createVirtualFileSystem } = require('../lib/file-system');
+const { readManifest, isFilePristine } = require('../lib/manifest');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+
+const CONFIG = { ...DEFAULT_CONFIG, install: false, git: false };
+
+// One file for each merge strategy: package.json, .env files and app.module.ts
+const PACKAGE_JSON = 'package.json';
+const ENV_FILE = '.env';
+const APP_MODULE = 'src/backend/src/app.module.ts';
+
+describe('addFeature', () => {
+  let tempDir;
+  let projectPath;
+  let withTrpc;
+
+  const read = (file) => fs.readFile(path.join(projectPath, file), 'utf8');
+  const write = (file, content) => fs.writeFile(path.join(projectPath, file), content);
+
+  beforeAll(async () => {
+    const fileSystem = createVirtualFileSystem();
+    await generateProject('/project', 'app', { ...CONFIG, trpc: true }, { fileSystem });
+    withTrpc = (file) => fileSystem.files.get(path.resolve('/project', file)).content.toString('utf8');
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-features-'));
+    projectPath = path.join(tempDir, 'app');
+    await generateProject(projectPath, 'app', CONFIG);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('overwrites files the user has not touched', async () => {
+    const report = await addFeature(projectPath, 'trpc');
+
+    expect(report.updated).toEqual(expect.arrayContaining([PACKAGE_JSON, ENV_FILE, APP_MODULE]));
+    expect(report.merged).toEqual([]);
+    expect(report.skipped).toEqual([]);
+    expect(report.created).toContain('src/backend/src/trpc/trpc.module.ts');
+    for (const file of [PACKAGE_JSON, ENV_FILE, APP_MODULE]) {
+      expect(await read(file)).toBe(withTrpc(file));
+    }
+
+    const manifest = await readManifest(projectPath);
+    expect(manifest.config.trpc).toBe(true);
+    expect(await isFilePristine(projectPath, manifest, APP_MODULE)).toBe(true);
+  });
+
+  test('merges the feature into edited files', async () => {
+    const packageJson = JSON.parse(await read(PACKAGE_JSON));
+    packageJson.scripts.mine = 'echo mine';
+    await write(PACKAGE_JSON, JSON.stringify(packageJson, null, 2));
+    await write(ENV_FILE, `${await read(ENV_FILE)}MY_SECRET=1\n`);
+    await write(APP_MODULE, `// Edited\n${await read(APP_MODULE)}`);
+
+    const report = await addFeature(projectPath, 'trpc');
+
+    expect(report.merged.sort()).toEqual([ENV_FILE, PACKAGE_JSON, APP_MODULE].sort());
+    expect(report.updated).not.toEqual(expect.arrayContaining([PACKAGE_JSON]));
+
+    const merged = JSON.parse(await read(PACKAGE_JSON));
+    expect(merged.scripts.mine).toBe('echo mine');
+    expect(merged.dependencies['@trpc/server']).toBe('^10.38.0');
+
+    const env = await read(ENV_FILE);
+    expect(env).toContain('MY_SECRET=1\n');
+    expect(env).toContain('# tRPC Configuration\nTRPC_ENDPOINT=http://localhost:4000/api/trpc\n');
+
+    const appModule = await read(APP_MODULE);
+    expect(appModule.startsWith('// Edited\n')).toBe(true);
+    expect(appModule).toContain("import { TrpcModule } from './trpc/trpc.module';");
+    expect(appModule).toContain('    UsersModule,\n    TrpcModule,\n  ],');
+
+    // The merged files no longer match the template, so they stay marked as edited
+    const manifest = await readManifest(projectPath);
+    expect(await isFilePristine(projectPath, manifest, APP_MODULE)).toBe(false);
+  });
+
+  test('skips and reports edited files there is nothing to merge into', async () => {
+    const packageJson = { ...JSON.parse(withTrpc(PACKAGE_JSON)), description: 'Mine' };
+    const edited = {
+      [PACKAGE_JSON]: JSON.stringify(packageJson, null, 2),
+      [ENV_FILE]: `${withTrpc(ENV_FILE)}MY_SECRET=1\n`,
+      [APP_MODULE]: `// Edited\n${withTrpc(APP_MODULE)}`,
+      'src/frontend/app/layout.tsx': '// Replaced\n'
+    };
+    for (const [file, content] of Object.entries(edited)) {
+      await write(file, content);
+    }
+
+    const report = await addFeature(projectPath, 'trpc');
+
+    expect(report.skipped.sort()).toEqual(Object.keys(edited).sort());
+    expect(report.merged).toEqual([]);
+    for (const [file, content] of Object.entries(edited)) {
+      expect(await read(file)).toBe(content);
+    }
+  });
+
+  test('refuses unknown features and features that are already on', async () => {
+    await expect(addFeature(projectPath, 'graphql')).rejects.toThrow('Unknown feature "graphql". Available features: trpc, tailwind, auth, docker.');
+
+    await addFeature(projectPath, 'docker');
+    await expect(addFeature(projectPath, 'docker')).rejects.toThrow('docker is already enabled in this project.');
+  });
+});
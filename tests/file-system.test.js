@@ -0,0 +1,73 @@
+// tests/file-system.test.js - In-Memory File System for --dry-run
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createVirtualFileSystem } = require('../lib/file-system');
+const { generateProject } = require('../lib/generator');
+const { createProject } = require('../lib');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+
+const CONFIG = { ...DEFAULT_CONFIG, install: false, git: false };
+
+describe('virtual file system', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-file-system-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('keeps files, directories and modes in memory', async () => {
+    const fileSystem = createVirtualFileSystem();
+    const script = path.join(tempDir, 'app/scripts/setup.sh');
+
+    await fileSystem.writeFile(script, 'echo hi\n');
+    await fileSystem.chmod(script, '755');
+    await fileSystem.ensureDir(path.join(tempDir, 'app/empty'));
+
+    expect(await fileSystem.readFile(script, 'utf8')).toBe('echo hi\n');
+    expect(Buffer.isBuffer(await fileSystem.readFile(script))).toBe(true);
+    expect(fileSystem.files.get(script).mode).toBe(0o755);
+    expect(await fileSystem.pathExists(path.join(tempDir, 'app/scripts'))).toBe(true);
+    expect(await fileSystem.pathExists(path.join(tempDir, 'app/empty'))).toBe(true);
+    expect(await fileSystem.pathExists(path.join(tempDir, 'app/missing.txt'))).toBe(false);
+    await expect(fileSystem.readFile(path.join(tempDir, 'app/missing.txt'))).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+
+  test('keeps the mode of a file that is written again', async () => {
+    const fileSystem = createVirtualFileSystem();
+    const script = path.join(tempDir, 'run.sh');
+
+    await fileSystem.writeFile(script, 'one');
+    await fileSystem.chmod(script, 0o755);
+    await fileSystem.writeFile(script, 'two');
+
+    expect(fileSystem.files.get(script)).toEqual({ content: Buffer.from('two'), mode: 0o755 });
+  });
+
+  test('generates a whole project without touching the disk', async () => {
+    const fileSystem = createVirtualFileSystem();
+    const projectPath = path.join(tempDir, 'app');
+
+    const files = await generateProject(projectPath, 'app', CONFIG, { fileSystem });
+
+    expect(files.length).toBeGreaterThan(0);
+    expect(fileSystem.files.has(path.join(projectPath, 'package.json'))).toBe(true);
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+
+  test('leaves an existing directory alone on a dry run', async () => {
+    const projectPath = path.join(tempDir, 'app');
+    await fs.outputFile(path.join(projectPath, 'notes.txt'), 'mine\n');
+
+    const { files } = await createProject({ name: 'app', directory: projectPath, dryRun: true });
+
+    expect(files).toContain('package.json');
+    expect(await fs.readdir(projectPath)).toEqual(['notes.txt']);
+  });
+});
@@ -0,0 +1,25 @@
+// Stands in for an older create-kurdemy-app in tests/upgrade.test.js: the
+// current templates with a few files changed, added and left out.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { generateProject: generateCurrentProject } = require('../../../../lib/generator');
+
+async function generateProject(projectPath, projectName, config) {
+  await generateCurrentProject(projectPath, projectName, config);
+
+  const file = (relative) => path.join(projectPath, relative);
+  const edit = async (relative, change) => fs.writeFile(file(relative), change(await fs.readFile(file(relative), 'utf8')));
+
+  await edit('README.md', (content) => `${content}\nGenerated by an older create-kurdemy-app.\n`);
+  await edit('.env.example', (content) => `${content}OLD_VARIABLE=1\n`);
+  await edit('src/backend/src/main.ts', (content) => `// Generated by an older template\n${content}`);
+  await edit('.gitignore', (content) => content.replace(/^.*\n/, '# Old ignore rules\n'));
+  await fs.outputFile(file('docs/OLD.md'), '# Old\n');
+  await fs.outputFile(file('docs/EDITED.md'), '# Old too\n');
+  await fs.remove(file('.prettierignore'));
+}
+
+module.exports = {
+  generateProject
+};
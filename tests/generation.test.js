@@ -0,0 +1,141 @@
+// tests/generation.test.js - Staged Writes and Rollback
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+const { backupDirectory, restoreBackup } = require('../lib/existing-directory');
+
+const CONFIG = { ...DEFAULT_CONFIG, install: false, git: false };
+
+// Loads a fresh generator whose generateConfigFiles throws after the other generators have run
+function loadFailingGenerator() {
+  let generator;
+  jest.isolateModules(() => {
+    jest.doMock('../lib/templates/config', () => ({
+      ...jest.requireActual('../lib/templates/config'),
+      generateConfigFiles: async () => {
+        throw new Error('boom');
+      }
+    }));
+    generator = require('../lib/generator');
+  });
+  return generator;
+}
+
+// Loads a fresh generator whose write to disk fails the way a full disk would
+function loadUnwritableGenerator() {
+  let generator;
+  jest.isolateModules(() => {
+    jest.doMock('../lib/file-system', () => ({
+      ...jest.requireActual('../lib/file-system'),
+      commitToDisk: async () => {
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      }
+    }));
+    generator = require('../lib/generator');
+  });
+  return generator;
+}
+
+describe('generateProject', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-generation-'));
+  });
+
+  afterEach(async () => {
+    jest.dontMock('../lib/templates/config');
+    jest.dontMock('../lib/file-system');
+    await fs.remove(tempDir);
+  });
+
+  test('writes nothing and names the generator when one fails', async () => {
+    const { generateProject } = loadFailingGenerator();
+    const projectPath = path.join(tempDir, 'app');
+
+    const error = await generateProject(projectPath, 'app', CONFIG).catch((failure) => failure);
+
+    expect(error.message).toBe('Failed to generate project: generateConfigFiles failed: boom');
+    expect(error.generator).toBe('generateConfigFiles');
+    expect(error.cause.stack).toContain('boom');
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+
+  test('leaves an existing directory as it was when a generator fails', async () => {
+    const { generateProject } = loadFailingGenerator();
+    const projectPath = path.join(tempDir, 'app');
+    await fs.ensureDir(projectPath);
+    const beforeCommit = jest.fn();
+
+    await expect(generateProject(projectPath, 'app', CONFIG, { beforeCommit })).rejects.toThrow('boom');
+
+    expect(beforeCommit).not.toHaveBeenCalled();
+    expect(await fs.readdir(projectPath)).toEqual([]);
+    expect(await fs.readdir(tempDir)).toEqual(['app']);
+  });
+
+  test('moves a backup back when the project cannot be written', async () => {
+    const { generateProject } = loadUnwritableGenerator();
+    const projectPath = path.join(tempDir, 'app');
+    await fs.outputFile(path.join(projectPath, 'notes/todo.md'), '# Todo\n');
+    await fs.outputFile(path.join(projectPath, 'package.json'), '{}\n');
+    let backupPath;
+    const beforeCommit = async () => {
+      backupPath = await backupDirectory(projectPath);
+      return () => restoreBackup(projectPath, backupPath);
+    };
+
+    await expect(generateProject(projectPath, 'app', CONFIG, { beforeCommit })).rejects.toThrow(
+      `Failed to write the project to ${projectPath}: ENOSPC: no space left on device`
+    );
+
+    expect(backupPath).toBeDefined();
+    expect(await fs.readdir(tempDir)).toEqual(['app']);
+    expect((await fs.readdir(projectPath)).sort()).toEqual(['notes', 'package.json']);
+    expect(await fs.readFile(path.join(projectPath, 'notes/todo.md'), 'utf8')).toBe('# Todo\n');
+  });
+
+  test('says where the backup is when it cannot be moved back', async () => {
+    const { generateProject } = loadUnwritableGenerator();
+    const projectPath = path.join(tempDir, 'app');
+    await fs.outputFile(path.join(projectPath, 'package.json'), '{}\n');
+    let backupPath;
+    const beforeCommit = async () => {
+      backupPath = await backupDirectory(projectPath);
+      return async () => {
+        await fs.outputFile(path.join(projectPath, 'package.json'), '{ "name": "new" }\n');
+        await restoreBackup(projectPath, backupPath);
+      };
+    };
+
+    const error = await generateProject(projectPath, 'app', CONFIG, { beforeCommit }).catch((failure) => failure);
+
+    expect(error.message).toContain(`\nCould not move the existing files back from ${backupPath}: `);
+    expect(await fs.readFile(path.join(backupPath, 'package.json'), 'utf8')).toBe('{}\n');
+  });
+
+  test('creates the project root with the usual directory mode', async () => {
+    const { generateProject } = require('../lib/generator');
+    const projectPath = path.join(tempDir, 'app');
+
+    await generateProject(projectPath, 'app', CONFIG);
+
+    expect((await fs.stat(projectPath)).mode & 0o777).toBe(0o777 & ~process.umask());
+  });
+
+  test('moves the staged project into place without leaving the staging directory behind', async () => {
+    const { generateProject } = require('../lib/generator');
+    const projectPath = path.join(tempDir, 'app');
+    await fs.ensureDir(projectPath);
+
+    const files = await generateProject(projectPath, 'app', CONFIG);
+
+    expect(await fs.readdir(tempDir)).toEqual(['app']);
+    for (const file of files) {
+      expect(await fs.pathExists(path.join(projectPath, file.path))).toBe(true);
+    }
+    expect((await fs.stat(path.join(projectPath, 'scripts/setup.sh'))).mode & 0o111).not.toBe(0);
+  });
+});
@@ -0,0 +1,154 @@
+// tests/golden.test.js - Golden File Tests for Generated Projects
+//
+// Generates a project for every config in MATRIX and compares the file tree and
+// every file with the golden file committed in tests/golden. After an intended
+// template change, regenerate them with `npm run test:golden:update` and review
+// the diff with the change.
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { generateProject } = require('../lib/generator');
+const { OPTIONS, MATRIX, getConfigName } = require('./matrix');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+const PROJECT_NAME = 'golden-app';
+
+// kurdemy.json only hashes the other files and records the CLI version, which
+// would change every golden file with each release
+const UNCOMPARED_FILES = ['kurdemy.json'];
+
+describe('golden files', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-golden-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('the matrix covers every pair of option values', () => {
+    const names = Object.keys(OPTIONS);
+    const missing = [];
+
+    names.forEach((first, index) => {
+      for (const second of names.slice(index + 1)) {
+        for (const firstValue of OPTIONS[first]) {
+          for (const secondValue of OPTIONS[second]) {
+            const pair = { [first]: firstValue, [second]: secondValue };
+            // Drizzle has no SQL Server driver, so the validator rejects that pair
+            if (pair.orm === 'drizzle' && pair.database === 'sqlserver') {
+              continue;
+            }
+            if (!MATRIX.some((config) => config[first] === firstValue && config[second] === secondValue)) {
+              missing.push(`${first}=${firstValue} ${second}=${secondValue}`);
+            }
+          }
+        }
+      }
+    });
+
+    expect(missing).toEqual([]);
+  });
+
+  for (const config of MATRIX) {
+    const name = getConfigName(config);
+    const goldenFile = path.join(GOLDEN_DIR, `${name}.golden`);
+
+    describe(name, () => {
+      let project;
+
+      beforeAll(async () => {
+        const projectPath = path.join(tempDir, name);
+        await generateProject(projectPath, PROJECT_NAME, { ...config, install: false, git: false });
+        project = await readProject(projectPath);
+      });
+
+      if (UPDATE_GOLDEN) {
+        test('updates the golden file', async () => {
+          await fs.outputFile(goldenFile, formatGolden(config, project));
+        });
+        return;
+      }
+
+      if (!fs.existsSync(goldenFile)) {
+        test('has a golden file', () => {
+          throw new Error(`${path.relative(process.cwd(), goldenFile)} is missing. Create it with "npm run test:golden:update".`);
+        });
+        return;
+      }
+
+      const golden = parseGolden(fs.readFileSync(goldenFile, 'utf8'));
+
+      test('generates the same file tree', () => {
+        expect(project.tree).toEqual(golden.tree);
+      });
+
+      test.each([...golden.files.keys()])('%s', (file) => {
+        expect(project.files.get(file)).toBe(golden.files.get(file));
+      });
+    });
+  }
+});
+
+// Directories end in "/", so empty ones show up too. Only the executable bit of
+// the file mode is kept, the rest depends on the umask.
+async function readProject(projectPath) {
+  const tree = [];
+  const files = new Map();
+
+  async function walk(directory) {
+    const entries = (await fs.readdir(directory, { withFileTypes: true }))
+      .sort((a, b) => (a.name < b.name ? -1 : 1));
+
+    for (const entry of entries) {
+      const file = path.join(directory, entry.name);
+      const relative = path.relative(projectPath, file).split(path.sep).join('/');
+
+      if (entry.isDirectory()) {
+        tree.push(`${relative}/`);
+        await walk(file);
+        continue;
+      }
+
+      const { mode } = await fs.stat(file);
+      tree.push(mode & 0o111 ? `${relative} (executable)` : relative);
+      if (!UNCOMPARED_FILES.includes(relative)) {
+        files.set(relative, await fs.readFile(file, 'utf8'));
+      }
+    }
+  }
+
+  await walk(projectPath);
+  return { tree, files };
+}
+
+// A header, the file tree, then every file as "==> path <==" and its content
+function formatGolden(config, { tree, files }) {
+  const options = Object.keys(OPTIONS).map((option) => `${option}=${config[option]}`).join(' ');
+  const head = [
+    `# ${options}`,
+    '# Generated by tests/golden.test.js. Update with "npm run test:golden:update".',
+    '',
+    ...tree,
+    ''
+  ].join('\n');
+
+  return `${head}\n${[...files].map(([file, content]) => `==> ${file} <==\n${content}\n`).join('')}`;
+}
+
+function parseGolden(content) {
+  const [head, ...sections] = content.split(/^==> (.+) <==\n/m);
+  const tree = head.split('\n').filter((line) => line && !line.startsWith('#'));
+  const files = new Map();
+
+  for (let index = 0; index < sections.length; index += 2) {
+    // Drop the newline formatGolden puts after every file
+    files.set(sections[index], sections[index + 1].slice(0, -1));
+  }
+
+  return { tree, files };
+}
@@ -0,0 +1,123 @@
+// tests/manifest.test.js - kurdemy.json and Pristine Files
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  hashContent,
+  createManifest,
+  writeManifest,
+  readManifest,
+  isFilePristine
+} = require('../lib/manifest');
+const { version: cliVersion } = require('../package.json');
+
+const CONFIG = { frontend: 'vite', database: 'sqlite', orm: 'prisma' };
+
+describe('manifest', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-manifest-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  async function writeProject(files) {
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(projectPath, file), content);
+    }
+    const manifest = createManifest('app', CONFIG, Object.entries(files).map(([file, content]) => ({
+      path: file,
+      hash: hashContent(content)
+    })));
+    await writeManifest(projectPath, manifest);
+    return manifest;
+  }
+
+  describe('hashContent', () => {
+    test('hashes strings and buffers with the same content alike', () => {
+      expect(hashContent('hello\n')).toBe(hashContent(Buffer.from('hello\n')));
+      expect(hashContent('hello\n')).toMatch(/^sha256-[0-9a-f]{64}$/);
+      expect(hashContent('hello\n')).not.toBe(hashContent('hello'));
+    });
+
+    test('ignores CRLF line endings', () => {
+      expect(hashContent('one\r\ntwo\r\n')).toBe(hashContent('one\ntwo\n'));
+      expect(hashContent(Buffer.from('één\r\n'))).toBe(hashContent('één\n'));
+      expect(hashContent('one\rtwo')).not.toBe(hashContent('one\ntwo'));
+    });
+  });
+
+  describe('createManifest', () => {
+    test('records the config, the CLI version and the hashes sorted by path', () => {
+      const manifest = createManifest('app', CONFIG, [
+        { path: 'src/b.ts', hash: 'sha256-b' },
+        { path: 'README.md', hash: 'sha256-r' },
+        { path: 'src/a.ts', hash: 'sha256-a' }
+      ]);
+
+      expect(manifest).toEqual({
+        manifestVersion: MANIFEST_VERSION,
+        cliVersion,
+        name: 'app',
+        config: CONFIG,
+        files: { 'README.md': 'sha256-r', 'src/a.ts': 'sha256-a', 'src/b.ts': 'sha256-b' }
+      });
+      expect(Object.keys(manifest.files)).toEqual(['README.md', 'src/a.ts', 'src/b.ts']);
+    });
+  });
+
+  describe('readManifest', () => {
+    test('reads back what writeManifest wrote', async () => {
+      const manifest = await writeProject({ 'README.md': '# app\n' });
+
+      expect(await readManifest(projectPath)).toEqual(manifest);
+    });
+
+    test('resolves with null when there is no manifest', async () => {
+      expect(await readManifest(projectPath)).toBeNull();
+    });
+
+    test.each([
+      ['{ "manifestVersion": ', `Could not read ${MANIFEST_FILE}:`],
+      [JSON.stringify({ manifestVersion: 99, config: {}, files: {} }), `${MANIFEST_FILE} has manifest version 99`],
+      [JSON.stringify({ manifestVersion: MANIFEST_VERSION, config: {} }), `${MANIFEST_FILE} is missing its "config" or "files" section.`]
+    ])('rejects %s', async (content, message) => {
+      await fs.writeFile(path.join(projectPath, MANIFEST_FILE), content);
+
+      await expect(readManifest(projectPath)).rejects.toThrow(message);
+    });
+  });
+
+  describe('isFilePristine', () => {
+    test('is true for files as the templates wrote them', async () => {
+      const manifest = await writeProject({ 'README.md': '# app\n', 'src/main.ts': 'main();\n' });
+
+      expect(await isFilePristine(projectPath, manifest, 'README.md')).toBe(true);
+      expect(await isFilePristine(projectPath, manifest, 'src/main.ts')).toBe(true);
+    });
+
+    test('is still true after the line endings changed to CRLF', async () => {
+      const manifest = await writeProject({ 'README.md': '# app\n\nHello\n' });
+      await fs.writeFile(path.join(projectPath, 'README.md'), '# app\r\n\r\nHello\r\n');
+
+      expect(await isFilePristine(projectPath, manifest, 'README.md')).toBe(true);
+    });
+
+    test('is false for edited, deleted and unknown files', async () => {
+      const manifest = await writeProject({ 'README.md': '# app\n', 'src/main.ts': 'main();\n' });
+      await fs.appendFile(path.join(projectPath, 'README.md'), 'More\n');
+      await fs.remove(path.join(projectPath, 'src/main.ts'));
+      await fs.outputFile(path.join(projectPath, 'notes.txt'), 'mine\n');
+
+      expect(await isFilePristine(projectPath, manifest, 'README.md')).toBe(false);
+      expect(await isFilePristine(projectPath, manifest, 'src/main.ts')).toBe(false);
+      expect(await isFilePristine(projectPath, manifest, 'notes.txt')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+// tests/matrix.js - Stack Configs Shared by the Golden Files and the Compile Check
+
+const OPTIONS = {
+  frontend: ['nextjs', 'react', 'vite'],
+  database: ['postgresql', 'mysql', 'sqlite', 'sqlserver'],
+  orm: ['prisma', 'drizzle'],
+  trpc: [true, false],
+  auth: [true, false],
+  tailwind: [true, false],
+  docker: [true, false],
+  packageManager: ['npm', 'yarn', 'pnpm']
+};
+
+// Every pair of option values appears in at least one config (checked in
+// golden.test.js), which takes 12 projects instead of all 1008 valid combinations
+const MATRIX = [
+  { frontend: 'nextjs', database: 'postgresql', orm: 'prisma', trpc: false, auth: true, tailwind: false, docker: false, packageManager: 'yarn' },
+  { frontend: 'nextjs', database: 'mysql', orm: 'prisma', trpc: true, auth: false, tailwind: false, docker: true, packageManager: 'yarn' },
+  { frontend: 'nextjs', database: 'sqlite', orm: 'drizzle', trpc: false, auth: false, tailwind: false, docker: true, packageManager: 'npm' },
+  { frontend: 'nextjs', database: 'sqlserver', orm: 'prisma', trpc: false, auth: true, tailwind: true, docker: false, packageManager: 'pnpm' },
+  { frontend: 'react', database: 'postgresql', orm: 'prisma', trpc: false, auth: true, tailwind: true, docker: true, packageManager: 'npm' },
+  { frontend: 'react', database: 'mysql', orm: 'drizzle', trpc: false, auth: false, tailwind: false, docker: false, packageManager: 'npm' },
+  { frontend: 'react', database: 'sqlite', orm: 'prisma', trpc: true, auth: false, tailwind: true, docker: true, packageManager: 'pnpm' },
+  { frontend: 'react', database: 'sqlserver', orm: 'prisma', trpc: true, auth: false, tailwind: true, docker: true, packageManager: 'yarn' },
+  { frontend: 'vite', database: 'postgresql', orm: 'drizzle', trpc: true, auth: false, tailwind: false, docker: false, packageManager: 'pnpm' },
+  { frontend: 'vite', database: 'mysql', orm: 'prisma', trpc: true, auth: true, tailwind: true, docker: false, packageManager: 'pnpm' },
+  { frontend: 'vite', database: 'sqlite', orm: 'drizzle', trpc: false, auth: true, tailwind: true, docker: false, packageManager: 'yarn' },
+  { frontend: 'vite', database: 'sqlserver', orm: 'prisma', trpc: true, auth: true, tailwind: false, docker: true, packageManager: 'npm' }
+];
+
+// nextjs-prisma-postgresql-auth-yarn
+function getConfigName(config) {
+  const features = ['trpc', 'auth', 'tailwind', 'docker'].filter((feature) => config[feature]);
+  return [config.frontend, config.orm, config.database, ...features, config.packageManager].join('-');
+}
+
+module.exports = {
+  OPTIONS,
+  MATRIX,
+  getConfigName
+};
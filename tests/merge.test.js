@@ -0,0 +1,187 @@
+// tests/merge.test.js - Merging Generated Content into Edited Files
+
+const { mergePackageJson, mergeThreeWay, mergeEnvFile, mergeNestModule } = require('../lib/merge');
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+describe('mergePackageJson', () => {
+  const baseline = json({ name: 'app', scripts: { dev: 'nest start' }, dependencies: { rxjs: '^7.8.0' } });
+
+  test('adds only the keys that are new in the generated file', () => {
+    const current = json({ name: 'mine', scripts: { dev: 'nest start --watch' }, dependencies: { rxjs: '^7.0.0' } });
+    const generated = json({
+      name: 'app',
+      scripts: { dev: 'nest start', 'db:push': 'prisma db push' },
+      dependencies: { rxjs: '^7.8.0', zod: '^3.22.0' },
+      prisma: { seed: 'ts-node prisma/seed.ts' }
+    });
+
+    expect(JSON.parse(mergePackageJson(current, generated, baseline))).toEqual({
+      name: 'mine',
+      scripts: { dev: 'nest start --watch', 'db:push': 'prisma db push' },
+      dependencies: { rxjs: '^7.0.0', zod: '^3.22.0' },
+      prisma: { seed: 'ts-node prisma/seed.ts' }
+    });
+  });
+
+  test('does not bring back keys the user removed', () => {
+    const current = json({ name: 'app', scripts: {}, dependencies: {} });
+    const generated = json({ name: 'app', scripts: { dev: 'nest start' }, dependencies: { rxjs: '^7.8.0', zod: '^3.22.0' } });
+
+    expect(JSON.parse(mergePackageJson(current, generated, baseline))).toEqual({
+      name: 'app',
+      scripts: {},
+      dependencies: { zod: '^3.22.0' }
+    });
+  });
+
+  test('keeps the version the user already picked for a new dependency', () => {
+    const current = json({ name: 'app', dependencies: { rxjs: '^7.8.0', zod: '^3.0.0' } });
+    const generated = json({ name: 'app', dependencies: { rxjs: '^7.8.0', zod: '^3.22.0' } });
+
+    expect(mergePackageJson(current, generated, baseline)).toBe(current);
+  });
+});
+
+describe('mergeThreeWay', () => {
+  const lines = (...values) => values.map((value) => `${value}\n`).join('');
+  const base = lines('one', 'two', 'three', 'four', 'five');
+
+  test('keeps the file when neither side changed it', () => {
+    expect(mergeThreeWay(base, base, base)).toEqual({ content: base, conflicts: 0 });
+  });
+
+  test('takes the edits of whichever side made them', () => {
+    const ours = lines('one', 'TWO', 'three', 'four', 'five');
+    const theirs = lines('one', 'two', 'three', 'four', 'FIVE');
+
+    expect(mergeThreeWay(ours, base, base)).toEqual({ content: ours, conflicts: 0 });
+    expect(mergeThreeWay(base, base, theirs)).toEqual({ content: theirs, conflicts: 0 });
+    expect(mergeThreeWay(ours, base, theirs)).toEqual({
+      content: lines('one', 'TWO', 'three', 'four', 'FIVE'),
+      conflicts: 0
+    });
+  });
+
+  test('takes an edit both sides made once', () => {
+    const both = lines('one', 'two', 'THREE', 'four', 'five');
+
+    expect(mergeThreeWay(both, base, both)).toEqual({ content: both, conflicts: 0 });
+  });
+
+  test('marks edits to the same lines as conflicts', () => {
+    const ours = lines('ONE', 'two', 'three', 'four', 'mine');
+    const theirs = lines('1', 'two', 'three', 'four', 'theirs');
+
+    expect(mergeThreeWay(ours, base, theirs)).toEqual({
+      content: lines(
+        '<<<<<<< yours', 'ONE', '=======', '1', '>>>>>>> template',
+        'two', 'three', 'four',
+        '<<<<<<< yours', 'mine', '=======', 'theirs', '>>>>>>> template'
+      ),
+      conflicts: 2
+    });
+  });
+
+  test('labels the conflict markers', () => {
+    const { content } = mergeThreeWay(lines('mine'), lines('base'), lines('theirs'), {
+      current: 'my-app',
+      next: 'create-kurdemy-app 2.0.0'
+    });
+
+    expect(content).toBe(lines('<<<<<<< my-app', 'mine', '=======', 'theirs', '>>>>>>> create-kurdemy-app 2.0.0'));
+  });
+
+  test('handles files without a trailing newline', () => {
+    const noNewline = 'one\ntwo\nthree';
+
+    expect(mergeThreeWay('ONE\ntwo\nthree', noNewline, 'one\ntwo\nTHREE')).toEqual({
+      content: 'ONE\ntwo\nTHREE',
+      conflicts: 0
+    });
+    // The markers still start on lines of their own
+    expect(mergeThreeWay('one\ntwo\nmine', noNewline, 'one\ntwo\ntheirs')).toEqual({
+      content: lines('one', 'two', '<<<<<<< yours', 'mine', '=======', 'theirs', '>>>>>>> template'),
+      conflicts: 1
+    });
+  });
+
+  test('applies lines deleted on one side', () => {
+    const withoutTwo = lines('one', 'three', 'four', 'five');
+    const withoutFour = lines('one', 'two', 'three', 'five');
+
+    expect(mergeThreeWay(withoutTwo, base, base)).toEqual({ content: withoutTwo, conflicts: 0 });
+    expect(mergeThreeWay(base, base, withoutFour)).toEqual({ content: withoutFour, conflicts: 0 });
+    expect(mergeThreeWay(withoutTwo, base, withoutFour)).toEqual({
+      content: lines('one', 'three', 'five'),
+      conflicts: 0
+    });
+  });
+
+  test('marks lines deleted on one side and edited on the other as a conflict', () => {
+    const ours = lines('one', 'three', 'four', 'five');
+    const theirs = lines('one', 'TWO', 'three', 'four', 'five');
+
+    expect(mergeThreeWay(ours, base, theirs)).toEqual({
+      content: lines('one', '<<<<<<< yours', '=======', 'TWO', '>>>>>>> template', 'three', 'four', 'five'),
+      conflicts: 1
+    });
+  });
+});
+
+describe('mergeEnvFile', () => {
+  const baseline = '# Database\nDATABASE_URL="file:./dev.db"\n';
+
+  test('appends new variables with the comments above them', () => {
+    const current = '# Database\nDATABASE_URL="file:./mine.db"\nMY_SECRET=1\n';
+    const generated = `${baseline}\n# tRPC Configuration\nTRPC_ENDPOINT=http://localhost:4000/api/trpc\n`;
+
+    expect(mergeEnvFile(current, generated, baseline)).toBe(
+      `${current}\n# tRPC Configuration\nTRPC_ENDPOINT=http://localhost:4000/api/trpc\n`
+    );
+  });
+
+  test('leaves the file as it is when every variable is defined or was removed', () => {
+    const current = 'export TRPC_ENDPOINT=http://api/trpc\n';
+    const generated = `${baseline}TRPC_ENDPOINT=http://localhost:4000/api/trpc\n`;
+
+    expect(mergeEnvFile(current, generated, baseline)).toBe(current);
+  });
+});
+
+describe('mergeNestModule', () => {
+  const baseline = [
+    "import { Module } from '@nestjs/common';",
+    "import { UsersModule } from './modules/users/users.module';",
+    '',
+    '@Module({',
+    '  imports: [',
+    '    UsersModule,',
+    '  ],',
+    '})',
+    'export class AppModule {}',
+    ''
+  ].join('\n');
+  const generated = baseline
+    .replace("users.module';", "users.module';\nimport { TrpcModule } from './trpc/trpc.module';")
+    .replace('    UsersModule,\n', '    UsersModule,\n    TrpcModule,\n');
+
+  test('imports and registers modules that are new in the generated file', () => {
+    const current = `// Edited\n${baseline}`;
+
+    expect(mergeNestModule(current, generated, baseline)).toBe(`// Edited\n${generated}`);
+  });
+
+  test('registers the module in a single-line imports array', () => {
+    const current = baseline.replace('  imports: [\n    UsersModule,\n  ],', '  imports: [UsersModule],');
+
+    expect(mergeNestModule(current, generated, baseline)).toContain('  imports: [UsersModule, TrpcModule],');
+  });
+
+  test('does not register a module the user already has or removed', () => {
+    expect(mergeNestModule(generated, generated, baseline)).toBe(generated);
+
+    const withoutUsers = baseline.replace('    UsersModule,\n', '');
+    expect(mergeNestModule(withoutUsers, generated, baseline)).not.toMatch(/^\s+UsersModule,$/m);
+  });
+});
@@ -0,0 +1,231 @@
+// tests/page.test.js - Generating Frontend Pages
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createPage, generatePage } = require('../lib/page');
+const { generateProject } = require('../lib/generator');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+
+const CONFIG = { ...DEFAULT_CONFIG, install: false, git: false };
+
+const ROUTES = 'src/frontend/src/routes.tsx';
+const APP = 'src/frontend/src/App.tsx';
+const NAVBAR = 'src/frontend/src/components/ui/Navbar.tsx';
+
+// An App.tsx from before the route table
+const OLD_APP = `import React from 'react';
+import { Routes, Route } from 'react-router-dom';
+import { Home } from './pages/Home';
+import { About } from './pages/About';
+
+export default function App() {
+  return (
+    <Routes>
+      <Route path="/" element={<Home />} />
+      <Route path="/about" element={<About />} />
+    </Routes>
+  );
+}
+`;
+
+describe('createPage', () => {
+  test('names the page after the last static segment of the route', () => {
+    expect(createPage('/settings/user-profile')).toEqual({
+      route: '/settings/user-profile',
+      reactRoute: '/settings/user-profile',
+      nextDirectory: 'settings/user-profile',
+      reactFile: 'src/pages/settings/UserProfile.tsx',
+      reactImport: './pages/settings/UserProfile',
+      name: 'UserProfile',
+      label: 'User profile',
+      params: []
+    });
+  });
+
+  test('accepts [param] and :param segments for dynamic routes', () => {
+    const page = createPage('products/:id');
+
+    expect(page).toEqual(createPage('/products/[id]'));
+    expect(page).toMatchObject({
+      route: '/products/[id]',
+      reactRoute: '/products/:id',
+      reactFile: 'src/pages/products/ProductsDetail.tsx',
+      name: 'ProductsDetail',
+      params: ['id']
+    });
+  });
+
+  test.each([
+    ['/Settings', undefined, 'Invalid route segment "Settings".'],
+    ['/[id]', undefined, '"/[id]" is not a valid page route.'],
+    ['', undefined, '"" is not a valid page route.'],
+    ['/settings', 'settingsPage', '"settingsPage" is not a valid component name.']
+  ])('rejects %s with the name %s', (route, name, message) => {
+    expect(() => createPage(route, name)).toThrow(message);
+  });
+});
+
+describe('generatePage', () => {
+  let tempDir;
+  let projectPath;
+
+  const file = (relative) => path.join(projectPath, relative);
+  const read = (relative) => fs.readFile(file(relative), 'utf8');
+
+  async function createProject(overrides) {
+    projectPath = path.join(tempDir, 'app');
+    await generateProject(projectPath, 'app', { ...CONFIG, ...overrides });
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-page-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('in a React project', () => {
+    beforeEach(async () => {
+      await createProject({ frontend: 'react' });
+    });
+
+    test('registers the route in front of the catch-all route', async () => {
+      const report = await generatePage(projectPath, '/pricing');
+
+      expect(report.created).toEqual(['src/frontend/src/pages/Pricing.tsx']);
+      expect(report.updated).toEqual([ROUTES, NAVBAR]);
+      expect(await fs.pathExists(file('src/frontend/src/pages/Pricing.tsx'))).toBe(true);
+
+      const routes = await read(ROUTES);
+      expect(routes).toContain("import { NotFound } from './pages/NotFound';\nimport { Pricing } from './pages/Pricing';\n");
+      expect(routes).toContain([
+        "      { path: 'contact', element: <Contact /> },",
+        "      { path: 'pricing', element: <Pricing /> },",
+        "      { path: '*', element: <NotFound /> },"
+      ].join('\n'));
+    });
+
+    test('wraps the page for --loading and --error', async () => {
+      await generatePage(projectPath, '/settings/profile', { loading: true, error: true });
+
+      const routes = await read(ROUTES);
+      expect(routes).toMatch(/^import React, { lazy, Suspense } from 'react';$/m);
+      expect(routes).toContain("import { Loading } from './components/ui/Loading';");
+      expect(routes).toContain("import { ErrorBoundary } from './components/ui/ErrorBoundary';");
+      expect(routes).toContain(
+        "\n\nconst Profile = lazy(() => import('./pages/settings/Profile').then((module) => ({ default: module.Profile })));\n"
+      );
+      expect(routes).not.toContain("import { Profile }");
+      expect(routes).toContain(
+        "      { path: 'settings/profile', element: <ErrorBoundary><Suspense fallback={<Loading />}><Profile /></Suspense></ErrorBoundary> },\n"
+      );
+    });
+
+    test('registers the route in the <Routes> of an older App.tsx', async () => {
+      await fs.remove(file(ROUTES));
+      await fs.writeFile(file(APP), OLD_APP);
+
+      const report = await generatePage(projectPath, '/products/[id]');
+
+      expect(report.updated).toEqual([APP]);
+      expect(await read(APP)).toBe(OLD_APP
+        .replace("'./pages/About';\n", "'./pages/About';\nimport { ProductsDetail } from './pages/products/ProductsDetail';\n")
+        .replace('    </Routes>', '      <Route path="/products/:id" element={<ProductsDetail />} />\n    </Routes>'));
+    });
+
+    test('copies the About links of the navbar for the page', async () => {
+      await generatePage(projectPath, '/pricing');
+
+      const navbar = await read(NAVBAR);
+      const links = navbar.match(/<Link\s+to="\/pricing"[\s\S]*?<\/Link>/g);
+      expect(links).toHaveLength(2);
+      expect(links[0]).toContain("isActive('/pricing')");
+      for (const link of links) {
+        expect(link).toMatch(/>\s*Pricing\s*<\/Link>$/);
+      }
+      // Right after the About link they were copied from
+      expect(navbar.indexOf('to="/pricing"')).toBeGreaterThan(navbar.indexOf('to="/about"'));
+      expect(navbar.indexOf('to="/pricing"')).toBeLessThan(navbar.indexOf('to="/contact"'));
+    });
+
+    test('leaves the navbar alone for dynamic routes, --no-nav and pages it already links', async () => {
+      const navbar = await read(NAVBAR);
+
+      expect((await generatePage(projectPath, '/products/[id]')).updated).toEqual([ROUTES]);
+      expect((await generatePage(projectPath, '/pricing', { nav: false })).updated).toEqual([ROUTES]);
+      expect(await read(NAVBAR)).toBe(navbar);
+
+      await fs.writeFile(file(NAVBAR), navbar.replace('to="/contact"', 'to="/faq"'));
+      await generatePage(projectPath, '/faq', { name: 'Faq' });
+      expect(await read(NAVBAR)).toBe(navbar.replace('to="/contact"', 'to="/faq"'));
+    });
+
+    test('skips a navbar without an About link to copy', async () => {
+      await fs.writeFile(file(NAVBAR), 'export function Navbar() {\n  return <nav />;\n}\n');
+
+      const report = await generatePage(projectPath, '/pricing');
+
+      expect(report.skipped).toEqual([NAVBAR]);
+      expect(report.updated).toEqual([ROUTES]);
+      expect(await read(NAVBAR)).toBe('export function Navbar() {\n  return <nav />;\n}\n');
+    });
+
+    test('writes nothing when the router has no place for the route', async () => {
+      const navbar = await read(NAVBAR);
+      await fs.writeFile(file(ROUTES), (await read(ROUTES)).replace("      { path: '*', element: <NotFound /> },\n", ''));
+
+      await expect(generatePage(projectPath, '/pricing')).rejects.toThrow(
+        "Could not find the catch-all { path: '*' } route of src/frontend/src/routes.tsx to register the page in front of."
+      );
+
+      await fs.remove(file(ROUTES));
+      await fs.writeFile(file(APP), OLD_APP.replace(/<\/?Routes>/g, ''));
+      await expect(generatePage(projectPath, '/pricing')).rejects.toThrow(
+        'Could not find the <Routes> of src/frontend/src/App.tsx to register the page in.'
+      );
+
+      expect(await fs.pathExists(file('src/frontend/src/pages/Pricing.tsx'))).toBe(false);
+      expect(await read(NAVBAR)).toBe(navbar);
+    });
+
+    test('refuses pages that clash with existing ones', async () => {
+      await expect(generatePage(projectPath, '/about')).rejects.toThrow('src/frontend/src/pages/About.tsx already exists.');
+      await expect(generatePage(projectPath, '/company/about')).rejects.toThrow(
+        'src/frontend/src/routes.tsx already imports a About component. Pick another name with --name.'
+      );
+      await expect(generatePage(projectPath, '/contact', { name: 'ContactUs' })).rejects.toThrow(
+        'src/frontend/src/routes.tsx already has a route for /contact.'
+      );
+      await expect(generatePage(projectPath, '/account', { protected: true })).rejects.toThrow(
+        'Protected pages need authentication. Add it first with "create-kurdemy-app add auth".'
+      );
+    });
+  });
+
+  describe('in a Next.js project', () => {
+    beforeEach(async () => {
+      await createProject({ frontend: 'nextjs' });
+    });
+
+    test('adds an app directory route and links it from the navbar', async () => {
+      const report = await generatePage(projectPath, '/pricing', { loading: true, error: true });
+
+      expect(report.created).toEqual([
+        'src/frontend/app/pricing/page.tsx',
+        'src/frontend/app/pricing/loading.tsx',
+        'src/frontend/app/pricing/error.tsx'
+      ]);
+      expect(report.updated).toEqual(['src/frontend/components/ui/navbar.tsx']);
+      for (const created of report.created) {
+        expect(await fs.pathExists(file(created))).toBe(true);
+      }
+
+      const navbar = await read('src/frontend/components/ui/navbar.tsx');
+      expect(navbar.match(/<Link href="\/pricing"[^>]*>\s*Pricing\s*<\/Link>/g)).toHaveLength(2);
+
+      await expect(generatePage(projectPath, '/pricing')).rejects.toThrow('src/frontend/app/pricing/page.tsx already exists.');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// tests/presets.test.js - Built-in and Saved Presets
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadPresets, resolvePreset, savePreset, BUILT_IN_PRESETS, DEFAULT_CONFIG } = require('../lib/presets');
+const { runPresetsCommand } = require('../lib/commands/presets');
+const { createProject } = require('../lib');
+
+describe('presets', () => {
+  const originalCwd = process.cwd();
+  let homeDir;
+  let cwd;
+  let locations;
+
+  const userFile = () => path.join(homeDir, '.kurdemyrc');
+  const projectFile = () => path.join(cwd, 'kurdemy.config.json');
+
+  beforeEach(async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-presets-'));
+    homeDir = path.join(tempDir, 'home');
+    cwd = path.join(tempDir, 'work');
+    await fs.ensureDir(homeDir);
+    await fs.ensureDir(cwd);
+    locations = { homeDir, cwd };
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    await fs.remove(path.dirname(homeDir));
+  });
+
+  describe('loadPresets', () => {
+    test('lists the built-in presets when no file exists', () => {
+      const presets = loadPresets(locations);
+
+      expect(Object.keys(presets)).toEqual(Object.keys(BUILT_IN_PRESETS));
+      expect(presets.full).toMatchObject({ source: 'built-in', options: BUILT_IN_PRESETS.full.options });
+    });
+
+    test('lets kurdemy.config.json win over ~/.kurdemyrc', async () => {
+      await fs.writeJson(userFile(), { presets: { team: { description: 'Mine', frontend: 'react' }, solo: { orm: 'drizzle' } } });
+      await fs.writeJson(projectFile(), { presets: { team: { frontend: 'vite', trpc: true } } });
+
+      const presets = loadPresets(locations);
+
+      expect(presets.team).toEqual({ description: '', options: { frontend: 'vite', trpc: true }, source: 'project', file: projectFile() });
+      expect(presets.solo).toEqual({ description: '', options: { orm: 'drizzle' }, source: 'user', file: userFile() });
+    });
+
+    test('names the file it cannot read', async () => {
+      await fs.writeFile(userFile(), '{ "presets": ');
+
+      expect(() => loadPresets(locations)).toThrow(`Could not read presets from ${userFile()}`);
+    });
+  });
+
+  describe('savePreset', () => {
+    test('stores only the stack options and keeps the other presets', async () => {
+      await fs.writeJson(userFile(), { presets: { solo: { orm: 'drizzle' } } });
+
+      const file = savePreset('team', { frontend: 'react', trpc: true, install: false, git: false, dryRun: true }, { ...locations, description: 'Ours' });
+
+      expect(file).toBe(userFile());
+      expect(await fs.readJson(userFile())).toEqual({
+        presets: {
+          solo: { orm: 'drizzle' },
+          team: { description: 'Ours', frontend: 'react', trpc: true }
+        }
+      });
+    });
+
+    test('writes project presets to kurdemy.config.json', async () => {
+      savePreset('team', { database: 'sqlite' }, { ...locations, scope: 'project' });
+
+      expect(await fs.readJson(projectFile())).toEqual({ presets: { team: { database: 'sqlite' } } });
+      expect(await fs.pathExists(userFile())).toBe(false);
+    });
+
+    test.each([
+      ['full', { frontend: 'react' }, '"full" is a built-in preset and cannot be overwritten.'],
+      ['team', { orm: 'drizzle', database: 'sqlserver' }, 'Preset "team" is invalid: Drizzle does not support SQL Server.']
+    ])('refuses to save %s %j', (name, options, message) => {
+      expect(() => savePreset(name, options, locations)).toThrow(message);
+    });
+  });
+
+  describe('presets save', () => {
+    beforeEach(() => {
+      jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      process.chdir(cwd);
+    });
+
+    test('copies only the options the base preset sets', async () => {
+      runPresetsCommand(['save', 'team', '--preset', 'full', '--no-docker', '--package-manager', 'pnpm']);
+
+      expect((await fs.readJson(userFile())).presets.team).toEqual({
+        ...BUILT_IN_PRESETS.full.options,
+        docker: false,
+        packageManager: 'pnpm'
+      });
+    });
+
+    test.each([
+      [['--frontend', 'react', '--dry-run'], 'Leave out --dry-run.'],
+      [['--no-install', '--no-git'], 'Leave out --install, --git.'],
+      [['--dir', 'apps/web'], 'Leave out --dir.']
+    ])('refuses run options in %j', (args, message) => {
+      expect(() => runPresetsCommand(['save', 'team', ...args])).toThrow(message);
+      expect(fs.pathExistsSync(userFile())).toBe(false);
+    });
+  });
+
+  describe('precedence', () => {
+    beforeEach(async () => {
+      jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+      process.chdir(cwd);
+      await fs.writeJson(userFile(), { presets: { team: { frontend: 'react', database: 'mysql', trpc: true } } });
+    });
+
+    test('resolves a preset against the defaults', () => {
+      expect(resolvePreset('team')).toEqual({ ...DEFAULT_CONFIG, frontend: 'react', database: 'mysql', trpc: true });
+    });
+
+    test('takes kurdemy.config.json over ~/.kurdemyrc, and flags over both', async () => {
+      await fs.writeJson(projectFile(), { presets: { team: { frontend: 'vite', tailwind: true } } });
+
+      const { config } = await createProject({ name: 'app', preset: 'team', tailwind: false, dryRun: true });
+
+      expect(config).toMatchObject({ frontend: 'vite', database: DEFAULT_CONFIG.database, trpc: false, tailwind: false });
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// tests/project-target.test.js - Package Names and Target Directories
+
+const path = require('path');
+const { validateProjectName } = require('../lib/validator');
+const { resolveProjectTarget } = require('../lib/project');
+
+describe('validateProjectName', () => {
+  test.each([
+    ['my-app', 'my-app'],
+    ['MyApp', 'myapp'],
+    ['@acme/portal', '@acme/portal'],
+    ['@Acme/Portal', '@acme/portal']
+  ])('derives the package name for %s', (name, packageName) => {
+    expect(validateProjectName(name)).toEqual({ valid: true, packageName });
+  });
+
+  test.each([
+    ['@acme', 'Scoped project names must look like @scope/name.'],
+    ['@acme/portal/web', 'Scoped project names must look like @scope/name.'],
+    ['@acme/.portal', 'Project name cannot start with a dot, hyphen or underscore.'],
+    ['_private', 'Project name cannot start with a dot, hyphen or underscore.'],
+    ['my app', 'Project name can only contain letters, numbers, hyphens, underscores, and dots.'],
+    ['http', '"http" is a Node.js core module and cannot be used as a project name.'],
+    ['@acme/src', '"@acme/src" is a reserved name and cannot be used as a project name.']
+  ])('rejects %s', (name, error) => {
+    expect(validateProjectName(name)).toEqual({ valid: false, error });
+  });
+});
+
+describe('resolveProjectTarget', () => {
+  const cwd = path.resolve('/work/projects');
+
+  test.each([
+    ['my-app', {}, 'my-app', path.join(cwd, 'my-app')],
+    ['@acme/portal', {}, '@acme/portal', path.join(cwd, 'portal')],
+    ['.', {}, 'projects', cwd],
+    ['apps/portal', {}, 'portal', path.join(cwd, 'apps/portal')],
+    ['@acme/portal', { dir: 'packages/web' }, '@acme/portal', path.join(cwd, 'packages/web')],
+    [undefined, { dir: '.' }, undefined, cwd],
+    [undefined, {}, undefined, undefined]
+  ])('splits %s %j into the name and the directory', (target, options, name, directory) => {
+    expect(resolveProjectTarget(target, { ...options, cwd })).toEqual({ name, directory });
+  });
+});
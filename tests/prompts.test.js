@@ -0,0 +1,248 @@
+// tests/prompts.test.js - Interactive Prompts and the Setup Wizard
+
+const { PassThrough } = require('stream');
+const { createPrompter } = require('../lib/prompts');
+const { runWizard } = require('../lib/wizard');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+
+const stripColors = (text) => text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+
+function createLineSession(answers) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', (chunk) => {
+    written += chunk;
+  });
+
+  input.end(answers.map((answer) => `${answer}\n`).join(''));
+  return { prompter: createPrompter({ input, output }), getOutput: () => stripColors(written) };
+}
+
+function createTerminalSession() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  input.isTTY = true;
+  input.setRawMode = jest.fn();
+  output.isTTY = true;
+  let written = '';
+  output.on('data', (chunk) => {
+    written += chunk;
+  });
+
+  return {
+    prompter: createPrompter({ input, output }),
+    press: (...keys) => keys.forEach((key) => input.write(key)),
+    getOutput: () => stripColors(written)
+  };
+}
+
+const FRONTENDS = [
+  { title: 'Next.js', value: 'nextjs' },
+  { title: 'React', value: 'react' },
+  { title: 'React + Vite', value: 'vite' }
+];
+
+const KEYS = { up: '\x1b[A', down: '\x1b[B', enter: '\r', space: ' ', backspace: '\x7f', ctrlC: '\x03' };
+
+describe('line prompts', () => {
+  test('select takes a number, a value or a title and asks again on anything else', async () => {
+    const { prompter, getOutput } = createLineSession(['4', '2', 'vite', 'react + vite', '']);
+
+    expect(await prompter.select({ message: 'Frontend', choices: FRONTENDS })).toBe('react');
+    expect(await prompter.select({ message: 'Frontend', choices: FRONTENDS })).toBe('vite');
+    expect(await prompter.select({ message: 'Frontend', choices: FRONTENDS })).toBe('vite');
+    expect(await prompter.select({ message: 'Frontend', choices: FRONTENDS, initial: 'react' })).toBe('react');
+    expect(getOutput()).toContain('✖ Enter a number from 1 to 3.');
+  });
+
+  test('multiselect keeps the order of the choices', async () => {
+    const { prompter, getOutput } = createLineSession(['vite, 7', '3, nextjs', '', 'none']);
+    const choices = FRONTENDS.map((choice) => ({ ...choice, selected: choice.value === 'react' }));
+
+    expect(await prompter.multiselect({ message: 'Pick', choices })).toEqual(['nextjs', 'vite']);
+    expect(await prompter.multiselect({ message: 'Pick', choices })).toEqual(['react']);
+    expect(await prompter.multiselect({ message: 'Pick', choices })).toEqual([]);
+    expect(getOutput()).toContain('✖ "7" is not one of the choices.');
+  });
+
+  test('text shows the validation error until the answer is valid', async () => {
+    const { prompter, getOutput } = createLineSession(['bad name', 'good-name']);
+    const validate = (name) => (name.includes(' ') ? 'No spaces.' : undefined);
+
+    expect(await prompter.text({ message: 'Name', validate })).toBe('good-name');
+    expect(getOutput()).toContain('✖ No spaces.');
+  });
+
+  test('confirm falls back to the default and rejects other answers', async () => {
+    const { prompter, getOutput } = createLineSession(['maybe', 'n', '']);
+
+    expect(await prompter.confirm({ message: 'Install?', initial: true })).toBe(false);
+    expect(await prompter.confirm({ message: 'Install?', initial: true })).toBe(true);
+    expect(getOutput()).toContain('✖ Answer y or n.');
+  });
+
+  test('fails instead of guessing when the input ends', async () => {
+    const { prompter } = createLineSession([]);
+
+    await expect(prompter.select({ message: 'Frontend', choices: FRONTENDS })).rejects.toThrow('Input ended');
+  });
+});
+
+describe('terminal prompts', () => {
+  test('select moves with the arrow keys and wraps around', async () => {
+    const { prompter, press, getOutput } = createTerminalSession();
+
+    const answer = prompter.select({ message: 'Frontend', choices: FRONTENDS });
+    press(KEYS.up, KEYS.down, KEYS.down, KEYS.enter);
+
+    expect(await answer).toBe('react');
+    expect(getOutput()).toContain('✔ Frontend · React');
+  });
+
+  test('select shows the validation error inline', async () => {
+    const { prompter, press, getOutput } = createTerminalSession();
+    const validate = (value) => (value === 'nextjs' ? 'Not this one.' : undefined);
+
+    const answer = prompter.select({ message: 'Frontend', choices: FRONTENDS, validate });
+    press(KEYS.enter, KEYS.down, KEYS.enter);
+
+    expect(await answer).toBe('react');
+    expect(getOutput()).toContain('✖ Not this one.');
+  });
+
+  test('multiselect toggles with space', async () => {
+    const { prompter, press } = createTerminalSession();
+
+    const answer = prompter.multiselect({ message: 'Pick', choices: FRONTENDS });
+    press(KEYS.space, KEYS.down, KEYS.down, KEYS.space, KEYS.up, KEYS.up, KEYS.space, KEYS.enter);
+
+    expect(await answer).toEqual(['vite']);
+  });
+
+  test('text edits and validates the answer', async () => {
+    const { prompter, press, getOutput } = createTerminalSession();
+    const validate = (name) => (name.includes(' ') ? 'No spaces.' : undefined);
+
+    const answer = prompter.text({ message: 'Name', validate });
+    press('a', ' ', 'b', KEYS.enter, KEYS.backspace, KEYS.backspace, '-', 'b', KEYS.enter);
+
+    expect(await answer).toBe('a-b');
+    expect(getOutput()).toContain('✖ No spaces.');
+  });
+
+  test('ctrl+c cancels and gives the terminal back', async () => {
+    const { prompter, press } = createTerminalSession();
+
+    const answer = prompter.confirm({ message: 'Install?' });
+    press(KEYS.ctrlC);
+
+    await expect(answer).rejects.toMatchObject({ code: 'CANCELLED' });
+  });
+});
+
+describe('setup wizard', () => {
+  // Answers each prompt from a queue, keyed by the prompt's message
+  function createScriptedPrompter(answers, { interactive = true } = {}) {
+    const asked = [];
+    const answer = ({ message, validate }) => {
+      asked.push(message);
+      const queue = answers[message];
+      if (!queue || queue.length === 0) {
+        throw new Error(`Unexpected question "${message}"`);
+      }
+      for (;;) {
+        const value = queue.shift();
+        const error = validate && validate(value);
+        if (!error) return Promise.resolve(value);
+        asked.push(`${message}: ${error}`);
+      }
+    };
+
+    return { interactive, asked, text: answer, select: answer, multiselect: answer, confirm: answer, print: () => {} };
+  }
+
+  test('asks only for the options the flags leave open', async () => {
+    const prompter = createScriptedPrompter({
+      Database: ['mysql'],
+      Features: [['auth', 'docker']],
+      'Create the project?': ['create']
+    });
+
+    const { projectName, config } = await runWizard(prompter, {
+      projectName: 'my-app',
+      flags: { frontend: 'vite', orm: 'drizzle', packageManager: 'pnpm', trpc: true, tailwind: false },
+      defaults: DEFAULT_CONFIG,
+      dryRun: true
+    });
+
+    expect(projectName).toBe('my-app');
+    expect(prompter.asked).toEqual(['Database', 'Features', 'Create the project?']);
+    expect(config).toMatchObject({ frontend: 'vite', database: 'mysql', orm: 'drizzle', trpc: true, auth: true, tailwind: false, docker: true });
+  });
+
+  test('validates the project name and incompatible answers inline', async () => {
+    const prompter = createScriptedPrompter({
+      'Project name': ['Not Valid!', 'portal'],
+      Database: ['sqlserver'],
+      ORM: ['drizzle', 'prisma']
+    }, { interactive: false });
+
+    const { projectName, config } = await runWizard(prompter, {
+      flags: { frontend: 'nextjs', packageManager: 'npm', trpc: false, auth: false, tailwind: false, docker: false, install: false, git: false },
+      defaults: DEFAULT_CONFIG
+    });
+
+    expect(projectName).toBe('portal');
+    expect(config).toMatchObject({ database: 'sqlserver', orm: 'prisma' });
+    expect(prompter.asked).toContain('Project name: Project name can only contain letters, numbers, hyphens, underscores, and dots.');
+    expect(prompter.asked).toContain('ORM: Drizzle does not support SQL Server. Use Prisma or choose another database.');
+  });
+
+  test('rejects a database the ORM from the flags does not support', async () => {
+    const prompter = createScriptedPrompter({
+      Database: ['sqlserver', 'postgresql']
+    }, { interactive: false });
+
+    const { config } = await runWizard(prompter, {
+      projectName: 'portal',
+      flags: { frontend: 'vite', orm: 'drizzle', packageManager: 'npm', trpc: false, auth: true, tailwind: false, docker: false, install: false, git: false },
+      defaults: DEFAULT_CONFIG
+    });
+
+    expect(config).toMatchObject({ frontend: 'vite', database: 'postgresql', orm: 'drizzle', auth: true });
+    expect(prompter.asked).toEqual(['Database', 'Database: Drizzle does not support SQL Server. Use Prisma or choose another database.']);
+  });
+
+  test('lets any answer be changed on the review screen', async () => {
+    const prompter = createScriptedPrompter({
+      Frontend: ['nextjs', 'vite'],
+      'Create the project?': ['change', 'create'],
+      'Which answer?': ['frontend']
+    });
+
+    const { config } = await runWizard(prompter, {
+      projectName: 'my-app',
+      flags: { database: 'sqlite', orm: 'prisma', packageManager: 'npm', trpc: false, auth: false, tailwind: false, docker: false },
+      defaults: DEFAULT_CONFIG,
+      dryRun: true
+    });
+
+    expect(config.frontend).toBe('vite');
+    expect(prompter.asked).toEqual(['Frontend', 'Create the project?', 'Which answer?', 'Frontend', 'Create the project?']);
+  });
+
+  test('cancelling on the review screen writes nothing', async () => {
+    const prompter = createScriptedPrompter({
+      Frontend: ['react'],
+      'Create the project?': ['cancel']
+    });
+
+    await expect(runWizard(prompter, {
+      projectName: 'my-app',
+      flags: { database: 'sqlite', orm: 'prisma', packageManager: 'npm', trpc: false, auth: false, tailwind: false, docker: false },
+      defaults: DEFAULT_CONFIG,
+      dryRun: true
+    })).rejects.toMatchObject({ code: 'CANCELLED' });
+  });
+});
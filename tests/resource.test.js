@@ -0,0 +1,196 @@
+// tests/resource.test.js - Generating CRUD Resources
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createResource, generateResource } = require('../lib/resource');
+const { generateProject } = require('../lib/generator');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+
+const CONFIG = { ...DEFAULT_CONFIG, install: false, git: false };
+
+describe('createResource', () => {
+  test.each([
+    ['product', 'product', 'products'],
+    ['products', 'product', 'products'],
+    ['category', 'category', 'categories'],
+    ['categories', 'category', 'categories'],
+    ['key', 'key', 'keys'],
+    ['box', 'box', 'boxes'],
+    ['match', 'match', 'matches'],
+    ['address', 'address', 'addresses'],
+    ['status', 'status', 'statuses']
+  ])('names %s: %s and %s', (name, singular, plural) => {
+    const resource = createResource(name, 'title');
+
+    expect(resource.singular.words).toBe(singular);
+    expect(resource.plural.words).toBe(plural);
+  });
+
+  test.each(['BlogPost', 'blogPost', 'blog-post', 'blog_post', 'blog posts'])('reads %s as the same name', (name) => {
+    const { singular, plural } = createResource(name, 'title');
+
+    expect(singular).toEqual({
+      words: 'blog post',
+      label: 'Blog post',
+      kebab: 'blog-post',
+      snake: 'blog_post',
+      camel: 'blogPost',
+      pascal: 'BlogPost'
+    });
+    expect(plural.camel).toBe('blogPosts');
+    expect(plural.snake).toBe('blog_posts');
+  });
+
+  test.each(['', '-', '1st-post'])('rejects the name "%s"', (name) => {
+    expect(() => createResource(name, 'title')).toThrow(`"${name}" is not a valid resource name.`);
+  });
+
+  test('parses the fields with their types, columns and optionality', () => {
+    const { fields } = createResource('post', ' title , body:text?, viewCount:int,published_at:date?');
+
+    expect(fields).toEqual([
+      { name: 'title', column: 'title', type: 'string', optional: false },
+      { name: 'body', column: 'body', type: 'text', optional: true },
+      { name: 'viewCount', column: 'view_count', type: 'int', optional: false },
+      { name: 'publishedAt', column: 'published_at', type: 'date', optional: true }
+    ]);
+  });
+
+  test.each([
+    ['title:', 'Invalid field "title:". Use name:type, e.g. title:string or notes:text?.'],
+    ['2fa:boolean', 'Invalid field "2fa:boolean".'],
+    ['price:money', 'Unknown type "money" for field "price". Use one of: string, text, int, float, boolean, date.'],
+    ['title,created_at:date', '"createdAt" is added to every resource automatically and cannot be used as a field.'],
+    ['id', '"id" is added to every resource automatically'],
+    ['title,title:text', 'Field "title" is defined twice.'],
+    [' , ', 'A resource needs at least one field.']
+  ])('rejects the fields "%s"', (fields, message) => {
+    expect(() => createResource('post', fields)).toThrow(message);
+  });
+});
+
+describe('generateResource', () => {
+  let tempDir;
+
+  const read = (projectPath, file) => fs.readFile(path.join(projectPath, file), 'utf8');
+
+  async function createProject(overrides) {
+    const projectPath = path.join(tempDir, 'app');
+    await generateProject(projectPath, 'app', { ...CONFIG, ...overrides });
+    return projectPath;
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-resource-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('adds the module, the Drizzle table and the tRPC router to a project', async () => {
+    const projectPath = await createProject({ orm: 'drizzle', trpc: true });
+
+    const report = await generateResource(projectPath, 'BlogPost', { fields: 'title,publishedAt:date?,views:int' });
+
+    const modulePath = 'src/backend/src/modules/blog-posts';
+    expect(report.created).toEqual([
+      `${modulePath}/blog-posts.module.ts`,
+      `${modulePath}/blog-posts.service.ts`,
+      `${modulePath}/blog-posts.controller.ts`,
+      `${modulePath}/dto/create-blog-post.dto.ts`,
+      `${modulePath}/dto/update-blog-post.dto.ts`,
+      'src/backend/src/trpc/routers/blog-posts.router.ts'
+    ]);
+    expect(report.updated).toEqual([
+      'src/shared/database/schema.ts',
+      'src/backend/src/app.module.ts',
+      'src/backend/src/trpc/app.router.ts'
+    ]);
+    for (const file of report.created) {
+      expect(await fs.pathExists(path.join(projectPath, file))).toBe(true);
+    }
+
+    const schema = await read(projectPath, 'src/shared/database/schema.ts');
+    const table = [
+      '// Blog posts table',
+      "export const blogPosts = pgTable('blog_posts', {",
+      "  id: uuid('id').primaryKey().defaultRandom(),",
+      "  title: varchar('title', { length: 255 }).notNull(),",
+      "  publishedAt: timestamp('published_at'),",
+      "  views: integer('views').notNull(),",
+      "  createdAt: timestamp('created_at').defaultNow().notNull(),",
+      "  updatedAt: timestamp('updated_at').defaultNow().notNull(),",
+      '});',
+      '',
+      '// Relations'
+    ].join('\n');
+    expect(schema).toContain(table);
+    expect(schema).toContain('export const schema = {\n  blogPosts,\n');
+
+    const appModule = await read(projectPath, 'src/backend/src/app.module.ts');
+    expect(appModule).toContain("import { BlogPostsModule } from './modules/blog-posts/blog-posts.module';");
+    expect(appModule).toContain('    TrpcModule,\n    BlogPostsModule,\n  ],');
+
+    const appRouter = await read(projectPath, 'src/backend/src/trpc/app.router.ts');
+    expect(appRouter).toContain("import { blogPostsRouter } from './routers/blog-posts.router';");
+    expect(appRouter).toContain('  posts: postsRouter,\n  blogPosts: blogPostsRouter,\n});');
+  });
+
+  test('imports the column builders a Drizzle table needs', async () => {
+    const projectPath = await createProject({ orm: 'drizzle', database: 'mysql' });
+    const before = await read(projectPath, 'src/shared/database/schema.ts');
+    expect(before).not.toMatch(/\bdouble\b/);
+
+    await generateResource(projectPath, 'category', { fields: 'name,price:float' });
+
+    const schema = await read(projectPath, 'src/shared/database/schema.ts');
+    expect(schema.split('\n')[0]).toMatch(/^import { mysqlTable, .*\bdouble } from 'drizzle-orm\/mysql-core';$/);
+    expect(schema).toContain("  price: double('price').notNull(),");
+  });
+
+  test('adds a Prisma model and leaves tRPC out when the project has none', async () => {
+    const projectPath = await createProject({ database: 'sqlite' });
+
+    const report = await generateResource(projectPath, 'category', { fields: 'name,price:float,notes:text?,inStock:boolean' });
+
+    expect(report.updated).toEqual(['prisma/schema.prisma', 'src/backend/src/app.module.ts']);
+    expect(report.created).not.toContain('src/backend/src/trpc/routers/categories.router.ts');
+    expect(await read(projectPath, 'prisma/schema.prisma')).toMatch(new RegExp(`\n\n${[
+      'model Category {',
+      '  id        String   @id @default\\(cuid\\(\\)\\)',
+      '  name      String',
+      '  price     Float',
+      '  notes     String\\?',
+      '  inStock   Boolean  @map\\("in_stock"\\)',
+      '  createdAt DateTime @default\\(now\\(\\)\\)',
+      '  updatedAt DateTime @updatedAt',
+      '',
+      '  @@map\\("categories"\\)',
+      '}'
+    ].join('\n')}\n$`));
+  });
+
+  test('leaves the project untouched when the resource clashes with existing code', async () => {
+    const projectPath = await createProject({});
+    const schema = await read(projectPath, 'prisma/schema.prisma');
+    const appModule = await read(projectPath, 'src/backend/src/app.module.ts');
+
+    await expect(generateResource(projectPath, 'user')).rejects.toThrow('src/backend/src/modules/users already exists.');
+    await expect(generateResource(projectPath, 'post')).rejects.toThrow('prisma/schema.prisma already has a Post model.');
+    await expect(generateResource(projectPath, 'product', { trpc: true })).rejects.toThrow(
+      'This project does not use tRPC. Add it first with "create-kurdemy-app add trpc".'
+    );
+
+    expect(await read(projectPath, 'prisma/schema.prisma')).toBe(schema);
+    expect(await read(projectPath, 'src/backend/src/app.module.ts')).toBe(appModule);
+    expect(await fs.pathExists(path.join(projectPath, 'src/backend/src/modules/posts'))).toBe(false);
+  });
+
+  test('refuses a Drizzle table the schema already exports', async () => {
+    const projectPath = await createProject({ orm: 'drizzle' });
+
+    await expect(generateResource(projectPath, 'post')).rejects.toThrow('src/shared/database/schema.ts already exports posts.');
+  });
+});
@@ -0,0 +1,81 @@
+// tests/template-engine.test.js - File Template Rendering
+
+const fs = require('fs');
+const path = require('path');
+const { render, TEMPLATES_DIR } = require('../lib/template-engine');
+
+describe('render', () => {
+  test('inserts values and function results from the data', () => {
+    const data = { name: 'app', drizzle: { table: 'pgTable', string: (column) => `varchar('${column}')` } };
+
+    expect(render("{{ name }}: {{ drizzle.table }}({{ drizzle.string('email') }})", data)).toBe("app: pgTable(varchar('email'))");
+  });
+
+  test('removes lines that only hold a block tag', () => {
+    const template = [
+      'export const schema = {',
+      '  users,',
+      '  {{#if auth && orm == \'drizzle\'}}',
+      '  accounts,',
+      '  {{else}}',
+      '  guests,',
+      '  {{/if}}',
+      '};',
+      ''
+    ].join('\n');
+
+    expect(render(template, { auth: true, orm: 'drizzle' })).toBe('export const schema = {\n  users,\n  accounts,\n};\n');
+    expect(render(template, { auth: false, orm: 'drizzle' })).toBe('export const schema = {\n  users,\n  guests,\n};\n');
+  });
+
+  test('keeps inline blocks on their line', () => {
+    const template = "import { users{{#if auth}}, accounts{{/if}} } from './schema';";
+
+    expect(render(template, { auth: true })).toBe("import { users, accounts } from './schema';");
+    expect(render(template, { auth: false })).toBe("import { users } from './schema';");
+  });
+
+  test('supports negation, comparisons and parentheses', () => {
+    const template = "{{#if !(database == 'sqlite' || database != 'mysql')}}mysql{{else}}other{{/if}}";
+
+    expect(render(template, { database: 'mysql' })).toBe('mysql');
+    expect(render(template, { database: 'sqlite' })).toBe('other');
+  });
+
+  test('escapes literal braces', () => {
+    expect(render('<div style=\\{{ color: "red" }} />', {})).toBe('<div style={{ color: "red" }} />');
+  });
+
+  test('keeps a brace right before a tag as text', () => {
+    expect(render('<Modal onClose={{{ mockFn }}} />', { mockFn: 'jest.fn()' })).toBe('<Modal onClose={jest.fn()} />');
+  });
+
+  test.each([
+    ['{{ missing }}', {}, 'schema.ts:1: missing is not defined in "missing".'],
+    ['{{ drizzle.table }}', { drizzle: {} }, 'schema.ts:1: drizzle.table is not defined in "drizzle.table".'],
+    ['\n{{ connection }}', { connection: () => '' }, 'schema.ts:2: {{ connection }} is a function, not a string.'],
+    ['{{ options }}', { options: {} }, 'schema.ts:1: {{ options }} is an object, not a string.'],
+    ['{{#if auth}}\nx', { auth: true }, 'schema.ts:1: {{#if auth}} is never closed with {{/if}}.'],
+    ['x\n{{/if}}', {}, 'schema.ts:2: {{/if}} without a matching {{#if}}.'],
+    ["{{#if orm = 'prisma'}}x{{/if}}", { orm: 'prisma' }, 'schema.ts:1: cannot read "= \'prisma\'" in "orm = \'prisma\'".']
+  ])('fails on %j instead of rendering it', (template, data, message) => {
+    expect(() => render(template, data, 'schema.ts')).toThrow(message);
+  });
+});
+
+describe('templates directory', () => {
+  // Every template a group lists has to exist, and every file in the group has to be listed
+  test.each(fs.readdirSync(TEMPLATES_DIR))('%s/templates.json matches the files', (group) => {
+    const groupDir = path.join(TEMPLATES_DIR, group);
+    const entries = JSON.parse(fs.readFileSync(path.join(groupDir, 'templates.json'), 'utf8'));
+    const listFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => (
+      entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name)).map((file) => `${entry.name}/${file}`)
+        : [entry.name]
+    ));
+
+    const files = listFiles(groupDir).filter((file) => file !== 'templates.json').sort();
+    expect([...new Set(entries.map((entry) => entry.template))].sort()).toEqual(files);
+    entries.forEach((entry) => expect(entry.output).toEqual(expect.any(String)));
+  });
+});
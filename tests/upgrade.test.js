@@ -0,0 +1,103 @@
+// tests/upgrade.test.js - Upgrading Projects to the Current Templates
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { upgradeProject } = require('../lib/upgrade');
+const { generateProject } = require('../lib/generator');
+const { createVirtualFileSystem } = require('../lib/file-system');
+const { MANIFEST_FILE, hashContent, readManifest } = require('../lib/manifest');
+const { DEFAULT_CONFIG } = require('../lib/presets');
+const { version: cliVersion } = require('../package.json');
+const { generateProject: generateOldProject } = require('./fixtures/old-cli/lib/generator');
+
+const OLD_CLI = path.join(__dirname, 'fixtures/old-cli');
+const CONFIG = { ...DEFAULT_CONFIG, install: false, git: false };
+
+describe('upgradeProject', () => {
+  let tempDir;
+  let projectPath;
+  let current;
+
+  const file = (relative) => path.join(projectPath, relative);
+  const read = (relative) => fs.readFile(file(relative), 'utf8');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kurdemy-upgrade-test-'));
+    projectPath = path.join(tempDir, 'app');
+    await generateOldProject(projectPath, 'app', CONFIG);
+
+    const fileSystem = createVirtualFileSystem();
+    await generateProject(projectPath, 'app', CONFIG, { fileSystem });
+    current = (relative) => fileSystem.files.get(file(relative)).content.toString('utf8');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('merges the template changes into the project', async () => {
+    await fs.appendFile(file('src/backend/src/main.ts'), '// Mine\n');
+    await fs.writeFile(file('.gitignore'), (await read('.gitignore')).replace(/^.*\n/, '# My ignore rules\n'));
+    await fs.writeFile(file('docs/EDITED.md'), '# Mine\n');
+    await fs.remove(file('.env.example'));
+
+    const report = await upgradeProject(projectPath, { templatesFrom: OLD_CLI });
+
+    expect(report).toEqual({
+      from: cliVersion,
+      to: cliVersion,
+      clean: ['.prettierignore', 'README.md'],
+      merged: ['src/backend/src/main.ts'],
+      conflicted: ['.gitignore'],
+      removed: ['docs/OLD.md'],
+      skipped: ['.env.example', 'docs/EDITED.md']
+    });
+
+    // Changed only by the templates, or new in them
+    expect(await read('README.md')).toBe(current('README.md'));
+    expect(await read('.prettierignore')).toBe(current('.prettierignore'));
+    // Changed by both, in different places
+    expect(await read('src/backend/src/main.ts')).toBe(`${current('src/backend/src/main.ts')}// Mine\n`);
+    // Changed by both, in the same place
+    expect(await read('.gitignore')).toBe(current('.gitignore').replace(/^.*\n/, (line) => [
+      '<<<<<<< yours\n',
+      '# My ignore rules\n',
+      '=======\n',
+      line,
+      `>>>>>>> create-kurdemy-app ${cliVersion}\n`
+    ].join('')));
+    // Gone from the templates: removed unless the user edited it
+    expect(await fs.pathExists(file('docs/OLD.md'))).toBe(false);
+    expect(await read('docs/EDITED.md')).toBe('# Mine\n');
+    // Deleted by the user: stays deleted
+    expect(await fs.pathExists(file('.env.example'))).toBe(false);
+  });
+
+  test('rewrites the manifest with the hashes of the current templates', async () => {
+    await upgradeProject(projectPath, { templatesFrom: OLD_CLI });
+
+    const manifest = await readManifest(projectPath);
+    expect(manifest.cliVersion).toBe(cliVersion);
+    expect(manifest.config).toEqual(CONFIG);
+    expect(manifest.files['README.md']).toBe(hashContent(current('README.md')));
+    expect(manifest.files['.prettierignore']).toBe(hashContent(current('.prettierignore')));
+    expect(manifest.files).not.toHaveProperty(['docs/OLD.md']);
+    expect(manifest.files).not.toHaveProperty([MANIFEST_FILE]);
+  });
+
+  test('leaves a project generated by this version alone', async () => {
+    const before = await read('README.md');
+
+    const report = await upgradeProject(projectPath);
+
+    expect(report).toEqual({ from: cliVersion, to: cliVersion, clean: [], merged: [], conflicted: [], removed: [], skipped: [] });
+    expect(await read('README.md')).toBe(before);
+  });
+
+  test('needs a manifest to know the version to upgrade from', async () => {
+    await fs.remove(file(MANIFEST_FILE));
+
+    await expect(upgradeProject(projectPath)).rejects.toThrow(`${projectPath} has no ${MANIFEST_FILE}`);
+  });
+});